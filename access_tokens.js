@@ -0,0 +1,156 @@
+/**
+ * Access Tokens for Brandt Car API
+ * Short-lived JWTs that delegate a few commands on a few vehicles, e.g.
+ * "unlock the doors once in the next 15 minutes". Each token is recorded in the access_tokens
+ * table, which holds its use count and revocation for every instance and across restarts
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+
+const ISSUER = 'brandt-car-api';
+const DEFAULT_TTL_MINUTES = 15;
+const MAX_TTL_MINUTES = 24 * 60;
+
+class AccessTokenManager {
+    constructor() {
+        this.secret = process.env.JWT_SECRET || null;
+
+        if (!this.secret) {
+            // Tokens still work, but stop being valid when the server restarts
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('⚠️ JWT_SECRET not set - access tokens will be invalidated on restart');
+        }
+    }
+
+    /**
+     * Expand ["doors.unlock", "status.*"] into "category.action" entries using the api_endpoints section of config.json.
+     * Returns { actions } or { error }
+     */
+    expandScope(scope, apiEndpoints) {
+        if (!Array.isArray(scope) || scope.length === 0) {
+            return { error: 'scope must be a non-empty list such as ["doors.unlock"]' };
+        }
+
+        const actions = [];
+        for (const entry of scope) {
+            const [category, action] = String(entry).split('.');
+            if (!apiEndpoints[category] || !action) {
+                return { error: `Unknown scope: ${entry}` };
+            }
+
+            if (action === '*') {
+                Object.keys(apiEndpoints[category]).forEach(name => actions.push(`${category}.${name}`));
+            } else if (action in apiEndpoints[category]) {
+                actions.push(`${category}.${action}`);
+            } else {
+                return { error: `Unknown scope: ${entry}` };
+            }
+        }
+
+        return { actions: Array.from(new Set(actions)) };
+    }
+
+    /**
+     * Sign and record a token for already validated actions. Fails when the database can't be
+     * reached, since uses and revocations could not be enforced
+     */
+    async mint({ actions, vins = null, ttlMinutes = DEFAULT_TTL_MINUTES, maxUses = null, label = null, issuedBy }) {
+        const ttl = Math.min(Math.max(1, ttlMinutes), MAX_TTL_MINUTES);
+        const jti = uuidv4();
+
+        const token = jwt.sign({
+            scope: actions,
+            vins: vins ? vins.map(vin => vin.toUpperCase()) : null,
+            max_uses: maxUses,
+            label,
+            issued_by: issuedBy
+        }, this.secret, {
+            algorithm: 'HS256',
+            expiresIn: ttl * 60,
+            issuer: ISSUER,
+            jwtid: jti
+        });
+
+        const claims = jwt.decode(token);
+        await db.createAccessToken({ jti, label, issuedBy, maxUses, expiresAt: new Date(claims.exp * 1000) });
+        console.log(`🎫 Access token ${jti} issued by ${issuedBy} for ${actions.join(', ')}`);
+        return { token, claims };
+    }
+
+    /**
+     * Verify signature, issuer and expiry. Returns the claims or throws
+     */
+    verify(token) {
+        return jwt.verify(token, this.secret, { algorithms: ['HS256'], issuer: ISSUER });
+    }
+
+    /**
+     * Look up the record of verified claims. Resolves to { valid, token } or { valid: false, reason }
+     */
+    async lookup(claims) {
+        const token = await db.getAccessToken(claims.jti);
+        if (!token) {
+            return { valid: false, reason: 'Token is not known to this server' };
+        }
+        if (token.revoked_at) {
+            return { valid: false, reason: 'Token has been revoked' };
+        }
+        return { valid: true, token };
+    }
+
+    /**
+     * Whether a string looks like a JWT rather than an API key
+     */
+    isToken(value) {
+        return typeof value === 'string' && value.split('.').length === 3 && value.startsWith('eyJ');
+    }
+
+    /**
+     * Check a request against a token's scope and vehicles
+     */
+    check(claims, category, action, vin) {
+        if (!claims.scope.includes(`${category}.${action}`)) {
+            return { allowed: false, reason: `Token is not scoped for ${category}.${action}` };
+        }
+        if (vin && claims.vins && !claims.vins.includes(vin.toUpperCase())) {
+            return { allowed: false, reason: `Token is not valid for vehicle ${vin}` };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Count one use of a token. The database refuses the use once max_uses is reached, so
+     * concurrent requests can't overspend it. Resolves to { allowed, remaining } (remaining is
+     * null when unlimited) or { allowed: false, reason }
+     */
+    async consume(claims) {
+        const token = await db.useAccessToken(claims.jti);
+        if (!token) {
+            return { allowed: false, reason: `Token has been used ${claims.max_uses} time(s) already` };
+        }
+        return { allowed: true, remaining: token.max_uses ? Math.max(0, token.max_uses - token.uses) : null };
+    }
+
+    /**
+     * Give back a use, e.g. when the request it was counted for failed
+     */
+    async refund(claims) {
+        await db.refundAccessToken(claims.jti);
+    }
+
+    /**
+     * Revoke a token before it expires; resolves to null for unknown tokens
+     */
+    async revoke(jti) {
+        return db.revokeAccessToken(jti);
+    }
+}
+
+// Export singleton instance
+module.exports = new AccessTokenManager();
+module.exports.AccessTokenManager = AccessTokenManager;
+module.exports.DEFAULT_TTL_MINUTES = DEFAULT_TTL_MINUTES;
+module.exports.MAX_TTL_MINUTES = MAX_TTL_MINUTES;
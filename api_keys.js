@@ -0,0 +1,189 @@
+/**
+ * API Key Manager for Brandt Car API
+ * Named API keys stored hashed in PostgreSQL, each limited to a set of api_endpoints actions
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+
+const KEY_PREFIX = 'bca_';
+const CACHE_TTL_MS = 60 * 1000; // Revocations on other instances apply within a minute
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+// Permission categories for endpoints that are not in api_endpoints (they can't be disabled)
+const ACCOUNT_PERMISSIONS = {
+    session: ['authenticate'],
+    vehicles: ['list'],
+    commands: ['list', 'get', 'cancel'],
+    events: ['subscribe'],
+    budget: ['get', 'reset'],
+    history: ['get'],
+    schedules: ['list'],
+    geofences: ['list', 'manage']
+};
+
+class ApiKeyManager {
+    constructor() {
+        this.cache = new Map(); // key hash -> { key, cachedAt }
+    }
+
+    hashKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    generateKey() {
+        return KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    }
+
+    /**
+     * Look up a presented key. Resolves to { valid, key } or { valid: false, reason }
+     */
+    async authenticate(apiKey, now = new Date()) {
+        if (!apiKey.startsWith(KEY_PREFIX)) {
+            return { valid: false, reason: 'unknown' };
+        }
+
+        const keyHash = this.hashKey(apiKey);
+        const cached = this.cache.get(keyHash);
+        let key;
+
+        if (cached && now.getTime() - cached.cachedAt < CACHE_TTL_MS) {
+            key = cached.key;
+        } else {
+            key = await db.getApiKeyByHash(keyHash);
+            if (key) {
+                this.cache.set(keyHash, { key, cachedAt: now.getTime() });
+                db.touchApiKey(key.id);
+            }
+        }
+
+        if (!key) {
+            return { valid: false, reason: 'unknown' };
+        }
+        if (key.revoked_at) {
+            return { valid: false, reason: 'revoked' };
+        }
+        if (key.expires_at && new Date(key.expires_at) <= now) {
+            return { valid: false, reason: 'expired' };
+        }
+
+        return { valid: true, key };
+    }
+
+    /**
+     * Whether a key may use an api_endpoints category/action.
+     * Permissions are "*" or { category: "*" | [actions] }
+     */
+    isAllowed(key, category, action) {
+        const permissions = key && key.permissions;
+        if (permissions === '*') {
+            return true;
+        }
+        if (!permissions || typeof permissions !== 'object') {
+            return false;
+        }
+
+        const allowed = permissions[category];
+        return allowed === '*' || (Array.isArray(allowed) && allowed.includes(action));
+    }
+
+    /**
+     * Check a permissions object against the api_endpoints section of config.json and
+     * ACCOUNT_PERMISSIONS; returns an error message or null
+     */
+    validatePermissions(permissions, apiEndpoints) {
+        if (permissions === '*') {
+            return null;
+        }
+        if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+            return 'permissions must be "*" or an object of api_endpoints categories';
+        }
+
+        for (const [category, actions] of Object.entries(permissions)) {
+            const known = apiEndpoints[category] ? Object.keys(apiEndpoints[category]) : ACCOUNT_PERMISSIONS[category];
+            if (!known) {
+                return `Unknown endpoint category: ${category}`;
+            }
+            if (actions === '*') {
+                continue;
+            }
+            if (!Array.isArray(actions)) {
+                return `Actions for ${category} must be "*" or a list`;
+            }
+
+            const unknown = actions.filter(action => !known.includes(action));
+            if (unknown.length > 0) {
+                return `Unknown ${category} actions: ${unknown.join(', ')}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a key; the plain value is only ever returned here
+     */
+    async create({ name, permissions, expiresAt = null }) {
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new Error('name must be 1-100 letters, digits, dots, dashes or underscores');
+        }
+
+        const apiKey = this.generateKey();
+        const key = await db.createApiKey({
+            name,
+            keyHash: this.hashKey(apiKey),
+            keyPrefix: apiKey.substring(0, KEY_PREFIX.length + 6),
+            permissions,
+            expiresAt
+        });
+
+        console.log(`🔑 API key "${name}" created`);
+        return { apiKey, key: this.toJSON(key) };
+    }
+
+    async list(includeRevoked = false) {
+        const keys = await db.listApiKeys(includeRevoked);
+        return keys.map(key => this.toJSON(key));
+    }
+
+    async revoke(name) {
+        const key = await db.revokeApiKey(name);
+        if (!key) {
+            return null;
+        }
+
+        // Drop cached lookups so the revocation applies immediately on this instance
+        this.cache.clear();
+        console.log(`🔒 API key "${name}" revoked`);
+        return this.toJSON(key);
+    }
+
+    /**
+     * Public representation of a key row
+     */
+    toJSON(key, now = new Date()) {
+        let status = 'active';
+        if (key.revoked_at) {
+            status = 'revoked';
+        } else if (key.expires_at && new Date(key.expires_at) <= now) {
+            status = 'expired';
+        }
+
+        return {
+            id: key.id,
+            name: key.name,
+            key_prefix: key.key_prefix,
+            permissions: key.permissions,
+            status,
+            created_at: key.created_at,
+            expires_at: key.expires_at,
+            revoked_at: key.revoked_at,
+            last_used_at: key.last_used_at
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyManager();
+module.exports.ApiKeyManager = ApiKeyManager;
+module.exports.ACCOUNT_PERMISSIONS = ACCOUNT_PERMISSIONS;
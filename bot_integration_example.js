@@ -76,8 +76,8 @@ class BrandtCarBot {
             return {
                 can_execute: true,
                 requires_confirmation: true,
-                reason: 'Command requires confirmation parameter',
-                suggestion: 'Add "confirm": true to the request body'
+                reason: 'Command requires confirmation',
+                suggestion: 'Repeat the request with the confirmation_token from the first response'
             };
         }
 
@@ -154,13 +154,6 @@ class BrandtCarBot {
 
         const command = this.commands.find(cmd => cmd.command === commandName);
         
-        // Add confirmation if required
-        if (safety.requires_confirmation && !parameters.confirm) {
-            console.log(`🔐 ${commandName} requires confirmation`);
-            console.log(`   💡 ${safety.suggestion}`);
-            parameters.confirm = true;
-        }
-
         try {
             console.log(`🚀 Executing ${commandName}...`);
             
@@ -177,7 +170,20 @@ class BrandtCarBot {
                 config.data = parameters;
             }
             
-            const response = await axios(config);
+            let response;
+            try {
+                response = await axios(config);
+            } catch (error) {
+                // 428: the API describes the command and hands out a one-time confirmation token
+                if (!error.response || error.response.status !== 428) {
+                    throw error;
+                }
+                const { summary, confirmation_token } = error.response.data.data;
+                console.log(`🔐 ${commandName} requires confirmation: ${summary}`);
+                console.log(`   💡 ${safety.suggestion}`);
+                config.data = { ...parameters, confirmation_token };
+                response = await axios(config);
+            }
             
             console.log(`✅ ${commandName} executed successfully`);
             console.log(`   Response: ${response.data.message}`);
@@ -0,0 +1,134 @@
+/**
+ * Charging Profile for OnStar API
+ * Typed model of the OnStar charging profile. setChargingProfile only takes a charge mode
+ * and a rate type (departure times and rate schedules are set in the vehicle or the
+ * myChevrolet app), so requests are validated against that, compared with the profile
+ * from getChargingProfile() and checked again after the change
+ */
+
+const _ = require('lodash');
+
+// ChargingProfileChargeMode in onstarjs2
+const CHARGE_MODES = ['DEFAULT_IMMEDIATE', 'IMMEDIATE', 'DEPARTURE_BASED', 'RATE_BASED', 'PHEV_AFTER_MIDNIGHT'];
+
+// ChargingProfileRateType in onstarjs2
+const RATE_TYPES = ['OFFPEAK', 'MIDPEAK', 'PEAK'];
+
+// Profile field -> allowed values and the name OnStar uses for it
+const PROFILE_FIELDS = {
+    charge_mode: { values: CHARGE_MODES, onstar: 'chargeMode' },
+    rate_type: { values: RATE_TYPES, onstar: 'rateType' }
+};
+
+// Request parameters setChargingProfile has no field for, with the reason given to the client
+const UNSUPPORTED_PARAMETERS = {
+    scheduled_start: 'OnStar charging profiles have no start time; use charge_mode DEPARTURE_BASED with departure times set in the vehicle',
+    target_level: 'OnStar charging profiles have no target level; set it in the vehicle or the myChevrolet app'
+};
+
+/**
+ * Validate a POST /charging/profile body. Returns { error, hint } or { changes } with the
+ * profile fields to set (rate_limit is accepted as the old name of rate_type)
+ */
+function parseProfileRequest(body = {}) {
+    const unsupported = Object.keys(UNSUPPORTED_PARAMETERS)
+        .filter(parameter => body[parameter] !== undefined && body[parameter] !== null)
+        .map(parameter => ({ parameter, value: body[parameter], reason: UNSUPPORTED_PARAMETERS[parameter] }));
+    if (unsupported.length > 0) {
+        return {
+            error: `Not supported by OnStar: ${unsupported.map(entry => entry.parameter).join(', ')}`,
+            unsupported_parameters: unsupported,
+            hint: 'Send charge_mode and/or rate_type'
+        };
+    }
+
+    const requested = { charge_mode: body.charge_mode, rate_type: body.rate_type !== undefined ? body.rate_type : body.rate_limit };
+    const changes = {};
+    for (const [field, { values }] of Object.entries(PROFILE_FIELDS)) {
+        if (requested[field] === undefined || requested[field] === null) continue;
+
+        const value = String(requested[field]).toUpperCase();
+        if (!values.includes(value)) {
+            return { error: `${field} must be one of ${values.join(', ')}`, hint: `Got ${JSON.stringify(requested[field])}` };
+        }
+        changes[field] = value;
+    }
+
+    if (_.isEmpty(changes)) {
+        return {
+            error: 'Nothing to change: send charge_mode and/or rate_type',
+            hint: `charge_mode: ${CHARGE_MODES.join(', ')}; rate_type: ${RATE_TYPES.join(', ')}`
+        };
+    }
+
+    return { changes };
+}
+
+/**
+ * Profile from a getChargingProfile() result; fields the vehicle didn't report are null
+ */
+function fromResponse(result) {
+    const chargingProfile = _.get(result, 'response.data.commandResponse.body.chargingProfile', {});
+    return _.mapValues(PROFILE_FIELDS, ({ onstar }) => chargingProfile[onstar] || null);
+}
+
+/**
+ * Options for setChargingProfile(); fields left out get the onstarjs2 defaults
+ */
+function toRequest(profile) {
+    const request = {};
+    for (const [field, { onstar }] of Object.entries(PROFILE_FIELDS)) {
+        if (profile[field]) request[onstar] = profile[field];
+    }
+    return request;
+}
+
+/**
+ * Fields of `target` that differ from `current`, as [{ field, from, to }]
+ */
+function diffProfiles(current, target) {
+    return Object.keys(PROFILE_FIELDS)
+        .filter(field => target[field] && target[field] !== current[field])
+        .map(field => ({ field, from: current[field], to: target[field] }));
+}
+
+/**
+ * Read the profile, set it only if something changes, then read it back to check the vehicle
+ * took it. The command response body becomes { previous, profile, changes }, so it is kept in
+ * the command record; a profile the vehicle didn't take fails the command.
+ * The whole exchange is one command, so recordRequest(name) is called for each vehicle request
+ * after the first one (the wake budget counts every request)
+ */
+async function applyProfile(client, changes, { recordRequest = () => {} } = {}) {
+    const current = await client.getChargingProfile();
+    const previous = fromResponse(current);
+    const target = { ...previous, ...changes };
+    const diff = diffProfiles(previous, target);
+
+    if (diff.length === 0) {
+        return _.set(current, 'response.data.commandResponse.body', { previous, profile: previous, changes: [] });
+    }
+
+    const result = await client.setChargingProfile(toRequest(target));
+    recordRequest('set_charging_profile');
+    const profile = fromResponse(await client.getChargingProfile());
+    recordRequest('get_charging_profile');
+    const mismatches = diffProfiles(profile, target);
+    if (mismatches.length > 0) {
+        throw new Error(`Vehicle reports ${mismatches.map(m => `${m.field} ${m.from}`).join(', ')} after the change ` +
+            `(requested ${mismatches.map(m => m.to).join(', ')})`);
+    }
+
+    return _.set(result, 'response.data.commandResponse.body', { previous, profile, changes: diff });
+}
+
+module.exports = {
+    parseProfileRequest,
+    applyProfile,
+    fromResponse,
+    toRequest,
+    diffProfiles,
+    CHARGE_MODES,
+    RATE_TYPES,
+    UNSUPPORTED_PARAMETERS
+};
@@ -0,0 +1,374 @@
+/**
+ * Charging Scheduler for OnStar API
+ * Time-of-use smart charging: from the battery level, the plug state, a target level and a
+ * departure time, picks the cheapest periods of a tariff table to charge in and sends
+ * chargeOverride start/stop commands at their edges. Plans are kept per VIN (and in the
+ * charging_plans table); in dry-run mode the commands are only listed
+ */
+
+const { setTimeout, clearTimeout } = require('timers');
+const _ = require('lodash');
+const db = require('./database');
+
+const DEFAULT_SCHEDULER_CONFIG = {
+    enabled: false, // Run the scheduler loop
+    dry_run: true, // Plan and list the commands without sending them
+    vins: [], // Vehicles to schedule; empty for the default vehicle
+    target_level: 80, // Battery percent to reach by departure
+    departure_time: '07:30', // Server local time
+    battery_capacity_kwh: 66,
+    charge_rate_kw: 7.2, // What the charger delivers; sets how long charging takes
+    check_interval_minutes: 30, // Re-read the vehicle and re-plan at least this often
+    tariff: [
+        { name: 'off-peak', start: '00:00', end: '07:00', rate: 0.08 },
+        { name: 'mid-peak', start: '07:00', end: '16:00', rate: 0.15 },
+        { name: 'peak', start: '16:00', end: '21:00', rate: 0.32 },
+        { name: 'mid-peak', start: '21:00', end: '24:00', rate: 0.15 }
+    ]
+};
+
+const PLAN_STATUSES = ['charging_planned', 'insufficient_time', 'target_reached', 'unplugged', 'no_data'];
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+
+// Minutes since midnight for "HH:MM" ("24:00" is the end of the day)
+function parseTime(time) {
+    const match = TIME_PATTERN.exec(time);
+    if (!match || (match[1] === '24' && match[2] !== '00')) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60 + date.getMilliseconds() / MINUTE_MS;
+}
+
+// First moment after `from` at which the local clock shows `minutes` past midnight
+function nextTimeOfDay(from, minutes) {
+    const next = new Date(from);
+    next.setHours(0, 0, 0, 0);
+    next.setMinutes(minutes);
+    while (next <= from) {
+        next.setDate(next.getDate() + 1);
+        next.setHours(0, 0, 0, 0);
+        next.setMinutes(minutes);
+    }
+    return next;
+}
+
+// Whether a tariff period covers a time of day; periods with end <= start run past midnight
+function periodCovers(period, minutes) {
+    const start = parseTime(period.start);
+    const end = parseTime(period.end);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Problems with the scheduler settings, as a list of messages
+ */
+function validateSettings(settings) {
+    const errors = [];
+    if (parseTime(settings.departure_time) === null) {
+        errors.push('departure_time must be HH:MM');
+    }
+    if (!(settings.target_level > 0 && settings.target_level <= 100)) {
+        errors.push('target_level must be a percentage from 1 to 100');
+    }
+    for (const field of ['battery_capacity_kwh', 'charge_rate_kw', 'check_interval_minutes']) {
+        if (!(settings[field] > 0)) errors.push(`${field} must be a positive number`);
+    }
+    if (!Array.isArray(settings.tariff) || settings.tariff.length === 0) {
+        errors.push('tariff must list at least one period');
+    } else {
+        settings.tariff.forEach((period, index) => {
+            if (parseTime(period.start) === null || parseTime(period.end) === null) {
+                errors.push(`tariff[${index}] needs start and end as HH:MM`);
+            }
+            if (typeof period.rate !== 'number' || period.rate < 0) {
+                errors.push(`tariff[${index}].rate must be a number`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Cut [from, to) at every tariff edge. Times no period covers are left out: they are never
+ * used for charging
+ */
+function tariffSlots(tariff, from, to) {
+    const edges = _.uniq(_.flatMap(tariff, period => [parseTime(period.start), parseTime(period.end) % (24 * 60)]));
+    const slots = [];
+    let cursor = from;
+    while (cursor < to) {
+        const next = _.min(edges.map(edge => nextTimeOfDay(cursor, edge).getTime()).concat(to.getTime()));
+        const end = new Date(next);
+        const period = tariff.find(candidate => periodCovers(candidate, minutesOfDay(cursor)));
+        if (period) {
+            slots.push({ start: cursor, end, rate: period.rate, name: period.name || null });
+        }
+        cursor = end;
+    }
+    return slots;
+}
+
+// Adjacent windows at the same rate become one
+function mergeWindows(windows) {
+    return _.sortBy(windows, window => window.start.getTime()).reduce((merged, window) => {
+        const last = merged[merged.length - 1];
+        if (last && last.end.getTime() === window.start.getTime() && last.rate === window.rate) {
+            last.end = window.end;
+        } else {
+            merged.push({ ...window });
+        }
+        return merged;
+    }, []);
+}
+
+// Commands that make the vehicle charge in exactly the planned windows (back-to-back windows
+// at different rates are charged through)
+function plannedCommands(windows, now, charging) {
+    const commands = [];
+    windows.forEach((window, index) => {
+        if (charging && window.start > now && index === 0) {
+            commands.push({ at: now, command: 'charging_stop' });
+            charging = false;
+        }
+        if (!charging) {
+            commands.push({ at: window.start > now ? window.start : now, command: 'charging_start' });
+        }
+        const next = windows[index + 1];
+        charging = Boolean(next) && next.start.getTime() === window.end.getTime();
+        if (!charging) {
+            commands.push({ at: window.end, command: 'charging_stop' });
+        }
+    });
+    if (windows.length === 0 && charging) {
+        commands.push({ at: now, command: 'charging_stop' });
+    }
+    return commands;
+}
+
+/**
+ * Charging plan for a vehicle reading ({ battery_level, plug_state, charge_state }) at `now`
+ */
+function buildPlan(reading, settings, now = new Date()) {
+    const departureAt = nextTimeOfDay(now, parseTime(settings.departure_time));
+    const batteryLevel = reading.battery_level;
+    const plugged = String(reading.plug_state).toLowerCase() === 'plugged';
+    const charging = String(reading.charge_state).toLowerCase() === 'charging';
+    const percentPerHour = settings.charge_rate_kw / settings.battery_capacity_kwh * 100;
+
+    const plan = {
+        created_at: now,
+        battery_level: batteryLevel,
+        plug_state: reading.plug_state,
+        charge_state: reading.charge_state,
+        target_level: settings.target_level,
+        departure_at: departureAt,
+        energy_kwh: 0,
+        hours_needed: 0,
+        expected_level: batteryLevel,
+        estimated_cost: 0,
+        windows: [],
+        commands: []
+    };
+
+    if (typeof batteryLevel !== 'number' || Number.isNaN(batteryLevel)) {
+        return { ...plan, status: 'no_data', expected_level: null };
+    }
+    if (!plugged) {
+        return { ...plan, status: 'unplugged' };
+    }
+
+    const percentNeeded = Math.max(0, settings.target_level - batteryLevel);
+    plan.energy_kwh = _.round(percentNeeded / 100 * settings.battery_capacity_kwh, 2);
+    plan.hours_needed = _.round(plan.energy_kwh / settings.charge_rate_kw, 2);
+
+    // Cheapest slots first; a partly needed slot is used from its start
+    let remainingMs = plan.hours_needed * 60 * MINUTE_MS;
+    const windows = [];
+    for (const slot of _.sortBy(tariffSlots(settings.tariff, now, departureAt), ['rate', slot => slot.start.getTime()])) {
+        if (remainingMs <= 0) break;
+        const length = Math.min(slot.end - slot.start, remainingMs);
+        windows.push({ ...slot, end: new Date(slot.start.getTime() + length) });
+        remainingMs -= length;
+    }
+
+    plan.windows = mergeWindows(windows).map(window => ({
+        ...window,
+        cost: _.round((window.end - window.start) / (60 * MINUTE_MS) * settings.charge_rate_kw * window.rate, 2)
+    }));
+    const chargingHours = _.sumBy(plan.windows, window => (window.end - window.start) / (60 * MINUTE_MS));
+    plan.expected_level = _.round(Math.min(100, batteryLevel + chargingHours * percentPerHour), 1);
+    plan.estimated_cost = _.round(_.sumBy(plan.windows, 'cost'), 2);
+    plan.commands = plannedCommands(plan.windows, now, charging);
+
+    if (percentNeeded === 0) {
+        plan.status = 'target_reached';
+    } else {
+        plan.status = remainingMs > 0 ? 'insufficient_time' : 'charging_planned';
+    }
+    return plan;
+}
+
+class ChargingScheduler {
+    constructor() {
+        this.plans = new Map(); // VIN -> latest plan
+        this.lastSent = new Map(); // VIN -> { command, at } of the last command sent
+        this.timer = null;
+        this.nextRunAt = null;
+        this.vehicle = null; // { readVehicle(vin), sendCommand(vin, command), getDefaultVin() } from start()
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Use the server configuration (charging_scheduler in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_SCHEDULER_CONFIG, ..._.get(config, 'charging_scheduler', {}) };
+    }
+
+    /**
+     * Start the scheduler loop. `vehicle.readVehicle(vin)` resolves to { battery_level,
+     * plug_state, charge_state }; `vehicle.sendCommand(vin, command)` to { success, error }
+     */
+    start(vehicle) {
+        this.vehicle = vehicle;
+        this._scheduleRun(0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+    }
+
+    getVins() {
+        const { vins } = this.getSettings();
+        if (vins.length > 0) return vins.map(vin => vin.toUpperCase());
+        const defaultVin = this.vehicle && this.vehicle.getDefaultVin();
+        return defaultVin ? [defaultVin] : [];
+    }
+
+    /**
+     * Read the vehicle, plan and send the commands that are due. With dryRun nothing is sent;
+     * with persist: false the plan isn't kept either (a preview)
+     */
+    async plan(vin, { now = new Date(), dryRun = null, persist = true } = {}) {
+        const settings = this.getSettings();
+        const errors = validateSettings(settings);
+        if (errors.length > 0) {
+            throw new Error(`Invalid charging_scheduler settings: ${errors.join('; ')}`);
+        }
+
+        let plan;
+        try {
+            plan = buildPlan(await this.vehicle.readVehicle(vin), settings, now);
+        } catch (error) {
+            plan = { ...buildPlan({}, settings, now), error: error.message };
+        }
+
+        plan.vin = vin;
+        plan.dry_run = dryRun === null ? !settings.enabled || settings.dry_run : dryRun;
+        plan.sent = [];
+        for (const command of plan.commands.filter(command => command.at <= now)) {
+            plan.sent.push(await this._send(vin, command, plan.dry_run, settings, now));
+        }
+
+        if (persist) {
+            this.plans.set(vin, plan);
+            db.saveChargingPlan(vin, plan).catch(error => {
+                console.warn(`⚠️ Could not save charging plan for ${vin}:`, error.message);
+            });
+        }
+        return plan;
+    }
+
+    async _send(vin, { command }, dryRun, settings, now) {
+        if (dryRun) {
+            console.log(`🔌 Charging scheduler (dry run) would send ${command} to ${vin}`);
+            return { command, status: 'dry_run' };
+        }
+
+        // Telemetry can lag behind a command just sent, so don't repeat it within a check interval
+        const last = this.lastSent.get(vin);
+        if (last && last.command === command && now - last.at < settings.check_interval_minutes * MINUTE_MS) {
+            return { command, status: 'skipped', reason: `already sent at ${last.at.toISOString()}` };
+        }
+
+        console.log(`🔌 Charging scheduler sending ${command} to ${vin}`);
+        const outcome = await this.vehicle.sendCommand(vin, command);
+        if (outcome.success) {
+            this.lastSent.set(vin, { command, at: now });
+            return { command, status: 'sent' };
+        }
+        console.error(`❌ Charging scheduler ${command} for ${vin} failed:`, outcome.error);
+        return { command, status: 'failed', error: outcome.error };
+    }
+
+    /**
+     * Latest plan for a vehicle, from memory or from the database after a restart
+     */
+    async getPlan(vin) {
+        if (this.plans.has(vin)) {
+            return this.plans.get(vin);
+        }
+        try {
+            return await db.getChargingPlan(vin);
+        } catch (error) {
+            console.warn(`⚠️ Could not look up charging plan for ${vin}:`, error.message);
+            return null;
+        }
+    }
+
+    async runOnce(now = new Date()) {
+        const plans = [];
+        for (const vin of this.getVins()) {
+            try {
+                plans.push(await this.plan(vin, { now }));
+            } catch (error) {
+                console.error(`❌ Charging scheduler failed for ${vin}:`, error.message);
+            }
+        }
+        return plans;
+    }
+
+    // Run at the next planned command, or after check_interval_minutes, whichever is first
+    _scheduleRun(delayMs) {
+        clearTimeout(this.timer);
+        this.nextRunAt = new Date(Date.now() + delayMs);
+        this.timer = setTimeout(async () => {
+            const settings = this.getSettings();
+            const plans = settings.enabled ? await this.runOnce() : [];
+            const now = Date.now();
+            const upcoming = _.flatMap(plans, plan => plan.commands)
+                .map(command => command.at.getTime() - now)
+                .filter(delay => delay > 0);
+            this._scheduleRun(Math.max(MINUTE_MS, _.min(upcoming.concat(settings.check_interval_minutes * MINUTE_MS))));
+        }, delayMs);
+        this.timer.unref();
+    }
+
+    getStatus() {
+        const settings = this.getSettings();
+        return {
+            enabled: settings.enabled,
+            dry_run: settings.dry_run,
+            vins: this.getVins(),
+            next_run_at: settings.enabled ? this.nextRunAt : null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ChargingScheduler();
+module.exports.ChargingScheduler = ChargingScheduler;
+module.exports.buildPlan = buildPlan;
+module.exports.validateSettings = validateSettings;
+module.exports.PLAN_STATUSES = PLAN_STATUSES;
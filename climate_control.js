@@ -0,0 +1,155 @@
+/**
+ * Climate Control for OnStar API
+ * OnStar's remote start takes no parameters: the vehicle runs its engine/HVAC with the
+ * cabin settings it was last left with and stops on its own after its run time. This
+ * module checks what a /climate/start request asks for against that, and stops the
+ * climate early with cancelStart once the requested duration has elapsed
+ */
+
+const { setTimeout, clearTimeout } = require('timers');
+const _ = require('lodash');
+
+const DEFAULT_CLIMATE_CONFIG = {
+    default_duration_minutes: 10,
+    max_duration_minutes: 15, // GM vehicles end a remote start by themselves after 15 minutes
+    auto_stop: true, // Send cancelStart when duration_minutes has elapsed
+    unsupported_parameters: 'reject' // 'reject' answers 400, 'ignore' starts anyway and reports them
+};
+
+// Request parameters OnStar cannot pass on to the vehicle, with the reason given to the client
+const UNSUPPORTED_PARAMETERS = {
+    temperature: 'OnStar remote start has no temperature setting; the vehicle uses its last cabin settings'
+};
+
+class ClimateControl {
+    constructor() {
+        this.timers = new Map(); // VIN -> pending auto-stop
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Use the server configuration (climate in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_CLIMATE_CONFIG, ..._.get(config, 'climate', {}) };
+    }
+
+    /**
+     * Validate a /climate/start body. Returns { error, hint } for a request that can't be
+     * honored, otherwise { duration_minutes, force, ignored_parameters }
+     */
+    parseStartRequest(body = {}) {
+        const settings = this.getSettings();
+        const { duration_minutes = settings.default_duration_minutes, force = false } = body;
+
+        const duration = Number(duration_minutes);
+        if (!Number.isInteger(duration) || duration < 1 || duration > settings.max_duration_minutes) {
+            return {
+                error: `duration_minutes must be a whole number from 1 to ${settings.max_duration_minutes}`,
+                hint: `The vehicle stops a remote start by itself after ${settings.max_duration_minutes} minutes`
+            };
+        }
+
+        if (typeof force !== 'boolean') {
+            return { error: 'force must be true or false', hint: 'Send "force": true to restart climate that is already running' };
+        }
+
+        const ignored = Object.keys(UNSUPPORTED_PARAMETERS)
+            .filter(parameter => body[parameter] !== undefined && body[parameter] !== null)
+            .map(parameter => ({ parameter, value: body[parameter], reason: UNSUPPORTED_PARAMETERS[parameter] }));
+
+        if (ignored.length > 0 && settings.unsupported_parameters !== 'ignore') {
+            return {
+                error: `Not supported by OnStar: ${ignored.map(entry => entry.parameter).join(', ')}`,
+                unsupported_parameters: ignored,
+                hint: 'Leave these out, or set climate.unsupported_parameters to "ignore" to start without them'
+            };
+        }
+
+        return { duration_minutes: duration, force, ignored_parameters: ignored };
+    }
+
+    /**
+     * Who ends the climate: 'server' sends cancelStart after the duration, 'vehicle' when the
+     * duration is the vehicle's own run time, 'disabled' when climate.auto_stop is off
+     */
+    getStopMode(durationMinutes) {
+        const settings = this.getSettings();
+        if (!settings.auto_stop) return 'disabled';
+        return durationMinutes < settings.max_duration_minutes ? 'server' : 'vehicle';
+    }
+
+    /**
+     * Climate was (re)started for durationMinutes. The previous run's auto-stop is dropped whatever
+     * the stop mode, so it can't end the new run early; a new one is scheduled in 'server' mode.
+     * Returns the pending stop, or null when the vehicle (or nobody) ends the run
+     */
+    started(vin, durationMinutes, stop, now = new Date()) {
+        this.cancelStop(vin);
+        if (this.getStopMode(durationMinutes) !== 'server') {
+            return null;
+        }
+        return this.scheduleStop(vin, durationMinutes, stop, now);
+    }
+
+    /**
+     * Call stop(vin) after durationMinutes, replacing any auto-stop already pending for the vehicle
+     */
+    scheduleStop(vin, durationMinutes, stop, now = new Date()) {
+        this.cancelStop(vin);
+
+        const stopAt = new Date(now.getTime() + durationMinutes * 60 * 1000);
+        const entry = { vin, started_at: now, stop_at: stopAt, duration_minutes: durationMinutes };
+        entry.timer = setTimeout(() => this._fire(vin, entry, stop), stopAt - now);
+        entry.timer.unref();
+
+        this.timers.set(vin, entry);
+        return this.toJSON(entry);
+    }
+
+    async _fire(vin, entry, stop) {
+        if (this.timers.get(vin) !== entry) {
+            return;
+        }
+        this.timers.delete(vin);
+
+        console.log(`🌡️ Climate auto-stop for ${vin} after ${entry.duration_minutes} minutes`);
+        try {
+            await stop(vin);
+        } catch (error) {
+            console.error(`❌ Climate auto-stop for ${vin} failed:`, error.message);
+        }
+    }
+
+    /**
+     * Drop the pending auto-stop for a vehicle (it was stopped by hand). True when one was pending
+     */
+    cancelStop(vin) {
+        const entry = this.timers.get(vin);
+        if (!entry) {
+            return false;
+        }
+        clearTimeout(entry.timer);
+        this.timers.delete(vin);
+        return true;
+    }
+
+    getPendingStop(vin) {
+        const entry = this.timers.get(vin);
+        return entry ? this.toJSON(entry) : null;
+    }
+
+    toJSON(entry) {
+        return _.omit(entry, ['timer']);
+    }
+}
+
+// Export singleton instance
+module.exports = new ClimateControl();
+module.exports.ClimateControl = ClimateControl;
+module.exports.UNSUPPORTED_PARAMETERS = UNSUPPORTED_PARAMETERS;
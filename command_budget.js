@@ -0,0 +1,199 @@
+/**
+ * Command Budget for OnStar API
+ * Counts remote commands sent to each vehicle since it last woke up, so reads
+ * don't use up the handful of requests a parked vehicle answers before hibernating
+ */
+
+const _ = require('lodash');
+
+const DEFAULT_BUDGET_CONFIG = {
+    max_commands: 5,
+    reserve_for_critical: 2,
+    reset_after_hours: 12,
+    movement_threshold_meters: 200
+};
+
+// Calls that go to the OnStar account rather than the vehicle
+const ACCOUNT_COMMANDS = ['health_check', 'get_account_vehicles'];
+
+class CommandBudget {
+    constructor() {
+        this.vehicles = new Map(); // VIN -> budget state
+        this.getConfig = () => null;
+    }
+
+    /**
+     * Use the server configuration (vehicle.wake_budget in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_BUDGET_CONFIG, ..._.get(config, 'vehicle.wake_budget', {}) };
+    }
+
+    /**
+     * Whether a command is sent to the vehicle (and therefore costs budget)
+     */
+    isVehicleCommand(commandName) {
+        return !ACCOUNT_COMMANDS.includes(commandName);
+    }
+
+    /**
+     * Count one remote command against a vehicle
+     */
+    record(vin, commandName, now = Date.now()) {
+        if (!vin || !this.isVehicleCommand(commandName)) {
+            return null;
+        }
+
+        const state = this._getState(vin, now);
+        if (state.used === 0) {
+            state.cycle_started_at = now;
+        }
+        state.used++;
+        state.last_command = commandName;
+        state.last_command_at = now;
+
+        return this.getBudget(vin, now);
+    }
+
+    /**
+     * Decide whether a request costing `cost` commands may run; critical commands are never refused
+     */
+    canSpend(vin, { cost = 1, critical = false } = {}, now = Date.now()) {
+        const budget = this.getBudget(vin, now);
+        if (!budget || critical) {
+            return { allowed: true, budget };
+        }
+        return { allowed: budget.remaining - cost >= budget.reserve_for_critical, budget };
+    }
+
+    /**
+     * Feed in readings from the vehicle; movement or a higher odometer means it was driven and is awake again
+     */
+    observe(vin, { odometer = null, latitude = null, longitude = null } = {}, now = Date.now()) {
+        if (!vin) return;
+
+        const state = this._getState(vin, now);
+        const settings = this.getSettings();
+        let driven = false;
+
+        const odometerValue = parseFloat(odometer);
+        if (!isNaN(odometerValue)) {
+            if (state.last_odometer !== null && odometerValue > state.last_odometer) {
+                driven = true;
+            }
+            state.last_odometer = odometerValue;
+        }
+
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+        if (!isNaN(lat) && !isNaN(lng)) {
+            if (state.last_position &&
+                distanceMeters(state.last_position, { lat, lng }) > settings.movement_threshold_meters) {
+                driven = true;
+            }
+            state.last_position = { lat, lng };
+        }
+
+        if (driven) {
+            this.reset(vin, 'vehicle_driven', now);
+        }
+    }
+
+    /**
+     * Start a fresh budget for a vehicle
+     */
+    reset(vin, reason = 'manual', now = Date.now()) {
+        const state = this._getState(vin, now);
+        state.used = 0;
+        state.cycle_started_at = null;
+        state.last_reset_at = now;
+        state.last_reset_reason = reason;
+        return this.getBudget(vin, now);
+    }
+
+    /**
+     * Remaining budget for a vehicle
+     */
+    getBudget(vin, now = Date.now()) {
+        if (!vin) return null;
+
+        const settings = this.getSettings();
+        const state = this._getState(vin, now);
+        const remaining = Math.max(0, settings.max_commands - state.used);
+
+        let status = 'ok';
+        if (remaining === 0) {
+            status = 'exhausted';
+        } else if (remaining <= settings.reserve_for_critical) {
+            status = 'low';
+        }
+
+        return {
+            vin,
+            limit: settings.max_commands,
+            used: state.used,
+            remaining,
+            reserve_for_critical: settings.reserve_for_critical,
+            status,
+            last_command: state.last_command,
+            last_command_at: toDate(state.last_command_at),
+            last_reset_at: toDate(state.last_reset_at),
+            last_reset_reason: state.last_reset_reason,
+            resets_at: state.cycle_started_at ?
+                new Date(state.cycle_started_at + settings.reset_after_hours * 60 * 60 * 1000) : null
+        };
+    }
+
+    _getState(vin, now) {
+        const key = vin.toUpperCase();
+        if (!this.vehicles.has(key)) {
+            this.vehicles.set(key, {
+                used: 0,
+                cycle_started_at: null,
+                last_command: null,
+                last_command_at: null,
+                last_reset_at: null,
+                last_reset_reason: null,
+                last_odometer: null,
+                last_position: null
+            });
+        }
+
+        // Without a sign of driving, assume the vehicle has been woken up again after reset_after_hours
+        const state = this.vehicles.get(key);
+        const settings = this.getSettings();
+        if (state.cycle_started_at &&
+            now - state.cycle_started_at >= settings.reset_after_hours * 60 * 60 * 1000) {
+            state.used = 0;
+            state.cycle_started_at = null;
+            state.last_reset_at = now;
+            state.last_reset_reason = 'time_elapsed';
+        }
+
+        return state;
+    }
+}
+
+function toDate(timestamp) {
+    return timestamp ? new Date(timestamp) : null;
+}
+
+// Great-circle distance between two { lat, lng } points
+function distanceMeters(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// Export singleton instance
+module.exports = new CommandBudget();
+module.exports.CommandBudget = CommandBudget;
+module.exports.distanceMeters = distanceMeters;
@@ -0,0 +1,421 @@
+/**
+ * Command Schedules for OnStar API
+ * Recurring vehicle commands ("climate_start at 7:15 on weekdays", "doors_lock every night
+ * at 22:00") from cron-style rules stored in PostgreSQL. Each run checks its skip
+ * conditions against the vehicle and is recorded in schedule_runs
+ */
+
+const { setTimeout, clearTimeout } = require('timers');
+const _ = require('lodash');
+const db = require('./database');
+
+const DEFAULT_SCHEDULES_CONFIG = {
+    enabled: true, // Run due schedules
+    missed_run_grace_minutes: 5 // A run later than this (server busy or asleep) is recorded as missed instead
+};
+
+const RUN_STATUSES = ['success', 'failure', 'skipped', 'missed'];
+const MAX_RUNS_IN_MEMORY = 50; // Per schedule, for when the database is unavailable
+const MAX_TIMER_MS = 60 * 60 * 1000; // Re-check at least hourly (clock changes, config reloads)
+
+// Cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day_of_month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day_of_week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// A reading without a battery level can't answer battery_below/battery_above, so the run is skipped like an unreadable vehicle
+const NO_BATTERY_LEVEL = 'vehicle state unavailable: no battery level in the reading';
+const hasBatteryLevel = reading => !_.isNil(reading.battery_level) && !isNaN(reading.battery_level);
+
+// skip_if condition -> reason to skip for a vehicle reading ({ battery_level, plug_state, charge_state }), or null
+const SKIP_CONDITIONS = {
+    unplugged: (enabled, reading) => enabled && String(reading.plug_state).toLowerCase() !== 'plugged' ? 'vehicle is unplugged' : null,
+    plugged_in: (enabled, reading) => enabled && String(reading.plug_state).toLowerCase() === 'plugged' ? 'vehicle is plugged in' : null,
+    charging: (enabled, reading) => enabled && String(reading.charge_state).toLowerCase() === 'charging' ? 'vehicle is charging' : null,
+    battery_below: (level, reading) => !hasBatteryLevel(reading) ? NO_BATTERY_LEVEL :
+        reading.battery_level < level ? `battery at ${reading.battery_level}% is below ${level}%` : null,
+    battery_above: (level, reading) => !hasBatteryLevel(reading) ? NO_BATTERY_LEVEL :
+        reading.battery_level > level ? `battery at ${reading.battery_level}% is above ${level}%` : null
+};
+
+function parseCronValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`${field.name} value "${value}" is out of range ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+/**
+ * Parse "minute hour day-of-month month day-of-week" (*, lists, ranges, steps and
+ * jan-dec / sun-sat names). Throws on a bad expression
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const cron = {};
+    CRON_FIELDS.forEach((field, index) => {
+        const values = new Set();
+        for (const item of parts[index].split(',')) {
+            const [range, stepText] = item.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`${field.name} step "${stepText}" must be a positive whole number`);
+            }
+
+            let [from, to] = [field.min, field.max];
+            if (range !== '*') {
+                const [start, end] = range.split('-');
+                from = parseCronValue(start, field);
+                to = end === undefined ? (stepText === undefined ? from : field.max) : parseCronValue(end, field);
+            }
+            if (from > to) {
+                throw new Error(`${field.name} range "${range}" runs backwards`);
+            }
+            for (let value = from; value <= to; value += step) {
+                values.add(field.name === 'day_of_week' && value === 7 ? 0 : value);
+            }
+        }
+        cron[field.name] = { values, any: parts[index] === '*' };
+    });
+    return cron;
+}
+
+// Cron day matching: when both day fields are restricted, either one matching is enough
+function dayMatches(cron, date) {
+    const dayOfMonth = cron.day_of_month.values.has(date.getDate());
+    const dayOfWeek = cron.day_of_week.values.has(date.getDay());
+    if (cron.day_of_month.any || cron.day_of_week.any) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First minute after `from` matching a cron expression (server local time), or null within 5 years
+ */
+function nextRunAt(expression, from = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const next = new Date(from);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    const limit = new Date(from).setFullYear(from.getFullYear() + 5);
+    while (next.getTime() < limit) {
+        if (!cron.month.values.has(next.getMonth() + 1)) {
+            next.setMonth(next.getMonth() + 1, 1);
+            next.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, next)) {
+            next.setDate(next.getDate() + 1);
+            next.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.values.has(next.getHours())) {
+            next.setHours(next.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.values.has(next.getMinutes())) {
+            next.setMinutes(next.getMinutes() + 1, 0, 0);
+        } else {
+            return next;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reason to skip a run for a vehicle reading, or null when no skip_if condition applies
+ */
+function skipReason(skipIf, reading) {
+    for (const [condition, value] of Object.entries(skipIf || {})) {
+        const reason = SKIP_CONDITIONS[condition](value, reading);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+class CommandScheduler {
+    constructor() {
+        this.schedules = new Map(); // id -> schedule row
+        this.nextRuns = new Map(); // id -> Date of the next run
+        this.runs = new Map(); // id -> recent runs, newest first
+        this.running = new Set(); // ids of schedules with a run in progress
+        this.timer = null;
+        this.runner = null; // { runCommand(schedule, vin), readVehicle(vin), getDefaultVin() } from start()
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Use the server configuration (schedules in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_SCHEDULES_CONFIG, ..._.get(config, 'schedules', {}) };
+    }
+
+    /**
+     * Load the schedules from the database (called once the tables exist). Runs missed while
+     * the server was down are not made up
+     */
+    async load(now = new Date()) {
+        const rows = await db.listSchedules();
+        this.schedules = new Map(rows.map(row => [row.id, row]));
+        this.nextRuns = new Map(rows.map(row => [row.id, nextRunAt(row.cron, now)]));
+        console.log(`⏰ Loaded ${rows.length} schedule(s)`);
+        this._scheduleTimer();
+        return rows.length;
+    }
+
+    /**
+     * Check a schedule; `commands` are the command names a schedule may run. Returns an error
+     * message or null. With partial, only the fields present are checked (updates)
+     */
+    validate(fields, commands, { partial = false } = {}) {
+        const has = field => !partial || fields[field] !== undefined;
+
+        if (has('name') && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+            return 'name must be a non-empty string';
+        }
+        if (!partial && !commands.includes(fields.command)) {
+            return `command must be one of ${commands.join(', ')}`;
+        }
+        if (has('cron')) {
+            try {
+                parseCron(fields.cron);
+            } catch (error) {
+                return error.message;
+            }
+        }
+        if (fields.vin !== undefined && fields.vin !== null && !/^[A-HJ-NPR-Z0-9]{17}$/i.test(fields.vin)) {
+            return 'vin must be a 17 character VIN (leave it out for the default vehicle)';
+        }
+        if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+            return 'enabled must be true or false';
+        }
+        if (fields.parameters !== undefined && !_.isPlainObject(fields.parameters)) {
+            return 'parameters must be an object';
+        }
+        if (fields.skip_if !== undefined) {
+            if (!_.isPlainObject(fields.skip_if)) {
+                return `skip_if must be an object with ${Object.keys(SKIP_CONDITIONS).join(', ')}`;
+            }
+            for (const [condition, value] of Object.entries(fields.skip_if)) {
+                if (!SKIP_CONDITIONS[condition]) {
+                    return `Unknown skip_if condition "${condition}" - use ${Object.keys(SKIP_CONDITIONS).join(', ')}`;
+                }
+                const numeric = condition.startsWith('battery_');
+                if (numeric ? !(typeof value === 'number' && value >= 0 && value <= 100) : typeof value !== 'boolean') {
+                    return numeric ? `skip_if.${condition} must be a battery percentage` : `skip_if.${condition} must be true or false`;
+                }
+            }
+        }
+        return null;
+    }
+
+    async create({ name, command, cron, vin = null, parameters = {}, skip_if = {}, enabled = true, created_by = null }, now = new Date()) {
+        const schedule = await db.createSchedule({
+            name, command, cron, vehicleVin: vin, parameters, skipIf: skip_if, enabled, createdBy: created_by
+        });
+        this.schedules.set(schedule.id, schedule);
+        this.nextRuns.set(schedule.id, nextRunAt(schedule.cron, now));
+        this._scheduleTimer();
+
+        console.log(`⏰ Schedule ${schedule.id} "${name}" created: ${command} at "${cron}"`);
+        return this.toJSON(schedule);
+    }
+
+    async update(id, fields, now = new Date()) {
+        const existing = this.schedules.get(Number(id));
+        if (!existing) {
+            return null;
+        }
+
+        const changes = _.pick(fields, ['name', 'cron', 'parameters', 'skip_if', 'enabled']);
+        const schedule = await db.updateSchedule(existing.id, changes);
+        this.schedules.set(schedule.id, schedule);
+        this.nextRuns.set(schedule.id, nextRunAt(schedule.cron, now));
+        this._scheduleTimer();
+        return this.toJSON(schedule);
+    }
+
+    async remove(id) {
+        if (!this.schedules.has(Number(id))) {
+            return null;
+        }
+
+        const schedule = await db.deleteSchedule(Number(id));
+        this.schedules.delete(Number(id));
+        this.nextRuns.delete(Number(id));
+        this.runs.delete(Number(id));
+        this._scheduleTimer();
+
+        console.log(`⏰ Schedule ${id} removed`);
+        return schedule ? this.toJSON(schedule) : null;
+    }
+
+    list() {
+        return Array.from(this.schedules.values()).map(schedule => this.toJSON(schedule));
+    }
+
+    get(id) {
+        const schedule = this.schedules.get(Number(id));
+        return schedule ? this.toJSON(schedule) : null;
+    }
+
+    /**
+     * Run history of a schedule, newest first; falls back to the runs held in memory
+     */
+    async getRuns(id, limit = 20) {
+        try {
+            return await db.getScheduleRuns(Number(id), limit);
+        } catch (error) {
+            console.warn(`⚠️ Could not read runs of schedule ${id} from database:`, error.message);
+            return (this.runs.get(Number(id)) || []).slice(0, limit);
+        }
+    }
+
+    /**
+     * Start running due schedules. `runner.runCommand(schedule, vin)` resolves to
+     * { status, error, reason, command_id }; `runner.readVehicle(vin)` to { battery_level,
+     * plug_state, charge_state } and is only called for schedules with skip conditions
+     */
+    start(runner) {
+        this.runner = runner;
+        this._scheduleTimer();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run every enabled schedule whose next run is due. They are all claimed before the first one
+     * starts: a create, update or remove during a slow run re-arms the timer, and its runDue must
+     * not start the schedules still waiting here
+     */
+    async runDue(now = new Date()) {
+        const due = Array.from(this.schedules.values()).filter(schedule =>
+            schedule.enabled && !this.running.has(schedule.id) &&
+            this.nextRuns.get(schedule.id) && this.nextRuns.get(schedule.id) <= now);
+        const claimed = due.map(schedule => [schedule, this._claim(schedule, now)]);
+
+        const runs = [];
+        for (const [schedule, scheduledFor] of claimed) {
+            runs.push(await this.run(schedule, now, scheduledFor));
+        }
+        return runs;
+    }
+
+    /**
+     * Run a schedule once: check lateness and skip conditions, send the command, record the run.
+     * `scheduledFor` is given when runDue has already claimed the run
+     */
+    async run(schedule, now = new Date(), scheduledFor = null) {
+        const run = { schedule_id: schedule.id, vin: null, command: schedule.command, scheduled_for: scheduledFor, started_at: new Date() };
+        try {
+            if (!scheduledFor) {
+                run.scheduled_for = this._claim(schedule, now);
+            }
+            run.vin = schedule.vehicle_vin || this.runner.getDefaultVin();
+
+            const lateMinutes = (now - run.scheduled_for) / 60000;
+            if (lateMinutes > this.getSettings().missed_run_grace_minutes) {
+                Object.assign(run, { status: 'missed', reason: `${Math.round(lateMinutes)} minutes late` });
+            } else if (!_.isEmpty(schedule.skip_if)) {
+                try {
+                    run.reading = await this.runner.readVehicle(run.vin);
+                    run.reason = skipReason(schedule.skip_if, run.reading);
+                } catch (error) {
+                    run.reason = `vehicle state unavailable: ${error.message}`;
+                }
+                if (run.reason) run.status = 'skipped';
+            }
+
+            if (!run.status) {
+                Object.assign(run, await this.runner.runCommand(schedule, run.vin));
+            }
+        } catch (error) {
+            Object.assign(run, { status: 'failure', error: error.message });
+        } finally {
+            this.running.delete(schedule.id);
+        }
+
+        run.completed_at = new Date();
+        console.log(`⏰ Schedule ${schedule.id} "${schedule.name}" ${run.status}${run.reason ? ` (${run.reason})` : ''}${run.error ? `: ${run.error}` : ''}`);
+        await this._record(schedule, run);
+        return run;
+    }
+
+    // Mark a schedule running and move it on to its next run; returns when this run was due
+    _claim(schedule, now) {
+        const scheduledFor = this.nextRuns.get(schedule.id) || now;
+        this.nextRuns.set(schedule.id, nextRunAt(schedule.cron, now));
+        this.running.add(schedule.id);
+        return scheduledFor;
+    }
+
+    async _record(schedule, run) {
+        this.runs.set(schedule.id, [run].concat(this.runs.get(schedule.id) || []).slice(0, MAX_RUNS_IN_MEMORY));
+        schedule.last_run_at = run.completed_at;
+        schedule.last_status = run.status;
+
+        try {
+            await db.saveScheduleRun(run);
+        } catch (error) {
+            console.warn(`⚠️ Could not save run of schedule ${schedule.id}:`, error.message);
+        }
+    }
+
+    // Wake up at the earliest next run (at most an hour ahead)
+    _scheduleTimer() {
+        if (!this.runner) {
+            return;
+        }
+        clearTimeout(this.timer);
+
+        const upcoming = Array.from(this.schedules.values())
+            .filter(schedule => schedule.enabled && this.nextRuns.get(schedule.id))
+            .map(schedule => this.nextRuns.get(schedule.id).getTime() - Date.now());
+        const delay = Math.min(MAX_TIMER_MS, Math.max(1000, upcoming.length > 0 ? _.min(upcoming) : MAX_TIMER_MS));
+
+        this.timer = setTimeout(async () => {
+            if (this.getSettings().enabled) {
+                await this.runDue();
+            }
+            this._scheduleTimer();
+        }, delay);
+        this.timer.unref();
+    }
+
+    // Cron rules follow the server's clock: UTC unless TZ is set (Railway runs in UTC)
+    getTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    toJSON(schedule) {
+        const nextRun = this.nextRuns.get(schedule.id);
+        return {
+            ...schedule,
+            next_run_at: schedule.enabled && nextRun ? nextRun : null,
+            timezone: this.getTimezone()
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new CommandScheduler();
+module.exports.CommandScheduler = CommandScheduler;
+module.exports.parseCron = parseCron;
+module.exports.nextRunAt = nextRunAt;
+module.exports.skipReason = skipReason;
+module.exports.RUN_STATUSES = RUN_STATUSES;
+module.exports.SKIP_CONDITIONS = SKIP_CONDITIONS;
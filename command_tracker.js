@@ -0,0 +1,231 @@
+/**
+ * Command Tracker for OnStar API
+ * Queues vehicle commands, runs them in the background and keeps their status
+ */
+
+const EventEmitter = require('events');
+const { setTimeout, clearTimeout } = require('timers');
+const { v4: uuidv4 } = require('uuid');
+const _ = require('lodash');
+const db = require('./database');
+
+const FINAL_STATUSES = ['success', 'failure', 'cancelled'];
+const MAX_RECORDS_IN_MEMORY = 500;
+
+class CommandTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.records = new Map(); // Recent command records by id
+        this.queues = new Map(); // Tail of the per-vehicle execution chain
+        this.waiters = new Map(); // Promises for callers waiting on a command
+    }
+
+    /**
+     * Queue a command for a vehicle and start it as soon as the vehicle is free
+     */
+    submit({ commandName, vin, parameters = null, execute }) {
+        const record = {
+            id: `cmd_${uuidv4()}`,
+            command: commandName,
+            vin: vin || null,
+            status: 'queued',
+            parameters,
+            onstar_request_url: null,
+            onstar_status: null,
+            result: null,
+            error: null,
+            submitted_at: new Date(),
+            started_at: null,
+            completed_at: null,
+            execution_time_ms: null,
+            auth_retry: null
+        };
+
+        this.records.set(record.id, record);
+        this._trimRecords();
+        this._persist(record);
+        this.emit('update', this.toJSON(record));
+
+        // Commands for the same vehicle run one at a time, in submission order
+        const queueKey = record.vin || 'default';
+        const previous = this.queues.get(queueKey) || Promise.resolve();
+        const run = previous.then(() => this._run(record, execute));
+        this.queues.set(queueKey, run);
+        this.waiters.set(record.id, run.then(() => record));
+
+        run.then(() => {
+            if (this.queues.get(queueKey) === run) {
+                this.queues.delete(queueKey);
+            }
+        });
+
+        return this.toJSON(record);
+    }
+
+    async _run(record, execute) {
+        if (record.status === 'cancelled') {
+            return;
+        }
+
+        record.status = 'in_progress';
+        record.started_at = new Date();
+        this._persist(record);
+        this.emit('update', this.toJSON(record));
+
+        let outcome;
+        try {
+            outcome = await execute();
+        } catch (error) {
+            outcome = { success: false, error: error.message };
+        }
+
+        const commandResponse = _.get(outcome, 'result.response.data.commandResponse');
+
+        record.status = outcome.success ? 'success' : 'failure';
+        record.completed_at = new Date();
+        record.execution_time_ms = outcome.executionTime ||
+            record.completed_at.getTime() - record.started_at.getTime();
+        record.error = outcome.success ? null : outcome.error;
+        record.onstar_request_url = _.get(commandResponse, 'url', null);
+        record.onstar_status = _.get(commandResponse, 'status', null);
+        record.result = commandResponse ? _.pick(commandResponse, ['status', 'type', 'requestTime', 'completionTime', 'body']) : null;
+        record.auth_retry = outcome.authRetry || null;
+        record.outcome = outcome;
+
+        this._persist(record);
+        this.emit('update', this.toJSON(record));
+    }
+
+    /**
+     * Wait until a command has finished and return the raw execution outcome. With a timeout the
+     * outcome says `timedOut` once it passes; the command itself keeps running
+     */
+    async wait(id, { timeoutMs = null } = {}) {
+        const waiter = this.waiters.get(id);
+        if (!waiter) {
+            throw new Error(`Command ${id} is not running on this server`);
+        }
+
+        let timer = null;
+        const timeout = new Promise(resolve => {
+            if (timeoutMs !== null) {
+                timer = setTimeout(() => resolve(null), timeoutMs);
+            }
+        });
+
+        const record = await Promise.race([waiter, timeout]);
+        clearTimeout(timer);
+        if (!record) {
+            return { success: false, timedOut: true, error: `Command ${id} is still ${this.records.get(id).status} after ${timeoutMs}ms` };
+        }
+        if (record.status === 'cancelled') {
+            return { success: false, error: 'Command was cancelled before it was sent to the vehicle' };
+        }
+        return record.outcome;
+    }
+
+    /**
+     * Look up a command, falling back to the database for older commands
+     */
+    async get(id) {
+        const record = this.records.get(id);
+        if (record) {
+            return this.toJSON(record);
+        }
+
+        try {
+            return await db.getCommandRecord(id);
+        } catch (error) {
+            console.warn(`⚠️ Could not look up command ${id} in database:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * List recent commands held in memory
+     */
+    list({ vin = null, status = null, limit = 50 } = {}) {
+        return Array.from(this.records.values())
+            .filter(record => !vin || record.vin === vin)
+            .filter(record => !status || record.status === status)
+            .sort((a, b) => b.submitted_at - a.submitted_at)
+            .slice(0, limit)
+            .map(record => this.toJSON(record));
+    }
+
+    /**
+     * Cancel a command that has not been sent to the vehicle yet
+     */
+    cancel(id) {
+        const record = this.records.get(id);
+        if (!record) {
+            return { cancelled: false, reason: 'not_found' };
+        }
+
+        if (record.status !== 'queued') {
+            return { cancelled: false, reason: record.status, command: this.toJSON(record) };
+        }
+
+        record.status = 'cancelled';
+        record.completed_at = new Date();
+        this._persist(record);
+        this.emit('update', this.toJSON(record));
+
+        return { cancelled: true, command: this.toJSON(record) };
+    }
+
+    isFinal(status) {
+        return FINAL_STATUSES.includes(status);
+    }
+
+    /**
+     * Public representation of a command record
+     */
+    toJSON(record) {
+        const queueTime = record.started_at ? record.started_at.getTime() - record.submitted_at.getTime() : null;
+
+        return {
+            id: record.id,
+            command: record.command,
+            vin: record.vin,
+            status: record.status,
+            parameters: record.parameters,
+            onstar_request_url: record.onstar_request_url,
+            onstar_status: record.onstar_status,
+            result: record.result,
+            error: record.error,
+            submitted_at: record.submitted_at,
+            started_at: record.started_at,
+            completed_at: record.completed_at,
+            queue_time_ms: queueTime,
+            execution_time_ms: record.execution_time_ms,
+            auth_retry: record.auth_retry,
+            status_url: `/commands/${record.id}`
+        };
+    }
+
+    _persist(record) {
+        db.saveCommandRecord(this.toJSON(record)).catch(err => {
+            console.error('Failed to persist command record:', err.message);
+        });
+    }
+
+    _trimRecords() {
+        if (this.records.size <= MAX_RECORDS_IN_MEMORY) {
+            return;
+        }
+
+        // Drop the oldest finished commands first
+        for (const [id, record] of this.records) {
+            if (this.records.size <= MAX_RECORDS_IN_MEMORY) break;
+            if (this.isFinal(record.status)) {
+                this.records.delete(id);
+                this.waiters.delete(id);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new CommandTracker();
+module.exports.CommandTracker = CommandTracker;
@@ -0,0 +1,151 @@
+/**
+ * Confirmation Tokens for Brandt Car API
+ * Two-step confirmation for risky commands: the first request returns a one-time token and
+ * a summary of what will happen, the second request repeats it with the token to execute
+ */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const TOKEN_PREFIX = 'cnf_';
+const DEFAULT_TTL_SECONDS = 120;
+const EXPIRED_RETENTION_MS = 10 * 60 * 1000; // Keep expired tokens a while to answer "expired" rather than "unknown"
+
+// Body fields that carry the confirmation itself rather than command parameters
+const CONFIRMATION_FIELDS = ['confirm', 'confirmation_token'];
+
+const ACTION_SUMMARIES = {
+    climate_start: 'Start climate preconditioning',
+    doors_unlock: 'Unlock the doors',
+    trunk_unlock: 'Unlock the trunk',
+    alert_lights: 'Flash the lights',
+    alert_horn: 'Sound the horn',
+    alert_both: 'Flash the lights and sound the horn',
+    charging_start: 'Start charging',
+    charging_stop: 'Stop charging'
+};
+
+// JSON with sorted keys so {a, b} and {b, a} hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+class ConfirmationTokenManager {
+    constructor() {
+        this.tokens = new Map(); // token -> { action, parametersHash, credentialHash, vin, summary, expiresAt }
+        this.getConfig = () => ({});
+    }
+
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getTtlSeconds() {
+        const security = this.getConfig().security || {};
+        return security.confirmation_ttl_seconds || DEFAULT_TTL_SECONDS;
+    }
+
+    /**
+     * Command parameters without the confirmation fields
+     */
+    getParameters(body) {
+        return _.omit(body || {}, CONFIRMATION_FIELDS);
+    }
+
+    /**
+     * Human-readable summary, e.g. "Flash the lights for 30 seconds on 2020 Chevrolet Bolt EV (1G1FZ...)"
+     */
+    describe(action, parameters = {}, vehicle = null) {
+        const parts = [ACTION_SUMMARIES[action] || action.replace(/_/g, ' ')];
+        const remaining = { ...parameters };
+
+        if (remaining.duration_seconds !== undefined) {
+            parts.push(`for ${remaining.duration_seconds} seconds`);
+            delete remaining.duration_seconds;
+        }
+        if (remaining.duration_minutes !== undefined) {
+            parts.push(`for ${remaining.duration_minutes} minutes`);
+            delete remaining.duration_minutes;
+        }
+        if (vehicle) {
+            parts.push(`on ${vehicle}`);
+        }
+        if (Object.keys(remaining).length > 0) {
+            parts.push(`with ${Object.entries(remaining).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ')}`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Issue a token bound to the action, its parameters, the caller's credential and the vehicle
+     */
+    issue({ action, body, credential, vin = null, vehicle = null, now = Date.now() }) {
+        this._prune(now);
+
+        const parameters = this.getParameters(body);
+        const token = TOKEN_PREFIX + crypto.randomBytes(16).toString('hex');
+        const entry = {
+            action,
+            parametersHash: sha256(stableStringify(parameters)),
+            credentialHash: sha256(credential || ''),
+            vin,
+            summary: this.describe(action, parameters, vehicle ? `${vehicle} (${vin})` : vin),
+            expiresAt: now + this.getTtlSeconds() * 1000
+        };
+        this.tokens.set(token, entry);
+
+        console.log(`🔐 Confirmation token issued for ${action}: ${entry.summary}`);
+        return { token, summary: entry.summary, expiresAt: new Date(entry.expiresAt) };
+    }
+
+    /**
+     * Use up a token. Returns { valid, summary } or { valid: false, reason } where reason is
+     * unknown, expired or mismatch (issued for another action, parameters, key or vehicle).
+     * A token can only be presented once, whatever the outcome
+     */
+    redeem(token, { action, body, credential, vin = null, now = Date.now() }) {
+        const entry = this.tokens.get(token);
+        this.tokens.delete(token);
+
+        if (!entry) {
+            return { valid: false, reason: 'unknown' };
+        }
+        if (entry.expiresAt <= now) {
+            return { valid: false, reason: 'expired' };
+        }
+
+        const matches = entry.action === action &&
+            entry.parametersHash === sha256(stableStringify(this.getParameters(body))) &&
+            entry.credentialHash === sha256(credential || '') &&
+            entry.vin === vin;
+        if (!matches) {
+            console.warn(`⚠️ Confirmation token for ${entry.action} presented for a different request`);
+            return { valid: false, reason: 'mismatch' };
+        }
+
+        return { valid: true, summary: entry.summary };
+    }
+
+    _prune(now = Date.now()) {
+        for (const [token, entry] of this.tokens) {
+            if (entry.expiresAt + EXPIRED_RETENTION_MS <= now) this.tokens.delete(token);
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ConfirmationTokenManager();
+module.exports.ConfirmationTokenManager = ConfirmationTokenManager;
+module.exports.DEFAULT_TTL_SECONDS = DEFAULT_TTL_SECONDS;
+module.exports.CONFIRMATION_FIELDS = CONFIRMATION_FIELDS;
@@ -81,78 +81,1116 @@ async function initializeTables() {
             CREATE INDEX IF NOT EXISTS idx_command_log_vehicle_vin ON command_log(vehicle_vin);
         `);
         
+        // Record which named API key made the request (added after the table was first created)
+        await pool.query(`
+            ALTER TABLE command_log ADD COLUMN IF NOT EXISTS api_key_name VARCHAR(100);
+        `);
+        
+        // Outcome of the two-step confirmation: issued, confirmed, expired, mismatch or unknown
+        await pool.query(`
+            ALTER TABLE command_log ADD COLUMN IF NOT EXISTS confirmation_status VARCHAR(20);
+        `);
+        
+        // Retry after a 401 from OnStar: succeeded, failed, reauthentication_failed or skipped
+        await pool.query(`
+            ALTER TABLE command_log ADD COLUMN IF NOT EXISTS auth_retry VARCHAR(30);
+        `);
+        
+        // Command queued by the request, so its auth_retry can be filled in once it completes
+        await pool.query(`
+            ALTER TABLE command_log ADD COLUMN IF NOT EXISTS command_id VARCHAR(50);
+            CREATE INDEX IF NOT EXISTS idx_command_log_command_id ON command_log(command_id);
+        `);
+        
+        // Create api_keys table for named, scoped API keys (only the SHA-256 hash is stored)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                key_prefix VARCHAR(16) NOT NULL,
+                permissions JSONB NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                expires_at TIMESTAMP WITH TIME ZONE,
+                revoked_at TIMESTAMP WITH TIME ZONE,
+                last_used_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+        
+        // Create access_tokens table so token uses and revocations survive restarts and are shared by instances
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS access_tokens (
+                jti VARCHAR(36) PRIMARY KEY,
+                label VARCHAR(100),
+                issued_by VARCHAR(100) NOT NULL,
+                max_uses INTEGER,
+                uses INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                revoked_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+        
+        // Create command_requests table for asynchronously executed commands
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS command_requests (
+                id VARCHAR(64) PRIMARY KEY,
+                command_type VARCHAR(50) NOT NULL,
+                vehicle_vin VARCHAR(17),
+                status VARCHAR(20) NOT NULL,
+                parameters JSONB,
+                onstar_request_url TEXT,
+                onstar_status VARCHAR(20),
+                result JSONB,
+                error_message TEXT,
+                submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                started_at TIMESTAMP WITH TIME ZONE,
+                completed_at TIMESTAMP WITH TIME ZONE,
+                execution_time_ms INTEGER
+            )
+        `);
+        
+        await pool.query(`
+            ALTER TABLE command_requests ADD COLUMN IF NOT EXISTS auth_retry JSONB;
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_command_requests_submitted_at ON command_requests(submitted_at);
+            CREATE INDEX IF NOT EXISTS idx_command_requests_vehicle_vin ON command_requests(vehicle_vin);
+        `);
+        
+        // Create vehicle_telemetry table for readings taken from diagnostics and location responses
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS vehicle_telemetry (
+                id SERIAL PRIMARY KEY,
+                recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                vehicle_vin VARCHAR(17) NOT NULL,
+                metric VARCHAR(64) NOT NULL,
+                value DOUBLE PRECISION NOT NULL,
+                unit VARCHAR(20),
+                source VARCHAR(20)
+            )
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_vehicle_telemetry_series ON vehicle_telemetry(vehicle_vin, metric, recorded_at);
+        `);
+        
+        // Create webhooks table for outbound event subscriptions (the secret signs payloads, so it is stored as is)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id SERIAL PRIMARY KEY,
+                url TEXT NOT NULL,
+                secret VARCHAR(100) NOT NULL,
+                events JSONB NOT NULL,
+                description TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
+        // Create webhook_dead_letters table for deliveries that failed every attempt
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+                id SERIAL PRIMARY KEY,
+                delivery_id VARCHAR(64) NOT NULL,
+                webhook_id INTEGER,
+                event_type VARCHAR(50) NOT NULL,
+                url TEXT NOT NULL,
+                payload JSONB NOT NULL,
+                attempts INTEGER,
+                response_status INTEGER,
+                last_error TEXT,
+                failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_failed_at ON webhook_dead_letters(failed_at);
+        `);
+        
+        // Create onstar_tokens table for the postgres token store (Microsoft and GM token sets)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS onstar_tokens (
+                name VARCHAR(50) PRIMARY KEY,
+                tokens JSONB NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
+        // Create command_schedules table for recurring vehicle commands (cron rules)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS command_schedules (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                command VARCHAR(50) NOT NULL,
+                cron VARCHAR(100) NOT NULL,
+                vehicle_vin VARCHAR(17),
+                parameters JSONB NOT NULL DEFAULT '{}',
+                skip_if JSONB NOT NULL DEFAULT '{}',
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                last_run_at TIMESTAMP WITH TIME ZONE,
+                last_status VARCHAR(20)
+            )
+        `);
+        
+        // Create schedule_runs table for the history of each schedule
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS schedule_runs (
+                id SERIAL PRIMARY KEY,
+                schedule_id INTEGER NOT NULL,
+                vehicle_vin VARCHAR(17),
+                command VARCHAR(50) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                reason TEXT,
+                error TEXT,
+                command_id VARCHAR(64),
+                reading JSONB,
+                scheduled_for TIMESTAMP WITH TIME ZONE,
+                started_at TIMESTAMP WITH TIME ZONE,
+                completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule ON schedule_runs(schedule_id, completed_at);
+        `);
+        
+        // Create geofences table for named circles and polygons with their actions
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS geofences (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                vehicle_vin VARCHAR(17),
+                shape JSONB NOT NULL,
+                dwell_minutes INTEGER,
+                actions JSONB NOT NULL DEFAULT '[]',
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
+        // Create geofence_events table for enter, exit and dwell events
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS geofence_events (
+                id SERIAL PRIMARY KEY,
+                geofence_id INTEGER NOT NULL,
+                geofence_name VARCHAR(100),
+                vehicle_vin VARCHAR(17) NOT NULL,
+                event_type VARCHAR(10) NOT NULL,
+                latitude DOUBLE PRECISION,
+                longitude DOUBLE PRECISION,
+                actions JSONB,
+                occurred_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_geofence_events_geofence ON geofence_events(geofence_id, occurred_at);
+        `);
+        
+        // Create charging_plans table for the latest smart charging plan per vehicle
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS charging_plans (
+                vehicle_vin VARCHAR(17) PRIMARY KEY,
+                plan JSONB NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        
         console.log('✅ Database tables initialized');
         
     } catch (error) {
-        console.error('❌ Failed to initialize database tables:', error.message);
+        console.error('❌ Failed to initialize database tables:', error.message);
+        throw error;
+    }
+}
+
+// Log API request/response
+async function logApiRequest(logData) {
+    const pool = getPool();
+    
+    const {
+        endpoint,
+        method,
+        userAgent,
+        ipAddress,
+        apiKey,
+        apiKeyName,
+        requestBody,
+        responseStatus,
+        responseBody,
+        executionTime,
+        success,
+        errorMessage,
+        vehicleVin,
+        commandType,
+        safetyLevel,
+        requiresConfirmation,
+        confirmationProvided,
+        confirmationStatus,
+        authRetry,
+        commandId,
+        environment,
+        deploymentId
+    } = logData;
+    
+    // Hash API key for security
+    const apiKeyHash = apiKey ? require('crypto').createHash('sha256').update(apiKey).digest('hex') : null;
+    
+    try {
+        const query = `
+            INSERT INTO command_log (
+                endpoint, method, user_agent, ip_address, api_key_hash, api_key_name,
+                request_body, response_status, response_body, execution_time_ms,
+                success, error_message, vehicle_vin, command_type, safety_level,
+                requires_confirmation, confirmation_provided, confirmation_status, auth_retry, command_id, environment, deployment_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+        `;
+        
+        const values = [
+            endpoint,
+            method,
+            userAgent,
+            ipAddress,
+            apiKeyHash,
+            apiKeyName || null,
+            requestBody ? JSON.stringify(requestBody) : null,
+            responseStatus,
+            responseBody ? JSON.stringify(responseBody) : null,
+            executionTime,
+            success,
+            errorMessage,
+            vehicleVin,
+            commandType,
+            safetyLevel,
+            requiresConfirmation,
+            confirmationProvided,
+            confirmationStatus || null,
+            authRetry || null,
+            commandId || null,
+            environment,
+            deploymentId
+        ];
+        
+        await pool.query(query, values);
+        
+    } catch (error) {
+        console.error('❌ Failed to log API request:', error.message);
+        // Don't throw error - logging failure shouldn't break the API
+    }
+}
+
+// Insert or update an asynchronously executed command
+async function saveCommandRecord(record) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO command_requests (
+                id, command_type, vehicle_vin, status, parameters, onstar_request_url,
+                onstar_status, result, error_message, submitted_at, started_at,
+                completed_at, execution_time_ms, auth_retry
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            ON CONFLICT (id) DO UPDATE SET
+                status = EXCLUDED.status,
+                onstar_request_url = EXCLUDED.onstar_request_url,
+                onstar_status = EXCLUDED.onstar_status,
+                result = EXCLUDED.result,
+                error_message = EXCLUDED.error_message,
+                started_at = EXCLUDED.started_at,
+                completed_at = EXCLUDED.completed_at,
+                execution_time_ms = EXCLUDED.execution_time_ms,
+                auth_retry = EXCLUDED.auth_retry
+        `;
+        
+        const values = [
+            record.id,
+            record.command,
+            record.vin,
+            record.status,
+            record.parameters ? JSON.stringify(record.parameters) : null,
+            record.onstar_request_url,
+            record.onstar_status,
+            record.result ? JSON.stringify(record.result) : null,
+            record.error,
+            record.submitted_at,
+            record.started_at,
+            record.completed_at,
+            record.execution_time_ms,
+            record.auth_retry ? JSON.stringify(record.auth_retry) : null
+        ];
+        
+        await pool.query(query, values);
+        
+        // A queued command's request was logged when it was accepted, before any 401 happened
+        if (record.auth_retry) {
+            await pool.query(`
+                UPDATE command_log SET auth_retry = $2
+                WHERE command_id = $1 AND auth_retry IS NULL
+            `, [record.id, record.auth_retry.status]);
+        }
+        
+    } catch (error) {
+        console.error('❌ Failed to save command record:', error.message);
+        // Don't throw error - the in-memory record is still available
+    }
+}
+
+// Get an asynchronously executed command by id
+async function getCommandRecord(id) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT *
+            FROM command_requests
+            WHERE id = $1
+        `;
+        
+        const result = await pool.query(query, [id]);
+        const row = result.rows[0];
+        if (!row) {
+            return null;
+        }
+        
+        return {
+            id: row.id,
+            command: row.command_type,
+            vin: row.vehicle_vin,
+            status: row.status,
+            parameters: row.parameters,
+            onstar_request_url: row.onstar_request_url,
+            onstar_status: row.onstar_status,
+            result: row.result,
+            error: row.error_message,
+            submitted_at: row.submitted_at,
+            started_at: row.started_at,
+            completed_at: row.completed_at,
+            queue_time_ms: row.started_at ? row.started_at - row.submitted_at : null,
+            execution_time_ms: row.execution_time_ms,
+            auth_retry: row.auth_retry,
+            status_url: `/commands/${row.id}`
+        };
+        
+    } catch (error) {
+        console.error('❌ Failed to get command record:', error.message);
+        throw error;
+    }
+}
+
+// Store telemetry readings of one vehicle
+async function saveTelemetrySamples(vehicleVin, samples, recordedAt = new Date()) {
+    const pool = getPool();
+    
+    if (!samples || samples.length === 0) {
+        return 0;
+    }
+    
+    try {
+        const values = [];
+        const rows = samples.map((sample, index) => {
+            const offset = index * 6;
+            values.push(recordedAt, vehicleVin, sample.metric, sample.value, sample.unit || null, sample.source || null);
+            return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+        });
+        
+        const query = `
+            INSERT INTO vehicle_telemetry (recorded_at, vehicle_vin, metric, value, unit, source)
+            VALUES ${rows.join(', ')}
+        `;
+        
+        const result = await pool.query(query, values);
+        return result.rowCount;
+        
+    } catch (error) {
+        console.error('❌ Failed to save telemetry:', error.message);
+        // Don't throw error - history is best effort and must not fail the request
+        return 0;
+    }
+}
+
+// Get a downsampled telemetry series, one row per bucket
+async function getTelemetrySeries(options = {}) {
+    const pool = getPool();
+    
+    const {
+        vehicleVin,
+        metric,
+        from,
+        to,
+        bucketSeconds = 3600
+    } = options;
+    
+    try {
+        const query = `
+            SELECT 
+                to_timestamp(floor(extract(epoch FROM recorded_at) / $5) * $5) AS bucket_start,
+                AVG(value) AS avg,
+                MIN(value) AS min,
+                MAX(value) AS max,
+                (ARRAY_AGG(value ORDER BY recorded_at DESC))[1] AS last,
+                COUNT(*) AS samples,
+                MAX(unit) AS unit
+            FROM vehicle_telemetry
+            WHERE vehicle_vin = $1 AND metric = $2 AND recorded_at >= $3 AND recorded_at < $4
+            GROUP BY bucket_start
+            ORDER BY bucket_start
+        `;
+        
+        const result = await pool.query(query, [vehicleVin, metric, from, to, bucketSeconds]);
+        return result.rows.map(row => ({
+            timestamp: row.bucket_start,
+            avg: parseFloat(row.avg),
+            min: parseFloat(row.min),
+            max: parseFloat(row.max),
+            last: parseFloat(row.last),
+            samples: parseInt(row.samples),
+            unit: row.unit
+        }));
+        
+    } catch (error) {
+        console.error('❌ Failed to get telemetry series:', error.message);
+        throw error;
+    }
+}
+
+// Get the metrics recorded for a vehicle
+async function getTelemetryMetrics(vehicleVin) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT 
+                metric,
+                MAX(unit) AS unit,
+                COUNT(*) AS samples,
+                MIN(recorded_at) AS first_recorded_at,
+                MAX(recorded_at) AS last_recorded_at
+            FROM vehicle_telemetry
+            WHERE vehicle_vin = $1
+            GROUP BY metric
+            ORDER BY metric
+        `;
+        
+        const result = await pool.query(query, [vehicleVin]);
+        return result.rows.map(row => ({ ...row, samples: parseInt(row.samples) }));
+        
+    } catch (error) {
+        console.error('❌ Failed to get telemetry metrics:', error.message);
+        throw error;
+    }
+}
+
+// Create a named API key
+async function createApiKey({ name, keyHash, keyPrefix, permissions, expiresAt = null }) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO api_keys (name, key_hash, key_prefix, permissions, expires_at)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id, name, key_prefix, permissions, created_at, expires_at, revoked_at, last_used_at
+        `;
+        
+        const result = await pool.query(query, [name, keyHash, keyPrefix, JSON.stringify(permissions), expiresAt]);
+        return result.rows[0];
+        
+    } catch (error) {
+        console.error('❌ Failed to create API key:', error.message);
+        throw error;
+    }
+}
+
+// Get an API key by the hash of its value
+async function getApiKeyByHash(keyHash) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT id, name, key_prefix, permissions, created_at, expires_at, revoked_at, last_used_at
+            FROM api_keys
+            WHERE key_hash = $1
+        `;
+        
+        const result = await pool.query(query, [keyHash]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to get API key:', error.message);
+        throw error;
+    }
+}
+
+// List API keys (never returns the hashes)
+async function listApiKeys(includeRevoked = false) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT id, name, key_prefix, permissions, created_at, expires_at, revoked_at, last_used_at
+            FROM api_keys
+            ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+            ORDER BY created_at DESC
+        `;
+        
+        const result = await pool.query(query);
+        return result.rows;
+        
+    } catch (error) {
+        console.error('❌ Failed to list API keys:', error.message);
+        throw error;
+    }
+}
+
+// Revoke an API key by name
+async function revokeApiKey(name) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            UPDATE api_keys
+            SET revoked_at = NOW()
+            WHERE name = $1 AND revoked_at IS NULL
+            RETURNING id, name, key_prefix, permissions, created_at, expires_at, revoked_at, last_used_at
+        `;
+        
+        const result = await pool.query(query, [name]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to revoke API key:', error.message);
+        throw error;
+    }
+}
+
+// Update when an API key was last used
+async function touchApiKey(id) {
+    const pool = getPool();
+    
+    try {
+        await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+    } catch (error) {
+        console.error('❌ Failed to update API key usage:', error.message);
+        // Don't throw error - usage tracking is informational
+    }
+}
+
+// Record an issued access token (expired tokens are dropped at the same time)
+async function createAccessToken({ jti, label = null, issuedBy, maxUses = null, expiresAt }) {
+    const pool = getPool();
+    
+    try {
+        await pool.query('DELETE FROM access_tokens WHERE expires_at < NOW()');
+        await pool.query(`
+            INSERT INTO access_tokens (jti, label, issued_by, max_uses, expires_at)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [jti, label, issuedBy, maxUses, expiresAt]);
+        
+    } catch (error) {
+        console.error('❌ Failed to save access token:', error.message);
+        throw error;
+    }
+}
+
+// Get an access token by its id
+async function getAccessToken(jti) {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query(`
+            SELECT jti, label, issued_by, max_uses, uses, created_at, expires_at, revoked_at
+            FROM access_tokens
+            WHERE jti = $1
+        `, [jti]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to get access token:', error.message);
+        throw error;
+    }
+}
+
+// Count one use of an access token unless it has none left; returns the row, or null when used up
+async function useAccessToken(jti) {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query(`
+            UPDATE access_tokens
+            SET uses = uses + 1
+            WHERE jti = $1 AND (max_uses IS NULL OR uses < max_uses)
+            RETURNING jti, max_uses, uses
+        `, [jti]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to use access token:', error.message);
+        throw error;
+    }
+}
+
+// Give back a use of an access token
+async function refundAccessToken(jti) {
+    const pool = getPool();
+    
+    try {
+        await pool.query('UPDATE access_tokens SET uses = uses - 1 WHERE jti = $1 AND uses > 0', [jti]);
+    } catch (error) {
+        console.error('❌ Failed to refund access token use:', error.message);
+        throw error;
+    }
+}
+
+// Revoke an access token; returns null when there is no such token
+async function revokeAccessToken(jti) {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query(`
+            UPDATE access_tokens
+            SET revoked_at = COALESCE(revoked_at, NOW())
+            WHERE jti = $1
+            RETURNING jti, label, issued_by, max_uses, uses, created_at, expires_at, revoked_at
+        `, [jti]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to revoke access token:', error.message);
+        throw error;
+    }
+}
+
+// Register a webhook
+async function createWebhook({ url, events, secret, description = null }) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO webhooks (url, secret, events, description)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, url, secret, events, description, created_at
+        `;
+        
+        const result = await pool.query(query, [url, secret, JSON.stringify(events), description]);
+        return result.rows[0];
+        
+    } catch (error) {
+        console.error('❌ Failed to create webhook:', error.message);
+        throw error;
+    }
+}
+
+// List registered webhooks, including their secrets (for signing only - never return them from the API)
+async function listWebhooks() {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT id, url, secret, events, description, created_at
+            FROM webhooks
+            ORDER BY id
+        `;
+        
+        const result = await pool.query(query);
+        return result.rows;
+        
+    } catch (error) {
+        console.error('❌ Failed to list webhooks:', error.message);
+        throw error;
+    }
+}
+
+// Delete a webhook by id
+async function deleteWebhook(id) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            DELETE FROM webhooks
+            WHERE id = $1
+            RETURNING id, url, events, description, created_at
+        `;
+        
+        const result = await pool.query(query, [id]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to delete webhook:', error.message);
+        throw error;
+    }
+}
+
+// Store a webhook delivery that failed every attempt
+async function saveWebhookDeadLetter({ deliveryId, webhookId, eventType, url, payload, attempts, responseStatus, lastError }) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO webhook_dead_letters (
+                delivery_id, webhook_id, event_type, url, payload, attempts, response_status, last_error
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `;
+        
+        await pool.query(query, [deliveryId, webhookId, eventType, url, JSON.stringify(payload), attempts, responseStatus, lastError]);
+        
+    } catch (error) {
+        console.error('❌ Failed to save webhook dead letter:', error.message);
+        // Don't throw error - the delivery is still listed in memory
+    }
+}
+
+// Get recent dead-lettered webhook deliveries
+async function getWebhookDeadLetters({ webhookId = null, limit = 50 } = {}) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT id, delivery_id, webhook_id, event_type, url, payload, attempts, response_status, last_error, failed_at
+            FROM webhook_dead_letters
+            WHERE ($1::INTEGER IS NULL OR webhook_id = $1)
+            ORDER BY failed_at DESC
+            LIMIT $2
+        `;
+        
+        const result = await pool.query(query, [webhookId, limit]);
+        return result.rows;
+        
+    } catch (error) {
+        console.error('❌ Failed to get webhook dead letters:', error.message);
         throw error;
     }
 }
 
-// Log API request/response
-async function logApiRequest(logData) {
+// Get stored OnStar token sets by name
+async function getOnStarTokens() {
     const pool = getPool();
     
-    const {
-        endpoint,
-        method,
-        userAgent,
-        ipAddress,
-        apiKey,
-        requestBody,
-        responseStatus,
-        responseBody,
-        executionTime,
-        success,
-        errorMessage,
-        vehicleVin,
-        commandType,
-        safetyLevel,
-        requiresConfirmation,
-        confirmationProvided,
-        environment,
-        deploymentId
-    } = logData;
+    try {
+        const query = `
+            SELECT name, tokens
+            FROM onstar_tokens
+        `;
+        
+        const result = await pool.query(query);
+        return Object.fromEntries(result.rows.map(row => [row.name, row.tokens]));
+        
+    } catch (error) {
+        console.error('❌ Failed to get OnStar tokens:', error.message);
+        throw error;
+    }
+}
+
+// Insert or replace an OnStar token set
+async function saveOnStarTokens(name, tokens) {
+    const pool = getPool();
     
-    // Hash API key for security
-    const apiKeyHash = apiKey ? require('crypto').createHash('sha256').update(apiKey).digest('hex') : null;
+    try {
+        const query = `
+            INSERT INTO onstar_tokens (name, tokens, updated_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (name) DO UPDATE SET
+                tokens = EXCLUDED.tokens,
+                updated_at = EXCLUDED.updated_at
+        `;
+        
+        await pool.query(query, [name, JSON.stringify(tokens)]);
+        
+    } catch (error) {
+        console.error('❌ Failed to save OnStar tokens:', error.message);
+        throw error;
+    }
+}
+
+// Delete all stored OnStar token sets
+async function deleteOnStarTokens() {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query('DELETE FROM onstar_tokens');
+        return result.rowCount;
+        
+    } catch (error) {
+        console.error('❌ Failed to delete OnStar tokens:', error.message);
+        throw error;
+    }
+}
+
+// Create a command schedule
+async function createSchedule({ name, command, cron, vehicleVin = null, parameters = {}, skipIf = {}, enabled = true, createdBy = null }) {
+    const pool = getPool();
     
     try {
         const query = `
-            INSERT INTO command_log (
-                endpoint, method, user_agent, ip_address, api_key_hash,
-                request_body, response_status, response_body, execution_time_ms,
-                success, error_message, vehicle_vin, command_type, safety_level,
-                requires_confirmation, confirmation_provided, environment, deployment_id
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+            INSERT INTO command_schedules (name, command, cron, vehicle_vin, parameters, skip_if, enabled, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
         `;
         
-        const values = [
-            endpoint,
-            method,
-            userAgent,
-            ipAddress,
-            apiKeyHash,
-            requestBody ? JSON.stringify(requestBody) : null,
-            responseStatus,
-            responseBody ? JSON.stringify(responseBody) : null,
-            executionTime,
-            success,
-            errorMessage,
-            vehicleVin,
-            commandType,
-            safetyLevel,
-            requiresConfirmation,
-            confirmationProvided,
-            environment,
-            deploymentId
-        ];
+        const result = await pool.query(query, [
+            name, command, cron, vehicleVin, JSON.stringify(parameters), JSON.stringify(skipIf), enabled, createdBy
+        ]);
+        return result.rows[0];
         
-        await pool.query(query, values);
+    } catch (error) {
+        console.error('❌ Failed to create schedule:', error.message);
+        throw error;
+    }
+}
+
+// List all command schedules
+async function listSchedules() {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query('SELECT * FROM command_schedules ORDER BY id');
+        return result.rows;
         
     } catch (error) {
-        console.error('❌ Failed to log API request:', error.message);
-        // Don't throw error - logging failure shouldn't break the API
+        console.error('❌ Failed to list schedules:', error.message);
+        throw error;
+    }
+}
+
+// Change the name, cron, parameters, skip_if or enabled of a schedule
+async function updateSchedule(id, changes) {
+    const pool = getPool();
+    const columns = ['name', 'cron', 'parameters', 'skip_if', 'enabled'].filter(column => changes[column] !== undefined);
+    const values = columns.map(column => typeof changes[column] === 'object' ? JSON.stringify(changes[column]) : changes[column]);
+    
+    try {
+        const query = `
+            UPDATE command_schedules
+            SET ${columns.map((column, index) => `${column} = $${index + 2}, `).join('')}updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [id, ...values]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to update schedule:', error.message);
+        throw error;
+    }
+}
+
+// Delete a schedule and its run history
+async function deleteSchedule(id) {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query('DELETE FROM command_schedules WHERE id = $1 RETURNING *', [id]);
+        await pool.query('DELETE FROM schedule_runs WHERE schedule_id = $1', [id]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to delete schedule:', error.message);
+        throw error;
+    }
+}
+
+// Record a schedule run and keep the schedule's last run up to date
+async function saveScheduleRun(run) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO schedule_runs (
+                schedule_id, vehicle_vin, command, status, reason, error, command_id, reading, scheduled_for, started_at, completed_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `;
+        
+        await pool.query(query, [
+            run.schedule_id, run.vin, run.command, run.status, run.reason || null, run.error || null, run.command_id || null,
+            run.reading ? JSON.stringify(run.reading) : null, run.scheduled_for, run.started_at, run.completed_at
+        ]);
+        await pool.query('UPDATE command_schedules SET last_run_at = $2, last_status = $3 WHERE id = $1',
+            [run.schedule_id, run.completed_at, run.status]);
+        
+    } catch (error) {
+        console.error('❌ Failed to save schedule run:', error.message);
+        throw error;
+    }
+}
+
+// Get the run history of a schedule, newest first
+async function getScheduleRuns(scheduleId, limit = 20) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT schedule_id, vehicle_vin AS vin, command, status, reason, error, command_id, reading,
+                   scheduled_for, started_at, completed_at
+            FROM schedule_runs
+            WHERE schedule_id = $1
+            ORDER BY completed_at DESC
+            LIMIT $2
+        `;
+        
+        const result = await pool.query(query, [scheduleId, limit]);
+        return result.rows;
+        
+    } catch (error) {
+        console.error('❌ Failed to get schedule runs:', error.message);
+        throw error;
+    }
+}
+
+// Create a geofence
+async function createGeofence({ name, shape, vehicleVin = null, dwellMinutes = null, actions = [], enabled = true, createdBy = null }) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO geofences (name, vehicle_vin, shape, dwell_minutes, actions, enabled, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [
+            name, vehicleVin, JSON.stringify(shape), dwellMinutes, JSON.stringify(actions), enabled, createdBy
+        ]);
+        return result.rows[0];
+        
+    } catch (error) {
+        console.error('❌ Failed to create geofence:', error.message);
+        throw error;
+    }
+}
+
+// List all geofences
+async function listGeofences() {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query('SELECT * FROM geofences ORDER BY id');
+        return result.rows;
+        
+    } catch (error) {
+        console.error('❌ Failed to list geofences:', error.message);
+        throw error;
+    }
+}
+
+// Change the name, shape, dwell_minutes, actions or enabled of a geofence
+async function updateGeofence(id, changes) {
+    const pool = getPool();
+    const columns = ['name', 'shape', 'dwell_minutes', 'actions', 'enabled'].filter(column => changes[column] !== undefined);
+    const values = columns.map(column => ['shape', 'actions'].includes(column) ? JSON.stringify(changes[column]) : changes[column]);
+    
+    try {
+        const query = `
+            UPDATE geofences
+            SET ${columns.map((column, index) => `${column} = $${index + 2}, `).join('')}updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [id, ...values]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to update geofence:', error.message);
+        throw error;
+    }
+}
+
+// Delete a geofence and its events
+async function deleteGeofence(id) {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query('DELETE FROM geofences WHERE id = $1 RETURNING *', [id]);
+        await pool.query('DELETE FROM geofence_events WHERE geofence_id = $1', [id]);
+        return result.rows[0] || null;
+        
+    } catch (error) {
+        console.error('❌ Failed to delete geofence:', error.message);
+        throw error;
+    }
+}
+
+// Record a geofence event with the outcome of its actions
+async function saveGeofenceEvent(event) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO geofence_events (geofence_id, geofence_name, vehicle_vin, event_type, latitude, longitude, actions, occurred_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `;
+        
+        await pool.query(query, [
+            event.geofence_id, event.geofence_name, event.vin, event.type,
+            event.location.latitude, event.location.longitude, JSON.stringify(event.actions || []), event.at
+        ]);
+        
+    } catch (error) {
+        console.error('❌ Failed to save geofence event:', error.message);
+        throw error;
+    }
+}
+
+// Get geofence events, newest first
+async function getGeofenceEvents({ geofenceId = null, vin = null, limit = 50 } = {}) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            SELECT event_type AS type, geofence_id, geofence_name, vehicle_vin AS vin, occurred_at AS at,
+                   json_build_object('latitude', latitude, 'longitude', longitude) AS location, actions
+            FROM geofence_events
+            WHERE ($1::INTEGER IS NULL OR geofence_id = $1) AND ($2::VARCHAR IS NULL OR vehicle_vin = $2)
+            ORDER BY occurred_at DESC
+            LIMIT $3
+        `;
+        
+        const result = await pool.query(query, [geofenceId, vin, limit]);
+        return result.rows;
+        
+    } catch (error) {
+        console.error('❌ Failed to get geofence events:', error.message);
+        throw error;
+    }
+}
+
+// Insert or replace the charging plan of a vehicle
+async function saveChargingPlan(vehicleVin, plan) {
+    const pool = getPool();
+    
+    try {
+        const query = `
+            INSERT INTO charging_plans (vehicle_vin, plan, updated_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (vehicle_vin) DO UPDATE SET
+                plan = EXCLUDED.plan,
+                updated_at = EXCLUDED.updated_at
+        `;
+        
+        await pool.query(query, [vehicleVin, JSON.stringify(plan)]);
+        
+    } catch (error) {
+        console.error('❌ Failed to save charging plan:', error.message);
+        throw error;
+    }
+}
+
+// Get the latest charging plan of a vehicle
+async function getChargingPlan(vehicleVin) {
+    const pool = getPool();
+    
+    try {
+        const result = await pool.query('SELECT plan FROM charging_plans WHERE vehicle_vin = $1', [vehicleVin]);
+        return result.rows[0] ? result.rows[0].plan : null;
+        
+    } catch (error) {
+        console.error('❌ Failed to get charging plan:', error.message);
+        throw error;
     }
 }
 
@@ -227,6 +1265,7 @@ async function getRecentCommands(limit = 50, offset = 0) {
                 endpoint,
                 method,
                 ip_address,
+                api_key_name,
                 response_status,
                 execution_time_ms,
                 success,
@@ -236,6 +1275,8 @@ async function getRecentCommands(limit = 50, offset = 0) {
                 safety_level,
                 requires_confirmation,
                 confirmation_provided,
+                confirmation_status,
+                auth_retry,
                 environment
             FROM command_log
             ORDER BY timestamp DESC
@@ -303,7 +1344,8 @@ async function getSafetyViolations(days = 30) {
                 command_type,
                 safety_level,
                 requires_confirmation,
-                confirmation_provided
+                confirmation_provided,
+                confirmation_status
             FROM command_log
             WHERE (
                 (safety_level = 'high_risk' AND success = true) OR
@@ -356,6 +1398,43 @@ module.exports = {
     getPool,
     initializeTables,
     logApiRequest,
+    saveCommandRecord,
+    getCommandRecord,
+    saveTelemetrySamples,
+    getTelemetrySeries,
+    getTelemetryMetrics,
+    createApiKey,
+    getApiKeyByHash,
+    listApiKeys,
+    revokeApiKey,
+    touchApiKey,
+    createAccessToken,
+    getAccessToken,
+    useAccessToken,
+    refundAccessToken,
+    revokeAccessToken,
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    saveWebhookDeadLetter,
+    getWebhookDeadLetters,
+    getOnStarTokens,
+    saveOnStarTokens,
+    deleteOnStarTokens,
+    createSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule,
+    saveScheduleRun,
+    getScheduleRuns,
+    createGeofence,
+    listGeofences,
+    updateGeofence,
+    deleteGeofence,
+    saveGeofenceEvent,
+    getGeofenceEvents,
+    saveChargingPlan,
+    getChargingPlan,
     getCommandStats,
     getRecentCommands,
     getErrorLogs,
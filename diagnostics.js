@@ -0,0 +1,157 @@
+/**
+ * Diagnostics model for OnStar API
+ * Turns a diagnosticResponse into item -> elements -> { value, unit, status, message },
+ * keeping every element (TIRE PRESSURE reports four wheels plus placard values) and
+ * converting pressures, distances and temperatures to the units a client asked for
+ */
+
+// Units a client can ask for, per dimension; the first one is the base used for conversion
+const UNITS = {
+    pressure: {
+        kpa: { label: 'kPa', toBase: v => v, fromBase: v => v },
+        psi: { label: 'psi', toBase: v => v / 0.1450377, fromBase: v => v * 0.1450377 }
+    },
+    distance: {
+        km: { label: 'km', toBase: v => v, fromBase: v => v },
+        mi: { label: 'mi', toBase: v => v * 1.609344, fromBase: v => v / 1.609344 }
+    },
+    temperature: {
+        c: { label: '°C', toBase: v => v, fromBase: v => v },
+        f: { label: '°F', toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 }
+    }
+};
+
+const UNIT_PRESETS = {
+    metric: { pressure: 'kpa', distance: 'km', temperature: 'c' },
+    imperial: { pressure: 'psi', distance: 'mi', temperature: 'f' }
+};
+
+// Units as the vehicle reports them (lowercase, without a degree sign) -> [dimension, unit]
+const REPORTED_UNITS = {
+    kpa: ['pressure', 'kpa'],
+    kpag: ['pressure', 'kpa'], // gauge pressure, as tire pressures are reported
+    psi: ['pressure', 'psi'],
+    psig: ['pressure', 'psi'],
+    km: ['distance', 'km'],
+    kms: ['distance', 'km'],
+    mi: ['distance', 'mi'],
+    miles: ['distance', 'mi'],
+    c: ['temperature', 'c'],
+    f: ['temperature', 'f']
+};
+
+/**
+ * Units for a request from ?units=metric|imperial and ?pressure_unit=, ?distance_unit=,
+ * ?temperature_unit= (the latter override the preset). Dimensions left out keep the
+ * units the vehicle reported. Returns { units } or { error }
+ */
+function resolveUnits({ units, pressure_unit, distance_unit, temperature_unit } = {}) {
+    let resolved = {};
+    if (units !== undefined && units !== null && units !== '') {
+        const preset = String(units).toLowerCase();
+        if (preset !== 'vehicle' && !UNIT_PRESETS[preset]) {
+            return { error: `units must be one of ${Object.keys(UNIT_PRESETS).join(', ')} or vehicle` };
+        }
+        resolved = { ...UNIT_PRESETS[preset] };
+    }
+
+    const overrides = { pressure: pressure_unit, distance: distance_unit, temperature: temperature_unit };
+    for (const [dimension, value] of Object.entries(overrides)) {
+        if (value === undefined || value === null || value === '') continue;
+
+        const unit = String(value).toLowerCase();
+        if (!UNITS[dimension][unit]) {
+            return { error: `${dimension}_unit must be one of ${Object.keys(UNITS[dimension]).join(', ')}` };
+        }
+        resolved[dimension] = unit;
+    }
+
+    return { units: resolved };
+}
+
+/**
+ * Structured diagnostics with values converted to `units` ({ pressure, distance, temperature })
+ */
+function parseDiagnostics(diagnosticResponse, units = {}) {
+    const model = {};
+    for (const diagnostic of diagnosticResponse || []) {
+        if (!diagnostic || !diagnostic.name) continue;
+
+        const elements = {};
+        for (const element of diagnostic.diagnosticElement || []) {
+            if (element && element.name) {
+                elements[element.name] = parseElement(element, units);
+            }
+        }
+        model[diagnostic.name] = { elements };
+    }
+    return model;
+}
+
+function parseElement(element, units) {
+    const raw = element.value;
+    const numeric = raw !== null && raw !== undefined && String(raw).trim() !== '' && isFinite(Number(raw));
+    let value = numeric ? Number(raw) : (raw === undefined ? null : raw);
+    let unit = element.unit || null;
+
+    const reported = unit ? REPORTED_UNITS[unit.toLowerCase().replace('°', '')] : null;
+    if (reported) {
+        const [dimension, from] = reported;
+        const to = units[dimension] || from;
+        if (numeric && to !== from) {
+            const converted = UNITS[dimension][to].fromBase(UNITS[dimension][from].toBase(value));
+            value = Math.round(converted * 10) / 10;
+        }
+        unit = UNITS[dimension][to].label;
+    }
+
+    return {
+        value,
+        unit,
+        status: element.status || null,
+        message: element.message || null
+    };
+}
+
+/**
+ * Value of one element of an item (the first element when none is named), or undefined
+ */
+function diagnosticValue(model, item, elementName = null) {
+    const elements = model[item] ? model[item].elements : {};
+    const element = elementName ? elements[elementName] : Object.values(elements)[0];
+    return element ? element.value : undefined;
+}
+
+/**
+ * Elements of an item keyed by what follows the item name, e.g. TIRE PRESSURE LF -> lf
+ */
+function diagnosticValues(model, item) {
+    const elements = model[item] ? model[item].elements : {};
+    const values = {};
+    for (const [name, element] of Object.entries(elements)) {
+        const key = name.startsWith(item) ? name.slice(item.length).trim() : name;
+        values[key ? key.toLowerCase().replace(/\W+/g, '_') : 'value'] = element.value;
+    }
+    return values;
+}
+
+/**
+ * Unit labels a response uses, for the dimensions that were converted
+ */
+function describeUnits(units) {
+    const described = {};
+    for (const [dimension, unit] of Object.entries(units)) {
+        described[dimension] = UNITS[dimension][unit].label;
+    }
+    return described;
+}
+
+module.exports = {
+    parseDiagnostics,
+    resolveUnits,
+    diagnosticValue,
+    diagnosticValues,
+    describeUnits,
+    UNITS,
+    UNIT_PRESETS
+};
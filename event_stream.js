@@ -0,0 +1,141 @@
+/**
+ * Event Stream for Brandt Car API
+ * Server-Sent Events for session state, command progress and config reloads.
+ * Recent events are kept so reconnecting clients can resume from Last-Event-ID
+ */
+
+const { setInterval, clearInterval } = require('timers');
+
+const EVENT_TYPES = ['session', 'command', 'vehicle_request', 'config', 'geofence'];
+const MAX_BUFFERED_EVENTS = 500;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Below the usual 30-60s proxy idle timeouts
+const RETRY_MS = 5000;
+
+class EventStream {
+    constructor() {
+        // Event ids are "<stream id>-<sequence>" so ids from before a restart are recognised
+        this.streamId = Date.now().toString(36);
+        this.sequence = 0;
+        this.buffer = [];
+        this.clients = new Set();
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Send an event to every connected client and keep it for replay
+     */
+    publish(type, data = {}) {
+        this.sequence++;
+        const event = {
+            id: `${this.streamId}-${this.sequence}`,
+            sequence: this.sequence,
+            type,
+            data: { ...data, timestamp: data.timestamp || new Date().toISOString() }
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > MAX_BUFFERED_EVENTS) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients) {
+            if (this._accepts(client, event)) {
+                this._write(client.res, event);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Buffered events after a Last-Event-ID. `complete` is false when events may have been missed
+     * because the id is from before a restart or older than the buffer
+     */
+    getEventsSince(lastEventId) {
+        if (!lastEventId) {
+            return { events: [], complete: true };
+        }
+
+        const [streamId, sequence] = String(lastEventId).split('-');
+        const lastSequence = parseInt(sequence);
+        if (streamId !== this.streamId || isNaN(lastSequence)) {
+            return { events: this.buffer.slice(), complete: false };
+        }
+
+        const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+        return {
+            events: this.buffer.filter(event => event.sequence > lastSequence),
+            complete: lastSequence >= oldest - 1
+        };
+    }
+
+    /**
+     * Turn a response into an event stream; `types` and `vin` narrow down what the client receives
+     */
+    subscribe(req, res, { types = null, vin = null, lastEventId = null } = {}) {
+        const client = { res, types, vin };
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx-style proxies from holding events back
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const { events, complete } = this.getEventsSince(lastEventId);
+        if (!complete) {
+            res.write(`event: resync\ndata: ${JSON.stringify({
+                last_event_id: lastEventId,
+                message: 'Some events may have been missed; refresh state from /auth/status and /commands'
+            })}\n\n`);
+        }
+        events.filter(event => this._accepts(client, event)).forEach(event => this._write(res, event));
+
+        this.clients.add(client);
+        this._startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this._stopHeartbeat();
+            }
+        });
+
+        return client;
+    }
+
+    _accepts(client, event) {
+        if (client.types && !client.types.includes(event.type)) {
+            return false;
+        }
+        // Events without a vehicle (session, config) go to everyone
+        return !client.vin || !event.data.vin || event.data.vin.toUpperCase() === client.vin;
+    }
+
+    _write(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    _startHeartbeat() {
+        if (this.heartbeatTimer) {
+            return;
+        }
+        this.heartbeatTimer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': keep-alive\n\n');
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+        this.heartbeatTimer.unref();
+    }
+
+    _stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
+
+// Export singleton instance
+module.exports = new EventStream();
+module.exports.EventStream = EventStream;
+module.exports.EVENT_TYPES = EVENT_TYPES;
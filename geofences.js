@@ -0,0 +1,410 @@
+/**
+ * Geofences for OnStar API
+ * Named circles and polygons stored in PostgreSQL. Each vehicle position is checked against
+ * them and a change turns into an enter or exit event (dwell once the vehicle has stayed
+ * inside long enough); events run the geofence's actions, e.g. lock the doors on exit
+ */
+
+const { setTimeout, clearTimeout } = require('timers');
+const _ = require('lodash');
+const db = require('./database');
+const { distanceMeters } = require('./command_budget');
+
+const DEFAULT_GEOFENCE_CONFIG = {
+    enabled: false, // Poll the vehicle location (positions read by GET /location etc. are always checked)
+    vins: [], // Vehicles to poll (default: the default vehicle)
+    poll_interval_minutes: 15 // Every poll that misses the telemetry cache wakes the vehicle
+};
+
+const GEOFENCE_EVENTS = ['enter', 'exit', 'dwell'];
+const SHAPE_TYPES = ['circle', 'polygon'];
+const MAX_EVENTS_IN_MEMORY = 100;
+const MAX_POLYGON_POINTS = 100;
+
+/**
+ * { latitude, longitude } from a location response body or request, or null
+ */
+function toPoint(location) {
+    if (!location) {
+        return null;
+    }
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    return isFinite(latitude) && isFinite(longitude) ? { latitude, longitude } : null;
+}
+
+function isCoordinate(point) {
+    return point && typeof point.latitude === 'number' && typeof point.longitude === 'number' &&
+        Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+}
+
+/**
+ * Check a shape: { type: 'circle', latitude, longitude, radius_meters } or
+ * { type: 'polygon', points: [{ latitude, longitude }, ...] }. Returns an error message or null
+ */
+function validateShape(shape) {
+    if (!_.isPlainObject(shape) || !SHAPE_TYPES.includes(shape.type)) {
+        return `shape.type must be one of ${SHAPE_TYPES.join(', ')}`;
+    }
+
+    if (shape.type === 'circle') {
+        if (!isCoordinate(shape)) {
+            return 'A circle needs latitude (-90 to 90) and longitude (-180 to 180) as numbers';
+        }
+        if (typeof shape.radius_meters !== 'number' || shape.radius_meters <= 0) {
+            return 'shape.radius_meters must be a positive number';
+        }
+        return null;
+    }
+
+    if (!Array.isArray(shape.points) || shape.points.length < 3 || shape.points.length > MAX_POLYGON_POINTS) {
+        return `A polygon needs 3 to ${MAX_POLYGON_POINTS} points`;
+    }
+    const index = shape.points.findIndex(point => !isCoordinate(point));
+    return index >= 0 ? `shape.points[${index}] needs latitude and longitude as numbers` : null;
+}
+
+/**
+ * Whether a shape contains a point. Polygons use the ray casting rule on latitude/longitude,
+ * which is accurate enough for geofences of a few kilometres away from the poles
+ */
+function containsPoint(shape, point) {
+    if (shape.type === 'circle') {
+        const center = { lat: shape.latitude, lng: shape.longitude };
+        return distanceMeters(center, { lat: point.latitude, lng: point.longitude }) <= shape.radius_meters;
+    }
+
+    let inside = false;
+    const points = shape.points;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+            point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check a position against geofences. `state` is { [geofence id]: { inside, since, dwelled } }
+ * from the previous position of the vehicle; a geofence without state (first position, new
+ * geofence) only gets its state, so a restart doesn't send enter events. Returns the new state
+ * and the events: [{ type, geofence_id, geofence_name, at, location }]
+ */
+function evaluateGeofences(geofences, state, position, now = new Date()) {
+    const next = {};
+    const events = [];
+
+    for (const geofence of geofences) {
+        const inside = containsPoint(geofence.shape, position);
+        const previous = state[geofence.id];
+        const event = (type, data = {}) => events.push({
+            type, geofence_id: geofence.id, geofence_name: geofence.name, at: now, location: position, ...data
+        });
+
+        if (!previous || previous.inside !== inside) {
+            next[geofence.id] = { inside, since: now, dwelled: false };
+            if (previous) event(inside ? 'enter' : 'exit');
+        } else {
+            next[geofence.id] = { ...previous };
+        }
+
+        const current = next[geofence.id];
+        if (current.inside && !current.dwelled && geofence.dwell_minutes &&
+            now - current.since >= geofence.dwell_minutes * 60 * 1000) {
+            current.dwelled = true;
+            event('dwell', { dwell_minutes: geofence.dwell_minutes });
+        }
+    }
+
+    return { state: next, events };
+}
+
+class GeofenceMonitor {
+    constructor() {
+        this.geofences = new Map(); // id -> geofence row
+        this.states = new Map(); // vin -> state from evaluateGeofences
+        this.events = []; // Recent events, newest first
+        this.timer = null;
+        this.nextPollAt = null;
+        this.handlers = null; // { readLocation(vin), runCommand(action, vin, event), notify(event), publish(event), getDefaultVin() } from start()
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Use the server configuration (geofences in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_GEOFENCE_CONFIG, ..._.get(config, 'geofences', {}) };
+    }
+
+    /**
+     * Load the geofences from the database (called once the tables exist)
+     */
+    async load() {
+        const rows = await db.listGeofences();
+        this.geofences = new Map(rows.map(row => [row.id, row]));
+        console.log(`📍 Loaded ${rows.length} geofence(s)`);
+        return rows.length;
+    }
+
+    /**
+     * Check a geofence; `commands` are the command names an action may run. Returns an error
+     * message or null. With partial, only the fields present are checked (updates)
+     */
+    validate(fields, commands, { partial = false } = {}) {
+        const has = field => !partial || fields[field] !== undefined;
+
+        if (has('name') && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+            return 'name must be a non-empty string';
+        }
+        if (has('shape')) {
+            const error = validateShape(fields.shape);
+            if (error) return error;
+        }
+        if (fields.vin !== undefined && fields.vin !== null && !/^[A-HJ-NPR-Z0-9]{17}$/i.test(fields.vin)) {
+            return 'vin must be a 17 character VIN (leave it out for every polled vehicle)';
+        }
+        if (fields.dwell_minutes !== undefined && fields.dwell_minutes !== null &&
+            !(Number.isInteger(fields.dwell_minutes) && fields.dwell_minutes > 0)) {
+            return 'dwell_minutes must be a positive whole number (or null for no dwell events)';
+        }
+        if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+            return 'enabled must be true or false';
+        }
+        if (fields.actions !== undefined) {
+            if (!Array.isArray(fields.actions)) {
+                return 'actions must be a list of { on, command } or { on, notify: true }';
+            }
+            for (const [index, action] of fields.actions.entries()) {
+                if (!_.isPlainObject(action) || !GEOFENCE_EVENTS.includes(action.on)) {
+                    return `actions[${index}].on must be one of ${GEOFENCE_EVENTS.join(', ')}`;
+                }
+                if (action.notify !== undefined ? action.notify !== true || action.command !== undefined : !commands.includes(action.command)) {
+                    return `actions[${index}] needs a command (${commands.join(', ')}) or notify: true`;
+                }
+                if (action.parameters !== undefined && !_.isPlainObject(action.parameters)) {
+                    return `actions[${index}].parameters must be an object`;
+                }
+            }
+        }
+        return null;
+    }
+
+    async create({ name, shape, vin = null, dwell_minutes = null, actions = [], enabled = true, created_by = null }) {
+        const geofence = await db.createGeofence({
+            name, shape, vehicleVin: vin, dwellMinutes: dwell_minutes, actions, enabled, createdBy: created_by
+        });
+        this.geofences.set(geofence.id, geofence);
+
+        console.log(`📍 Geofence ${geofence.id} "${name}" created (${shape.type}, ${actions.length} action(s))`);
+        return this.toJSON(geofence);
+    }
+
+    async update(id, fields) {
+        const existing = this.geofences.get(Number(id));
+        if (!existing) {
+            return null;
+        }
+
+        const changes = _.pick(fields, ['name', 'shape', 'dwell_minutes', 'actions', 'enabled']);
+        const geofence = await db.updateGeofence(existing.id, changes);
+        this.geofences.set(geofence.id, geofence);
+
+        // A moved or reshaped geofence starts over from the next position
+        if (changes.shape) {
+            this.states.forEach(state => delete state[geofence.id]);
+        }
+        return this.toJSON(geofence);
+    }
+
+    async remove(id) {
+        if (!this.geofences.has(Number(id))) {
+            return null;
+        }
+
+        const geofence = await db.deleteGeofence(Number(id));
+        this.geofences.delete(Number(id));
+        this.states.forEach(state => delete state[Number(id)]);
+
+        console.log(`📍 Geofence ${id} removed`);
+        return geofence ? this.toJSON(geofence) : null;
+    }
+
+    list() {
+        return Array.from(this.geofences.values()).map(geofence => this.toJSON(geofence));
+    }
+
+    get(id) {
+        const geofence = this.geofences.get(Number(id));
+        return geofence ? this.toJSON(geofence) : null;
+    }
+
+    /**
+     * Enabled geofences that apply to a vehicle (their own vehicle, or every vehicle)
+     */
+    forVehicle(vin) {
+        return Array.from(this.geofences.values()).filter(geofence =>
+            geofence.enabled && (!geofence.vehicle_vin || geofence.vehicle_vin.toUpperCase() === vin.toUpperCase()));
+    }
+
+    /**
+     * Check a vehicle position (a location response body) and run the actions of the events it
+     * causes. Returns the events with the outcome of each action
+     */
+    async observe(vin, location, now = new Date()) {
+        const position = toPoint(location);
+        if (!vin || !position) {
+            return [];
+        }
+
+        const geofences = this.forVehicle(vin);
+        const { state, events } = evaluateGeofences(geofences, this.states.get(vin) || {}, position, now);
+        this.states.set(vin, state);
+
+        for (const event of events) {
+            event.vin = vin;
+            const geofence = this.geofences.get(event.geofence_id);
+            console.log(`📍 ${vin} ${event.type} "${geofence.name}"`);
+            event.actions = await this._runActions(geofence, event);
+            await this._record(event);
+        }
+        return events;
+    }
+
+    async _runActions(geofence, event) {
+        if (this.handlers) {
+            this.handlers.publish(event);
+        }
+
+        const results = [];
+        for (const action of (geofence.actions || []).filter(action => action.on === event.type)) {
+            if (!this.handlers) {
+                results.push({ ...action, status: 'skipped', reason: 'geofence monitor is not running' });
+                continue;
+            }
+            try {
+                if (action.notify) {
+                    this.handlers.notify(event);
+                    results.push({ ...action, status: 'success' });
+                } else {
+                    results.push({ ...action, ...await this.handlers.runCommand(action, event.vin, event) });
+                }
+            } catch (error) {
+                results.push({ ...action, status: 'failure', error: error.message });
+            }
+        }
+        return results;
+    }
+
+    async _record(event) {
+        this.events = [event].concat(this.events).slice(0, MAX_EVENTS_IN_MEMORY);
+
+        try {
+            await db.saveGeofenceEvent(event);
+        } catch (error) {
+            console.warn(`⚠️ Could not save geofence event for ${event.vin}:`, error.message);
+        }
+    }
+
+    /**
+     * Recent events, newest first; falls back to the events held in memory
+     */
+    async getEvents({ geofenceId = null, vin = null, limit = 50 } = {}) {
+        try {
+            return await db.getGeofenceEvents({ geofenceId, vin, limit });
+        } catch (error) {
+            console.warn('⚠️ Could not read geofence events from database:', error.message);
+            return this.events
+                .filter(event => (!geofenceId || event.geofence_id === geofenceId) && (!vin || event.vin === vin))
+                .slice(0, limit);
+        }
+    }
+
+    getVins() {
+        const { vins } = this.getSettings();
+        if (vins.length > 0) return vins.map(vin => vin.toUpperCase());
+        const defaultVin = this.handlers && this.handlers.getDefaultVin();
+        return defaultVin ? [defaultVin] : [];
+    }
+
+    /**
+     * Read the location of every polled vehicle that has geofences and check it
+     */
+    async poll(now = new Date()) {
+        const results = [];
+        for (const vin of this.getVins().filter(vin => this.forVehicle(vin).length > 0)) {
+            try {
+                const location = await this.handlers.readLocation(vin);
+                results.push({ vin, events: await this.observe(vin, location, now) });
+            } catch (error) {
+                console.warn(`⚠️ Geofence poll failed for ${vin}:`, error.message);
+                results.push({ vin, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Start polling. `handlers.readLocation(vin)` resolves to a location body,
+     * `handlers.runCommand(action, vin, event)` to { status, reason, error, command_id };
+     * `handlers.notify(event)` and `handlers.publish(event)` send it to webhooks and GET /events
+     */
+    start(handlers) {
+        this.handlers = handlers;
+        this._schedulePoll();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextPollAt = null;
+    }
+
+    // The loop keeps running while geofences.enabled is off, so a config reload can turn it on
+    _schedulePoll() {
+        clearTimeout(this.timer);
+        const delay = this.getSettings().poll_interval_minutes * 60 * 1000;
+        this.nextPollAt = new Date(Date.now() + delay);
+        this.timer = setTimeout(async () => {
+            if (this.getSettings().enabled) {
+                await this.poll();
+            }
+            this._schedulePoll();
+        }, delay);
+        this.timer.unref();
+    }
+
+    getStatus() {
+        const settings = this.getSettings();
+        return {
+            enabled: settings.enabled,
+            vins: this.getVins(),
+            poll_interval_minutes: settings.poll_interval_minutes,
+            next_poll_at: settings.enabled ? this.nextPollAt : null
+        };
+    }
+
+    toJSON(geofence) {
+        const inside = {};
+        this.states.forEach((state, vin) => {
+            if (state[geofence.id]) inside[vin] = { inside: state[geofence.id].inside, since: state[geofence.id].since };
+        });
+        return { ...geofence, vehicles: inside };
+    }
+}
+
+// Export singleton instance
+module.exports = new GeofenceMonitor();
+module.exports.GeofenceMonitor = GeofenceMonitor;
+module.exports.containsPoint = containsPoint;
+module.exports.evaluateGeofences = evaluateGeofences;
+module.exports.validateShape = validateShape;
+module.exports.GEOFENCE_EVENTS = GEOFENCE_EVENTS;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Stub webhook receiver for local testing
+ * Prints every event, checks its signature and can fail on purpose to exercise retries
+ *
+ * Usage: node mytests/webhook_receiver.js <secret> [--fail=N]
+ *   --fail=N answers 500 to the first N requests
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.RECEIVER_PORT || 9090;
+const secret = process.argv[2];
+const failArg = process.argv.find(arg => arg.startsWith('--fail='));
+let failuresLeft = failArg ? parseInt(failArg.split('=')[1]) : 0;
+
+if (!secret) {
+    console.error('Usage: node mytests/webhook_receiver.js <secret> [--fail=N]');
+    process.exit(1);
+}
+
+function verifySignature(headers, body) {
+    const expected = crypto.createHmac('sha256', secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+    const received = (headers['x-webhook-signature'] || '').replace('sha256=', '');
+
+    return received.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const valid = verifySignature(req.headers, body);
+        console.log(`\n📨 ${req.headers['x-webhook-event']} (${req.headers['x-webhook-delivery']})`);
+        console.log(`   Signature: ${valid ? '✅ valid' : '❌ INVALID'}`);
+        console.log(`   ${body}`);
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`   💥 Answering 500 (${failuresLeft} failure(s) left)`);
+            res.statusCode = 500;
+        } else {
+            res.statusCode = valid ? 200 : 401;
+        }
+        res.end();
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}/webhook`);
+});
@@ -1,7 +1,35 @@
 //const OnStar = require('./deps/index.cjs');
 const OnStar = require('onstarjs2');
 const _ = require('lodash');
+const { setTimeout, clearTimeout, setInterval, clearInterval } = require('timers');
 const Vehicle = require('./deps/vehicle');
+const { CommandBudget } = require('./command_budget');
+const { VehicleMonitor, toReading, MONITOR_DIAGNOSTICS } = require('./vehicle_monitor');
+const { parseDiagnostics, resolveUnits } = require('./diagnostics');
+
+// How long closing a config node waits for the command in flight (Node-RED gives up after 15s)
+const CLOSE_TIMEOUT_MS = 10 * 1000;
+
+// Config node settings kept in Node-RED credentials so they are not exported with the flow
+const CREDENTIAL_FIELDS = ['username', 'password', 'totp', 'pin'];
+
+// Credentials of a config node, falling back to plain text values saved in the flow by
+// older versions. `legacy` lists the fields that came from the flow
+function resolveCredentials(config, credentials) {
+    const resolved = {};
+    const legacy = [];
+
+    CREDENTIAL_FIELDS.forEach(field => {
+        if (credentials && credentials[field]) {
+            resolved[field] = credentials[field];
+        } else if (config[field]) {
+            resolved[field] = config[field];
+            legacy.push(field);
+        }
+    });
+
+    return { credentials: resolved, legacy };
+}
 
 function createClient(configNode) {
     let options = {
@@ -25,42 +53,73 @@ function createClient(configNode) {
 }
 
 module.exports = function(RED) {
+    const STATUS_BADGES = {
+        requesting: { fill: 'blue', shape: 'ring' },
+        success: { fill: 'green', shape: 'dot' },
+        failed: { fill: 'red', shape: 'dot' }
+    };
+
+    function showStatus(node, state) {
+        node.status({ ...STATUS_BADGES[state], text: `${state} ${new Date().toLocaleTimeString()}` });
+    }
+
+    // Output payloads for the usual command results: [status or body, response data]
+    const commandStatus = result => [result.response.data.commandResponse.status, result.response.data];
+    const commandBody = result => [result.response.data.commandResponse.body, result.response.data];
+
+    // Run a node's command through its config node. `prepare` builds the request from the msg
+    // and returns the call to make with the client, so bad input fails before logging in. The
+    // incoming msg is passed on (topic, _msgid and other properties kept) with the payloads from
+    // `toPayloads`; failures go to done(err), which reports them with node.error(err, msg) so
+    // Catch nodes see them
+    async function runCommand(node, config, msg, send, done, prepare, toPayloads) {
+        showStatus(node, 'requesting');
+        try {
+            const command = prepare();
+            const configNode = RED.nodes.getNode(config.onstar2);
+            if (!configNode) {
+                throw new Error('No OnStar config node selected');
+            }
+
+            const result = await configNode.run(command, node.type.replace(/-/g, '_'));
+            const [payload1, payload2] = toPayloads(result);
+            const msg2 = RED.util.cloneMessage(msg);
+            msg.payload = payload1;
+            msg2.payload = payload2;
+
+            showStatus(node, 'success');
+            send([msg, msg2]);
+            done();
+        } catch (err) {
+            showStatus(node, 'failed');
+            done(err);
+        }
+    }
+
     function GetAccountVehicles(config) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        //node.on('input', async function (msg) 
-        node.on('input', async function () {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
-                const vehiclesRes = await client.getAccountVehicles();
-                const vehicles = _.map(
-                    _.get(vehiclesRes, 'response.data.vehicles.vehicle'),
-                    v => new Vehicle(v)
-                );
-                let msg1 = {payload: vehicles};
-                let msg2 = {payload: vehiclesRes.response};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => client => client.getAccountVehicles(), vehiclesRes => [
+                _.map(_.get(vehiclesRes, 'response.data.vehicles.vehicle'), v => new Vehicle(v)),
+                vehiclesRes.response
+            ]);
         });
     }
-    
+
     function GetDiagnostics(config) {
-        RED.nodes.createNode(this, config);                
+        RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {            
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
+        node.on('input', function (msg, send, done) {
+            let units = {};
+            runCommand(node, config, msg, send, done, () => {
+                const resolved = resolveUnits({ units: config.units || msg.payload.units });
+                if (resolved.error) {
+                    throw new Error(resolved.error);
+                }
+                units = resolved.units;
 
                 let diagnostics = config.diagnostics;
                 let diagnosticsArray = undefined;                
@@ -71,7 +130,6 @@ module.exports = function(RED) {
                     diagnosticsArray = diagnostics.split(',');
                 }                
 
-                let client = createClient(configNode);
                 let request = {
                     diagnosticItem: diagnosticsArray || msg.payload.diagnosticItem || [
                         "AMBIENT AIR TEMPERATURE",
@@ -104,18 +162,11 @@ module.exports = function(RED) {
                     ]
                 };
 
-                let result = await client.diagnostics(request);
-                let msg1 = {payload: result.response.data.commandResponse.body};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.diagnostics(request);
+            }, result => [
+                parseDiagnostics(result.response.data.commandResponse.body.diagnosticResponse, units),
+                result.response.data
+            ]);
         });
     }
 
@@ -123,29 +174,16 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let delay = config.delay;
                 let request = {
                     //delay: msg.payload.delay || 0
                     delay: delay || msg.payload.delay || 0
                 };
 
-                let result = await client.lockDoor(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.lockDoor(request);
+            }, commandStatus);
         });
     }
 
@@ -153,29 +191,16 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let delay = config.delay;
                 let request = {
                     //delay: msg.payload.delay || 0
                     delay: delay || msg.payload.delay || 0
                 };
 
-                let client = createClient(configNode);
-                let result = await client.unlockDoor(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.unlockDoor(request);
+            }, commandStatus);
         });
     }
 
@@ -183,29 +208,16 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let delay = config.delay;
                 let request = {
                     //delay: msg.payload.delay || 0
                     delay: delay || msg.payload.delay || 0
                 };
 
-                let result = await client.lockTrunk(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.lockTrunk(request);
+            }, commandStatus);
         });
     }
 
@@ -213,29 +225,16 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let delay = config.delay;
                 let request = {
                     //delay: msg.payload.delay || 0
                     delay: delay || msg.payload.delay || 0
                 };
 
-                let client = createClient(configNode);
-                let result = await client.unlockTrunk(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.unlockTrunk(request);
+            }, commandStatus);
         });
     }
 
@@ -243,24 +242,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        //node.on('input', async function (msg) 
-        node.on('input', async function () {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
-                let result = await client.start();
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => client => client.start(), commandStatus);
         });
     }
 
@@ -268,24 +251,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        //node.on('input', async function (msg) 
-        node.on('input', async function () {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
-                let result = await client.cancelStart();
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => client => client.cancelStart(), commandStatus);
         });
     }
 
@@ -293,10 +260,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let action = config.action;
                 let actionArray = undefined;
                 let delay = config.delay;
@@ -317,7 +282,6 @@ module.exports = function(RED) {
                     overrideArray = override.split(',');
                 }
 
-                let client = createClient(configNode);                              
                 let request = {
                     action: actionArray || msg.payload.action || ["Flash", "Honk"],
                     delay: delay || msg.payload.delay || 0,
@@ -325,18 +289,8 @@ module.exports = function(RED) {
                     override: overrideArray || msg.payload.override || ["DoorOpen", "IgnitionOn"]
                 };
 
-                let result = await client.alert(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.alert(request);
+            }, commandStatus);
         });
     }
 
@@ -344,11 +298,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let request = {
                     action: msg.payload.action || ["Flash"],
                     delay: msg.payload.delay || 0,
@@ -356,18 +307,8 @@ module.exports = function(RED) {
                     override: msg.payload.override || ["DoorOpen", "IgnitionOn"]
                 };
 
-                let result = await client.alert(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.alert(request);
+            }, commandStatus);
         });
     }
 
@@ -375,11 +316,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let request = {
                     action: msg.payload.action || ["Honk"],
                     delay: msg.payload.delay || 0,
@@ -387,43 +325,17 @@ module.exports = function(RED) {
                     override: msg.payload.override || ["DoorOpen", "IgnitionOn"]
                 };
 
-                let result = await client.alert(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.alert(request);
+            }, commandStatus);
         });
     }
-    
+
     function CancelAlertVehicle(config) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        //node.on('input', async function (msg) 
-        node.on('input', async function () {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
-                let result = await client.cancelAlert();
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => client => client.cancelAlert(), commandStatus);
         });
     }
 
@@ -431,24 +343,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        //node.on('input', async function (msg) 
-        node.on('input', async function () {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
-                let result = await client.location();
-                let msg1 = {payload: result.response.data.commandResponse.body};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => client => client.location(), commandBody);
         });
     }
 
@@ -456,27 +352,15 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let mode = config.mode;
-                let client = createClient(configNode);
                 let request = {
                     mode: mode || msg.payload.mode || "CHARGE_NOW"
                 };
 
-                let result = await client.chargeOverride(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+                return client => client.chargeOverride(request);
+            }, commandStatus);
         });
     }
 
@@ -484,24 +368,8 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        //node.on('input', async function (msg) 
-        node.on('input', async function () {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
-                let client = createClient(configNode);
-                let result = await client.getChargingProfile();
-                let msg1 = {payload: result.response.data.commandResponse.body};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
-            }
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => client => client.getChargingProfile(), commandBody);
         });
     }
 
@@ -509,49 +377,183 @@ module.exports = function(RED) {
         RED.nodes.createNode(this, config);
         const node = this;
 
-        node.on('input', async function (msg) {
-            try {
-                let configNode = RED.nodes.getNode(config.onstar2);
-
+        node.on('input', function (msg, send, done) {
+            runCommand(node, config, msg, send, done, () => {
                 let chargemode = config.chargemode;
                 let ratetype = config.ratetype;
 
-                let client = createClient(configNode);
                 let request = {
                     chargeMode: chargemode || msg.payload.chargeMode || "IMMEDIATE",
                     rateType: ratetype || msg.payload.rateType || "MIDPEAK"
                 };
 
-                let result = await client.setChargingProfile(request);
-                let msg1 = {payload: result.response.data.commandResponse.status};
-                let msg2 = {payload: result.response.data};
-                node.send(
-                    [(msg1), (msg2)]
-                );
-            } catch (err) {
-                let errmsg = {payload: err}
-                node.send(
-                    [errmsg, errmsg]
-                );
+                return client => client.setChargingProfile(request);
+            }, commandStatus);
+        });
+    }
+
+    function VehicleMonitorNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        const monitor = new VehicleMonitor({
+            battery_low_percent: Number(config.batterythreshold) || undefined,
+            movement_meters: Number(config.movementmeters) || undefined
+        });
+        // The editor stores the checkboxes as "true"/"false"
+        const readDiagnostics = String(config.diagnostics) !== 'false';
+        const readLocation = String(config.location) !== 'false';
+
+        // Read the vehicle and send one message per change event on output 1 and the reading on
+        // output 2. Skipped while the wake budget is down to the reserve for critical commands
+        node.poll = async function (msg = {}, send = node.send.bind(node)) {
+            const configNode = RED.nodes.getNode(config.onstar2);
+            if (!configNode) {
+                throw new Error('No OnStar config node selected');
+            }
+
+            const vin = configNode.vin;
+            const cost = (readDiagnostics ? 1 : 0) + (readLocation ? 1 : 0);
+            const { allowed, budget } = configNode.budget.canSpend(vin, { cost });
+            if (!allowed) {
+                node.status({ fill: 'yellow', shape: 'ring', text: `waiting for wake budget ${new Date().toLocaleTimeString()}` });
+                return { skipped: true, budget, events: [] };
+            }
+
+            showStatus(node, 'requesting');
+            const responses = {};
+            if (readDiagnostics) {
+                const request = { diagnosticItem: MONITOR_DIAGNOSTICS };
+                const result = await configNode.run(client => client.diagnostics(request), 'get_diagnostics');
+                responses.diagnostics = result.response.data.commandResponse.body.diagnosticResponse;
+            }
+            if (readLocation) {
+                const result = await configNode.run(client => client.location(), 'get_location');
+                responses.location = result.response.data.commandResponse.body;
             }
+
+            const reading = toReading(responses);
+            const events = monitor.update(reading);
+            configNode.budget.observe(vin, {
+                odometer: reading.values['ODOMETER'],
+                latitude: reading.location && reading.location.latitude,
+                longitude: reading.location && reading.location.longitude
+            });
+
+            events.forEach(event => {
+                send([{ ...RED.util.cloneMessage(msg), topic: event.type, payload: event }, null]);
+            });
+            send([null, { ...RED.util.cloneMessage(msg), topic: 'reading', payload: reading }]);
+            showStatus(node, 'success');
+            return { skipped: false, budget, events };
+        };
+
+        const check = (msg, send, done) => {
+            node.poll(msg, send).then(() => done(), err => {
+                showStatus(node, 'failed');
+                done(err);
+            });
+        };
+
+        // Any input message polls right away
+        node.on('input', function (msg, send, done) {
+            check(msg, send, done);
         });
+
+        const intervalMinutes = Number(config.interval) || 30;
+        const timer = setInterval(() => check({}, undefined, err => err && node.error(err)), intervalMinutes * 60 * 1000);
+
+        node.on('close', () => clearInterval(timer));
     }
 
     function OnStarNode(config) {
         RED.nodes.createNode(this, config);
-        this.username = config.username;
-        this.password = config.password;
-        this.totp = config.totp;
-        this.pin = config.pin;
+
+        const { credentials, legacy } = resolveCredentials(config, this.credentials);
+        if (legacy.length > 0) {
+            // Move plain text values from an old flow into credentials; the editor no longer
+            // knows these properties, so the next deploy drops them from the flow file
+            RED.nodes.addCredentials(this.id, { ...this.credentials, ...credentials });
+            this.warn(`Moved ${legacy.join(', ')} from the flow into credentials - deploy to remove them from the flow file`);
+        }
+
+        this.username = credentials.username;
+        this.password = credentials.password;
+        this.totp = credentials.totp;
+        this.pin = credentials.pin;
         this.vin = config.vin;
         this.deviceid = config.deviceid;
         this.tokenlocation = config.tokenlocation;
         this.checkrequeststatus = config.checkrequeststatus;
         this.requestpollingtimeoutseconds = config.requestpollingtimeoutseconds;
         this.requestpollingintervalseconds = config.requestpollingintervalseconds;
+
+        // One client for all nodes using this config: onstarjs2 keeps the session tokens in the
+        // client, so reusing it avoids logging in again for every message
+        this.client = null;
+        this.queue = Promise.resolve();
+        this.closing = false;
+
+        // Remote commands sent to the vehicle since it last woke up (see command_budget.js);
+        // the vehicle-monitor node polls only while there is budget to spare
+        this.budget = new CommandBudget();
+
+        this.getClient = () => {
+            if (!this.client) {
+                this.client = createClient(this);
+            }
+            return this.client;
+        };
+
+        // Run a command with the shared client. Commands run one at a time, in arrival order,
+        // so concurrent flows don't send overlapping requests to the vehicle. `name` counts the
+        // command against the wake budget
+        this.run = (command, name = null) => {
+            if (this.closing) {
+                return Promise.reject(new Error('OnStar config node is closing'));
+            }
+
+            const result = this.queue.then(() => {
+                if (this.closing) {
+                    throw new Error('OnStar config node was closed before the command was sent');
+                }
+                const client = this.getClient();
+                if (name) {
+                    this.budget.record(this.vin, name);
+                }
+                return command(client);
+            });
+            this.queue = result.catch(() => {});
+            return result;
+        };
+
+        // Let the command in flight finish (queued ones are dropped), then release the client
+        this.on('close', (removed, done) => {
+            this.closing = true;
+            let finished = false;
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                this.client = null;
+                done();
+            };
+            const timer = setTimeout(() => {
+                this.warn('Closing while an OnStar command is still running');
+                finish();
+            }, CLOSE_TIMEOUT_MS);
+            this.queue.then(finish);
+        });
     }
 
-    RED.nodes.registerType('onstar2', OnStarNode);
+    RED.nodes.registerType('onstar2', OnStarNode, {
+        credentials: {
+            username: { type: 'text' },
+            password: { type: 'password' },
+            totp: { type: 'password' },
+            pin: { type: 'password' }
+        }
+    });
     RED.nodes.registerType('get-account-vehicles', GetAccountVehicles);
     RED.nodes.registerType('get-diagnostics', GetDiagnostics);
     RED.nodes.registerType('lock-myvehicle', LockVehicle);
@@ -568,4 +570,7 @@ module.exports = function(RED) {
     RED.nodes.registerType('mycharge-override', ChargeOverride);
     RED.nodes.registerType('get-mycharge-profile', GetChargeProfile);
     RED.nodes.registerType('set-mycharge-profile', SetChargeProfile);
-}
\ No newline at end of file
+    RED.nodes.registerType('vehicle-monitor', VehicleMonitorNode);
+}
+
+module.exports.CREDENTIAL_FIELDS = CREDENTIAL_FIELDS;
\ No newline at end of file
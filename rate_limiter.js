@@ -0,0 +1,144 @@
+/**
+ * Category Rate Limiter for Brandt Car API
+ * Enforces the per-category limits declared in config.json (security.rate_limiting)
+ */
+
+// Command category -> config.json rate_limiting block
+const CATEGORY_CONFIG_KEYS = {
+    alerts: 'alert_commands',
+    doors: 'door_commands',
+    climate: 'climate_commands',
+    charging: 'charging_commands',
+    information: 'information_commands'
+};
+
+class CategoryRateLimiter {
+    /**
+     * @param {Function} getConfig - returns the current server configuration, so reloads apply immediately
+     */
+    constructor(getConfig) {
+        this.getConfig = getConfig;
+        this.hits = new Map(); // "category:key" -> request timestamps inside the window
+    }
+
+    /**
+     * Active limit for a category, or null when the category is unlimited
+     */
+    getPolicy(category) {
+        const configKey = CATEGORY_CONFIG_KEYS[category];
+        const config = this.getConfig() || {};
+        const block = config.security && config.security.rate_limiting && config.security.rate_limiting[configKey];
+
+        if (!block || !block.max_requests || !block.window_minutes) {
+            return null;
+        }
+
+        return {
+            category,
+            config_key: configKey,
+            max_requests: block.max_requests,
+            window_minutes: block.window_minutes,
+            scope: block.scope === 'client' ? 'client' : 'vehicle'
+        };
+    }
+
+    /**
+     * Record a request and report whether it fits in the window (sliding window log)
+     */
+    hit(category, key, now = Date.now()) {
+        const policy = this.getPolicy(category);
+        if (!policy) {
+            return { allowed: true, policy: null };
+        }
+
+        const windowMs = policy.window_minutes * 60 * 1000;
+        const bucketKey = `${category}:${key}`;
+        const timestamps = (this.hits.get(bucketKey) || []).filter(t => now - t < windowMs);
+
+        const allowed = timestamps.length < policy.max_requests;
+        if (allowed) {
+            timestamps.push(now);
+        }
+        this.hits.set(bucketKey, timestamps);
+
+        const resetAt = timestamps.length > 0 ? timestamps[0] + windowMs : now + windowMs;
+
+        return {
+            allowed,
+            policy,
+            limit: policy.max_requests,
+            remaining: Math.max(0, policy.max_requests - timestamps.length),
+            resetSeconds: Math.max(0, Math.ceil((resetAt - now) / 1000))
+        };
+    }
+
+    /**
+     * Express middleware enforcing the limit of one category
+     */
+    middleware(category) {
+        if (!CATEGORY_CONFIG_KEYS[category]) {
+            throw new Error(`Unknown rate limit category: ${category}`);
+        }
+
+        return (req, res, next) => {
+            const policy = this.getPolicy(category);
+            if (!policy) {
+                return next();
+            }
+
+            const key = policy.scope === 'client' ?
+                (req.headers.authorization || req.ip) :
+                (req.vehicleVin || 'default');
+            const result = this.hit(category, key);
+
+            res.set('RateLimit-Policy', `${result.limit};w=${policy.window_minutes * 60}`);
+            res.set('RateLimit-Limit', String(result.limit));
+            res.set('RateLimit-Remaining', String(result.remaining));
+            res.set('RateLimit-Reset', String(result.resetSeconds));
+            res.set('X-RateLimit-Category', category);
+
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.resetSeconds));
+                return res.status(429).json({
+                    success: false,
+                    message: `Rate limit exceeded for ${category} commands: ${result.limit} per ${policy.window_minutes} minutes`,
+                    timestamp: new Date().toISOString(),
+                    data: {
+                        category,
+                        limit: result.limit,
+                        window_minutes: policy.window_minutes,
+                        scope: policy.scope,
+                        retry_after_seconds: result.resetSeconds,
+                        config_key: `security.rate_limiting.${policy.config_key}`
+                    }
+                });
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Current limits for every category (used by /capabilities, /contract and config reloads)
+     */
+    describe() {
+        const limits = {};
+        Object.keys(CATEGORY_CONFIG_KEYS).forEach(category => {
+            limits[category] = this.getPolicy(category) || { category, unlimited: true };
+        });
+        return limits;
+    }
+
+    /**
+     * Drop recorded hits, optionally for a single category
+     */
+    reset(category = null) {
+        for (const bucketKey of this.hits.keys()) {
+            if (!category || bucketKey.startsWith(`${category}:`)) {
+                this.hits.delete(bucketKey);
+            }
+        }
+    }
+}
+
+module.exports = { CategoryRateLimiter, CATEGORY_CONFIG_KEYS };
@@ -21,6 +21,61 @@ const db = require('./database');
 // Import session manager
 const sessionManager = require('./session_manager');
 
+// Import command tracker
+const commandTracker = require('./command_tracker');
+
+// Import category rate limiter
+const { CategoryRateLimiter } = require('./rate_limiter');
+
+// Import wake budget tracker
+const commandBudget = require('./command_budget');
+
+// Import telemetry cache
+const telemetryCache = require('./telemetry_cache');
+const { LOCATION_ITEM } = telemetryCache;
+
+// Import telemetry history
+const telemetryHistory = require('./telemetry_history');
+
+// Import diagnostics model
+const diagnosticsModel = require('./diagnostics');
+
+// Import vehicle capabilities
+const vehicleCapabilities = require('./vehicle_capabilities');
+
+// Import climate control
+const climateControl = require('./climate_control');
+
+// Import charging profile model
+const chargingProfiles = require('./charging_profile');
+
+// Import smart charging scheduler
+const chargingScheduler = require('./charging_scheduler');
+
+// Import command schedules
+const commandSchedules = require('./command_schedules');
+
+// Import geofence monitor
+const geofences = require('./geofences');
+
+// Import API key manager
+const apiKeys = require('./api_keys');
+
+// Import access token manager
+const accessTokens = require('./access_tokens');
+
+// Import confirmation token manager
+const confirmationTokens = require('./confirmation_tokens');
+
+// Import webhook manager
+const webhooks = require('./webhooks');
+
+// Import Server-Sent Events stream
+const eventStream = require('./event_stream');
+
+// Import OnStar token store
+const tokenStore = require('./token_store');
+
 // Load configuration
 let config;
 try {
@@ -38,7 +93,7 @@ try {
             status: { get: true },
             location: { get: true },
             diagnostics: { get: true },
-            charging: { start: true, stop: true, profile_get: true, profile_set: true },
+            charging: { start: true, stop: true, profile_get: true, profile_set: true, plan: true },
             system: { health: true, capabilities: true }
         },
         security: {
@@ -48,7 +103,7 @@ try {
         logging: { log_all_requests: false, log_disabled_attempts: true },
         notifications: {
             disabled_endpoint_message: "This endpoint has been disabled for safety reasons.",
-            confirmation_required_message: "This action requires confirmation. Add 'confirm=true' to your request body."
+            confirmation_required_message: "This action requires confirmation. Repeat the request with the confirmation_token from this response."
         }
     };
 }
@@ -68,10 +123,69 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// API Key authentication
+// Per-category rate limiting (security.rate_limiting in config.json, re-read on every request)
+const categoryLimiter = new CategoryRateLimiter(() => config);
+
+// Wake budget per vehicle (vehicle.wake_budget in config.json)
+commandBudget.configure(() => config);
+
+// Telemetry max ages (telemetry_cache in config.json)
+telemetryCache.configure(() => config);
+
+// Confirmation token lifetime (security.confirmation_ttl_seconds in config.json)
+confirmationTokens.configure(() => config);
+
+// Webhook retries and event thresholds (webhooks in config.json)
+webhooks.configure(() => config);
+
+// Background session refresh (session.auto_refresh in config.json)
+sessionManager.configure(() => config);
+
+// Where OnStar tokens are kept between restarts (session.token_store in config.json)
+tokenStore.configure(() => config);
+
+// Hiding unsupported routes and capability cache lifetime (capabilities in config.json)
+vehicleCapabilities.configure(() => config);
+
+// Climate durations, auto-stop and unsupported parameters (climate in config.json)
+climateControl.configure(() => config);
+
+// Tariff, target level and departure time for smart charging (charging_scheduler in config.json)
+chargingScheduler.configure(() => config);
+
+// Scheduled commands (schedules in config.json)
+commandSchedules.configure(() => config);
+
+// Geofence location polling (geofences in config.json)
+geofences.configure(() => config);
+
+// Push command results and session expiry to webhooks
+const COMMAND_EVENTS = { success: 'command.succeeded', failure: 'command.failed', cancelled: 'command.cancelled' };
+
+commandTracker.on('update', command => {
+    if (COMMAND_EVENTS[command.status]) {
+        webhooks.publish(COMMAND_EVENTS[command.status], { vin: command.vin, data: command });
+    }
+});
+
+sessionManager.on('state', session => {
+    if (session.state === 'expired') {
+        webhooks.publish('session.expired', {
+            data: { session_id: session.sessionId, reason: session.reason, command: session.command || null }
+        });
+    }
+});
+
+// Stream session state, command progress and vehicle requests to GET /events
+sessionManager.on('state', session => eventStream.publish('session', session));
+sessionManager.on('command', request => eventStream.publish('vehicle_request', request));
+commandTracker.on('update', command => eventStream.publish('command', command));
+
+// API Key authentication. API_KEY is the master key; named keys from the api_keys table
+// are limited to their permissions and access tokens (JWTs from POST /auth/token) to their scope
 const API_KEY = process.env.API_KEY || 'brandt-car-boltaire-2025';
 
-function authenticateApiKey(req, res, next) {
+async function authenticateApiKey(req, res, next) {
     const authHeader = req.headers.authorization;
     
     if (!authHeader) {
@@ -91,14 +205,90 @@ function authenticateApiKey(req, res, next) {
     }
     
     const apiKey = authHeader.replace('Bearer ', '');
-    if (apiKey !== API_KEY) {
+    if (apiKey === API_KEY) {
+        req.apiKey = { name: 'master', master: true, permissions: '*' };
+        return next();
+    }
+    
+    if (accessTokens.isToken(apiKey)) {
+        let claims;
+        try {
+            claims = accessTokens.verify(apiKey);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: `Invalid access token: ${error.message}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        let tokenLookup;
+        try {
+            tokenLookup = await accessTokens.lookup(claims);
+        } catch (error) {
+            console.error('Access token lookup failed:', error.message);
+            return res.status(503).json({
+                success: false,
+                message: 'Access token lookup failed, try again later',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!tokenLookup.valid) {
+            return res.status(401).json({
+                success: false,
+                message: `Invalid access token: ${tokenLookup.reason}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        req.apiKey = { name: `token:${claims.label || claims.jti}`, master: false, delegated: true, claims };
+        return next();
+    }
+    
+    let lookup;
+    try {
+        lookup = await apiKeys.authenticate(apiKey);
+    } catch (error) {
+        console.error('API key lookup failed:', error.message);
+        return res.status(503).json({
+            success: false,
+            message: 'API key lookup failed, try again later',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    if (!lookup.valid) {
         return res.status(401).json({
             success: false,
-            message: 'Invalid API key',
+            message: lookup.reason === 'unknown' ? 'Invalid API key' : `API key ${lookup.reason}`,
             timestamp: new Date().toISOString()
         });
     }
     
+    req.apiKey = { ...lookup.key, master: false };
+    next();
+}
+
+// Middleware for endpoints that access tokens can't use (they only reach the endpoints in their scope)
+function rejectAccessTokens(req, res, next) {
+    if (req.apiKey && req.apiKey.delegated) {
+        return res.status(403).json(createResponse(false, 'Access tokens cannot use this endpoint', {
+            scope: req.apiKey.claims.scope
+        }));
+    }
+    
+    next();
+}
+
+// Master key middleware for administrative endpoints
+function requireMasterKey(req, res, next) {
+    if (!req.apiKey || !req.apiKey.master) {
+        return res.status(403).json(createResponse(false, 'This endpoint requires the master API key', {
+            api_key: req.apiKey ? req.apiKey.name : null
+        }));
+    }
+    
     next();
 }
 
@@ -124,30 +314,175 @@ function checkEndpointEnabled(category, action) {
             ));
         }
         
+        // Routes the vehicle can't perform (e.g. the trunk on some models) are hidden
+        if (vehicleCapabilities.getSettings().hide_unsupported &&
+            vehicleCapabilities.supports(req.vehicleVin, category, action) === false) {
+            const vehicle = vehicleCapabilities.getCached(req.vehicleVin);
+            return res.status(404).json(createResponse(false,
+                `${req.method} ${req.baseUrl}${req.path} is not supported by ${vehicle.description}`,
+                {
+                    endpoint: `${category}.${action}`,
+                    supported: false,
+                    vin: vehicle.vin,
+                    hint: 'GET /capabilities lists what this vehicle supports'
+                }
+            ));
+        }
+        
+        // Access tokens are limited to their scope, vehicles and number of uses
+        if (req.apiKey && req.apiKey.delegated) {
+            return useAccessToken(req, res, next, category, action);
+        }
+        
+        requirePermission(category, action)(req, res, next);
+    };
+}
+
+// Named API keys are limited to their permissions (access tokens are checked against their scope instead)
+function requirePermission(category, action) {
+    return (req, res, next) => {
+        if (req.apiKey && !req.apiKey.delegated && !apiKeys.isAllowed(req.apiKey, category, action)) {
+            return res.status(403).json(createResponse(false, 
+                `API key "${req.apiKey.name}" is not allowed to use ${category}.${action}`,
+                {
+                    endpoint: `${category}.${action}`,
+                    api_key: req.apiKey.name,
+                    permissions: req.apiKey.permissions
+                }
+            ));
+        }
+        
         next();
     };
 }
 
-// Confirmation required middleware
+// Count a use of an access token, giving it back if the request fails
+async function useAccessToken(req, res, next, category, action) {
+    const claims = req.apiKey.claims;
+    let use = accessTokens.check(claims, category, action, req.vehicleVin);
+    if (use.allowed) {
+        try {
+            use = await accessTokens.consume(claims);
+        } catch (error) {
+            console.error('Access token use could not be counted:', error.message);
+            return res.status(503).json(createResponse(false, 'Access token use could not be counted, try again later'));
+        }
+    }
+    
+    if (!use.allowed) {
+        return res.status(403).json(createResponse(false, use.reason, {
+            endpoint: `${category}.${action}`,
+            scope: claims.scope,
+            vins: claims.vins,
+            max_uses: claims.max_uses
+        }));
+    }
+    
+    if (use.remaining !== null) {
+        res.set('X-Token-Uses-Remaining', String(use.remaining));
+    }
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            // A failed refund was logged by the database module; the use stays counted
+            accessTokens.refund(claims).catch(() => {});
+        }
+    });
+    
+    next();
+}
+
+// Confirmation required middleware. The first request gets a one-time confirmation token
+// bound to the action, its parameters, the API key and the vehicle; repeating the request
+// with the token (body confirmation_token or X-Confirmation-Token header) executes it
 function requireConfirmation(actionKey) {
     return (req, res, next) => {
         const requiresConfirmation = config.security.require_confirmation[actionKey];
+        if (!requiresConfirmation) {
+            return next();
+        }
+        
+        const token = req.body.confirmation_token || req.get('X-Confirmation-Token');
+        const request = {
+            action: actionKey,
+            body: req.body,
+            credential: req.headers.authorization,
+            vin: req.vehicleVin || null
+        };
         
-        if (requiresConfirmation && !req.body.confirm) {
-            return res.status(400).json(createResponse(false, 
+        if (!token) {
+            const vehicle = req.vehicleVin ? sessionManager.findVehicle(req.vehicleVin) : null;
+            const confirmation = confirmationTokens.issue({ ...request, vehicle: vehicle ? vehicle.toString() : null });
+            req.confirmationStatus = 'issued';
+            
+            return res.status(428).json(createResponse(false, 
                 config.notifications.confirmation_required_message,
                 {
                     action: actionKey,
                     requires_confirmation: true,
-                    hint: "Add 'confirm: true' to your request body to proceed"
+                    confirmation_token: confirmation.token,
+                    expires_at: confirmation.expiresAt.toISOString(),
+                    summary: confirmation.summary,
+                    hint: req.body.confirm === true
+                        ? "'confirm: true' is no longer accepted - repeat the request with this confirmation_token"
+                        : 'Repeat the same request with this confirmation_token in the body or the X-Confirmation-Token header'
                 }
             ));
         }
         
+        const result = confirmationTokens.redeem(token, request);
+        req.confirmationStatus = result.valid ? 'confirmed' : result.reason;
+        
+        if (!result.valid) {
+            const messages = {
+                unknown: 'Unknown or already used confirmation token',
+                expired: 'Confirmation token has expired',
+                mismatch: 'Confirmation token was issued for a different request'
+            };
+            return res.status(result.reason === 'mismatch' ? 403 : 400).json(createResponse(false, messages[result.reason], {
+                action: actionKey,
+                requires_confirmation: true,
+                reason: result.reason,
+                hint: 'Repeat the request without confirmation_token to get a new one. Tokens are single use and only valid for the same action, parameters, API key and vehicle'
+            }));
+        }
+        
+        console.log(`✅ Confirmed: ${result.summary}`);
         next();
     };
 }
 
+// Wake budget middleware for reads. A parked vehicle only answers a few requests
+// before it hibernates, so reads stop once only the critical reserve is left.
+// `cost` is the number of OnStar requests, or a function of the request returning it
+function checkWakeBudget(cost = 1) {
+    return (req, res, next) => {
+        const requestCost = typeof cost === 'function' ? cost(req) : cost;
+        if (requestCost === 0 || req.query.force === 'true') {
+            return next();
+        }
+
+        const { allowed, budget } = commandBudget.canSpend(req.vehicleVin, { cost: requestCost });
+        if (allowed) {
+            return next();
+        }
+
+        const retryAfter = budget.resets_at ? Math.max(0, Math.ceil((budget.resets_at.getTime() - Date.now()) / 1000)) : null;
+        if (retryAfter !== null) {
+            res.set('Retry-After', String(retryAfter));
+        }
+
+        return res.status(429).json(createResponse(false,
+            `Wake budget nearly exhausted for vehicle ${budget.vin}: ${budget.remaining} of ${budget.limit} requests left, reserved for critical commands`,
+            {
+                wake_budget: budget,
+                request_cost: requestCost,
+                retry_after_seconds: retryAfter,
+                hint: 'Drive the vehicle or wait for the budget to reset, add ?force=true to spend the reserve anyway, or POST /budget/reset if the vehicle is known to be awake'
+            }
+        ));
+    };
+}
+
 // Logging function
 function logToFile(message) {
     if (config.logging && config.logging.log_file) {
@@ -185,7 +520,7 @@ app.use((req, res, next) => {
             const responseData = JSON.parse(data);
             if (responseData && typeof responseData === 'object' && responseData.data) {
                 // Add session summary to all API responses
-                const sessionSummary = sessionManager.getSessionSummary();
+                const sessionSummary = sessionManager.getSessionSummary(req.vehicleVin);
                 responseData.data.session = sessionSummary;
             }
             originalSend.call(this, JSON.stringify(responseData));
@@ -213,17 +548,21 @@ app.use(async (req, res, next) => {
             userAgent: req.get('User-Agent'),
             ipAddress: req.ip,
             apiKey: req.headers.authorization ? req.headers.authorization.replace('Bearer ', '') : null,
+            apiKeyName: req.apiKey ? req.apiKey.name : null,
             requestBody: req.method === 'POST' || req.method === 'PUT' ? req.body : null,
             responseStatus: res.statusCode,
             responseBody: data,
             executionTime,
             success: res.statusCode < 400,
             errorMessage: res.statusCode >= 400 ? data : null,
-            vehicleVin: process.env.ONSTAR_VIN,
+            vehicleVin: req.vehicleVin || process.env.ONSTAR_VIN,
             commandType: getCommandType(req.path),
             safetyLevel: getSafetyLevel(req.path),
             requiresConfirmation: requiresConfirmation(req.path),
-            confirmationProvided: req.body && req.body.confirm === true,
+            confirmationProvided: req.confirmationStatus === 'confirmed',
+            confirmationStatus: req.confirmationStatus || null,
+            authRetry: req.authRetry ? req.authRetry.status : null,
+            commandId: req.commandId || null,
             environment: process.env.RAILWAY_ENVIRONMENT || 'development',
             deploymentId: process.env.RAILWAY_DEPLOYMENT_ID || 'local'
         }).catch(err => {
@@ -274,10 +613,14 @@ function createResponse(success, message, data = null) {
 
 
 
-// Helper function to execute OnStar commands with session management
-async function executeSessionCommand(commandName, commandFunc) {
+// Helper function to execute OnStar commands with session management.
+// A retry after a 401 is kept on the request for command_log
+async function executeSessionCommand(commandName, commandFunc, vin, req = null) {
     try {
-        const result = await sessionManager.executeCommand(commandName, commandFunc);
+        const result = await sessionManager.executeCommand(commandName, commandFunc, vin);
+        if (req && result.authRetry) {
+            req.authRetry = result.authRetry;
+        }
         return result;
     } catch (error) {
         console.error(`Session command ${commandName} failed:`, error.message);
@@ -285,10 +628,231 @@ async function executeSessionCommand(commandName, commandFunc) {
     }
 }
 
+// Telemetry read by the information endpoints
+const STATUS_TELEMETRY = {
+    diagnostics: [
+        'EV BATTERY LEVEL',
+        'EV RANGE',
+        'ODOMETER',
+        'TIRE PRESSURE',
+        'AMBIENT AIR TEMPERATURE',
+        'EV CHARGE STATE',
+        'EV PLUG STATE'
+    ],
+    location: true
+};
+const LOCATION_TELEMETRY = { location: true };
+const DIAGNOSTICS_TELEMETRY = { diagnostics: 'all' };
+
+// Telemetry cache options: ?fresh=true bypasses the cache, ?max_age=<seconds> overrides the configured max age
+function parseTelemetryOptions(req, res, next) {
+    req.telemetryMaxAge = null;
+
+    if (req.query.fresh === 'true') {
+        req.telemetryMaxAge = 0;
+    } else if (req.query.max_age !== undefined) {
+        const maxAge = Number(req.query.max_age);
+        if (!Number.isInteger(maxAge) || maxAge < 0) {
+            return res.status(400).json(createResponse(false, 'max_age must be a whole number of seconds', {
+                max_age: req.query.max_age,
+                hint: 'Use ?max_age=600 to accept values up to 10 minutes old, or ?fresh=true to skip the cache'
+            }));
+        }
+        req.telemetryMaxAge = maxAge;
+    }
+
+    next();
+}
+
+// Diagnostics units: ?units=metric|imperial, ?pressure_unit=kpa|psi, ?distance_unit=km|mi, ?temperature_unit=c|f
+function parseUnitOptions(req, res, next) {
+    const { units, error } = diagnosticsModel.resolveUnits(req.query);
+    if (error) {
+        return res.status(400).json(createResponse(false, error, {
+            hint: 'Use ?units=imperial or ?units=metric, and e.g. ?pressure_unit=psi to change one dimension'
+        }));
+    }
+
+    req.diagnosticUnits = units;
+    next();
+}
+
+// Work out which telemetry has to come from the vehicle because the cache can't serve it
+function planTelemetry(req, { diagnostics = null, location = false }) {
+    const vin = req.vehicleVin;
+    const options = { maxAge: req.telemetryMaxAge };
+    const plan = { diagnosticItems: null, staleDiagnostics: null, fetchDiagnostics: false, fetchLocation: false };
+
+    if (diagnostics) {
+        // Without a previous unfiltered request we don't know which items the vehicle has
+        plan.diagnosticItems = diagnostics === 'all' ? telemetryCache.getDiagnosticItems(vin) : diagnostics;
+        plan.staleDiagnostics = plan.diagnosticItems ? telemetryCache.getStaleItems(vin, plan.diagnosticItems, options) : null;
+        plan.fetchDiagnostics = !plan.staleDiagnostics || plan.staleDiagnostics.length > 0;
+    }
+
+    if (location) {
+        plan.fetchLocation = telemetryCache.getStaleItems(vin, [LOCATION_ITEM], options).length > 0;
+    }
+
+    plan.cost = (plan.fetchDiagnostics ? 1 : 0) + (plan.fetchLocation ? 1 : 0);
+    return plan;
+}
+
+// Helper function to read vehicle telemetry through the cache, only asking the vehicle for stale values
+async function readTelemetry(req, spec) {
+    const vin = req.vehicleVin;
+    const startTime = Date.now();
+    const plan = planTelemetry(req, spec);
+    const commandsExecuted = [];
+    let liveItems = [];
+
+    if (plan.fetchDiagnostics) {
+        const request = plan.staleDiagnostics ? { diagnosticItem: plan.staleDiagnostics } : undefined;
+        const command = await executeSessionCommand('get_diagnostics', (client) => client.diagnostics(request), vin, req);
+        if (!command.success) {
+            return { success: false, error: command.error };
+        }
+
+        const diagnosticResponse = command.result.response.data.commandResponse.body.diagnosticResponse;
+        const reported = telemetryCache.storeDiagnostics(vin, diagnosticResponse, { requestedItems: plan.staleDiagnostics });
+        liveItems = liveItems.concat(plan.staleDiagnostics || reported);
+        commandsExecuted.push('get_diagnostics');
+        recordTelemetryHistory(vin, { diagnostics: diagnosticResponse });
+
+        const model = diagnosticsModel.parseDiagnostics(diagnosticResponse);
+        commandBudget.observe(vin, { odometer: diagnosticsModel.diagnosticValue(model, 'ODOMETER') });
+        webhooks.observeBatteryLevel(vin, parseFloat(diagnosticsModel.diagnosticValue(model, 'EV BATTERY LEVEL')));
+    }
+
+    if (plan.fetchLocation) {
+        const command = await executeSessionCommand('get_location', (client) => client.location(), vin, req);
+        if (!command.success) {
+            return { success: false, error: command.error };
+        }
+
+        const location = command.result.response.data.commandResponse.body;
+        telemetryCache.storeLocation(vin, location);
+        liveItems.push(LOCATION_ITEM);
+        commandsExecuted.push('get_location');
+        recordTelemetryHistory(vin, { location });
+
+        // A moved vehicle has been driven and is awake again
+        commandBudget.observe(vin, { latitude: location.latitude, longitude: location.longitude });
+        
+        // Every live position is checked against the geofences, not only the poller's
+        geofences.observe(vin, location).catch(error => console.error(`❌ Geofence check failed for ${vin}:`, error.message));
+    }
+
+    const diagnosticItems = spec.diagnostics ? (plan.diagnosticItems || telemetryCache.getDiagnosticItems(vin) || []) : [];
+    const items = spec.location ? diagnosticItems.concat(LOCATION_ITEM) : diagnosticItems;
+    const { values, freshness } = telemetryCache.read(vin, items, { liveItems, maxAge: req.telemetryMaxAge });
+
+    return {
+        success: true,
+        diagnostics: diagnosticItems.map(item => values[item]).filter(Boolean),
+        location: values[LOCATION_ITEM] || null,
+        commandsExecuted,
+        executionTime: Date.now() - startTime,
+        freshness: {
+            from_cache: commandsExecuted.length === 0,
+            items: freshness
+        }
+    };
+}
+
+// Helper function to store live readings in vehicle_telemetry without delaying the response
+function recordTelemetryHistory(vin, readings) {
+    telemetryHistory.recordTelemetry(vin, readings).catch(err => {
+        console.error('Failed to record telemetry history:', err.message);
+    });
+}
+
+// Longest ?wait=true holds the connection; OnStar itself is polled for up to 120 seconds
+const WAIT_TIMEOUT_MS = 150 * 1000;
+
+// Helper function to run a vehicle command through the command tracker.
+// Responds 202 with a pollable command record, or waits for the result when ?wait=true
+async function dispatchCommand(req, res, { commandName, execute, successMessage, failureMessage, data = {}, resultData = null }) {
+    try {
+        // Fail fast instead of queueing a command that can never run
+        const sessionStatus = sessionManager.getSessionStatus();
+        if (!sessionStatus.isAuthenticated) {
+            return res.status(401).json(createResponse(false, 'Session required: No active session - please authenticate first', {
+                action: 'authenticate',
+                endpoint: '/auth/session',
+                hint: 'Please authenticate first using POST /auth/session'
+            }));
+        }
+
+        const command = commandTracker.submit({
+            commandName,
+            vin: req.vehicleVin,
+            parameters: confirmationTokens.getParameters(req.body),
+            execute: () => executeSessionCommand(commandName, execute, req.vehicleVin, req)
+        });
+        req.commandId = command.id;
+
+        if (req.query.wait !== 'true') {
+            res.location(command.status_url);
+            return res.status(202).json(createResponse(true, `Command accepted: ${commandName}`, {
+                ...data,
+                command_id: command.id,
+                vin: command.vin,
+                status: command.status,
+                status_url: command.status_url,
+                hint: `Poll GET ${command.status_url} for the result, or add ?wait=true to wait for completion`
+            }));
+        }
+
+        const { success, result, error, executionTime, authRetry, timedOut } = await commandTracker.wait(command.id, {
+            timeoutMs: WAIT_TIMEOUT_MS
+        });
+
+        // The vehicle is taking longer than a client can reasonably hold the connection open
+        if (timedOut) {
+            res.location(command.status_url);
+            return res.status(202).json(createResponse(true, `Command still running: ${commandName}`, {
+                ...data,
+                command_id: command.id,
+                vin: command.vin,
+                status: (await commandTracker.get(command.id)).status,
+                status_url: command.status_url,
+                hint: `Poll GET ${command.status_url} for the result`
+            }));
+        }
+
+        if (!success) {
+            // Check if error is due to session issues
+            if (error.includes('session') || error.includes('authenticate')) {
+                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
+                    action: 'authenticate',
+                    endpoint: '/auth/session',
+                    hint: 'Please authenticate first using POST /auth/session'
+                }));
+            }
+            return res.status(500).json(createResponse(false, `${failureMessage}: ${error}`, {
+                command_id: command.id
+            }));
+        }
+
+        res.json(createResponse(true, successMessage, {
+            ...data,
+            command_id: command.id,
+            execution_time_ms: executionTime,
+            status: result.response.data.commandResponse.status,
+            ...(resultData ? resultData(result) : {}),
+            ...(authRetry ? { auth_retry: authRetry } : {})
+        }));
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        res.status(500).json(createResponse(false, `${failureMessage}: ${error.message}`));
+    }
+}
+
 // SESSION MANAGEMENT ENDPOINTS
 
 // POST /auth/session - Initialize authentication session
-app.post('/auth/session', authenticateApiKey, async (req, res) => {
+app.post('/auth/session', authenticateApiKey, rejectAccessTokens, requirePermission('session', 'authenticate'), async (req, res) => {
     try {
         console.log('🔐 Session authentication requested');
         
@@ -334,7 +898,7 @@ app.post('/auth/session', authenticateApiKey, async (req, res) => {
 });
 
 // GET /auth/status - Check session status
-app.get('/auth/status', authenticateApiKey, async (req, res) => {
+app.get('/auth/status', authenticateApiKey, rejectAccessTokens, async (req, res) => {
     try {
         const status = sessionManager.getSessionStatus();
         const summary = sessionManager.getSessionSummary();
@@ -352,8 +916,10 @@ app.get('/auth/status', authenticateApiKey, async (req, res) => {
                 timeToExpiry: status.timeToExpiry,
                 lastError: status.lastError,
                 vehicleCount: status.vehicleCount,
-                hasStoredTokens: sessionManager.hasStoredTokens()
-            }
+                hasStoredTokens: sessionManager.hasStoredTokens(),
+                tokenStore: tokenStore.getStatus()
+            },
+            refresh: sessionManager.getRefreshStatus()
         }));
     } catch (error) {
         console.error('Session status check failed:', error);
@@ -362,7 +928,7 @@ app.get('/auth/status', authenticateApiKey, async (req, res) => {
 });
 
 // DELETE /auth/session - Clear session and tokens
-app.delete('/auth/session', authenticateApiKey, async (req, res) => {
+app.delete('/auth/session', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         await sessionManager.clearSession();
         res.json(createResponse(true, 'Session cleared successfully', {
@@ -375,372 +941,420 @@ app.delete('/auth/session', authenticateApiKey, async (req, res) => {
     }
 });
 
-// Vehicle Control Endpoints
+// POST /auth/token - Issue a short-lived access token for a few commands
+app.post('/auth/token', authenticateApiKey, rejectAccessTokens, async (req, res) => {
+    const { scope, vins = null, expires_in_minutes = accessTokens.DEFAULT_TTL_MINUTES, max_uses = null, label = null } = req.body || {};
+    const example = { scope: ['doors.unlock'], vins: [sessionManager.getDefaultVin()], expires_in_minutes: 15, max_uses: 1, label: 'dog walker' };
+    
+    const expanded = accessTokens.expandScope(scope, config.api_endpoints);
+    if (expanded.error) {
+        return res.status(400).json(createResponse(false, expanded.error, { example }));
+    }
+    
+    // Named keys can only delegate what they are allowed to do themselves
+    const notAllowed = expanded.actions.filter(entry => !apiKeys.isAllowed(req.apiKey, ...entry.split('.')));
+    if (notAllowed.length > 0) {
+        return res.status(403).json(createResponse(false, `API key "${req.apiKey.name}" cannot delegate ${notAllowed.join(', ')}`, {
+            permissions: req.apiKey.permissions
+        }));
+    }
+    
+    if (vins !== null && (!Array.isArray(vins) || vins.length === 0 || !vins.every(vin => VIN_PATTERN.test(vin)))) {
+        return res.status(400).json(createResponse(false, 'vins must be a list of 17-character VINs', { example }));
+    }
+    
+    const ttlMinutes = Number(expires_in_minutes);
+    if (!Number.isFinite(ttlMinutes) || ttlMinutes <= 0 || ttlMinutes > accessTokens.MAX_TTL_MINUTES) {
+        return res.status(400).json(createResponse(false, `expires_in_minutes must be between 1 and ${accessTokens.MAX_TTL_MINUTES}`, { example }));
+    }
+    
+    if (max_uses !== null && (!Number.isInteger(max_uses) || max_uses < 1)) {
+        return res.status(400).json(createResponse(false, 'max_uses must be a positive whole number', { example }));
+    }
+    
+    let issued;
+    try {
+        issued = await accessTokens.mint({
+            actions: expanded.actions,
+            vins,
+            ttlMinutes,
+            maxUses: max_uses,
+            label,
+            issuedBy: req.apiKey.name
+        });
+    } catch (error) {
+        return res.status(503).json(createResponse(false, `Access token could not be recorded: ${error.message}`, {
+            hint: 'Access tokens need the database, which keeps their uses and revocations'
+        }));
+    }
+    const { token, claims } = issued;
+    
+    res.status(201).json(createResponse(true, 'Access token issued', {
+        token,
+        token_type: 'Bearer',
+        token_id: claims.jti,
+        scope: claims.scope,
+        vins: claims.vins,
+        max_uses: claims.max_uses,
+        expires_at: new Date(claims.exp * 1000),
+        hint: 'Send as "Authorization: Bearer <token>"; revoke with DELETE /auth/token/{token_id}'
+    }));
+});
 
-// POST /climate/start
-app.post('/climate/start', authenticateApiKey, checkEndpointEnabled('climate', 'start'), requireConfirmation('climate_start'), async (req, res) => {
+// DELETE /auth/token/:id - Revoke an access token before it expires
+app.delete('/auth/token/:id', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
-        const { duration_minutes = 10, force = false, temperature } = req.body;
-        
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'climate_start',
-            (client) => client.start()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to start climate: ${error}`));
+        const token = await accessTokens.revoke(req.params.id);
+        if (!token) {
+            return res.status(404).json(createResponse(false, `Access token ${req.params.id} not found`));
         }
         
-        res.json(createResponse(true, 'Climate preconditioning started', {
-            duration_minutes,
-            command_id: `cmd_${Date.now()}`,
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+        console.log(`🎫 Access token ${req.params.id} revoked`);
+        res.json(createResponse(true, 'Access token revoked', {
+            token_id: token.jti,
+            label: token.label,
+            uses: token.uses,
+            revoked_at: token.revoked_at
         }));
     } catch (error) {
-        console.error('Climate start failed:', error);
-        res.status(500).json(createResponse(false, `Failed to start climate: ${error.message}`));
+        res.status(503).json(createResponse(false, `Access token could not be revoked: ${error.message}`));
     }
 });
 
-// POST /climate/stop
-app.post('/climate/stop', authenticateApiKey, checkEndpointEnabled('climate', 'stop'), async (req, res) => {
+// COMMAND TRACKING ENDPOINTS
+
+// GET /commands - List recently submitted commands
+app.get('/commands', authenticateApiKey, rejectAccessTokens, requirePermission('commands', 'list'), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'climate_stop',
-            (client) => client.cancelStart()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to stop climate: ${error}`));
-        }
-        
-        res.json(createResponse(true, 'Climate preconditioning stopped', {
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+        const { vin, status, limit = 50 } = req.query;
+
+        const commands = commandTracker.list({
+            vin: vin ? vin.toUpperCase() : null,
+            status: status || null,
+            limit: parseInt(limit)
+        });
+
+        res.json(createResponse(true, 'Recent commands retrieved', {
+            commands,
+            filters: { vin, status },
+            total: commands.length
         }));
     } catch (error) {
-        console.error('Climate stop failed:', error);
-        res.status(500).json(createResponse(false, `Failed to stop climate: ${error.message}`));
+        console.error('Failed to list commands:', error.message);
+        res.status(500).json(createResponse(false, `Failed to list commands: ${error.message}`));
     }
 });
 
-// POST /doors/lock
-app.post('/doors/lock', authenticateApiKey, checkEndpointEnabled('doors', 'lock'), async (req, res) => {
+// GET /commands/:id - Get the status of a submitted command
+app.get('/commands/:id', authenticateApiKey, requirePermission('commands', 'get'), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'doors_lock',
-            (client) => client.lockDoor()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to lock doors: ${error}`));
+        const command = await commandTracker.get(req.params.id);
+
+        if (!command) {
+            return res.status(404).json(createResponse(false, `Command ${req.params.id} not found`));
         }
-        
-        res.json(createResponse(true, 'Vehicle doors locked', {
-            action: 'locked',
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+
+        res.json(createResponse(true, `Command is ${command.status}`, {
+            command,
+            final: commandTracker.isFinal(command.status)
         }));
     } catch (error) {
-        console.error('Door lock failed:', error);
-        res.status(500).json(createResponse(false, `Failed to lock doors: ${error.message}`));
+        console.error('Failed to get command:', error.message);
+        res.status(500).json(createResponse(false, `Failed to get command: ${error.message}`));
     }
 });
 
-// POST /doors/unlock
-app.post('/doors/unlock', authenticateApiKey, checkEndpointEnabled('doors', 'unlock'), requireConfirmation('doors_unlock'), async (req, res) => {
+// DELETE /commands/:id - Cancel a command that has not been sent to the vehicle yet
+app.delete('/commands/:id', authenticateApiKey, rejectAccessTokens, requirePermission('commands', 'cancel'), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'doors_unlock',
-            (client) => client.unlockDoor()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to unlock doors: ${error}`));
+        const { cancelled, reason, command } = commandTracker.cancel(req.params.id);
+
+        if (cancelled) {
+            return res.json(createResponse(true, 'Command cancelled', { command }));
         }
-        
-        res.json(createResponse(true, 'Vehicle doors unlocked', {
-            action: 'unlocked',
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+
+        if (reason === 'not_found') {
+            return res.status(404).json(createResponse(false, `Command ${req.params.id} not found`));
+        }
+
+        res.status(409).json(createResponse(false, `Command cannot be cancelled once it is ${reason}`, {
+            command,
+            hint: reason === 'in_progress' ? 'The command has already been sent to OnStar' : undefined
         }));
     } catch (error) {
-        console.error('Door unlock failed:', error);
-        res.status(500).json(createResponse(false, `Failed to unlock doors: ${error.message}`));
+        console.error('Failed to cancel command:', error.message);
+        res.status(500).json(createResponse(false, `Failed to cancel command: ${error.message}`));
     }
 });
 
-// POST /trunk/lock
-app.post('/trunk/lock', authenticateApiKey, checkEndpointEnabled('trunk', 'lock'), async (req, res) => {
-    try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'trunk_lock',
-            (client) => client.lockTrunk()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to lock trunk: ${error}`));
-        }
-        
-        res.json(createResponse(true, 'Vehicle trunk locked', {
-            action: 'trunk_locked',
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+// GET /events - Server-Sent Events stream of session state, command progress and config reloads
+app.get('/events', authenticateApiKey, rejectAccessTokens, requirePermission('events', 'subscribe'), (req, res) => {
+    const types = req.query.types ? req.query.types.split(',').map(type => type.trim()) : null;
+    const unknownTypes = (types || []).filter(type => !eventStream.EVENT_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json(createResponse(false, `Unknown event types: ${unknownTypes.join(', ')}`, {
+            event_types: eventStream.EVENT_TYPES
         }));
-    } catch (error) {
-        console.error('Trunk lock failed:', error);
-        res.status(500).json(createResponse(false, `Failed to lock trunk: ${error.message}`));
     }
+    
+    const vin = req.query.vin ? req.query.vin.toUpperCase() : null;
+    if (vin && !VIN_PATTERN.test(vin)) {
+        return res.status(400).json(createResponse(false, `Invalid VIN: ${req.query.vin}`));
+    }
+    
+    eventStream.subscribe(req, res, {
+        types,
+        vin,
+        lastEventId: req.get('Last-Event-ID') || req.query.last_event_id || null
+    });
 });
 
-// POST /trunk/unlock
-app.post('/trunk/unlock', authenticateApiKey, checkEndpointEnabled('trunk', 'unlock'), requireConfirmation('trunk_unlock'), async (req, res) => {
-    try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'trunk_unlock',
-            (client) => client.unlockTrunk()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to unlock trunk: ${error}`));
-        }
-        
-        res.json(createResponse(true, 'Vehicle trunk unlocked', {
-            action: 'trunk_unlocked',
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+// VEHICLE ROUTING
+
+// Vehicle endpoints are served both at the root (default vehicle) and under /vehicles/:vin
+const vehicleRouter = express.Router({ mergeParams: true });
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/i;
+
+// Resolve the vehicle a request targets
+function resolveVehicle(req, res, next) {
+    if (!req.params.vin) {
+        req.vehicleVin = sessionManager.getDefaultVin();
+        return next();
+    }
+
+    const vin = req.params.vin.toUpperCase();
+    if (!VIN_PATTERN.test(vin)) {
+        return res.status(400).json(createResponse(false, `Invalid VIN: ${req.params.vin}`, {
+            vin: req.params.vin,
+            hint: 'VINs are 17 characters (letters I, O and Q are not allowed)'
         }));
-    } catch (error) {
-        console.error('Trunk unlock failed:', error);
-        res.status(500).json(createResponse(false, `Failed to unlock trunk: ${error.message}`));
     }
-});
 
-// POST /alert/lights
-app.post('/alert/lights', authenticateApiKey, checkEndpointEnabled('alert', 'lights'), requireConfirmation('alert_lights'), async (req, res) => {
-    try {
-        const { duration_seconds = 30 } = req.body;
-        
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'alert_lights',
-            (client) => client.alert({
-                action: ['Flash'],
-                duration: duration_seconds
-            })
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to activate lights: ${error}`));
-        }
-        
-        res.json(createResponse(true, 'Vehicle lights activated', {
-            duration_seconds,
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+    // Only vehicles on the account can be targeted once the account has been loaded
+    const accountVehicles = sessionManager.getAccountVehicles();
+    if (accountVehicles.length > 0 && !sessionManager.findVehicle(vin)) {
+        return res.status(404).json(createResponse(false, `Vehicle ${vin} not found on this OnStar account`, {
+            vin,
+            available_vins: accountVehicles.map(v => v.vin),
+            hint: 'Use GET /vehicles to list vehicles on the account'
         }));
-    } catch (error) {
-        console.error('Light alert failed:', error);
-        res.status(500).json(createResponse(false, `Failed to activate lights: ${error.message}`));
     }
-});
 
-// POST /alert/horn
-app.post('/alert/horn', authenticateApiKey, checkEndpointEnabled('alert', 'horn'), requireConfirmation('alert_horn'), async (req, res) => {
+    req.vehicleVin = vin;
+    next();
+}
+
+vehicleRouter.use(resolveVehicle);
+
+// GET /vehicles - List vehicles on the OnStar account
+app.get('/vehicles', authenticateApiKey, rejectAccessTokens, requirePermission('vehicles', 'list'), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'alert_horn',
-            (client) => client.alert({
-                action: ['Honk']
-            })
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to activate horn: ${error}`));
+        if (req.query.refresh === 'true') {
+            await sessionManager.refreshAccountVehicles();
         }
-        
-        res.json(createResponse(true, 'Vehicle horn activated', {
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+
+        const defaultVin = sessionManager.getDefaultVin();
+        const vehicles = sessionManager.getAccountVehicles().map(v => ({
+            vin: v.vin,
+            year: v.year,
+            make: v.make,
+            model: v.model,
+            description: v.toString(),
+            is_default: !!defaultVin && v.vin.toUpperCase() === defaultVin,
+            base_path: `/vehicles/${v.vin}`
+        }));
+
+        res.json(createResponse(true, 'Account vehicles retrieved', {
+            vehicles,
+            default_vin: defaultVin,
+            total: vehicles.length,
+            hint: vehicles.length === 0 ? 'Authenticate with POST /auth/session to load account vehicles' : undefined
         }));
     } catch (error) {
-        console.error('Horn alert failed:', error);
-        res.status(500).json(createResponse(false, `Failed to activate horn: ${error.message}`));
+        console.error('Failed to list vehicles:', error);
+        res.status(500).json(createResponse(false, `Failed to list vehicles: ${error.message}`));
     }
 });
 
-// POST /alert/both
-app.post('/alert/both', authenticateApiKey, checkEndpointEnabled('alert', 'both'), requireConfirmation('alert_both'), async (req, res) => {
-    try {
-        const { duration_seconds = 30 } = req.body;
-        
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'alert_both',
-            (client) => client.alert({
-                action: ['Flash', 'Honk'],
-                duration: duration_seconds
-            })
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to activate alerts: ${error}`));
-        }
-        
-        res.json(createResponse(true, 'Vehicle lights and horn activated', {
-            duration_seconds,
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+// Vehicle Control Endpoints
+
+// POST /climate/start
+vehicleRouter.post('/climate/start', authenticateApiKey, checkEndpointEnabled('climate', 'start'), requireConfirmation('climate_start'), categoryLimiter.middleware('climate'), async (req, res) => {
+    const request = climateControl.parseStartRequest(req.body);
+    if (request.error) {
+        const { error, ...details } = request;
+        return res.status(400).json(createResponse(false, error, details));
+    }
+
+    const vin = req.vehicleVin;
+    const pendingStop = climateControl.getPendingStop(vin);
+    if (pendingStop && !request.force) {
+        return res.status(409).json(createResponse(false, 'Climate is already running', {
+            auto_stop_at: pendingStop.stop_at,
+            hint: 'Send "force": true to start it again with a new duration, or POST /climate/stop'
         }));
-    } catch (error) {
-        console.error('Combined alert failed:', error);
-        res.status(500).json(createResponse(false, `Failed to activate alerts: ${error.message}`));
     }
+
+    const { duration_minutes, ignored_parameters } = request;
+    const autoStop = climateControl.getStopMode(duration_minutes);
+
+    await dispatchCommand(req, res, {
+        commandName: 'climate_start',
+        execute: startClimate(vin, request),
+        successMessage: 'Climate preconditioning started',
+        failureMessage: 'Failed to start climate',
+        data: {
+            duration_minutes,
+            auto_stop: autoStop,
+            ...(ignored_parameters.length > 0 ? { ignored_parameters } : {})
+        }
+    });
+});
+
+// client.start() with the server-side auto-stop (also run by command schedules)
+function startClimate(vin, { duration_minutes }) {
+    return async (client) => {
+        const result = await client.start();
+        climateControl.started(vin, duration_minutes, stopClimateAfterDuration);
+        return result;
+    };
+}
+
+// Auto-stop: queue cancelStart like POST /climate/stop so it shows up in GET /commands
+function stopClimateAfterDuration(vin) {
+    const command = commandTracker.submit({
+        commandName: 'climate_stop',
+        vin,
+        parameters: { reason: 'auto_stop' },
+        execute: () => executeSessionCommand('climate_stop', client => client.cancelStart(), vin)
+    });
+    return commandTracker.wait(command.id);
+}
+
+// POST /climate/stop
+vehicleRouter.post('/climate/stop', authenticateApiKey, checkEndpointEnabled('climate', 'stop'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'climate_stop',
+        execute: async (client) => {
+            const result = await client.cancelStart();
+            climateControl.cancelStop(req.vehicleVin);
+            return result;
+        },
+        successMessage: 'Climate preconditioning stopped',
+        failureMessage: 'Failed to stop climate'
+    });
+});
+
+// POST /doors/lock
+vehicleRouter.post('/doors/lock', authenticateApiKey, checkEndpointEnabled('doors', 'lock'), categoryLimiter.middleware('doors'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'doors_lock',
+        execute: (client) => client.lockDoor(),
+        successMessage: 'Vehicle doors locked',
+        failureMessage: 'Failed to lock doors',
+        data: { action: 'locked' }
+    });
+});
+
+// POST /doors/unlock
+vehicleRouter.post('/doors/unlock', authenticateApiKey, checkEndpointEnabled('doors', 'unlock'), requireConfirmation('doors_unlock'), categoryLimiter.middleware('doors'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'doors_unlock',
+        execute: (client) => client.unlockDoor(),
+        successMessage: 'Vehicle doors unlocked',
+        failureMessage: 'Failed to unlock doors',
+        data: { action: 'unlocked' }
+    });
+});
+
+// POST /trunk/lock
+vehicleRouter.post('/trunk/lock', authenticateApiKey, checkEndpointEnabled('trunk', 'lock'), categoryLimiter.middleware('doors'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'trunk_lock',
+        execute: (client) => client.lockTrunk(),
+        successMessage: 'Vehicle trunk locked',
+        failureMessage: 'Failed to lock trunk',
+        data: { action: 'trunk_locked' }
+    });
+});
+
+// POST /trunk/unlock
+vehicleRouter.post('/trunk/unlock', authenticateApiKey, checkEndpointEnabled('trunk', 'unlock'), requireConfirmation('trunk_unlock'), categoryLimiter.middleware('doors'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'trunk_unlock',
+        execute: (client) => client.unlockTrunk(),
+        successMessage: 'Vehicle trunk unlocked',
+        failureMessage: 'Failed to unlock trunk',
+        data: { action: 'trunk_unlocked' }
+    });
+});
+
+// POST /alert/lights
+vehicleRouter.post('/alert/lights', authenticateApiKey, checkEndpointEnabled('alert', 'lights'), requireConfirmation('alert_lights'), categoryLimiter.middleware('alerts'), async (req, res) => {
+    const { duration_seconds = 30 } = req.body;
+
+    await dispatchCommand(req, res, {
+        commandName: 'alert_lights',
+        execute: (client) => client.alert({
+            action: ['Flash'],
+            duration: duration_seconds
+        }),
+        successMessage: 'Vehicle lights activated',
+        failureMessage: 'Failed to activate lights',
+        data: { duration_seconds }
+    });
+});
+
+// POST /alert/horn
+vehicleRouter.post('/alert/horn', authenticateApiKey, checkEndpointEnabled('alert', 'horn'), requireConfirmation('alert_horn'), categoryLimiter.middleware('alerts'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'alert_horn',
+        execute: (client) => client.alert({
+            action: ['Honk']
+        }),
+        successMessage: 'Vehicle horn activated',
+        failureMessage: 'Failed to activate horn'
+    });
+});
+
+// POST /alert/both
+vehicleRouter.post('/alert/both', authenticateApiKey, checkEndpointEnabled('alert', 'both'), requireConfirmation('alert_both'), categoryLimiter.middleware('alerts'), async (req, res) => {
+    const { duration_seconds = 30 } = req.body;
+
+    await dispatchCommand(req, res, {
+        commandName: 'alert_both',
+        execute: (client) => client.alert({
+            action: ['Flash', 'Honk'],
+            duration: duration_seconds
+        }),
+        successMessage: 'Vehicle lights and horn activated',
+        failureMessage: 'Failed to activate alerts',
+        data: { duration_seconds }
+    });
 });
 
 // POST /alert/cancel
-app.post('/alert/cancel', authenticateApiKey, checkEndpointEnabled('alert', 'cancel'), async (req, res) => {
-    try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'alert_cancel',
-            (client) => client.cancelAlert()
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to cancel alerts: ${error}`));
-        }
-        
-        res.json(createResponse(true, 'Vehicle alerts cancelled', {
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
-        }));
-    } catch (error) {
-        console.error('Cancel alert failed:', error);
-        res.status(500).json(createResponse(false, `Failed to cancel alerts: ${error.message}`));
-    }
+vehicleRouter.post('/alert/cancel', authenticateApiKey, checkEndpointEnabled('alert', 'cancel'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'alert_cancel',
+        execute: (client) => client.cancelAlert(),
+        successMessage: 'Vehicle alerts cancelled',
+        failureMessage: 'Failed to cancel alerts'
+    });
 });
 
 // Vehicle Information Endpoints
 
 // GET /status
-app.get('/status', authenticateApiKey, checkEndpointEnabled('status', 'get'), async (req, res) => {
+vehicleRouter.get('/status', authenticateApiKey, checkEndpointEnabled('status', 'get'), categoryLimiter.middleware('information'), parseTelemetryOptions, parseUnitOptions, checkWakeBudget(req => planTelemetry(req, STATUS_TELEMETRY).cost), async (req, res) => {
     try {
-        const startTime = Date.now();
-        
-        // Use session-based command execution for diagnostics
-        const diagnosticsCommand = await executeSessionCommand(
-            'get_diagnostics',
-            (client) => client.diagnostics({
-                diagnosticItem: [
-                    'EV BATTERY LEVEL',
-                    'EV RANGE',
-                    'ODOMETER',
-                    'TIRE PRESSURE',
-                    'AMBIENT AIR TEMPERATURE',
-                    'EV CHARGE STATE',
-                    'EV PLUG STATE'
-                ]
-            })
-        );
-        
-        // Use session-based command execution for location
-        const locationCommand = await executeSessionCommand(
-            'get_location',
-            (client) => client.location()
-        );
+        // Diagnostics and location come from the cache unless they are older than their max age
+        const telemetry = await readTelemetry(req, STATUS_TELEMETRY);
         
         // Check if either command failed due to session issues
-        if (!diagnosticsCommand.success || !locationCommand.success) {
-            const error = diagnosticsCommand.error || locationCommand.error;
+        if (!telemetry.success) {
+            const error = telemetry.error;
             if (error.includes('session') || error.includes('authenticate')) {
                 return res.status(401).json(createResponse(false, `Session required: ${error}`, {
                     action: 'authenticate',
@@ -751,27 +1365,28 @@ app.get('/status', authenticateApiKey, checkEndpointEnabled('status', 'get'), as
             return res.status(500).json(createResponse(false, `Failed to get vehicle status: ${error}`));
         }
         
-        // Parse diagnostics
-        const diagnostics = diagnosticsCommand.result.response.data.commandResponse.body.diagnosticResponse;
-        const vehicleData = parseDiagnostics(diagnostics);
+        // Parse diagnostics in the requested units; range_miles is always in miles
+        const units = req.diagnosticUnits;
+        const model = diagnosticsModel.parseDiagnostics(telemetry.diagnostics, units);
+        const value = item => diagnosticsModel.diagnosticValue(model, item);
+        const rangeMiles = diagnosticsModel.diagnosticValue(
+            diagnosticsModel.parseDiagnostics(telemetry.diagnostics, { distance: 'mi' }), 'EV RANGE');
         
         // Parse location
-        const locationData = locationCommand.result.response.data.commandResponse.body;
-        
-        const totalTime = Date.now() - startTime;
+        const locationData = telemetry.location || {};
         
         res.json(createResponse(true, 'Vehicle status retrieved', {
             vehicle_data: {
                 battery: {
-                    level: vehicleData['EV BATTERY LEVEL'],
-                    range_miles: vehicleData['EV RANGE'],
-                    charging_status: vehicleData['EV CHARGE STATE'],
-                    plug_state: vehicleData['EV PLUG STATE']
+                    level: value('EV BATTERY LEVEL'),
+                    range_miles: rangeMiles,
+                    charging_status: value('EV CHARGE STATE'),
+                    plug_state: value('EV PLUG STATE')
                 },
                 vehicle: {
-                    odometer: vehicleData['ODOMETER'],
-                    tire_pressure: vehicleData['TIRE PRESSURE'],
-                    ambient_temp: vehicleData['AMBIENT AIR TEMPERATURE']
+                    odometer: value('ODOMETER'),
+                    tire_pressure: diagnosticsModel.diagnosticValues(model, 'TIRE PRESSURE'),
+                    ambient_temp: value('AMBIENT AIR TEMPERATURE')
                 },
                 location: {
                     latitude: locationData.latitude,
@@ -779,8 +1394,10 @@ app.get('/status', authenticateApiKey, checkEndpointEnabled('status', 'get'), as
                     speed_mph: locationData.speed || 0
                 }
             },
-            execution_time_ms: totalTime,
-            commands_executed: ['get_diagnostics', 'get_location']
+            units: diagnosticsModel.describeUnits(units),
+            data_freshness: telemetry.freshness,
+            execution_time_ms: telemetry.executionTime,
+            commands_executed: telemetry.commandsExecuted
         }));
     } catch (error) {
         console.error('Status retrieval failed:', error);
@@ -789,13 +1406,9 @@ app.get('/status', authenticateApiKey, checkEndpointEnabled('status', 'get'), as
 });
 
 // GET /location
-app.get('/location', authenticateApiKey, checkEndpointEnabled('location', 'get'), async (req, res) => {
+vehicleRouter.get('/location', authenticateApiKey, checkEndpointEnabled('location', 'get'), categoryLimiter.middleware('information'), parseTelemetryOptions, checkWakeBudget(req => planTelemetry(req, LOCATION_TELEMETRY).cost), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'get_location',
-            (client) => client.location()
-        );
+        const { success, location, error, executionTime, freshness } = await readTelemetry(req, LOCATION_TELEMETRY);
         
         if (!success) {
             // Check if error is due to session issues
@@ -809,8 +1422,6 @@ app.get('/location', authenticateApiKey, checkEndpointEnabled('location', 'get')
             return res.status(500).json(createResponse(false, `Failed to get location: ${error}`));
         }
         
-        const location = result.response.data.commandResponse.body;
-        
         res.json(createResponse(true, 'Vehicle location retrieved', {
             location: {
                 latitude: location.latitude,
@@ -819,6 +1430,7 @@ app.get('/location', authenticateApiKey, checkEndpointEnabled('location', 'get')
                 speed_mph: location.speed || 0,
                 heading: location.heading || 0
             },
+            data_freshness: freshness,
             execution_time_ms: executionTime
         }));
     } catch (error) {
@@ -828,13 +1440,9 @@ app.get('/location', authenticateApiKey, checkEndpointEnabled('location', 'get')
 });
 
 // GET /diagnostics
-app.get('/diagnostics', authenticateApiKey, checkEndpointEnabled('diagnostics', 'get'), async (req, res) => {
+vehicleRouter.get('/diagnostics', authenticateApiKey, checkEndpointEnabled('diagnostics', 'get'), categoryLimiter.middleware('information'), parseTelemetryOptions, parseUnitOptions, checkWakeBudget(req => planTelemetry(req, DIAGNOSTICS_TELEMETRY).cost), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'get_diagnostics',
-            (client) => client.diagnostics()
-        );
+        const { success, diagnostics, error, executionTime, freshness } = await readTelemetry(req, DIAGNOSTICS_TELEMETRY);
         
         if (!success) {
             // Check if error is due to session issues
@@ -848,11 +1456,10 @@ app.get('/diagnostics', authenticateApiKey, checkEndpointEnabled('diagnostics',
             return res.status(500).json(createResponse(false, `Failed to get diagnostics: ${error}`));
         }
         
-        const diagnostics = result.response.data.commandResponse.body.diagnosticResponse;
-        const vehicleData = parseDiagnostics(diagnostics);
-        
         res.json(createResponse(true, 'Vehicle diagnostics retrieved', {
-            diagnostics: vehicleData,
+            diagnostics: diagnosticsModel.parseDiagnostics(diagnostics, req.diagnosticUnits),
+            units: diagnosticsModel.describeUnits(req.diagnosticUnits),
+            data_freshness: freshness,
             execution_time_ms: executionTime
         }));
     } catch (error) {
@@ -861,77 +1468,105 @@ app.get('/diagnostics', authenticateApiKey, checkEndpointEnabled('diagnostics',
     }
 });
 
-// EV-Specific Endpoints
+// GET /budget - Remaining wake budget for the vehicle (no OnStar request is made)
+vehicleRouter.get('/budget', authenticateApiKey, rejectAccessTokens, requirePermission('budget', 'get'), (req, res) => {
+    res.json(createResponse(true, 'Wake budget retrieved', {
+        wake_budget: commandBudget.getBudget(req.vehicleVin),
+        settings: commandBudget.getSettings()
+    }));
+});
 
-// POST /charging/start
-app.post('/charging/start', authenticateApiKey, checkEndpointEnabled('charging', 'start'), requireConfirmation('charging_start'), async (req, res) => {
+// POST /budget/reset - Start a fresh wake budget, e.g. after the vehicle was driven
+vehicleRouter.post('/budget/reset', authenticateApiKey, rejectAccessTokens, requirePermission('budget', 'reset'), (req, res) => {
+    const budget = commandBudget.reset(req.vehicleVin, 'manual');
+    console.log(`🔋 Wake budget reset for ${req.vehicleVin}`);
+    res.json(createResponse(true, 'Wake budget reset', { wake_budget: budget }));
+});
+
+// Telemetry History Endpoints
+
+// GET /history - Metrics recorded for the vehicle
+vehicleRouter.get('/history', authenticateApiKey, rejectAccessTokens, requirePermission('history', 'get'), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'charging_start',
-            (client) => client.chargeOverride({ mode: 'CHARGE_NOW' })
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to start charging: ${error}`));
-        }
+        const metrics = await db.getTelemetryMetrics(req.vehicleVin);
         
-        res.json(createResponse(true, 'Charging started', {
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+        res.json(createResponse(true, 'Telemetry metrics retrieved', {
+            vin: req.vehicleVin,
+            metrics,
+            aliases: telemetryHistory.METRIC_ALIASES,
+            hint: 'GET /history/{metric}?from=&to=&bucket= returns a series; use "location" for positions'
         }));
     } catch (error) {
-        console.error('Start charging failed:', error);
-        res.status(500).json(createResponse(false, `Failed to start charging: ${error.message}`));
+        console.error('Failed to get telemetry metrics:', error.message);
+        res.status(500).json(createResponse(false, `Failed to get telemetry metrics: ${error.message}`));
     }
 });
 
-// POST /charging/stop
-app.post('/charging/stop', authenticateApiKey, checkEndpointEnabled('charging', 'stop'), requireConfirmation('charging_stop'), async (req, res) => {
+// GET /history/:metric - Downsampled series for one metric
+vehicleRouter.get('/history/:metric', authenticateApiKey, rejectAccessTokens, requirePermission('history', 'get'), async (req, res) => {
     try {
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'charging_stop',
-            (client) => client.chargeOverride({ mode: 'STOP_CHARGING' })
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to stop charging: ${error}`));
+        const query = telemetryHistory.parseHistoryQuery(req.query);
+        if (query.error) {
+            return res.status(400).json(createResponse(false, query.error, {
+                example: `/history/${req.params.metric}?from=2025-01-01T00:00:00Z&to=2025-02-01T00:00:00Z&bucket=1d`
+            }));
         }
         
-        res.json(createResponse(true, 'Charging stopped', {
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+        const series = await telemetryHistory.getHistory(req.vehicleVin, req.params.metric, query);
+        
+        res.json(createResponse(true, `Telemetry history for ${series.metric} retrieved`, {
+            vin: req.vehicleVin,
+            metric: series.metric,
+            unit: series.unit,
+            from: query.from,
+            to: query.to,
+            bucket: query.bucket,
+            bucket_seconds: query.bucketSeconds,
+            points: series.points
         }));
     } catch (error) {
-        console.error('Stop charging failed:', error);
-        res.status(500).json(createResponse(false, `Failed to stop charging: ${error.message}`));
+        console.error('Failed to get telemetry history:', error.message);
+        res.status(500).json(createResponse(false, `Failed to get telemetry history: ${error.message}`));
     }
 });
 
+// EV-Specific Endpoints
+
+// chargeOverride requests behind /charging/start and /charging/stop (also sent by the charging scheduler)
+const CHARGING_COMMANDS = {
+    charging_start: { action: 'start', execute: (client) => client.chargeOverride({ mode: 'CHARGE_NOW' }) },
+    charging_stop: { action: 'stop', execute: (client) => client.chargeOverride({ mode: 'STOP_CHARGING' }) }
+};
+
+// POST /charging/start
+vehicleRouter.post('/charging/start', authenticateApiKey, checkEndpointEnabled('charging', 'start'), requireConfirmation('charging_start'), categoryLimiter.middleware('charging'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'charging_start',
+        execute: CHARGING_COMMANDS.charging_start.execute,
+        successMessage: 'Charging started',
+        failureMessage: 'Failed to start charging'
+    });
+});
+
+// POST /charging/stop
+vehicleRouter.post('/charging/stop', authenticateApiKey, checkEndpointEnabled('charging', 'stop'), requireConfirmation('charging_stop'), categoryLimiter.middleware('charging'), async (req, res) => {
+    await dispatchCommand(req, res, {
+        commandName: 'charging_stop',
+        execute: CHARGING_COMMANDS.charging_stop.execute,
+        successMessage: 'Charging stopped',
+        failureMessage: 'Failed to stop charging'
+    });
+});
+
 // GET /charging/profile
-app.get('/charging/profile', authenticateApiKey, checkEndpointEnabled('charging', 'profile_get'), async (req, res) => {
+vehicleRouter.get('/charging/profile', authenticateApiKey, checkEndpointEnabled('charging', 'profile_get'), categoryLimiter.middleware('information'), checkWakeBudget(), async (req, res) => {
     try {
         // Use session-based command execution
         const { success, result, error, executionTime } = await executeSessionCommand(
             'get_charging_profile',
-            (client) => client.getChargingProfile()
+            (client) => client.getChargingProfile(),
+            req.vehicleVin,
+            req
         );
         
         if (!success) {
@@ -950,6 +1585,7 @@ app.get('/charging/profile', authenticateApiKey, checkEndpointEnabled('charging'
         
         res.json(createResponse(true, 'Charging profile retrieved', {
             profile,
+            charging_profile: chargingProfiles.fromResponse(result),
             execution_time_ms: executionTime
         }));
     } catch (error) {
@@ -959,44 +1595,174 @@ app.get('/charging/profile', authenticateApiKey, checkEndpointEnabled('charging'
 });
 
 // POST /charging/profile
-app.post('/charging/profile', authenticateApiKey, checkEndpointEnabled('charging', 'profile_set'), async (req, res) => {
+vehicleRouter.post('/charging/profile', authenticateApiKey, checkEndpointEnabled('charging', 'profile_set'), categoryLimiter.middleware('charging'), async (req, res) => {
+    const request = chargingProfiles.parseProfileRequest(req.body);
+    if (request.error) {
+        const { error, ...details } = request;
+        return res.status(400).json(createResponse(false, error, details));
+    }
+
+    await dispatchCommand(req, res, {
+        commandName: 'set_charging_profile',
+        execute: (client) => chargingProfiles.applyProfile(client, request.changes, {
+            recordRequest: name => commandBudget.record(req.vehicleVin, name)
+        }),
+        successMessage: 'Charging profile updated',
+        failureMessage: 'Failed to set charge profile',
+        data: { requested: request.changes },
+        resultData: result => result.response.data.commandResponse.body
+    });
+});
+
+// GET /charging/plan - Smart charging plan; ?refresh=true (or ?dry_run=true) previews a new plan without sending or saving.
+// Only the scheduler loop sends charging commands
+const CHARGING_TELEMETRY = { diagnostics: ['EV BATTERY LEVEL', 'EV PLUG STATE', 'EV CHARGE STATE'] };
+const wantsNewPlan = req => req.query.refresh === 'true' || req.query.dry_run === 'true';
+
+vehicleRouter.get('/charging/plan', authenticateApiKey, checkEndpointEnabled('charging', 'plan'), categoryLimiter.middleware('information'), parseTelemetryOptions, checkWakeBudget(req => wantsNewPlan(req) ? planTelemetry(req, CHARGING_TELEMETRY).cost : 0), async (req, res) => {
     try {
-        const { scheduled_start = '23:00', target_level = 90, rate_limit = 'normal' } = req.body;
-        
-        // Use session-based command execution
-        const { success, result, error, executionTime } = await executeSessionCommand(
-            'set_charging_profile',
-            (client) => client.setChargingProfile({
-                chargeMode: 'SCHEDULED',
-                rateType: rate_limit.toUpperCase()
-            })
-        );
-        
-        if (!success) {
-            // Check if error is due to session issues
-            if (error.includes('session') || error.includes('authenticate')) {
-                return res.status(401).json(createResponse(false, `Session required: ${error}`, {
-                    action: 'authenticate',
-                    endpoint: '/auth/session',
-                    hint: 'Please authenticate first using POST /auth/session'
-                }));
-            }
-            return res.status(500).json(createResponse(false, `Failed to set charge profile: ${error}`));
+        const vin = req.vehicleVin;
+        let plan;
+        if (wantsNewPlan(req)) {
+            plan = await chargingScheduler.plan(vin, { dryRun: true, persist: false });
+        } else {
+            plan = await chargingScheduler.getPlan(vin);
         }
-        
-        res.json(createResponse(true, 'Charging profile updated', {
-            scheduled_start,
-            target_level,
-            rate_limit,
-            execution_time_ms: executionTime,
-            status: result.response.data.commandResponse.status
+
+        res.json(createResponse(true, plan ? `Charging plan: ${plan.status}` : 'No charging plan yet', {
+            plan,
+            scheduler: chargingScheduler.getStatus(),
+            hint: plan ? undefined : 'Add ?dry_run=true to see what the scheduler would do now, or enable charging_scheduler in config.json'
         }));
     } catch (error) {
-        console.error('Set charge profile failed:', error);
-        res.status(500).json(createResponse(false, `Failed to set charging profile: ${error.message}`));
+        console.error('Failed to get charging plan:', error.message);
+        res.status(500).json(createResponse(false, `Failed to get charging plan: ${error.message}`));
     }
 });
 
+// Charging scheduler: read battery level, plug and charge state through the telemetry cache
+async function readChargingState(vin) {
+    const req = { vehicleVin: vin, telemetryMaxAge: null };
+    const { allowed } = commandBudget.canSpend(vin, { cost: planTelemetry(req, CHARGING_TELEMETRY).cost });
+    if (!allowed) {
+        throw new Error('Wake budget is down to its reserve; keeping the vehicle asleep');
+    }
+
+    const telemetry = await readTelemetry(req, CHARGING_TELEMETRY);
+    if (!telemetry.success) {
+        throw new Error(telemetry.error);
+    }
+
+    const model = diagnosticsModel.parseDiagnostics(telemetry.diagnostics);
+    return {
+        battery_level: diagnosticsModel.diagnosticValue(model, 'EV BATTERY LEVEL'),
+        plug_state: diagnosticsModel.diagnosticValue(model, 'EV PLUG STATE'),
+        charge_state: diagnosticsModel.diagnosticValue(model, 'EV CHARGE STATE')
+    };
+}
+
+// Charging scheduler: queue charging_start/charging_stop like the routes, unless the route is disabled
+// or the charging rate limit is reached
+function sendChargingCommand(vin, commandName) {
+    const { action, execute } = CHARGING_COMMANDS[commandName];
+    if (!config.api_endpoints.charging || !config.api_endpoints.charging[action]) {
+        return Promise.resolve({ success: false, error: `charging.${action} is disabled in config.json` });
+    }
+    if (!categoryLimiter.hit('charging', vin).allowed) {
+        return Promise.resolve({ success: false, error: 'rate limit for charging commands reached' });
+    }
+
+    const command = commandTracker.submit({
+        commandName,
+        vin,
+        parameters: { reason: 'charging_scheduler' },
+        execute: () => executeSessionCommand(commandName, execute, vin)
+    });
+    return commandTracker.wait(command.id);
+}
+
+// Commands a schedule or geofence action can run: the route's endpoint and rate limit category,
+// how its parameters are checked and the OnStar request. Alerts are left out on purpose
+const SCHEDULED_COMMANDS = {
+    climate_start: {
+        category: 'climate', action: 'start', limit: 'climate',
+        parse: parameters => climateControl.parseStartRequest(parameters),
+        execute: startClimate
+    },
+    climate_stop: {
+        category: 'climate', action: 'stop',
+        execute: vin => async (client) => {
+            const result = await client.cancelStart();
+            climateControl.cancelStop(vin);
+            return result;
+        }
+    },
+    doors_lock: { category: 'doors', action: 'lock', limit: 'doors', execute: () => client => client.lockDoor() },
+    doors_unlock: { category: 'doors', action: 'unlock', limit: 'doors', execute: () => client => client.unlockDoor() },
+    trunk_lock: { category: 'trunk', action: 'lock', limit: 'doors', execute: () => client => client.lockTrunk() },
+    trunk_unlock: { category: 'trunk', action: 'unlock', limit: 'doors', execute: () => client => client.unlockTrunk() },
+    charging_start: { category: 'charging', action: 'start', limit: 'charging', execute: () => CHARGING_COMMANDS.charging_start.execute },
+    charging_stop: { category: 'charging', action: 'stop', limit: 'charging', execute: () => CHARGING_COMMANDS.charging_stop.execute }
+};
+
+// Schedules and geofence actions: the checks of the command's route that still apply without a
+// request, then queue the command like the route does so it shows up in GET /commands
+async function runAutomatedCommand({ command: commandName, parameters }, vin, origin) {
+    const { category, action, limit, parse, execute } = SCHEDULED_COMMANDS[commandName];
+
+    if (!config.api_endpoints[category] || !config.api_endpoints[category][action]) {
+        return { status: 'skipped', reason: `${category}.${action} is disabled in config.json` };
+    }
+    if (vehicleCapabilities.supports(vin, category, action) === false) {
+        return { status: 'skipped', reason: `${category}.${action} is not supported by this vehicle` };
+    }
+
+    const request = parse ? parse(parameters || {}) : {};
+    if (request.error) {
+        return { status: 'failure', error: request.error };
+    }
+    if (commandName === 'climate_start' && climateControl.getPendingStop(vin) && !request.force) {
+        return { status: 'skipped', reason: 'climate is already running' };
+    }
+    if (limit && !categoryLimiter.hit(limit, vin).allowed) {
+        return { status: 'skipped', reason: `rate limit for ${limit} commands reached` };
+    }
+
+    const command = commandTracker.submit({
+        commandName,
+        vin,
+        parameters: origin,
+        execute: () => executeSessionCommand(commandName, execute(vin, request), vin)
+    });
+    const result = await commandTracker.wait(command.id);
+    return result.success
+        ? { status: 'success', command_id: command.id }
+        : { status: 'failure', command_id: command.id, error: result.error };
+}
+
+function runScheduledCommand(schedule, vin) {
+    return runAutomatedCommand(schedule, vin, { reason: 'schedule', schedule_id: schedule.id });
+}
+
+function runGeofenceAction(action, vin, event) {
+    return runAutomatedCommand(action, vin, { reason: 'geofence', geofence_id: event.geofence_id, event: event.type });
+}
+
+// Geofence poller: read the location through the telemetry cache, keeping the wake budget reserve
+async function readLocation(vin) {
+    const req = { vehicleVin: vin, telemetryMaxAge: null };
+    const { allowed } = commandBudget.canSpend(vin, { cost: planTelemetry(req, LOCATION_TELEMETRY).cost });
+    if (!allowed) {
+        throw new Error('Wake budget is down to its reserve; keeping the vehicle asleep');
+    }
+
+    const telemetry = await readTelemetry(req, LOCATION_TELEMETRY);
+    if (!telemetry.success) {
+        throw new Error(telemetry.error);
+    }
+    return telemetry.location;
+}
+
 // System Endpoints
 
 // GET /health
@@ -1005,7 +1771,9 @@ app.get('/health', checkEndpointEnabled('system', 'health'), async (req, res) =>
         // Use session-based command execution
         const { success, result, error, executionTime } = await executeSessionCommand(
             'health_check',
-            (client) => client.getAccountVehicles()
+            (client) => client.getAccountVehicles(),
+            null,
+            req
         );
         
         if (success) {
@@ -1104,7 +1872,7 @@ app.get('/debug/chrome', async (req, res) => {
 });
 
 // POST /debug/test-auth - Test authentication specifically
-app.post('/debug/test-auth', authenticateApiKey, async (req, res) => {
+app.post('/debug/test-auth', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         console.log('🔍 Testing authentication with OnStar...');
         
@@ -1130,7 +1898,7 @@ app.post('/debug/test-auth', authenticateApiKey, async (req, res) => {
 });
 
 // POST /auth/force - Force re-authentication (bypasses session check)
-app.post('/auth/force', authenticateApiKey, async (req, res) => {
+app.post('/auth/force', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         console.log('🔄 Force re-authentication requested');
         
@@ -1154,30 +1922,47 @@ app.post('/auth/force', authenticateApiKey, async (req, res) => {
     }
 });
 
-// GET /capabilities
-app.get('/capabilities', authenticateApiKey, checkEndpointEnabled('system', 'capabilities'), async (req, res) => {
+// GET /capabilities - What the vehicle supports, from the commands OnStar lists for it (?refresh=true re-reads them)
+vehicleRouter.get('/capabilities', authenticateApiKey, checkEndpointEnabled('system', 'capabilities'), async (req, res) => {
+    let capabilities;
+    try {
+        capabilities = await vehicleCapabilities.get(req.vehicleVin, { refresh: req.query.refresh === 'true' });
+    } catch (error) {
+        console.error('Capabilities retrieval failed:', error);
+        return res.status(500).json(createResponse(false, `Failed to get vehicle capabilities: ${error.message}`));
+    }
+
+    // Until a session has loaded the account vehicles nothing is known about the vehicle
+    const endpoints = (capabilities ? capabilities.endpoints : vehicleCapabilities.describeEndpoints()).map(endpoint => {
+        const [category, action] = endpoint.config_key.split('.');
+        return { ...endpoint, enabled: !!(config.api_endpoints[category] && config.api_endpoints[category][action]) };
+    });
+
     res.json(createResponse(true, 'Vehicle capabilities retrieved', {
-        vehicle_info: {
-            make: 'Chevrolet',
-            model: 'Bolt EV',
-            year: 2020,
-            vin: process.env.ONSTAR_VIN
+        vehicle_info: capabilities ? _.pick(capabilities, ['make', 'model', 'year', 'vin', 'description']) : {
+            make: null,
+            model: null,
+            year: null,
+            vin: req.vehicleVin
         },
-        supported_commands: [
-            'start', 'stop', 'lockDoor', 'unlockDoor', 
-            'lockTrunk', 'unlockTrunk', 'alert', 'cancelAlert',
-            'getLocation', 'getDiagnostics', 'setChargeProfile'
-        ],
+        supported_commands: capabilities ? capabilities.supported_commands : [],
+        supported_diagnostics: capabilities ? capabilities.supported_diagnostics : [],
+        endpoints,
+        capabilities_fetched_at: capabilities ? capabilities.fetched_at : null,
+        hint: capabilities ? undefined : 'Authenticate with POST /auth/session to load the capabilities of the vehicle',
         limitations: {
             rate_limit_minutes: 30,
-            hibernation_mode: '4-5 requests after engine off'
+            hibernation_mode: '4-5 requests after engine off',
+            wake_budget: commandBudget.getBudget(req.vehicleVin)
         },
         configuration: {
             endpoints_enabled: config.api_endpoints,
             security_settings: {
                 confirmation_required: config.security.require_confirmation,
-                rate_limiting: config.security.rate_limiting
+                rate_limiting: config.security.rate_limiting,
+                rate_limits_enforced: categoryLimiter.describe()
             },
+            capabilities: vehicleCapabilities.getSettings(),
             config_file: 'config.json'
         }
     }));
@@ -1206,8 +1991,8 @@ function generateHelpData() {
             endpoint: 'POST /climate/start',
             description: 'Start climate preconditioning (heating/cooling)',
             parameters: {
-                duration_minutes: 'number (optional, default: 10)',
-                temperature: 'number (optional)'
+                duration_minutes: `whole number from 1 to ${climateControl.getSettings().max_duration_minutes} (optional, default: ${climateControl.getSettings().default_duration_minutes}); climate is stopped when it elapses`,
+                force: 'boolean (optional, default: false) - start again while climate is already running'
             },
             safety_level: 'safe',
             enabled: true,
@@ -1249,12 +2034,12 @@ function generateHelpData() {
             endpoint: 'POST /doors/unlock',
             description: 'Unlock all vehicle doors',
             parameters: {
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'medium',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.doors_unlock || false,
-            example: 'Unlock doors: POST /doors/unlock {"confirm": true}'
+            example: 'Unlock doors: POST /doors/unlock, then repeat with {"confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1289,12 +2074,12 @@ function generateHelpData() {
             endpoint: 'POST /trunk/unlock',
             description: 'Unlock vehicle trunk',
             parameters: {
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'medium',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.trunk_unlock || false,
-            example: 'Unlock trunk: POST /trunk/unlock {"confirm": true}'
+            example: 'Unlock trunk: POST /trunk/unlock, then repeat with {"confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1317,13 +2102,13 @@ function generateHelpData() {
             description: 'Flash vehicle lights (WARNING: May trigger car alarm)',
             parameters: {
                 duration_seconds: 'number (optional, default: 30)',
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'high_risk',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.alert_lights || false,
             warning: 'This may trigger the car alarm and disturb neighbors',
-            example: 'Flash lights: POST /alert/lights {"duration_seconds": 10, "confirm": true}'
+            example: 'Flash lights: POST /alert/lights {"duration_seconds": 10}, then repeat with {"duration_seconds": 10, "confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1345,13 +2130,13 @@ function generateHelpData() {
             endpoint: 'POST /alert/horn',
             description: 'Activate vehicle horn (WARNING: Loud noise)',
             parameters: {
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'high_risk',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.alert_horn || false,
             warning: 'This will make a loud noise and may disturb neighbors',
-            example: 'Honk horn: POST /alert/horn {"confirm": true}'
+            example: 'Honk horn: POST /alert/horn, then repeat with {"confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1374,13 +2159,13 @@ function generateHelpData() {
             description: 'Activate both lights and horn (WARNING: Very disruptive)',
             parameters: {
                 duration_seconds: 'number (optional, default: 30)',
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'high_risk',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.alert_both || false,
             warning: 'This will trigger car alarm AND make loud noise',
-            example: 'Alert both: POST /alert/both {"duration_seconds": 10, "confirm": true}'
+            example: 'Alert both: POST /alert/both {"duration_seconds": 10}, then repeat with {"duration_seconds": 10, "confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1416,12 +2201,12 @@ function generateHelpData() {
             endpoint: 'POST /charging/start',
             description: 'Start vehicle charging immediately',
             parameters: {
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'medium',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.charging_start || false,
-            example: 'Start charging: POST /charging/start {"confirm": true}'
+            example: 'Start charging: POST /charging/start, then repeat with {"confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1442,12 +2227,12 @@ function generateHelpData() {
             endpoint: 'POST /charging/stop',
             description: 'Stop vehicle charging',
             parameters: {
-                confirm: 'boolean (required if confirmation enabled)'
+                confirmation_token: 'string (second step, required if confirmation enabled)'
             },
             safety_level: 'medium',
             enabled: true,
             requires_confirmation: config.security.require_confirmation.charging_stop || false,
-            example: 'Stop charging: POST /charging/stop {"confirm": true}'
+            example: 'Stop charging: POST /charging/stop, then repeat with {"confirmation_token": "cnf_..."}'
         });
     } else {
         commands.push({
@@ -1521,17 +2306,38 @@ function generateHelpData() {
             endpoint: 'POST /charging/profile',
             description: 'Set charging profile/schedule',
             parameters: {
-                scheduled_start: 'string (optional, default: "23:00")',
-                target_level: 'number (optional, default: 90)',
-                rate_limit: 'string (optional, default: "normal")'
+                charge_mode: `${chargingProfiles.CHARGE_MODES.join(', ')} (optional, default: unchanged)`,
+                rate_type: `${chargingProfiles.RATE_TYPES.join(', ')} (optional, default: unchanged)`
             },
             safety_level: 'medium',
             enabled: true,
             requires_confirmation: false,
-            example: 'Set profile: POST /charging/profile {"scheduled_start": "22:00", "target_level": 80}'
+            example: 'Charge at off-peak rates: POST /charging/profile {"charge_mode": "RATE_BASED", "rate_type": "OFFPEAK"}'
+        });
+    }
+    
+    if (config.api_endpoints.charging.plan) {
+        commands.push({
+            command: 'get_charging_plan',
+            endpoint: 'GET /charging/plan',
+            description: 'Smart charging plan: cheapest tariff periods to reach the target level by departure',
+            parameters: {
+                refresh: 'true to read the vehicle and re-plan now (optional)',
+                dry_run: 'true to preview the plan and its commands without sending or saving anything (optional)'
+            },
+            safety_level: 'safe',
+            enabled: true,
+            requires_confirmation: false,
+            example: 'Preview: GET /charging/plan?dry_run=true'
         });
     }
     
+    // Leave out what the default vehicle can't do (known once a session has loaded the account vehicles)
+    const defaultVin = sessionManager.getDefaultVin();
+    const unsupported = vehicleCapabilities.getSettings().hide_unsupported ?
+        vehicleCapabilities.getUnsupportedEndpoints(defaultVin) : [];
+    _.remove(commands, cmd => unsupported.includes(cmd.endpoint));
+    
     // System Commands
     commands.push({
         command: 'health_check',
@@ -1554,17 +2360,29 @@ function generateHelpData() {
         require_confirmation: commands.filter(cmd => cmd.requires_confirmation).length
     };
     
+    const vehicle = vehicleCapabilities.getCached(defaultVin);
+    
     return {
-        vehicle_info: {
-            make: 'Chevrolet',
-            model: 'Bolt EV',
-            year: 2020,
-            vin: process.env.ONSTAR_VIN
+        vehicle_info: vehicle ? _.pick(vehicle, ['make', 'model', 'year', 'vin', 'description']) : {
+            make: null,
+            model: null,
+            year: null,
+            vin: defaultVin || process.env.ONSTAR_VIN
         },
+        unsupported_by_vehicle: unsupported,
         api_info: {
             base_url: process.env.API_BASE_URL || 'http://localhost:8080',
-            authentication: 'Bearer token required in Authorization header',
-            api_key: 'Set API_KEY environment variable (default: brandt-car-boltaire-2025)'
+            authentication: 'Bearer token required in Authorization header (master key or a named key from /admin/keys)',
+            api_key: 'Set API_KEY environment variable (default: brandt-car-boltaire-2025)',
+            vehicle_routing: 'Prefix any vehicle endpoint with /vehicles/{vin} to target a specific vehicle (GET /vehicles lists them)',
+            wake_budget: 'Reads are refused when the vehicle is close to hibernating; check GET /budget or data.session.commandBudget',
+            telemetry_cache: 'Information endpoints answer from cache when values are recent enough; use ?max_age=<seconds> or ?fresh=true',
+            diagnostics_units: '/status and /diagnostics convert values with ?units=metric|imperial or ?pressure_unit=, ?distance_unit=, ?temperature_unit=',
+            telemetry_history: 'GET /history lists recorded metrics; GET /history/{metric}?from=&to=&bucket= returns a downsampled series',
+            webhooks: 'Register URLs with POST /webhooks (master key) to receive signed command results and vehicle events',
+            schedules: 'POST /schedules runs a vehicle command on a cron rule (e.g. climate_start at "15 7 * * 1-5") with optional skip_if conditions',
+            geofences: 'POST /geofences defines a circle or polygon whose enter, exit and dwell events lock the doors, start climate or notify webhooks',
+            events: 'GET /events streams session state, command progress and config reloads as Server-Sent Events'
         },
         environment_status: checkEnvironmentStatus(),
         safety_summary: {
@@ -1581,7 +2399,8 @@ function generateHelpData() {
         safety_notes: [
             'Commands marked as "high_risk" are disabled by default for safety',
             'Alert commands (lights/horn) may trigger car alarm and disturb neighbors',
-            'Commands requiring confirmation need "confirm": true in request body',
+            'Commands requiring confirmation answer 428 with a one-time confirmation_token and a summary - repeat the same request with the token to execute',
+            'Vehicle commands return 202 with a command_id - poll GET /commands/{id} or add ?wait=true',
             'All commands require valid API key in Authorization header',
             'Vehicle must be awake for commands to work (may take 30+ seconds if sleeping)'
         ],
@@ -1743,40 +2562,228 @@ function generateApiContract() {
             configuration_source: envStatus.configuration_overrides.active_overrides > 0 ? 'environment_variables' : 'config_file'
         },
         
-        // Authentication contract
-        authentication: {
-            type: 'bearer_token',
-            header: 'Authorization',
-            format: 'Bearer {api_key}',
-            api_key_source: 'API_KEY environment variable',
-            default_key: 'brandt-car-boltaire-2025',
-            note: 'Change default API key in production'
+        // Authentication contract
+        authentication: {
+            type: 'bearer_token',
+            header: 'Authorization',
+            format: 'Bearer {api_key}',
+            api_key_source: 'API_KEY environment variable',
+            default_key: 'brandt-car-boltaire-2025',
+            named_keys: {
+                admin_endpoints: ['GET /admin/keys', 'POST /admin/keys', 'DELETE /admin/keys/{name}'],
+                permissions: '"*" or { category: "*" | [actions] } using the api_endpoints categories of config.json and the account categories',
+                account_categories: apiKeys.ACCOUNT_PERMISSIONS,
+                master_only: ['/admin/keys', '/analytics/*', '/config/reload', '/auth/force', 'DELETE /auth/session', '/debug/test-auth', 'DELETE /auth/token/{id}']
+            },
+            access_tokens: {
+                endpoint: 'POST /auth/token',
+                body: {
+                    scope: 'List of category.action entries, e.g. ["doors.unlock"]',
+                    vins: 'Optional list of VINs',
+                    expires_in_minutes: `1-${accessTokens.MAX_TTL_MINUTES} (default ${accessTokens.DEFAULT_TTL_MINUTES})`,
+                    max_uses: 'Optional number of successful requests',
+                    label: 'Optional name recorded in command_log'
+                },
+                usage: 'Authorization: Bearer {token}',
+                headers: { uses_remaining: 'X-Token-Uses-Remaining' },
+                storage: 'Uses and revocations are kept in the access_tokens table; tokens are not issued without the database'
+            },
+            note: 'Change default API key in production. The master key can create named keys limited to specific endpoints'
+        },
+        
+        // Base URL contract
+        base_url: {
+            url: process.env.API_BASE_URL || 'http://localhost:8080',
+            environment_variable: 'API_BASE_URL',
+            note: 'Railway automatically sets this for deployed instances'
+        },
+        
+        // Rate limiting contract
+        rate_limits: {
+            global: {
+                window_minutes: 15,
+                max_requests: 100,
+                note: 'Applied to all endpoints'
+            },
+            categories: categoryLimiter.describe(),
+            headers: {
+                limit: 'RateLimit-Limit',
+                remaining: 'RateLimit-Remaining',
+                reset_seconds: 'RateLimit-Reset',
+                retry_after: 'Retry-After (only on 429 responses)'
+            },
+            note: 'Category limits are configured in security.rate_limiting and apply per vehicle unless scope is "client"'
+        },
+        
+        // Wake budget contract
+        wake_budget: {
+            settings: commandBudget.getSettings(),
+            guarded_endpoints: ['/status (costs up to 2)', '/location', '/diagnostics', 'GET /charging/profile'],
+            endpoints: ['GET /budget', 'POST /budget/reset'],
+            note: 'Reads answer 429 once only the critical reserve is left; add ?force=true to spend it anyway. Every response reports the budget in data.session.commandBudget'
+        },
+        
+        // Telemetry cache contract
+        telemetry_cache: {
+            settings: telemetryCache.getSettings(),
+            cached_endpoints: ['/status', '/location', '/diagnostics'],
+            query_parameters: {
+                max_age: 'Accept cached values up to this many seconds old',
+                fresh: 'true to always read from the vehicle'
+            },
+            note: 'Responses describe the age and source (cache or live) of every value in data.data_freshness; reads served from cache cost no wake budget'
+        },
+        
+        // Vehicle capabilities contract
+        capabilities: {
+            endpoint: 'GET /capabilities',
+            settings: vehicleCapabilities.getSettings(),
+            source: 'Commands OnStar lists for the vehicle in getAccountVehicles, cached per VIN for cache_ttl_seconds',
+            query_parameters: {
+                refresh: 'true to re-read the vehicle list from OnStar'
+            },
+            unsupported_routes: 'Answer 404 with data.supported = false and are left out of /help while hide_unsupported is on',
+            note: 'Nothing is hidden until a session has loaded the account vehicles'
+        },
+        
+        // Climate contract
+        climate: {
+            endpoint: 'POST /climate/start',
+            settings: climateControl.getSettings(),
+            parameters: {
+                duration_minutes: 'Whole number from 1 to max_duration_minutes (400 otherwise)',
+                force: 'true to start again while an auto-stop is pending (409 otherwise)'
+            },
+            unsupported_parameters: climateControl.UNSUPPORTED_PARAMETERS,
+            auto_stop: {
+                server: 'cancelStart is queued as climate_stop when duration_minutes has elapsed',
+                vehicle: 'duration_minutes is the vehicle run time, the vehicle stops by itself',
+                disabled: 'climate.auto_stop is off'
+            },
+            note: 'POST /climate/stop cancels a pending auto-stop'
+        },
+        
+        // Charging profile contract
+        charging_profile: {
+            endpoints: ['GET /charging/profile', 'POST /charging/profile'],
+            fields: {
+                charge_mode: chargingProfiles.CHARGE_MODES,
+                rate_type: chargingProfiles.RATE_TYPES
+            },
+            unsupported_parameters: chargingProfiles.UNSUPPORTED_PARAMETERS,
+            behavior: 'Fields left out keep their current value; the profile is only sent when it changes and is read back afterwards',
+            result: 'Command result body: { previous, profile, changes: [{ field, from, to }] }; the command fails if the vehicle reports another value after the change'
+        },
+        
+        // Charging scheduler contract
+        charging_scheduler: {
+            endpoint: 'GET /charging/plan',
+            settings: _.omit(chargingScheduler.getSettings(), ['tariff']),
+            tariff: chargingScheduler.getSettings().tariff,
+            plan_statuses: chargingScheduler.PLAN_STATUSES,
+            plan: '{ status, battery_level, target_level, departure_at, windows: [{ start, end, rate, cost }], commands: [{ at, command }], sent: [{ command, status }], dry_run }',
+            commands: 'charging_start and charging_stop, queued like POST /charging/start and /charging/stop (listed in GET /commands) unless dry_run',
+            note: 'Times are server local time; tariff times no period covers are never used for charging'
+        },
+        
+        // Geofences contract
+        geofences: {
+            endpoints: ['GET /geofences', 'POST /geofences', 'GET /geofences/events', 'GET /geofences/{id}', 'PATCH /geofences/{id}', 'DELETE /geofences/{id}', 'GET /geofences/{id}/events'],
+            settings: geofences.getSettings(),
+            body: {
+                name: 'string',
+                shape: '{ type: "circle", latitude, longitude, radius_meters } or { type: "polygon", points: [{ latitude, longitude }, ...] } (3-100 points)',
+                vin: 'string (optional, default: every polled vehicle)',
+                dwell_minutes: 'integer (optional): send a dwell event once the vehicle has been inside this long',
+                actions: '[{ on: "enter" | "exit" | "dwell", command, parameters? }] or [{ on, notify: true }] (optional)',
+                enabled: 'boolean (default: true)'
+            },
+            events: geofences.GEOFENCE_EVENTS,
+            commands: Object.keys(SCHEDULED_COMMANDS),
+            event: '{ type, geofence_id, geofence_name, vin, at, location: { latitude, longitude }, actions: [{ on, command | notify, status, reason, error, command_id }] }',
+            delivery: 'Every event is sent to GET /events as "geofence"; notify actions also send the webhook event geofence.enter, geofence.exit or geofence.dwell',
+            note: 'Positions come from the poller and from every live location read. The first position after a restart or a shape change only sets the state, without events'
+        },
+        
+        // Command schedules contract
+        schedules: {
+            endpoints: ['GET /schedules', 'POST /schedules', 'GET /schedules/{id}', 'PATCH /schedules/{id}', 'DELETE /schedules/{id}', 'GET /schedules/{id}/runs'],
+            settings: commandSchedules.getSettings(),
+            timezone: commandSchedules.getTimezone(),
+            commands: Object.keys(SCHEDULED_COMMANDS),
+            body: {
+                name: 'string',
+                command: 'One of commands',
+                cron: 'minute hour day-of-month month day-of-week in the server time zone (timezone; UTC unless TZ is set): *, lists, ranges, steps, jan-dec and sun-sat',
+                vin: 'string (optional, default: the default vehicle when the schedule runs)',
+                parameters: 'object, as in the body of the command\'s route (optional)',
+                skip_if: '{ unplugged, plugged_in, charging: boolean; battery_below, battery_above: percentage } (optional)',
+                enabled: 'boolean (default: true)'
+            },
+            run_statuses: commandSchedules.RUN_STATUSES,
+            run: '{ schedule_id, vin, command, status, reason, error, command_id, reading, scheduled_for, started_at, completed_at }',
+            safety: 'Creating or changing a schedule needs the same permissions and confirmation as the command\'s route; runs skip disabled endpoints and rate-limited categories',
+            note: 'Commands are queued like their routes and listed in GET /commands; runs later than missed_run_grace_minutes are recorded as missed, not sent'
         },
         
-        // Base URL contract
-        base_url: {
-            url: process.env.API_BASE_URL || 'http://localhost:8080',
-            environment_variable: 'API_BASE_URL',
-            note: 'Railway automatically sets this for deployed instances'
+        // Diagnostics model contract
+        diagnostics: {
+            endpoints: ['GET /status', 'GET /diagnostics'],
+            structure: 'data.diagnostics[item].elements[element] = { value, unit, status, message }',
+            query_parameters: {
+                units: `${Object.keys(diagnosticsModel.UNIT_PRESETS).join(', ')} or vehicle (default: as reported by the vehicle)`,
+                pressure_unit: Object.keys(diagnosticsModel.UNITS.pressure).join(', '),
+                distance_unit: Object.keys(diagnosticsModel.UNITS.distance).join(', '),
+                temperature_unit: Object.keys(diagnosticsModel.UNITS.temperature).join(', ')
+            },
+            note: 'data.units lists the converted dimensions; other values keep the unit the vehicle reported'
         },
         
-        // Rate limiting contract
-        rate_limits: {
-            global: {
-                window_minutes: 15,
-                max_requests: 100,
-                note: 'Applied to all endpoints'
+        // Telemetry history contract
+        telemetry_history: {
+            endpoints: ['GET /history', 'GET /history/{metric}'],
+            metric_aliases: telemetryHistory.METRIC_ALIASES,
+            query_parameters: {
+                from: 'ISO 8601 start (default: 7 days ago)',
+                to: 'ISO 8601 end (default: now)',
+                bucket: 'Bucket size such as 15m, 1h or 1d (default: 1h)'
+            },
+            note: 'Live diagnostics and location readings are stored in vehicle_telemetry; use metric "location" for positions'
+        },
+        
+        // Event stream contract
+        event_stream: {
+            endpoint: 'GET /events',
+            content_type: 'text/event-stream',
+            event_types: {
+                session: 'state is authenticating, authenticated, authentication_failed, refreshing, refresh_failed, expiring_soon, expired or cleared',
+                command: 'Command record from GET /commands/{id} on every status change (queued, in_progress, success, failure, cancelled)',
+                vehicle_request: 'Every OnStar request, including reads: started, retrying (after a 401), completed or failed with executionTime',
+                config: 'config.json reloaded, with the changed sections',
+                geofence: 'Geofence enter, exit or dwell event with the outcome of its actions'
             },
-            alert_commands: config.security?.rate_limiting?.alert_commands || {
-                window_minutes: 60,
-                max_requests: 3,
-                note: 'Stricter limits for disruptive commands'
+            query_parameters: {
+                types: 'Comma-separated event types (default: all)',
+                vin: 'Only vehicle events for this VIN',
+                last_event_id: 'Same as the Last-Event-ID header'
             },
-            door_commands: config.security?.rate_limiting?.door_commands || {
-                window_minutes: 15,
-                max_requests: 10,
-                note: 'Moderate limits for security-related commands'
-            }
+            resume: 'Reconnect with Last-Event-ID to replay missed events; a "resync" event means some were lost (server restart or too old)',
+            note: 'Requires an API key in the Authorization header; access tokens are not accepted. A comment line is sent every 25 seconds to keep the connection open'
+        },
+        
+        // Webhooks contract
+        webhooks: {
+            endpoints: ['GET /webhooks', 'POST /webhooks', 'DELETE /webhooks/{id}', 'POST /webhooks/{id}/test', 'GET /webhooks/deliveries', 'GET /webhooks/dead-letters'],
+            event_types: webhooks.EVENT_TYPES,
+            settings: webhooks.getSettings(),
+            payload: { id: 'evt_...', type: 'command.succeeded', created_at: 'ISO 8601 datetime', vin: 'string or null', data: 'object' },
+            headers: {
+                event: 'X-Webhook-Event',
+                delivery: 'X-Webhook-Delivery',
+                timestamp: 'X-Webhook-Timestamp (unix seconds)',
+                signature: 'X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret>'
+            },
+            note: 'Any 2xx answer counts as delivered; other answers and timeouts are retried with exponential backoff, then stored in webhook_dead_letters'
         },
         
         // Response format contract
@@ -1795,9 +2802,11 @@ function generateApiContract() {
             },
             status_codes: {
                 200: 'Success',
-                400: 'Bad Request (missing confirmation, invalid parameters)',
+                202: 'Accepted (command queued - poll GET /commands/{id} for the result)',
+                400: 'Bad Request (invalid or expired confirmation token, invalid parameters)',
                 401: 'Unauthorized (missing or invalid API key)',
-                403: 'Forbidden (endpoint disabled)',
+                403: 'Forbidden (endpoint disabled, confirmation token issued for a different request)',
+                428: 'Confirmation required (repeat the request with data.confirmation_token)',
                 429: 'Rate Limited',
                 500: 'Internal Server Error (OnStar connection issues)'
             }
@@ -1867,11 +2876,14 @@ function generateApiContract() {
                 }
             },
             confirmation_mechanism: {
-                parameter: 'confirm',
-                type: 'boolean',
-                value: true,
-                location: 'request_body',
-                example: '{"confirm": true}'
+                flow: 'Send the command; a 428 response carries data.confirmation_token and data.summary. Repeat the same request with the token to execute',
+                parameter: 'confirmation_token',
+                type: 'string',
+                location: 'request_body or X-Confirmation-Token header',
+                ttl_seconds: confirmationTokens.getTtlSeconds(),
+                single_use: true,
+                bound_to: ['action', 'parameters', 'api_key', 'vehicle'],
+                example: '{"confirmation_token": "cnf_..."}'
             },
             disabled_commands: {
                 check_method: 'GET /help',
@@ -1895,14 +2907,29 @@ function generateApiContract() {
                 }
             },
             confirmation_required: {
-                status_code: 400,
+                status_code: 428,
+                response: {
+                    success: false,
+                    message: 'This action requires confirmation. Repeat the request with the confirmation_token from this response.',
+                    data: {
+                        action: 'action_name',
+                        requires_confirmation: true,
+                        confirmation_token: 'cnf_...',
+                        expires_at: 'ISO 8601 datetime',
+                        summary: 'Unlock the doors on 2020 Chevrolet Bolt EV (1G1FZ6S02L4128522)',
+                        hint: 'Repeat the same request with this confirmation_token in the body or the X-Confirmation-Token header'
+                    }
+                }
+            },
+            invalid_confirmation: {
+                status_code: '400 (unknown, expired) or 403 (mismatch)',
                 response: {
                     success: false,
-                    message: 'This action requires confirmation. Add \'confirm=true\' to your request body.',
+                    message: 'Confirmation token has expired',
                     data: {
                         action: 'action_name',
                         requires_confirmation: true,
-                        hint: 'Add \'confirm: true\' to your request body to proceed'
+                        reason: 'unknown | expired | mismatch'
                     }
                 }
             },
@@ -1916,6 +2943,15 @@ function generateApiContract() {
                         retry_suggested: true
                     }
                 }
+            },
+            session_rejected: {
+                behavior: 'When OnStar answers 401 mid-command, the server re-authenticates and sends the command once more if it is listed in session.auth_retry.commands (idempotent commands by default)',
+                auth_retry: {
+                    status: 'succeeded | failed | reauthentication_failed | skipped',
+                    first_error: 'Error of the rejected attempt',
+                    reauthentication_ms: 'Time spent re-authenticating'
+                },
+                recorded_in: 'auth_retry of the command record (GET /commands/{id}) and of the command_log row of the request that sent it'
             }
         },
         
@@ -1925,9 +2961,10 @@ function generateApiContract() {
                 '1. Call GET /help to understand available commands',
                 '2. Check command.enabled before attempting execution',
                 '3. Respect command.safety_level for user confirmation',
-                '4. Add confirm: true for commands requiring confirmation',
+                '4. On 428, show data.summary to the user and repeat the request with data.confirmation_token once they agree',
                 '5. Handle 403/400 errors gracefully with user feedback',
-                '6. Implement retry logic for 500 errors'
+                '6. Implement retry logic for 500 errors',
+                '7. Poll GET /commands/{id} after a 202 response (or add ?wait=true to block until done)'
             ],
             safety_recommendations: [
                 'Never auto-execute high_risk commands',
@@ -1939,7 +2976,7 @@ function generateApiContract() {
             example_implementations: {
                 command_check: 'if (!command.enabled) return "Command disabled: " + command.disabled_reason',
                 safety_check: 'if (command.safety_level === "high_risk") return "User confirmation required"',
-                confirmation_add: 'if (command.requires_confirmation) params.confirm = true',
+                confirmation_add: 'if (response.status === 428 && userAgrees(response.data.summary)) params.confirmation_token = response.data.confirmation_token',
                 error_handling: 'if (response.status === 403) return "Command not available: " + response.data.message'
             }
         },
@@ -1970,16 +3007,19 @@ function generateApiContract() {
 }
 
 // POST /config/reload
-app.post('/config/reload', authenticateApiKey, async (req, res) => {
+app.post('/config/reload', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         const configPath = path.join(__dirname, 'config.json');
         const newConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        const changedSections = _.union(_.keys(config), _.keys(newConfig)).filter(key => !_.isEqual(config[key], newConfig[key]));
         config = newConfig;
         
         console.log('Configuration reloaded successfully');
+        eventStream.publish('config', { action: 'reloaded', changed_sections: changedSections });
         res.json(createResponse(true, 'Configuration reloaded successfully', {
             timestamp: new Date().toISOString(),
-            config: config
+            config: config,
+            rate_limits: categoryLimiter.describe()
         }));
     } catch (error) {
         console.error('Failed to reload configuration:', error.message);
@@ -1987,10 +3027,493 @@ app.post('/config/reload', authenticateApiKey, async (req, res) => {
     }
 });
 
+// API Key Administration Endpoints
+
+// GET /admin/keys - List named API keys
+app.get('/admin/keys', authenticateApiKey, requireMasterKey, async (req, res) => {
+    try {
+        const keys = await apiKeys.list(req.query.include_revoked === 'true');
+        
+        res.json(createResponse(true, 'API keys retrieved', {
+            keys,
+            count: keys.length
+        }));
+    } catch (error) {
+        console.error('Failed to list API keys:', error.message);
+        res.status(500).json(createResponse(false, `Failed to list API keys: ${error.message}`));
+    }
+});
+
+// POST /admin/keys - Create a named API key
+app.post('/admin/keys', authenticateApiKey, requireMasterKey, async (req, res) => {
+    try {
+        const { name, permissions, expires_at, expires_in_days } = req.body;
+        
+        const permissionError = apiKeys.validatePermissions(permissions, config.api_endpoints);
+        if (permissionError) {
+            return res.status(400).json(createResponse(false, permissionError, {
+                example: { name: 'home-assistant', permissions: { status: ['get'], doors: ['lock'] }, expires_in_days: 90 },
+                categories: config.api_endpoints,
+                account_categories: apiKeys.ACCOUNT_PERMISSIONS
+            }));
+        }
+        
+        let expiresAt = null;
+        if (expires_at) {
+            expiresAt = new Date(expires_at);
+        } else if (expires_in_days) {
+            expiresAt = new Date(Date.now() + Number(expires_in_days) * 24 * 60 * 60 * 1000);
+        }
+        if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+            return res.status(400).json(createResponse(false, 'Expiry must be a date in the future'));
+        }
+        
+        const { apiKey, key } = await apiKeys.create({ name, permissions, expiresAt });
+        
+        res.status(201).json(createResponse(true, `API key "${key.name}" created`, {
+            api_key: apiKey,
+            key,
+            warning: 'Store this key now - it cannot be retrieved again'
+        }));
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json(createResponse(false, `An API key named "${req.body.name}" already exists`));
+        }
+        if (error.message.startsWith('name must be')) {
+            return res.status(400).json(createResponse(false, error.message));
+        }
+        console.error('Failed to create API key:', error.message);
+        res.status(500).json(createResponse(false, `Failed to create API key: ${error.message}`));
+    }
+});
+
+// DELETE /admin/keys/:name - Revoke a named API key
+app.delete('/admin/keys/:name', authenticateApiKey, requireMasterKey, async (req, res) => {
+    try {
+        const key = await apiKeys.revoke(req.params.name);
+        if (!key) {
+            return res.status(404).json(createResponse(false, `No active API key named "${req.params.name}"`));
+        }
+        
+        res.json(createResponse(true, `API key "${key.name}" revoked`, { key }));
+    } catch (error) {
+        console.error('Failed to revoke API key:', error.message);
+        res.status(500).json(createResponse(false, `Failed to revoke API key: ${error.message}`));
+    }
+});
+
+// Webhook Endpoints
+
+// GET /webhooks - List registered webhooks
+app.get('/webhooks', authenticateApiKey, requireMasterKey, (req, res) => {
+    try {
+        const registered = webhooks.list();
+        
+        res.json(createResponse(true, 'Webhooks retrieved', {
+            webhooks: registered,
+            count: registered.length,
+            event_types: webhooks.EVENT_TYPES
+        }));
+    } catch (error) {
+        console.error('Failed to list webhooks:', error.message);
+        res.status(500).json(createResponse(false, `Failed to list webhooks: ${error.message}`));
+    }
+});
+
+// POST /webhooks - Register a webhook
+app.post('/webhooks', authenticateApiKey, requireMasterKey, async (req, res) => {
+    try {
+        const { url, events, secret, description } = req.body;
+        
+        const validationError = webhooks.validate({ url, events, secret });
+        if (validationError) {
+            return res.status(400).json(createResponse(false, validationError, {
+                example: { url: 'https://example.com/hooks/car', events: ['command.*', 'battery.low'] },
+                event_types: webhooks.EVENT_TYPES
+            }));
+        }
+        
+        const registration = await webhooks.register({ url, events, secret, description });
+        
+        res.status(201).json(createResponse(true, `Webhook ${registration.webhook.id} registered`, {
+            webhook: registration.webhook,
+            secret: registration.secret,
+            signature: 'X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<raw body>")',
+            warning: secret ? undefined : 'Store this secret now - it cannot be retrieved again'
+        }));
+    } catch (error) {
+        console.error('Failed to register webhook:', error.message);
+        res.status(500).json(createResponse(false, `Failed to register webhook: ${error.message}`));
+    }
+});
+
+// GET /webhooks/deliveries - Recent webhook deliveries
+app.get('/webhooks/deliveries', authenticateApiKey, requireMasterKey, (req, res) => {
+    try {
+        const { webhook_id, status, limit = 50 } = req.query;
+        
+        const deliveries = webhooks.listDeliveries({
+            webhookId: webhook_id || null,
+            status: status || null,
+            limit: parseInt(limit)
+        });
+        
+        res.json(createResponse(true, 'Recent webhook deliveries retrieved', {
+            deliveries,
+            filters: { webhook_id, status },
+            total: deliveries.length
+        }));
+    } catch (error) {
+        console.error('Failed to list webhook deliveries:', error.message);
+        res.status(500).json(createResponse(false, `Failed to list webhook deliveries: ${error.message}`));
+    }
+});
+
+// GET /webhooks/dead-letters - Deliveries that failed every attempt
+app.get('/webhooks/dead-letters', authenticateApiKey, requireMasterKey, async (req, res) => {
+    try {
+        const { webhook_id, limit = 50 } = req.query;
+        
+        const deadLetters = await db.getWebhookDeadLetters({
+            webhookId: webhook_id ? parseInt(webhook_id) : null,
+            limit: parseInt(limit)
+        });
+        
+        res.json(createResponse(true, 'Webhook dead letters retrieved', {
+            dead_letters: deadLetters,
+            total: deadLetters.length
+        }));
+    } catch (error) {
+        console.error('Failed to get webhook dead letters:', error.message);
+        res.status(500).json(createResponse(false, `Failed to get webhook dead letters: ${error.message}`));
+    }
+});
+
+// POST /webhooks/:id/test - Send a webhook.test event to one webhook
+app.post('/webhooks/:id/test', authenticateApiKey, requireMasterKey, (req, res) => {
+    try {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook) {
+            return res.status(404).json(createResponse(false, `Webhook ${req.params.id} not found`));
+        }
+        
+        const { event } = webhooks.publish('webhook.test', { data: { message: 'Test event from Brandt Car API' } }, [webhook.id]);
+        
+        res.status(202).json(createResponse(true, `Test event sent to webhook ${webhook.id}`, {
+            event,
+            deliveries_url: `/webhooks/deliveries?webhook_id=${webhook.id}`
+        }));
+    } catch (error) {
+        console.error('Failed to send test event:', error.message);
+        res.status(500).json(createResponse(false, `Failed to send test event: ${error.message}`));
+    }
+});
+
+// DELETE /webhooks/:id - Remove a webhook
+app.delete('/webhooks/:id', authenticateApiKey, requireMasterKey, async (req, res) => {
+    try {
+        const webhook = await webhooks.remove(req.params.id);
+        if (!webhook) {
+            return res.status(404).json(createResponse(false, `Webhook ${req.params.id} not found`));
+        }
+        
+        res.json(createResponse(true, `Webhook ${webhook.id} removed`, { webhook }));
+    } catch (error) {
+        console.error('Failed to remove webhook:', error.message);
+        res.status(500).json(createResponse(false, `Failed to remove webhook: ${error.message}`));
+    }
+});
+
+// Schedule Endpoints
+
+// Schedules and geofences: each command in req.actionCommands goes through the middleware of
+// its route (endpoint enabled, vehicle capabilities, API key permissions) and, unless it is being
+// turned off, one confirmation covers the request when any of the commands needs it. Deleting or
+// only setting {"enabled": false} just checks the API key, so it works after an endpoint is disabled
+function checkActionCommands({ confirm = false } = {}) {
+    return (req, res, next) => {
+        const turningOff = req.method === 'DELETE' || _.isEqual(req.body, { enabled: false });
+        const commands = _.uniq(req.actionCommands);
+        const checks = commands.map(command => {
+            const { category, action } = SCHEDULED_COMMANDS[command];
+            return turningOff ? requirePermission(category, action) : checkEndpointEnabled(category, action);
+        });
+        const confirmed = commands.find(command => config.security.require_confirmation[command]);
+        if (confirm && confirmed && req.body.enabled !== false) {
+            checks.push(requireConfirmation(confirmed));
+        }
+
+        const runCheck = index => index < checks.length ? checks[index](req, res, () => runCheck(index + 1)) : next();
+        runCheck(0);
+    };
+}
+
+// Schedules: validate a new schedule and resolve its vehicle
+function parseScheduleRequest(req, res, next) {
+    const fields = { ...req.body, vin: req.body.vin ? String(req.body.vin).toUpperCase() : null };
+    const error = commandSchedules.validate(fields, Object.keys(SCHEDULED_COMMANDS)) || checkScheduleParameters(fields);
+    if (error) {
+        return res.status(400).json(createResponse(false, error, {
+            example: { name: 'Weekday warm-up', command: 'climate_start', cron: '15 7 * * 1-5', parameters: { duration_minutes: 10 }, skip_if: { unplugged: true, battery_below: 20 } },
+            commands: Object.keys(SCHEDULED_COMMANDS),
+            skip_conditions: Object.keys(commandSchedules.SKIP_CONDITIONS)
+        }));
+    }
+
+    req.scheduleFields = fields;
+    req.actionCommands = [fields.command];
+    req.vehicleVin = fields.vin || sessionManager.getDefaultVin();
+    next();
+}
+
+// Schedules: load the schedule named in the path
+function loadSchedule(req, res, next) {
+    const schedule = commandSchedules.get(req.params.id);
+    if (!schedule) {
+        return res.status(404).json(createResponse(false, `Schedule ${req.params.id} not found`));
+    }
+
+    req.schedule = schedule;
+    req.actionCommands = [schedule.command];
+    req.vehicleVin = schedule.vehicle_vin || sessionManager.getDefaultVin();
+    next();
+}
+
+// Schedules: parameters are checked like the route's body when the schedule is saved, not only when it runs
+function checkScheduleParameters({ command, parameters }) {
+    const { parse } = SCHEDULED_COMMANDS[command] || {};
+    const request = parse && parameters ? parse(parameters) : {};
+    return request.error ? `parameters: ${request.error}` : null;
+}
+
+// GET /schedules - List command schedules
+app.get('/schedules', authenticateApiKey, rejectAccessTokens, requirePermission('schedules', 'list'), (req, res) => {
+    const schedules = commandSchedules.list();
+
+    res.json(createResponse(true, 'Schedules retrieved', {
+        schedules,
+        count: schedules.length,
+        enabled: commandSchedules.getSettings().enabled,
+        timezone: commandSchedules.getTimezone(),
+        commands: Object.keys(SCHEDULED_COMMANDS),
+        skip_conditions: Object.keys(commandSchedules.SKIP_CONDITIONS)
+    }));
+});
+
+// POST /schedules - Create a command schedule
+app.post('/schedules', authenticateApiKey, rejectAccessTokens, parseScheduleRequest, checkActionCommands({ confirm: true }), async (req, res) => {
+    try {
+        const schedule = await commandSchedules.create({ ...req.scheduleFields, created_by: req.apiKey.name });
+
+        res.status(201).json(createResponse(true, `Schedule ${schedule.id} created`, {
+            schedule,
+            runs_url: `/schedules/${schedule.id}/runs`
+        }));
+    } catch (error) {
+        console.error('Failed to create schedule:', error.message);
+        res.status(500).json(createResponse(false, `Failed to create schedule: ${error.message}`));
+    }
+});
+
+// GET /schedules/:id - A schedule with its latest runs
+app.get('/schedules/:id', authenticateApiKey, rejectAccessTokens, requirePermission('schedules', 'list'), loadSchedule, async (req, res) => {
+    const runs = await commandSchedules.getRuns(req.schedule.id, 5);
+
+    res.json(createResponse(true, `Schedule ${req.schedule.id} retrieved`, {
+        schedule: req.schedule,
+        recent_runs: runs
+    }));
+});
+
+// PATCH /schedules/:id - Change the name, cron, parameters, skip_if or enabled of a schedule
+app.patch('/schedules/:id', authenticateApiKey, rejectAccessTokens, loadSchedule, checkActionCommands({ confirm: true }), async (req, res) => {
+    try {
+        const error = commandSchedules.validate(req.body, Object.keys(SCHEDULED_COMMANDS), { partial: true }) ||
+            checkScheduleParameters({ command: req.schedule.command, parameters: req.body.parameters });
+        if (error) {
+            return res.status(400).json(createResponse(false, error, {
+                changeable: ['name', 'cron', 'parameters', 'skip_if', 'enabled'],
+                hint: 'The command and vehicle of a schedule cannot change - create a new schedule instead'
+            }));
+        }
+
+        const schedule = await commandSchedules.update(req.schedule.id, req.body);
+        res.json(createResponse(true, `Schedule ${schedule.id} updated`, { schedule }));
+    } catch (error) {
+        console.error('Failed to update schedule:', error.message);
+        res.status(500).json(createResponse(false, `Failed to update schedule: ${error.message}`));
+    }
+});
+
+// DELETE /schedules/:id - Remove a schedule and its run history
+app.delete('/schedules/:id', authenticateApiKey, rejectAccessTokens, loadSchedule, checkActionCommands(), async (req, res) => {
+    try {
+        const schedule = await commandSchedules.remove(req.schedule.id);
+        res.json(createResponse(true, `Schedule ${req.schedule.id} removed`, { schedule: schedule || req.schedule }));
+    } catch (error) {
+        console.error('Failed to remove schedule:', error.message);
+        res.status(500).json(createResponse(false, `Failed to remove schedule: ${error.message}`));
+    }
+});
+
+// GET /schedules/:id/runs - Run history of a schedule
+app.get('/schedules/:id/runs', authenticateApiKey, rejectAccessTokens, requirePermission('schedules', 'list'), loadSchedule, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await commandSchedules.getRuns(req.schedule.id, limit);
+
+    res.json(createResponse(true, `Runs of schedule ${req.schedule.id} retrieved`, {
+        schedule_id: req.schedule.id,
+        runs,
+        total: runs.length,
+        statuses: commandSchedules.RUN_STATUSES
+    }));
+});
+
+// Geofence Endpoints
+
+// Geofences: validate a new geofence and resolve its vehicle
+function parseGeofenceRequest(req, res, next) {
+    const fields = { ...req.body, vin: req.body.vin ? String(req.body.vin).toUpperCase() : null };
+    const error = geofences.validate(fields, Object.keys(SCHEDULED_COMMANDS)) || checkActionParameters(fields.actions);
+    if (error) {
+        return res.status(400).json(createResponse(false, error, {
+            example: {
+                name: 'Home',
+                shape: { type: 'circle', latitude: 42.3314, longitude: -83.0458, radius_meters: 150 },
+                dwell_minutes: 30,
+                actions: [{ on: 'exit', command: 'doors_lock' }, { on: 'enter', notify: true }]
+            },
+            shapes: ['{ type: "circle", latitude, longitude, radius_meters }', '{ type: "polygon", points: [{ latitude, longitude }, ...] }'],
+            events: geofences.GEOFENCE_EVENTS,
+            commands: Object.keys(SCHEDULED_COMMANDS)
+        }));
+    }
+
+    req.geofenceFields = fields;
+    req.actionCommands = (fields.actions || []).filter(action => action.command).map(action => action.command);
+    req.vehicleVin = fields.vin || sessionManager.getDefaultVin();
+    next();
+}
+
+// Geofences: load the geofence named in the path; a change checks the commands of its new actions
+function loadGeofence(req, res, next) {
+    const geofence = geofences.get(req.params.id);
+    if (!geofence) {
+        return res.status(404).json(createResponse(false, `Geofence ${req.params.id} not found`));
+    }
+
+    req.geofence = geofence;
+    req.actionCommands = (Array.isArray(req.body.actions) ? req.body.actions : geofence.actions)
+        .map(action => _.get(action, 'command'))
+        .filter(command => SCHEDULED_COMMANDS[command]);
+    req.vehicleVin = geofence.vehicle_vin || sessionManager.getDefaultVin();
+    next();
+}
+
+// Geofences: action parameters are checked like the route's body when the geofence is saved
+function checkActionParameters(actions) {
+    for (const [index, action] of (actions || []).entries()) {
+        const error = action.command && checkScheduleParameters(action);
+        if (error) return `actions[${index}].${error}`;
+    }
+    return null;
+}
+
+// GET /geofences - List geofences and whether each vehicle is inside
+app.get('/geofences', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'list'), (req, res) => {
+    const registered = geofences.list();
+
+    res.json(createResponse(true, 'Geofences retrieved', {
+        geofences: registered,
+        count: registered.length,
+        poller: geofences.getStatus(),
+        events: geofences.GEOFENCE_EVENTS,
+        commands: Object.keys(SCHEDULED_COMMANDS)
+    }));
+});
+
+// POST /geofences - Create a geofence
+app.post('/geofences', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'manage'), parseGeofenceRequest, checkActionCommands({ confirm: true }), async (req, res) => {
+    try {
+        const geofence = await geofences.create({ ...req.geofenceFields, created_by: req.apiKey.name });
+
+        res.status(201).json(createResponse(true, `Geofence ${geofence.id} created`, {
+            geofence,
+            events_url: `/geofences/${geofence.id}/events`,
+            hint: geofences.getSettings().enabled ? undefined : 'Positions are only checked when a location is read; enable geofences in config.json to poll'
+        }));
+    } catch (error) {
+        console.error('Failed to create geofence:', error.message);
+        res.status(500).json(createResponse(false, `Failed to create geofence: ${error.message}`));
+    }
+});
+
+// GET /geofences/events - Recent enter, exit and dwell events of every geofence
+app.get('/geofences/events', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'list'), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const vin = req.query.vin ? String(req.query.vin).toUpperCase() : null;
+    const events = await geofences.getEvents({ vin, limit });
+
+    res.json(createResponse(true, 'Geofence events retrieved', { events, total: events.length }));
+});
+
+// GET /geofences/:id - A geofence with its latest events
+app.get('/geofences/:id', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'list'), loadGeofence, async (req, res) => {
+    const events = await geofences.getEvents({ geofenceId: req.geofence.id, limit: 5 });
+
+    res.json(createResponse(true, `Geofence ${req.geofence.id} retrieved`, {
+        geofence: req.geofence,
+        recent_events: events
+    }));
+});
+
+// PATCH /geofences/:id - Change the name, shape, dwell_minutes, actions or enabled of a geofence
+app.patch('/geofences/:id', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'manage'), loadGeofence, checkActionCommands({ confirm: true }), async (req, res) => {
+    try {
+        const error = geofences.validate(req.body, Object.keys(SCHEDULED_COMMANDS), { partial: true }) ||
+            checkActionParameters(req.body.actions);
+        if (error) {
+            return res.status(400).json(createResponse(false, error, {
+                changeable: ['name', 'shape', 'dwell_minutes', 'actions', 'enabled'],
+                hint: 'The vehicle of a geofence cannot change - create a new geofence instead'
+            }));
+        }
+
+        const geofence = await geofences.update(req.geofence.id, req.body);
+        res.json(createResponse(true, `Geofence ${geofence.id} updated`, { geofence }));
+    } catch (error) {
+        console.error('Failed to update geofence:', error.message);
+        res.status(500).json(createResponse(false, `Failed to update geofence: ${error.message}`));
+    }
+});
+
+// DELETE /geofences/:id - Remove a geofence and its events
+app.delete('/geofences/:id', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'manage'), loadGeofence, checkActionCommands(), async (req, res) => {
+    try {
+        const geofence = await geofences.remove(req.geofence.id);
+        res.json(createResponse(true, `Geofence ${req.geofence.id} removed`, { geofence: geofence || req.geofence }));
+    } catch (error) {
+        console.error('Failed to remove geofence:', error.message);
+        res.status(500).json(createResponse(false, `Failed to remove geofence: ${error.message}`));
+    }
+});
+
+// GET /geofences/:id/events - Events of one geofence
+app.get('/geofences/:id/events', authenticateApiKey, rejectAccessTokens, requirePermission('geofences', 'list'), loadGeofence, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const events = await geofences.getEvents({ geofenceId: req.geofence.id, limit });
+
+    res.json(createResponse(true, `Events of geofence ${req.geofence.id} retrieved`, {
+        geofence_id: req.geofence.id,
+        events,
+        total: events.length
+    }));
+});
+
 // Database Analytics Endpoints
 
 // GET /analytics/stats
-app.get('/analytics/stats', authenticateApiKey, async (req, res) => {
+app.get('/analytics/stats', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         const { days = 7, endpoint, success, vehicle_vin } = req.query;
         
@@ -2013,7 +3536,7 @@ app.get('/analytics/stats', authenticateApiKey, async (req, res) => {
 });
 
 // GET /analytics/recent
-app.get('/analytics/recent', authenticateApiKey, async (req, res) => {
+app.get('/analytics/recent', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         const { limit = 50, offset = 0 } = req.query;
         
@@ -2034,7 +3557,7 @@ app.get('/analytics/recent', authenticateApiKey, async (req, res) => {
 });
 
 // GET /analytics/errors
-app.get('/analytics/errors', authenticateApiKey, async (req, res) => {
+app.get('/analytics/errors', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         const { days = 7, limit = 100 } = req.query;
         
@@ -2052,7 +3575,7 @@ app.get('/analytics/errors', authenticateApiKey, async (req, res) => {
 });
 
 // GET /analytics/safety
-app.get('/analytics/safety', authenticateApiKey, async (req, res) => {
+app.get('/analytics/safety', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         const { days = 30 } = req.query;
         
@@ -2075,7 +3598,7 @@ app.get('/analytics/safety', authenticateApiKey, async (req, res) => {
 });
 
 // POST /analytics/cleanup
-app.post('/analytics/cleanup', authenticateApiKey, async (req, res) => {
+app.post('/analytics/cleanup', authenticateApiKey, requireMasterKey, async (req, res) => {
     try {
         const { days_to_keep = 90 } = req.body;
         
@@ -2092,21 +3615,9 @@ app.post('/analytics/cleanup', authenticateApiKey, async (req, res) => {
     }
 });
 
-// Helper function to parse diagnostics
-function parseDiagnostics(diagnostics) {
-    const vehicleData = {};
-    
-    for (const diagnostic of diagnostics) {
-        if (diagnostic.diagnosticElement && diagnostic.diagnosticElement.length > 0) {
-            const element = diagnostic.diagnosticElement[0];
-            if (element.value !== undefined && element.value !== null) {
-                vehicleData[element.name] = element.value;
-            }
-        }
-    }
-    
-    return vehicleData;
-}
+// Mount vehicle endpoints for the default vehicle and for any account VIN
+app.use('/vehicles/:vin', vehicleRouter);
+app.use(vehicleRouter);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -2119,19 +3630,61 @@ app.use((req, res) => {
     res.status(404).json(createResponse(false, 'Endpoint not found'));
 });
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`🚗 Brandt Car API server running on port ${PORT}`);
-    console.log(`📡 API Documentation: http://localhost:${PORT}/capabilities`);
-    console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
+// Start server (requiring the module, e.g. from tests, only builds the app)
+if (require.main === module) {
+    app.listen(PORT, async () => {
+        console.log(`🚗 Brandt Car API server running on port ${PORT}`);
+        console.log(`📡 API Documentation: http://localhost:${PORT}/capabilities`);
+        console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
     
-    // Initialize database
-    try {
-        await db.initializeTables();
-        console.log(`📊 Database logging enabled`);
-    } catch (error) {
-        console.log(`⚠️  Database logging disabled: ${error.message}`);
-    }
-});
+        // Initialize database
+        try {
+            await db.initializeTables();
+            console.log(`📊 Database logging enabled`);
+        } catch (error) {
+            console.log(`⚠️  Database logging disabled: ${error.message}`);
+        }
+    
+        // Registered webhooks live in the database
+        try {
+            await webhooks.load();
+        } catch (error) {
+            console.log(`⚠️  Webhooks not loaded: ${error.message}`);
+        }
+    
+        // Command schedules live in the database; due runs wait while schedules.enabled is off
+        try {
+            await commandSchedules.load();
+        } catch (error) {
+            console.log(`⚠️  Schedules not loaded: ${error.message}`);
+        }
+        commandSchedules.start({
+            runCommand: runScheduledCommand,
+            readVehicle: readChargingState,
+            getDefaultVin: () => sessionManager.getDefaultVin()
+        });
+    
+        // Geofences live in the database; the poller idles while geofences.enabled is off
+        try {
+            await geofences.load();
+        } catch (error) {
+            console.log(`⚠️  Geofences not loaded: ${error.message}`);
+        }
+        geofences.start({
+            readLocation,
+            runCommand: runGeofenceAction,
+            notify: event => webhooks.publish(`geofence.${event.type}`, { vin: event.vin, data: event }),
+            publish: event => eventStream.publish('geofence', event),
+            getDefaultVin: () => sessionManager.getDefaultVin()
+        });
+    
+        // The loop idles while charging_scheduler.enabled is off, so a config reload can turn it on
+        chargingScheduler.start({
+            readVehicle: readChargingState,
+            sendCommand: sendChargingCommand,
+            getDefaultVin: () => sessionManager.getDefaultVin()
+        });
+    });
+}
 
 module.exports = app; 
\ No newline at end of file
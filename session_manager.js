@@ -3,12 +3,52 @@
  * Handles authentication, token management, and session state
  */
 
+const EventEmitter = require('events');
+const { setTimeout, clearTimeout } = require('timers');
 const OnStar = require('onstarjs2');
 const fs = require('fs');
 const path = require('path');
+const _ = require('lodash');
+const Vehicle = require('./deps/vehicle');
+const commandBudget = require('./command_budget');
+const tokenStore = require('./token_store');
 
-class SessionManager {
+const EXPIRING_SOON_MS = 5 * 60 * 1000;
+
+const DEFAULT_REFRESH_CONFIG = {
+    enabled: true,
+    refresh_before_expiry_seconds: 300,
+    initial_backoff_seconds: 15,
+    max_backoff_seconds: 120,
+    jitter: 0.3, // Retry delays vary by +/-30% so restarted instances don't retry in lockstep
+    failure_threshold: 5,
+    circuit_open_seconds: 900,
+    history_size: 20
+};
+
+// Commands that leave the vehicle in the same state however often they are sent, so they are
+// safe to replay after a 401 (session.auth_retry.commands in config.json overrides the list)
+const IDEMPOTENT_COMMANDS = [
+    'get_diagnostics',
+    'get_location',
+    'get_charging_profile',
+    'get_account_vehicles',
+    'health_check',
+    'doors_lock',
+    'trunk_lock',
+    'climate_stop',
+    'charging_stop',
+    'alert_cancel'
+];
+
+const DEFAULT_AUTH_RETRY_CONFIG = {
+    enabled: true,
+    commands: IDEMPOTENT_COMMANDS
+};
+
+class SessionManager extends EventEmitter {
     constructor() {
+        super();
         this.onstarClient = null;
         this.sessionState = {
             isAuthenticated: false,
@@ -20,6 +60,43 @@ class SessionManager {
         };
         this.tokenLocation = process.env.ONSTAR_TOKEN_LOCATION || './tokens/';
         this.authPromise = null; // Track ongoing authentication
+        this.accountVehicles = []; // Vehicles on the OnStar account
+        this.vehicleClients = new Map(); // Per-VIN clients for non-default vehicles
+        this.expiryTimers = []; // Emit 'expiring_soon' and 'expired' states as the session runs out
+        this.refreshTimer = null; // Next background refresh (scheduled, retry or half_open)
+        this.refreshState = {
+            nextRefreshAt: null,
+            nextTrigger: null,
+            consecutiveFailures: 0,
+            circuitOpenedAt: null,
+            history: [] // Newest first
+        };
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Use the server configuration (session.auto_refresh in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getRefreshSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_REFRESH_CONFIG, ..._.get(config, 'session.auto_refresh', {}) };
+    }
+
+    getAuthRetrySettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_AUTH_RETRY_CONFIG, ..._.get(config, 'session.auth_retry', {}) };
+    }
+
+    /**
+     * Whether a command may be re-authenticated and sent again after OnStar answered 401
+     */
+    canRetryAfterUnauthorized(commandName) {
+        const settings = this.getAuthRetrySettings();
+        return settings.enabled && settings.commands.includes(commandName);
     }
 
     /**
@@ -41,6 +118,13 @@ class SessionManager {
             };
         }
 
+        return this._runAuthentication();
+    }
+
+    /**
+     * Start an authentication, or wait for the one already in progress
+     */
+    async _runAuthentication({ refresh = false } = {}) {
         // Prevent multiple concurrent authentications
         if (this.authPromise) {
             console.log('⏳ Authentication already in progress, waiting...');
@@ -49,8 +133,11 @@ class SessionManager {
 
         this.sessionState.authenticationInProgress = true;
         this.sessionState.lastError = null;
+        if (!refresh) {
+            this._emitState('authenticating');
+        }
 
-        this.authPromise = this._performAuthentication();
+        this.authPromise = this._performAuthentication({ refresh });
         
         try {
             const result = await this.authPromise;
@@ -62,31 +149,26 @@ class SessionManager {
         }
     }
 
-    async _performAuthentication() {
+    async _performAuthentication({ refresh = false } = {}) {
         try {
             console.log('🔐 Starting OnStar authentication...');
             
-            // Create OnStar client with configuration
-            const config = {
-                username: process.env.ONSTAR_USERNAME,
-                password: process.env.ONSTAR_PASSWORD,
-                vin: process.env.ONSTAR_VIN,
-                onStarTOTP: process.env.ONSTAR_TOTP_SECRET,
-                onStarPin: process.env.ONSTAR_PIN,
-                deviceId: process.env.ONSTAR_DEVICEID,
-                tokenLocation: this.tokenLocation,
-                checkRequestStatus: true,
-                requestPollingTimeoutSeconds: 120,
-                requestPollingIntervalSeconds: 10
-            };
-
-            this.onstarClient = OnStar.create(config);
+            // Bring back tokens from the token store so a redeploy doesn't need a full login
+            await tokenStore.restore(this.tokenLocation);
+            
+            // Create OnStar client with configuration. The current client keeps serving
+            // commands until the new one has proven to work
+            const client = this._createClient(process.env.ONSTAR_VIN);
 
             // Test authentication with a lightweight call
             console.log('🔄 Testing authentication with account vehicles...');
-            const vehicles = await this.onstarClient.getAccountVehicles();
+            const vehicles = await client.getAccountVehicles();
             
             if (vehicles && vehicles.response && vehicles.response.data) {
+                this.onstarClient = client;
+                this.vehicleClients.clear();
+                this._setAccountVehicles(vehicles);
+
                 // Authentication successful
                 this.sessionState = {
                     isAuthenticated: true,
@@ -95,13 +177,23 @@ class SessionManager {
                     sessionId: this._generateSessionId(),
                     authenticationInProgress: false,
                     lastError: null,
-                    vehicleCount: vehicles.response.data.length
+                    vehicleCount: this.accountVehicles.length
                 };
 
                 console.log('✅ Authentication successful!');
                 console.log(`📱 Session ID: ${this.sessionState.sessionId}`);
                 console.log(`🚗 Found ${this.sessionState.vehicleCount} vehicle(s)`);
                 console.log(`⏰ Session expires: ${this.sessionState.tokenExpiry.toISOString()}`);
+                await tokenStore.persist(this.tokenLocation);
+                // Any successful authentication, manual or not, closes the circuit breaker
+                this.refreshState.consecutiveFailures = 0;
+                this.refreshState.circuitOpenedAt = null;
+                this._scheduleExpiry();
+                this._emitState('authenticated', {
+                    expiresAt: this.sessionState.tokenExpiry,
+                    vehicleCount: this.sessionState.vehicleCount,
+                    ...(refresh ? { refreshed: true } : {})
+                });
 
                 return {
                     success: true,
@@ -117,6 +209,14 @@ class SessionManager {
         } catch (error) {
             console.error('❌ Authentication failed:', error.message);
             
+            // A failed background refresh leaves a session that hasn't expired yet alone
+            const status = this.getSessionStatus();
+            if (refresh && status.isAuthenticated && !status.isExpired) {
+                this.sessionState.authenticationInProgress = false;
+                this.sessionState.lastError = `Background refresh failed: ${error.message}`;
+                throw new Error(`Authentication failed: ${error.message}`);
+            }
+            
             this.sessionState = {
                 isAuthenticated: false,
                 lastAuthTime: null,
@@ -127,11 +227,75 @@ class SessionManager {
             };
 
             this.onstarClient = null;
+            this.vehicleClients.clear();
+            this._emitState('authentication_failed', { error: error.message });
             
             throw new Error(`Authentication failed: ${error.message}`);
         }
     }
 
+    /**
+     * Build an OnStar client bound to a single VIN
+     */
+    _createClient(vin) {
+        return OnStar.create({
+            username: process.env.ONSTAR_USERNAME,
+            password: process.env.ONSTAR_PASSWORD,
+            vin,
+            onStarTOTP: process.env.ONSTAR_TOTP_SECRET,
+            onStarPin: process.env.ONSTAR_PIN,
+            deviceId: process.env.ONSTAR_DEVICEID,
+            tokenLocation: this.tokenLocation,
+            checkRequestStatus: true,
+            requestPollingTimeoutSeconds: 120,
+            requestPollingIntervalSeconds: 10
+        });
+    }
+
+    /**
+     * VIN targeted by requests that don't name a vehicle
+     */
+    getDefaultVin() {
+        if (process.env.ONSTAR_VIN) {
+            return process.env.ONSTAR_VIN.toUpperCase();
+        }
+        return this.accountVehicles.length > 0 ? this.accountVehicles[0].vin : null;
+    }
+
+    /**
+     * Vehicles discovered on the account during authentication
+     */
+    getAccountVehicles() {
+        return this.accountVehicles;
+    }
+
+    /**
+     * Re-read the vehicle list from OnStar
+     */
+    async refreshAccountVehicles() {
+        const client = await this.getClient();
+        const vehicles = await client.getAccountVehicles();
+        this._setAccountVehicles(vehicles);
+        this.sessionState.vehicleCount = this.accountVehicles.length;
+        return this.accountVehicles;
+    }
+
+    _setAccountVehicles(vehiclesRes) {
+        this.accountVehicles = _.map(
+            _.get(vehiclesRes, 'response.data.vehicles.vehicle', []),
+            v => new Vehicle(v)
+        );
+    }
+
+    /**
+     * Find an account vehicle by VIN (case-insensitive)
+     */
+    findVehicle(vin) {
+        if (!vin) return null;
+        const wanted = vin.toUpperCase();
+        return this.accountVehicles.find(v => v.vin && v.vin.toUpperCase() === wanted) || null;
+    }
+
     /**
      * Check current session status
      */
@@ -139,7 +303,7 @@ class SessionManager {
         const now = new Date();
         const isExpired = this.sessionState.tokenExpiry && now > this.sessionState.tokenExpiry;
         const isExpiringSoon = this.sessionState.tokenExpiry && 
-                               (this.sessionState.tokenExpiry.getTime() - now.getTime()) < 5 * 60 * 1000; // 5 minutes
+                               (this.sessionState.tokenExpiry.getTime() - now.getTime()) < EXPIRING_SOON_MS;
 
         return {
             isAuthenticated: this.sessionState.isAuthenticated && !isExpired,
@@ -157,9 +321,9 @@ class SessionManager {
     }
 
     /**
-     * Get authenticated OnStar client for commands
+     * Get authenticated OnStar client for commands, optionally for a specific VIN
      */
-    async getClient() {
+    async getClient(vin) {
         const status = this.getSessionStatus();
         
         if (!status.isAuthenticated) {
@@ -171,41 +335,262 @@ class SessionManager {
         }
 
         if (status.isExpiringSoon) {
-            console.log('⚠️ Session expiring soon, consider re-authenticating');
+            console.log(this.refreshTimer || this.authPromise
+                ? '⚠️ Session expiring soon, background refresh pending'
+                : '⚠️ Session expiring soon, consider re-authenticating');
         }
 
-        return this.onstarClient;
+        const defaultVin = this.getDefaultVin();
+        if (!vin || (defaultVin && vin.toUpperCase() === defaultVin)) {
+            return this.onstarClient;
+        }
+
+        // The account tokens are shared, so other vehicles just need their own VIN-bound client
+        const key = vin.toUpperCase();
+        if (!this.vehicleClients.has(key)) {
+            console.log(`🚙 Creating client for vehicle ${key}`);
+            this.vehicleClients.set(key, this._createClient(key));
+        }
+        return this.vehicleClients.get(key);
     }
 
     /**
-     * Execute a command with the authenticated client
+     * Execute a command with the authenticated client. When OnStar rejects the session with a 401,
+     * commands allowed by session.auth_retry are re-authenticated and sent once more; `authRetry`
+     * in the outcome says what happened (null when there was no 401)
      */
-    async executeCommand(commandName, commandFunc) {
-        const client = await this.getClient();
+    async executeCommand(commandName, commandFunc, vin) {
+        const client = await this.getClient(vin);
+        
+        const startTime = Date.now();
+        let authRetry = null;
         
         try {
-            console.log(`🚗 Executing command: ${commandName}`);
-            const startTime = Date.now();
+            console.log(`🚗 Executing command: ${commandName}${vin ? ` (${vin})` : ''}`);
+            this.emit('command', { status: 'started', command: commandName, vin: vin || this.getDefaultVin() });
+            
+            // Every request that reaches the vehicle counts, whether or not it succeeds
+            const budget = commandBudget.record(vin || this.getDefaultVin(), commandName);
+            if (budget && budget.status !== 'ok') {
+                console.log(`🔋 Wake budget for ${budget.vin}: ${budget.remaining}/${budget.limit} remaining`);
+            }
             
-            const result = await commandFunc(client);
+            let result;
+            try {
+                result = await commandFunc(client);
+            } catch (error) {
+                if (!this._isUnauthorized(error)) {
+                    throw error;
+                }
+                if (!this.canRetryAfterUnauthorized(commandName)) {
+                    authRetry = { status: 'skipped', reason: 'not_retryable', first_error: error.message };
+                    throw error;
+                }
+                
+                authRetry = { status: 'failed', first_error: error.message, reauthentication_ms: null };
+                result = await this._retryAfterUnauthorized(commandName, commandFunc, vin, authRetry);
+                authRetry.status = 'succeeded';
+            }
             
             const executionTime = Date.now() - startTime;
             console.log(`✅ Command ${commandName} completed in ${executionTime}ms`);
+            this.emit('command', { status: 'completed', command: commandName, vin: vin || this.getDefaultVin(), executionTime });
             
-            return { success: true, result, executionTime };
+            return { success: true, result, executionTime, authRetry };
         } catch (error) {
             console.error(`❌ Command ${commandName} failed:`, error.message);
+            this.emit('command', {
+                status: 'failed',
+                command: commandName,
+                vin: vin || this.getDefaultVin(),
+                executionTime: Date.now() - startTime,
+                error: error.message
+            });
             
             // Check if error is due to authentication issues
-            if (error.message.includes('401') || error.message.includes('unauthorized')) {
+            if (this._isUnauthorized(error)) {
                 // Mark session as expired
                 this.sessionState.isAuthenticated = false;
                 this.sessionState.lastError = 'Session expired during command execution';
                 this.onstarClient = null;
+                this.vehicleClients.clear();
+                this._cancelExpiry();
+                this._emitState('expired', { reason: 'unauthorized', command: commandName });
+            }
+            
+            return { success: false, error: error.message, authRetry };
+        } finally {
+            // onstarjs2 rewrites its token files when it refreshes them during a request
+            tokenStore.persist(this.tokenLocation);
+        }
+    }
+
+    /**
+     * Re-authenticate and send a command a second time, counting the replay against the wake
+     * budget. Throws the original 401 when the re-authentication fails, so the session is treated as expired
+     */
+    async _retryAfterUnauthorized(commandName, commandFunc, vin, authRetry) {
+        console.log(`🔁 Command ${commandName} was rejected with 401, re-authenticating and retrying once`);
+        this.emit('command', { status: 'retrying', command: commandName, vin: vin || this.getDefaultVin(), error: authRetry.first_error });
+        
+        const reauthStart = Date.now();
+        try {
+            await this._runAuthentication();
+        } catch (error) {
+            authRetry.status = 'reauthentication_failed';
+            authRetry.error = error.message;
+            throw new Error(authRetry.first_error);
+        } finally {
+            authRetry.reauthentication_ms = Date.now() - reauthStart;
+        }
+        
+        try {
+            const client = await this.getClient(vin);
+            commandBudget.record(vin || this.getDefaultVin(), commandName);
+            return await commandFunc(client);
+        } catch (error) {
+            authRetry.error = error.message;
+            throw error;
+        }
+    }
+
+    _isUnauthorized(error) {
+        return error.message.includes('401') || error.message.includes('unauthorized');
+    }
+
+    /**
+     * Re-authenticate ahead of the token expiry. Failures are retried with jittered exponential
+     * backoff; after `failure_threshold` failures in a row the circuit opens and refreshes pause
+     * for `circuit_open_seconds`, after which a single half_open attempt decides whether it closes.
+     * Never throws: the outcome is returned and kept in the refresh history
+     */
+    async refreshSession(trigger = 'scheduled') {
+        const settings = this.getRefreshSettings();
+        if (!settings.enabled || this._getCircuitState(settings) === 'open') {
+            return null;
+        }
+
+        this._cancelRefresh();
+        const attempt = this.refreshState.consecutiveFailures + 1;
+        const startTime = Date.now();
+        console.log(`🔄 Refreshing session (${trigger}, attempt ${attempt})...`);
+        this._emitState('refreshing', { trigger, attempt });
+
+        try {
+            const result = await this._runAuthentication({ refresh: true });
+            
+            // The new session has already scheduled its own refresh
+            return this._recordRefresh({
+                trigger,
+                attempt,
+                success: true,
+                startedAt: new Date(startTime),
+                durationMs: Date.now() - startTime,
+                sessionId: result.sessionId,
+                expiresAt: result.expiresAt
+            }, settings);
+        } catch (error) {
+            const failures = ++this.refreshState.consecutiveFailures;
+            let retryIn;
+            
+            if (failures >= settings.failure_threshold) {
+                this.refreshState.circuitOpenedAt = new Date();
+                retryIn = settings.circuit_open_seconds * 1000;
+                console.error(`❌ Session refresh failed ${failures} times in a row, pausing refreshes for ${settings.circuit_open_seconds}s`);
+                this._scheduleRefresh(retryIn, 'half_open');
+            } else {
+                retryIn = this.getRefreshBackoffMs(failures, settings);
+                console.warn(`⚠️ Session refresh failed (${error.message}), retrying in ${Math.round(retryIn / 1000)}s`);
+                this._scheduleRefresh(retryIn, 'retry');
             }
             
-            return { success: false, error: error.message };
+            this._emitState('refresh_failed', {
+                trigger,
+                attempt,
+                error: error.message,
+                retryAt: new Date(Date.now() + retryIn),
+                circuit: this._getCircuitState(settings)
+            });
+            
+            return this._recordRefresh({
+                trigger,
+                attempt,
+                success: false,
+                startedAt: new Date(startTime),
+                durationMs: Date.now() - startTime,
+                error: error.message
+            }, settings);
+        }
+    }
+
+    /**
+     * Delay before retrying a failed refresh: initial backoff doubled per failure, capped, +/- jitter
+     */
+    getRefreshBackoffMs(failures, settings = this.getRefreshSettings(), random = Math.random) {
+        const seconds = Math.min(settings.initial_backoff_seconds * Math.pow(2, failures - 1), settings.max_backoff_seconds);
+        return Math.round(seconds * 1000 * (1 + settings.jitter * (2 * random() - 1)));
+    }
+
+    /**
+     * Background refresh state for /auth/status
+     */
+    getRefreshStatus() {
+        const settings = this.getRefreshSettings();
+        const { nextRefreshAt, nextTrigger, consecutiveFailures, circuitOpenedAt, history } = this.refreshState;
+        
+        return {
+            enabled: settings.enabled,
+            nextRefreshAt,
+            nextTrigger,
+            consecutiveFailures,
+            circuit: {
+                state: this._getCircuitState(settings),
+                openedAt: circuitOpenedAt,
+                closesAt: circuitOpenedAt ? new Date(circuitOpenedAt.getTime() + settings.circuit_open_seconds * 1000) : null
+            },
+            lastRefresh: history[0] || null,
+            history
+        };
+    }
+
+    /**
+     * closed: refreshing normally; open: paused after repeated failures; half_open: pause over,
+     * the next attempt decides
+     */
+    _getCircuitState(settings = this.getRefreshSettings()) {
+        const { circuitOpenedAt } = this.refreshState;
+        if (!circuitOpenedAt) {
+            return 'closed';
+        }
+        return Date.now() < circuitOpenedAt.getTime() + settings.circuit_open_seconds * 1000 ? 'open' : 'half_open';
+    }
+
+    _recordRefresh(entry, settings) {
+        this.refreshState.history.unshift(entry);
+        this.refreshState.history.length = Math.min(this.refreshState.history.length, settings.history_size);
+        return entry;
+    }
+
+    _scheduleRefresh(delayMs, trigger) {
+        this._cancelRefresh();
+        if (!this.getRefreshSettings().enabled) {
+            return;
         }
+
+        this.refreshState.nextRefreshAt = new Date(Date.now() + delayMs);
+        this.refreshState.nextTrigger = trigger;
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refreshSession(trigger);
+        }, delayMs);
+        this.refreshTimer.unref();
+    }
+
+    _cancelRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.refreshState.nextRefreshAt = null;
+        this.refreshState.nextTrigger = null;
     }
 
     /**
@@ -235,6 +620,8 @@ class SessionManager {
      * Clear session and tokens
      */
     async clearSession() {
+        this._cancelExpiry();
+        this._emitState('cleared');
         this.sessionState = {
             isAuthenticated: false,
             lastAuthTime: null,
@@ -245,6 +632,8 @@ class SessionManager {
         };
         
         this.onstarClient = null;
+        this.vehicleClients.clear();
+        this.accountVehicles = [];
         
         // Optionally clear token files
         const msTokenPath = path.join(this.tokenLocation, 'microsoft_tokens.json');
@@ -257,6 +646,51 @@ class SessionManager {
         } catch (error) {
             console.warn('⚠️ Could not clear token files:', error.message);
         }
+        await tokenStore.clear(this.tokenLocation);
+    }
+
+    /**
+     * Emit a 'state' event: authenticating, authenticated, authentication_failed, refreshing,
+     * refresh_failed, expiring_soon, expired or cleared
+     */
+    _emitState(state, details = {}) {
+        this.emit('state', {
+            state,
+            sessionId: this.sessionState.sessionId,
+            ...details
+        });
+    }
+
+    /**
+     * Emit 'expiring_soon' and 'expired' states as the session reaches its expiry time, and
+     * schedule the background refresh ahead of it
+     */
+    _scheduleExpiry() {
+        this._cancelExpiry();
+        const { sessionId, tokenExpiry } = this.sessionState;
+        const timeToExpiry = tokenExpiry.getTime() - Date.now();
+        
+        this.expiryTimers = [
+            setTimeout(() => {
+                this._emitState('expiring_soon', { sessionId, expiresAt: tokenExpiry });
+            }, Math.max(0, timeToExpiry - EXPIRING_SOON_MS)),
+            setTimeout(() => {
+                console.log(`⏰ Session ${sessionId} expired`);
+                this._emitState('expired', { sessionId, reason: 'token_expiry', expiresAt: tokenExpiry });
+            }, Math.max(0, timeToExpiry))
+        ];
+        
+        // Don't keep the process alive just to report the expiry
+        this.expiryTimers.forEach(timer => timer.unref());
+        
+        const refreshBefore = this.getRefreshSettings().refresh_before_expiry_seconds * 1000;
+        this._scheduleRefresh(Math.max(0, timeToExpiry - refreshBefore), 'scheduled');
+    }
+
+    _cancelExpiry() {
+        this.expiryTimers.forEach(timer => clearTimeout(timer));
+        this.expiryTimers = [];
+        this._cancelRefresh();
     }
 
     /**
@@ -267,10 +701,11 @@ class SessionManager {
     }
 
     /**
-     * Get session summary for API responses
+     * Get session summary for API responses, including the wake budget of the vehicle
      */
-    getSessionSummary() {
+    getSessionSummary(vin) {
         const status = this.getSessionStatus();
+        const budget = commandBudget.getBudget(vin || this.getDefaultVin());
         
         return {
             ready: status.isAuthenticated && !status.isExpired,
@@ -280,10 +715,14 @@ class SessionManager {
             expiringSoon: status.isExpiringSoon,
             authInProgress: status.authenticationInProgress,
             timeToExpiry: status.timeToExpiry,
-            lastError: status.lastError
+            lastError: status.lastError,
+            commandBudget: budget ? _.pick(budget, ['vin', 'limit', 'used', 'remaining', 'status', 'resets_at']) : null
         };
     }
 }
 
 // Export singleton instance
-module.exports = new SessionManager(); 
\ No newline at end of file
+module.exports = new SessionManager();
+module.exports.SessionManager = SessionManager;
+module.exports.DEFAULT_REFRESH_CONFIG = DEFAULT_REFRESH_CONFIG;
+module.exports.IDEMPOTENT_COMMANDS = IDEMPOTENT_COMMANDS; 
\ No newline at end of file
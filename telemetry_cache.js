@@ -0,0 +1,151 @@
+/**
+ * Telemetry Cache for OnStar API
+ * Keeps the last location and diagnostic readings of each vehicle, so information
+ * endpoints only wake the vehicle for values older than their configured max age
+ */
+
+const _ = require('lodash');
+
+const DEFAULT_CACHE_CONFIG = {
+    enabled: true,
+    default_max_age_seconds: 300,
+    max_age_seconds: {}
+};
+
+// Cache item holding the location response; every other item is a diagnostic group name
+const LOCATION_ITEM = 'location';
+
+class TelemetryCache {
+    constructor() {
+        this.vehicles = new Map(); // VIN -> { items: Map(item -> entry), diagnosticItems }
+        this.getConfig = () => null;
+    }
+
+    /**
+     * Use the server configuration (telemetry_cache in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_CACHE_CONFIG, ..._.get(config, 'telemetry_cache', {}) };
+    }
+
+    /**
+     * Max age in seconds for an item; an explicit request value overrides the configuration
+     */
+    getMaxAge(item, override = null) {
+        if (override !== null && override !== undefined) {
+            return override;
+        }
+
+        const settings = this.getSettings();
+        if (!settings.enabled) {
+            return 0;
+        }
+        return _.get(settings.max_age_seconds, [item], settings.default_max_age_seconds);
+    }
+
+    /**
+     * Store a reading
+     */
+    store(vin, item, value, now = Date.now()) {
+        this._getVehicle(vin).items.set(item, { value, fetched_at: now });
+    }
+
+    storeLocation(vin, location, now = Date.now()) {
+        this.store(vin, LOCATION_ITEM, location, now);
+    }
+
+    /**
+     * Store a diagnostics response group by group. Requested items the vehicle did not
+     * report are cached as null so they don't trigger a new request every time
+     */
+    storeDiagnostics(vin, diagnosticResponse, { requestedItems = null, now = Date.now() } = {}) {
+        const reported = [];
+        for (const diagnostic of diagnosticResponse || []) {
+            this.store(vin, diagnostic.name, diagnostic, now);
+            reported.push(diagnostic.name);
+        }
+
+        if (requestedItems) {
+            _.difference(requestedItems, reported).forEach(item => this.store(vin, item, null, now));
+        } else {
+            // An unfiltered request tells us which items the vehicle supports
+            this._getVehicle(vin).diagnosticItems = reported;
+        }
+
+        return reported;
+    }
+
+    /**
+     * Diagnostic items returned by the last unfiltered diagnostics request, or null if there was none
+     */
+    getDiagnosticItems(vin) {
+        return this._getVehicle(vin).diagnosticItems;
+    }
+
+    /**
+     * Items that are missing or older than their max age
+     */
+    getStaleItems(vin, items, { maxAge = null, now = Date.now() } = {}) {
+        const vehicle = this._getVehicle(vin);
+        return items.filter(item => {
+            const entry = vehicle.items.get(item);
+            return !entry || (now - entry.fetched_at) / 1000 > this.getMaxAge(item, maxAge);
+        });
+    }
+
+    /**
+     * Cached values and how old each of them is; `liveItems` were just fetched from the vehicle
+     */
+    read(vin, items, { liveItems = [], maxAge = null, now = Date.now() } = {}) {
+        const vehicle = this._getVehicle(vin);
+        const values = {};
+        const freshness = {};
+
+        items.forEach(item => {
+            const entry = vehicle.items.get(item);
+            if (!entry) {
+                freshness[item] = { source: 'unavailable' };
+                return;
+            }
+
+            values[item] = entry.value;
+            freshness[item] = {
+                source: liveItems.includes(item) ? 'live' : 'cache',
+                fetched_at: new Date(entry.fetched_at),
+                age_seconds: Math.floor((now - entry.fetched_at) / 1000),
+                max_age_seconds: this.getMaxAge(item, maxAge)
+            };
+        });
+
+        return { values, freshness };
+    }
+
+    /**
+     * Forget everything cached for a vehicle (or for all vehicles)
+     */
+    clear(vin = null) {
+        if (vin) {
+            this.vehicles.delete(vin.toUpperCase());
+        } else {
+            this.vehicles.clear();
+        }
+    }
+
+    _getVehicle(vin) {
+        const key = (vin || 'default').toUpperCase();
+        if (!this.vehicles.has(key)) {
+            this.vehicles.set(key, { items: new Map(), diagnosticItems: null });
+        }
+        return this.vehicles.get(key);
+    }
+}
+
+// Export singleton instance
+module.exports = new TelemetryCache();
+module.exports.TelemetryCache = TelemetryCache;
+module.exports.LOCATION_ITEM = LOCATION_ITEM;
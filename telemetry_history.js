@@ -0,0 +1,161 @@
+/**
+ * Telemetry History for OnStar API
+ * Turns diagnostics and location responses into samples in vehicle_telemetry and
+ * reads them back as downsampled series
+ */
+
+const _ = require('lodash');
+const db = require('./database');
+
+// Short names accepted by GET /history/:metric
+const METRIC_ALIASES = {
+    battery_level: 'ev_battery_level',
+    range: 'ev_range',
+    ambient_temperature: 'ambient_air_temperature'
+};
+
+// Location is stored as two metrics and returned as points
+const LOCATION_METRIC = 'location';
+
+const BUCKET_UNITS = { m: 60, h: 3600, d: 86400 };
+const DEFAULT_BUCKET = '1h';
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_POINTS = 2000;
+
+/**
+ * Metric name used in the table for a diagnostic element, e.g. "TIRE PRESSURE LF" -> "tire_pressure_lf"
+ */
+function toMetricName(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function resolveMetric(metric) {
+    const name = toMetricName(metric);
+    return METRIC_ALIASES[name] || name;
+}
+
+/**
+ * Numeric samples from a diagnostics response; text values such as charge state are skipped
+ */
+function diagnosticSamples(diagnosticResponse) {
+    const samples = [];
+    for (const diagnostic of diagnosticResponse || []) {
+        for (const element of diagnostic.diagnosticElement || []) {
+            const value = parseFloat(element.value);
+            if (element.name && isFinite(value) && String(element.value).trim() !== '') {
+                samples.push({
+                    metric: toMetricName(element.name),
+                    value,
+                    unit: element.unit || null,
+                    source: 'diagnostics'
+                });
+            }
+        }
+    }
+    return samples;
+}
+
+function locationSamples(location) {
+    if (!location) return [];
+
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    if (!isFinite(latitude) || !isFinite(longitude)) return [];
+
+    return [
+        { metric: 'latitude', value: latitude, unit: 'deg', source: 'location' },
+        { metric: 'longitude', value: longitude, unit: 'deg', source: 'location' }
+    ];
+}
+
+/**
+ * Store the readings of a successful diagnostics and/or location response
+ */
+async function recordTelemetry(vin, { diagnostics = null, location = null }, recordedAt = new Date()) {
+    const samples = diagnosticSamples(diagnostics).concat(locationSamples(location));
+    return db.saveTelemetrySamples(vin, samples, recordedAt);
+}
+
+/**
+ * Bucket size in seconds for values like "15m", "1h" or "1d"
+ */
+function parseBucket(bucket) {
+    const match = /^(\d+)([mhd])$/.exec(String(bucket));
+    if (!match || parseInt(match[1]) === 0) {
+        return null;
+    }
+    return parseInt(match[1]) * BUCKET_UNITS[match[2]];
+}
+
+/**
+ * Validate ?from=&to=&bucket= and fill in defaults (last 7 days in 1 hour buckets)
+ */
+function parseHistoryQuery({ from, to, bucket = DEFAULT_BUCKET } = {}, now = new Date()) {
+    const toDate = to ? new Date(to) : now;
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * 86400 * 1000);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return { error: 'from and to must be ISO 8601 dates' };
+    }
+    if (fromDate >= toDate) {
+        return { error: 'from must be before to' };
+    }
+
+    const bucketSeconds = parseBucket(bucket);
+    if (!bucketSeconds) {
+        return { error: 'bucket must be a number followed by m, h or d (e.g. 15m, 1h, 1d)' };
+    }
+
+    const points = Math.ceil((toDate - fromDate) / 1000 / bucketSeconds);
+    if (points > MAX_POINTS) {
+        return { error: `Range and bucket would return ${points} points; use a larger bucket (max ${MAX_POINTS} points)` };
+    }
+
+    return { from: fromDate, to: toDate, bucket, bucketSeconds };
+}
+
+/**
+ * Downsampled series for a metric; location returns the last position in each bucket
+ */
+async function getHistory(vin, metric, { from, to, bucketSeconds }) {
+    const name = resolveMetric(metric);
+    const options = { vehicleVin: vin, from, to, bucketSeconds };
+
+    if (name !== LOCATION_METRIC) {
+        const points = await db.getTelemetrySeries({ ...options, metric: name });
+        return {
+            metric: name,
+            unit: points.length > 0 ? points[0].unit : null,
+            points: points.map(point => _.omit(point, 'unit'))
+        };
+    }
+
+    const [latitudes, longitudes] = await Promise.all([
+        db.getTelemetrySeries({ ...options, metric: 'latitude' }),
+        db.getTelemetrySeries({ ...options, metric: 'longitude' })
+    ]);
+
+    const longitudeByBucket = new Map(longitudes.map(point => [new Date(point.timestamp).getTime(), point]));
+    const points = latitudes
+        .filter(point => longitudeByBucket.has(new Date(point.timestamp).getTime()))
+        .map(point => ({
+            timestamp: point.timestamp,
+            latitude: point.last,
+            longitude: longitudeByBucket.get(new Date(point.timestamp).getTime()).last,
+            samples: point.samples
+        }));
+
+    return { metric: LOCATION_METRIC, unit: 'deg', points };
+}
+
+module.exports = {
+    METRIC_ALIASES,
+    toMetricName,
+    resolveMetric,
+    diagnosticSamples,
+    locationSamples,
+    recordTelemetry,
+    parseBucket,
+    parseHistoryQuery,
+    getHistory
+};
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+
+const db = require('../database');
+const { AccessTokenManager } = require('../access_tokens');
+
+const API_ENDPOINTS = {
+    doors: { lock: true, unlock: true },
+    status: { get: true }
+};
+
+describe('AccessTokenManager', () => {
+    const originals = {
+        createAccessToken: db.createAccessToken,
+        getAccessToken: db.getAccessToken,
+        useAccessToken: db.useAccessToken,
+        refundAccessToken: db.refundAccessToken,
+        revokeAccessToken: db.revokeAccessToken
+    };
+    let manager;
+    let rows;
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        manager = new AccessTokenManager();
+
+        // Stand-in for the access_tokens table
+        rows = new Map();
+        db.createAccessToken = async ({ jti, label, issuedBy, maxUses }) => {
+            rows.set(jti, { jti, label, issued_by: issuedBy, max_uses: maxUses, uses: 0, revoked_at: null });
+        };
+        db.getAccessToken = async jti => rows.get(jti) || null;
+        db.useAccessToken = async jti => {
+            const row = rows.get(jti);
+            if (!row || (row.max_uses && row.uses >= row.max_uses)) return null;
+            row.uses++;
+            return row;
+        };
+        db.refundAccessToken = async jti => {
+            const row = rows.get(jti);
+            if (row && row.uses > 0) row.uses--;
+        };
+        db.revokeAccessToken = async jti => {
+            const row = rows.get(jti);
+            if (!row) return null;
+            row.revoked_at = new Date();
+            return row;
+        };
+    });
+
+    afterEach(() => {
+        delete process.env.JWT_SECRET;
+        Object.assign(db, originals);
+    });
+
+    function mint(options = {}) {
+        return manager.mint({ actions: ['doors.unlock'], issuedBy: 'master', ...options });
+    }
+
+    it('should expand scopes against config.json categories', () => {
+        assert.deepStrictEqual(manager.expandScope(['doors.*', 'status.get', 'doors.lock'], API_ENDPOINTS).actions,
+            ['doors.lock', 'doors.unlock', 'status.get']);
+        assert.ok(manager.expandScope(['doors.open'], API_ENDPOINTS).error);
+        assert.ok(manager.expandScope(['teleport.*'], API_ENDPOINTS).error);
+        assert.ok(manager.expandScope([], API_ENDPOINTS).error);
+    });
+
+    it('should verify tokens it issued and reject others', async () => {
+        const { token, claims } = await mint({ label: 'dog walker', ttlMinutes: 15 });
+        assert.ok(manager.isToken(token));
+        assert.strictEqual(manager.verify(token).label, 'dog walker');
+        assert.strictEqual(claims.exp - claims.iat, 15 * 60);
+        assert.strictEqual((await manager.lookup(claims)).valid, true);
+
+        const forged = jwt.sign({ scope: ['doors.unlock'] }, 'other-secret', { issuer: 'brandt-car-api' });
+        assert.throws(() => manager.verify(forged), /invalid signature/);
+        assert.strictEqual(manager.isToken('brandt-car-boltaire-2025'), false);
+    });
+
+    it('should reject expired, revoked and unrecorded tokens', async () => {
+        const expired = jwt.sign({ scope: [] }, 'test-secret', { issuer: 'brandt-car-api', expiresIn: -10 });
+        assert.throws(() => manager.verify(expired), /jwt expired/);
+
+        const { claims } = await mint();
+        assert.strictEqual((await manager.revoke(claims.jti)).jti, claims.jti);
+        assert.deepStrictEqual(await manager.lookup(claims), { valid: false, reason: 'Token has been revoked' });
+        assert.strictEqual(await manager.revoke('unknown'), null);
+
+        // Signed with the right secret but never recorded, e.g. issued before the table existed
+        const unrecorded = manager.verify(jwt.sign({ scope: [] }, 'test-secret', { issuer: 'brandt-car-api', jwtid: 'unrecorded' }));
+        assert.deepStrictEqual(await manager.lookup(unrecorded), { valid: false, reason: 'Token is not known to this server' });
+    });
+
+    it('should not issue tokens it can not record', async () => {
+        db.createAccessToken = async () => { throw new Error('Database not connected'); };
+        await assert.rejects(() => mint({ maxUses: 1 }), /Database not connected/);
+    });
+
+    it('should enforce scope and vehicles', async () => {
+        const { claims } = await mint({ vins: ['1g1fz6s02l4128522'] });
+        assert.strictEqual(manager.check(claims, 'doors', 'unlock', '1G1FZ6S02L4128522').allowed, true);
+        assert.strictEqual(manager.check(claims, 'doors', 'lock', '1G1FZ6S02L4128522').allowed, false);
+        assert.strictEqual(manager.check(claims, 'doors', 'unlock', '1GNEVHKW5LJ000001').allowed, false);
+    });
+
+    it('should count uses in the store and give back refunded ones', async () => {
+        const { claims } = await mint({ maxUses: 1 });
+        assert.deepStrictEqual(await manager.consume(claims), { allowed: true, remaining: 0 });
+        assert.match((await manager.consume(claims)).reason, /used 1 time/);
+
+        // A restarted server sees the same count
+        const restarted = new AccessTokenManager();
+        assert.strictEqual((await restarted.consume(claims)).allowed, false);
+
+        await manager.refund(claims);
+        assert.strictEqual((await restarted.consume(claims)).allowed, true);
+    });
+
+    it('should not limit tokens without max_uses', async () => {
+        const { claims } = await mint();
+        for (let i = 0; i < 5; i++) assert.strictEqual((await manager.consume(claims)).remaining, null);
+        assert.strictEqual(rows.get(claims.jti).uses, 5);
+    });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+
+const db = require('../database');
+const apiKeys = require('../api_keys');
+const accessTokens = require('../access_tokens');
+const { startServer } = require('./helpers/server');
+
+const VIN = '1G1FZ6S02L4128522';
+const STATUS_ONLY = 'bca_statusonly000000000000000000000000000000000000';
+const OPERATOR = 'bca_operator00000000000000000000000000000000000000';
+
+describe('Named API key permissions', () => {
+    const originals = {
+        getApiKeyByHash: db.getApiKeyByHash,
+        touchApiKey: db.touchApiKey,
+        getTelemetryMetrics: db.getTelemetryMetrics,
+        createAccessToken: db.createAccessToken,
+        getAccessToken: db.getAccessToken
+    };
+    const keys = {
+        [apiKeys.hashKey(STATUS_ONLY)]: { id: 1, name: 'status-only', permissions: { status: ['get'] } },
+        [apiKeys.hashKey(OPERATOR)]: {
+            id: 2,
+            name: 'operator',
+            permissions: { status: ['get'], session: ['authenticate'], vehicles: ['list'], commands: '*', budget: ['get', 'reset'], history: ['get'], schedules: ['list'], geofences: ['list'] }
+        }
+    };
+    let api;
+
+    before(async () => {
+        db.getApiKeyByHash = async hash => keys[hash] || null;
+        db.touchApiKey = async () => {};
+        db.getTelemetryMetrics = async () => [];
+        db.createAccessToken = async () => {};
+        db.getAccessToken = async jti => ({ jti, uses: 0, revoked_at: null });
+        api = await startServer({ vins: [VIN] });
+    });
+
+    after(async () => {
+        await api.stop();
+        Object.assign(db, originals);
+        apiKeys.cache.clear();
+    });
+
+    const ROUTES = [
+        ['post', '/auth/session', 'session.authenticate'],
+        ['get', '/vehicles', 'vehicles.list'],
+        ['get', '/commands', 'commands.list'],
+        ['get', '/commands/cmd_missing', 'commands.get'],
+        ['delete', '/commands/cmd_missing', 'commands.cancel'],
+        ['get', '/events', 'events.subscribe'],
+        ['get', '/budget', 'budget.get'],
+        ['post', '/budget/reset', 'budget.reset'],
+        ['get', '/history', 'history.get'],
+        ['get', '/history/battery', 'history.get'],
+        ['get', '/schedules', 'schedules.list'],
+        ['get', '/schedules/1', 'schedules.list'],
+        ['get', '/schedules/1/runs', 'schedules.list'],
+        ['get', '/geofences', 'geofences.list'],
+        ['get', '/geofences/events', 'geofences.list'],
+        ['get', '/geofences/1', 'geofences.list'],
+        ['get', '/geofences/1/events', 'geofences.list'],
+        ['post', '/geofences', 'geofences.manage'],
+        ['patch', '/geofences/1', 'geofences.manage'],
+        ['delete', '/geofences/1', 'geofences.manage']
+    ];
+
+    ROUTES.forEach(([method, url, permission]) => {
+        it(`should refuse ${method.toUpperCase()} ${url} without ${permission}`, async () => {
+            const res = await api.request(method, url, { key: STATUS_ONLY });
+
+            assert.strictEqual(res.status, 403);
+            assert.strictEqual(res.data.data.endpoint, permission);
+            assert.strictEqual(res.data.data.api_key, 'status-only');
+        });
+    });
+
+    it('should allow the routes a key has permissions for', async () => {
+        assert.strictEqual((await api.request('post', '/auth/session', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('get', '/vehicles', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('get', '/commands', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('get', '/commands/cmd_missing', { key: OPERATOR })).status, 404);
+        assert.strictEqual((await api.request('get', '/budget', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('post', '/budget/reset', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('get', '/history', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('get', '/schedules', { key: OPERATOR })).status, 200);
+        assert.strictEqual((await api.request('get', '/geofences', { key: OPERATOR })).status, 200);
+    });
+
+    it('should refuse access tokens on the session endpoints', async () => {
+        const { token } = await accessTokens.mint({ actions: ['status.get'], issuedBy: 'master' });
+
+        assert.strictEqual((await api.request('post', '/auth/session', { key: token })).status, 403);
+        assert.strictEqual((await api.request('get', '/auth/status', { key: token })).status, 403);
+        assert.strictEqual((await api.request('get', '/budget', { key: token })).status, 403);
+    });
+});
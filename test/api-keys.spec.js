@@ -0,0 +1,107 @@
+const assert = require('assert');
+
+const db = require('../database');
+const { ApiKeyManager } = require('../api_keys');
+
+const API_ENDPOINTS = {
+    doors: { lock: true, unlock: true },
+    status: { get: true },
+    alert: { lights: false, horn: false }
+};
+
+describe('ApiKeyManager', () => {
+    const originalGetApiKeyByHash = db.getApiKeyByHash;
+    const originalTouchApiKey = db.touchApiKey;
+    let manager;
+    let rows;
+    let lookups;
+
+    beforeEach(() => {
+        manager = new ApiKeyManager();
+        rows = new Map();
+        lookups = 0;
+        db.getApiKeyByHash = async (hash) => {
+            lookups++;
+            return rows.get(hash) || null;
+        };
+        db.touchApiKey = async () => {};
+    });
+
+    afterEach(() => {
+        db.getApiKeyByHash = originalGetApiKeyByHash;
+        db.touchApiKey = originalTouchApiKey;
+    });
+
+    function addKey(apiKey, fields = {}) {
+        rows.set(manager.hashKey(apiKey), { id: rows.size + 1, name: `key${rows.size + 1}`, permissions: '*', ...fields });
+    }
+
+    describe('isAllowed', () => {
+        it('should allow listed actions and whole categories', () => {
+            const key = { permissions: { doors: ['lock'], status: '*' } };
+            assert.strictEqual(manager.isAllowed(key, 'doors', 'lock'), true);
+            assert.strictEqual(manager.isAllowed(key, 'doors', 'unlock'), false);
+            assert.strictEqual(manager.isAllowed(key, 'status', 'get'), true);
+            assert.strictEqual(manager.isAllowed(key, 'alert', 'horn'), false);
+        });
+
+        it('should allow everything for "*" and nothing without permissions', () => {
+            assert.strictEqual(manager.isAllowed({ permissions: '*' }, 'alert', 'horn'), true);
+            assert.strictEqual(manager.isAllowed({ permissions: null }, 'status', 'get'), false);
+        });
+    });
+
+    describe('validatePermissions', () => {
+        it('should accept known categories and actions', () => {
+            assert.strictEqual(manager.validatePermissions('*', API_ENDPOINTS), null);
+            assert.strictEqual(manager.validatePermissions({ doors: ['lock'], status: '*' }, API_ENDPOINTS), null);
+        });
+
+        it('should accept account categories that are not in api_endpoints', () => {
+            assert.strictEqual(manager.validatePermissions({ session: ['authenticate'], commands: ['get', 'cancel'], history: '*' }, API_ENDPOINTS), null);
+            assert.match(manager.validatePermissions({ commands: ['delete'] }, API_ENDPOINTS), /Unknown commands actions: delete/);
+        });
+
+        it('should reject unknown categories, actions and shapes', () => {
+            assert.match(manager.validatePermissions({ teleport: '*' }, API_ENDPOINTS), /Unknown endpoint category/);
+            assert.match(manager.validatePermissions({ doors: ['open'] }, API_ENDPOINTS), /Unknown doors actions: open/);
+            assert.match(manager.validatePermissions({ doors: 'lock' }, API_ENDPOINTS), /must be "\*" or a list/);
+            assert.ok(manager.validatePermissions(['doors'], API_ENDPOINTS));
+            assert.ok(manager.validatePermissions(undefined, API_ENDPOINTS));
+        });
+    });
+
+    describe('authenticate', () => {
+        it('should accept active keys and cache the lookup', async () => {
+            addKey('bca_good', { name: 'bot' });
+
+            const first = await manager.authenticate('bca_good');
+            const second = await manager.authenticate('bca_good');
+            assert.strictEqual(first.valid, true);
+            assert.strictEqual(second.key.name, 'bot');
+            assert.strictEqual(lookups, 1);
+        });
+
+        it('should reject unknown, revoked and expired keys', async () => {
+            addKey('bca_revoked', { revoked_at: new Date() });
+            addKey('bca_expired', { expires_at: new Date(Date.now() - 1000) });
+
+            assert.deepStrictEqual(await manager.authenticate('bca_unknown'), { valid: false, reason: 'unknown' });
+            assert.strictEqual((await manager.authenticate('bca_revoked')).reason, 'revoked');
+            assert.strictEqual((await manager.authenticate('bca_expired')).reason, 'expired');
+        });
+
+        it('should not cache unknown keys', async () => {
+            await manager.authenticate('bca_unknown');
+            await manager.authenticate('bca_unknown');
+            assert.strictEqual(lookups, 2);
+            assert.strictEqual(manager.cache.size, 0);
+        });
+    });
+
+    it('should never expose the key hash', () => {
+        const json = manager.toJSON({ id: 1, name: 'bot', key_prefix: 'bca_123456', key_hash: 'abc', permissions: '*' });
+        assert.strictEqual(json.key_hash, undefined);
+        assert.strictEqual(json.status, 'active');
+    });
+});
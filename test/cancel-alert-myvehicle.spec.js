@@ -1,5 +1,4 @@
 //var should = require("should");
-var flatted = require("flatted");
 var helper = require("node-red-node-test-helper");
 var onStar = require("../onstar.js");
 
@@ -32,7 +31,7 @@ describe('cancel-alert-myvehicle Node', function () {
     });
   });
 
-  it('Should output 401 error due to not having valid credentials', function (done) {
+  it('Should report the error for missing credentials with node.error', function (done) {
     var flow = [
       { id:"n1",type:"cancel-alert-myvehicle",name:"Cancel Alert Vehicle",onstar2:"17dfaade45168b46",wires:[["n2"],["n3"]] },
       { id:"17dfaade45168b46",type:"onstar2",carname:"TestCar1",username:"homer@simpson.com",password:"Doh!",pin:"1234",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2",checkrequeststatus:"true",requestpollingtimeoutseconds:"90",requestpollingintervalseconds:"6" },
@@ -41,16 +40,21 @@ describe('cancel-alert-myvehicle Node', function () {
     helper.load(onStar, flow, function () {
       var n2 = helper.getNode("n2");
       var n1 = helper.getNode("n1");
-      n2.on("input", function (msg) {
+      n2.on("input", function () {
+        done(new Error("Nothing should be sent on failure"));
+      });
+      n1.on("call:error", function (call) {
         try {
-          flatted.stringify(msg);
-          msg.payload.should.have.property('message', 'Missing required configuration parameters') ;
+          call.args[0].should.have.property('message', 'Missing required configuration parameters');
+          call.args[1].should.have.property('topic', 'car');
+          n1.status.lastCall.args[0].should.have.properties({ fill: 'red', shape: 'dot' });
+          n1.status.lastCall.args[0].text.should.startWith('failed ');
           done();
-        } catch(err) {     
+        } catch(err) {
           done(err);
         }
       });
-      n1.receive({ payload: "timestamp" });
+      n1.receive({ payload: "timestamp", topic: "car" });
     });
   });
 });
@@ -0,0 +1,69 @@
+const assert = require('assert');
+
+const { parseProfileRequest, applyProfile, fromResponse } = require('../charging_profile');
+
+// getChargingProfile()/setChargingProfile() result in the shape onstarjs2 returns
+function commandResult(body) {
+    return { status: 'success', response: { data: { commandResponse: { status: 'success', body } } } };
+}
+
+// Stand-in for the OnStar client; `applied` is what the vehicle reports after setChargingProfile
+function fakeClient(profile, applied = null) {
+    const client = { sent: [] };
+    client.getChargingProfile = async () => commandResult({ chargingProfile: { ...profile } });
+    client.setChargingProfile = async options => {
+        client.sent.push(options);
+        profile = applied || options;
+        return commandResult(undefined);
+    };
+    return client;
+}
+
+describe('Charging profile', () => {
+    it('should validate charge modes and rate types', () => {
+        assert.deepStrictEqual(parseProfileRequest({ charge_mode: 'rate_based', rate_type: 'offpeak' }),
+            { changes: { charge_mode: 'RATE_BASED', rate_type: 'OFFPEAK' } });
+        assert.deepStrictEqual(parseProfileRequest({ rate_limit: 'peak' }), { changes: { rate_type: 'PEAK' } });
+
+        assert.match(parseProfileRequest({ charge_mode: 'SCHEDULED' }).error, /charge_mode must be one of DEFAULT_IMMEDIATE/);
+        assert.match(parseProfileRequest({ rate_limit: 'normal' }).error, /rate_type must be one of/);
+        assert.match(parseProfileRequest({}).error, /Nothing to change/);
+    });
+
+    it('should reject values OnStar has no field for', () => {
+        const request = parseProfileRequest({ charge_mode: 'IMMEDIATE', scheduled_start: '23:00', target_level: 80 });
+
+        assert.strictEqual(request.error, 'Not supported by OnStar: scheduled_start, target_level');
+        assert.deepStrictEqual(request.unsupported_parameters.map(entry => entry.value), ['23:00', 80]);
+    });
+
+    it('should only send the profile when it changes and report the diff', async () => {
+        const client = fakeClient({ chargeMode: 'IMMEDIATE', rateType: 'MIDPEAK' });
+
+        const recorded = [];
+        const recordRequest = name => recorded.push(name);
+
+        const result = await applyProfile(client, { charge_mode: 'RATE_BASED' }, { recordRequest });
+
+        assert.deepStrictEqual(client.sent, [{ chargeMode: 'RATE_BASED', rateType: 'MIDPEAK' }]);
+        assert.deepStrictEqual(recorded, ['set_charging_profile', 'get_charging_profile']);
+        assert.deepStrictEqual(result.response.data.commandResponse.body, {
+            previous: { charge_mode: 'IMMEDIATE', rate_type: 'MIDPEAK' },
+            profile: { charge_mode: 'RATE_BASED', rate_type: 'MIDPEAK' },
+            changes: [{ field: 'charge_mode', from: 'IMMEDIATE', to: 'RATE_BASED' }]
+        });
+
+        const unchanged = await applyProfile(client, { rate_type: 'MIDPEAK' }, { recordRequest });
+        assert.strictEqual(client.sent.length, 1);
+        assert.strictEqual(recorded.length, 2);
+        assert.deepStrictEqual(unchanged.response.data.commandResponse.body.changes, []);
+    });
+
+    it('should fail when the vehicle reports another profile after the change', async () => {
+        const client = fakeClient({ chargeMode: 'IMMEDIATE', rateType: 'MIDPEAK' }, { chargeMode: 'IMMEDIATE', rateType: 'MIDPEAK' });
+
+        await assert.rejects(applyProfile(client, { charge_mode: 'DEPARTURE_BASED' }),
+            /Vehicle reports charge_mode IMMEDIATE after the change \(requested DEPARTURE_BASED\)/);
+        assert.deepStrictEqual(fromResponse(await client.getChargingProfile()), { charge_mode: 'IMMEDIATE', rate_type: 'MIDPEAK' });
+    });
+});
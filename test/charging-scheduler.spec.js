@@ -0,0 +1,188 @@
+const assert = require('assert');
+
+const db = require('../database');
+const chargingScheduler = require('../charging_scheduler');
+const { ChargingScheduler, buildPlan, validateSettings } = chargingScheduler;
+const { startServer } = require('./helpers/server');
+
+const VIN = '1G1FZ6S02L4128522';
+
+// 66 kWh battery on a 7.2 kW charger: 30 percent takes 2.75 hours
+const SETTINGS = {
+    enabled: true,
+    dry_run: false,
+    vins: [VIN],
+    target_level: 80,
+    departure_time: '07:30',
+    battery_capacity_kwh: 66,
+    charge_rate_kw: 7.2,
+    check_interval_minutes: 30,
+    tariff: [
+        { name: 'off-peak', start: '00:00', end: '07:00', rate: 0.08 },
+        { name: 'mid-peak', start: '07:00', end: '16:00', rate: 0.15 },
+        { name: 'peak', start: '16:00', end: '21:00', rate: 0.32 },
+        { name: 'mid-peak', start: '21:00', end: '24:00', rate: 0.15 }
+    ]
+};
+
+// Local time on 10 January (no DST change nearby), hours past 24 are on the 11th
+function at(hours, minutes = 0) {
+    return new Date(2025, 0, 10, hours, minutes);
+}
+
+function commands(plan) {
+    return plan.commands.map(command => `${command.command}@${command.at.getHours()}:${String(command.at.getMinutes()).padStart(2, '0')}`);
+}
+
+describe('Charging scheduler', () => {
+    describe('buildPlan', () => {
+        it('should charge in the cheapest periods before departure', () => {
+            const plan = buildPlan({ battery_level: 50, plug_state: 'plugged', charge_state: 'not_charging' }, SETTINGS, at(18));
+
+            assert.strictEqual(plan.status, 'charging_planned');
+            assert.strictEqual(plan.departure_at.getTime(), at(31, 30).getTime());
+            assert.strictEqual(plan.hours_needed, 2.75);
+            assert.deepStrictEqual(plan.windows.map(window => [window.start.getTime(), window.end.getTime(), window.name]),
+                [[at(24).getTime(), at(26, 45).getTime(), 'off-peak']]);
+            assert.strictEqual(plan.estimated_cost, 1.58);
+            assert.strictEqual(plan.expected_level, 80);
+            assert.deepStrictEqual(commands(plan), ['charging_start@0:00', 'charging_stop@2:45']);
+        });
+
+        it('should stop a vehicle that started charging when it was plugged in', () => {
+            const plan = buildPlan({ battery_level: 50, plug_state: 'plugged', charge_state: 'charging' }, SETTINGS, at(18));
+            assert.deepStrictEqual(commands(plan), ['charging_stop@18:00', 'charging_start@0:00', 'charging_stop@2:45']);
+
+            const reached = buildPlan({ battery_level: 85, plug_state: 'plugged', charge_state: 'charging' }, SETTINGS, at(18));
+            assert.strictEqual(reached.status, 'target_reached');
+            assert.deepStrictEqual(commands(reached), ['charging_stop@18:00']);
+        });
+
+        it('should use every period it can when departure is too close', () => {
+            const plan = buildPlan({ battery_level: 50, plug_state: 'plugged', charge_state: 'not_charging' }, SETTINGS, at(5));
+
+            assert.strictEqual(plan.status, 'insufficient_time');
+            assert.deepStrictEqual(plan.windows.map(window => window.rate), [0.08, 0.15]);
+            assert.deepStrictEqual(commands(plan), ['charging_start@5:00', 'charging_stop@7:30']);
+            assert.strictEqual(plan.expected_level, 77.3);
+        });
+
+        it('should not plan without a plugged in vehicle or a battery level', () => {
+            assert.strictEqual(buildPlan({ battery_level: 50, plug_state: 'unplugged' }, SETTINGS, at(18)).status, 'unplugged');
+            assert.strictEqual(buildPlan({}, SETTINGS, at(18)).status, 'no_data');
+        });
+
+        it('should report invalid settings', () => {
+            assert.deepStrictEqual(validateSettings({ ...SETTINGS, departure_time: '7:30', tariff: [{ start: '00:00', end: '25:00', rate: 'cheap' }] }), [
+                'departure_time must be HH:MM',
+                'tariff[0] needs start and end as HH:MM',
+                'tariff[0].rate must be a number'
+            ]);
+        });
+    });
+
+    describe('ChargingScheduler', () => {
+        const originals = { saveChargingPlan: db.saveChargingPlan, getChargingPlan: db.getChargingPlan };
+        let scheduler;
+        let settings;
+        let reading;
+        let sent;
+        let saved;
+
+        beforeEach(() => {
+            settings = { ...SETTINGS };
+            reading = { battery_level: 50, plug_state: 'plugged', charge_state: 'charging' };
+            sent = [];
+            saved = {};
+            db.saveChargingPlan = async (vin, plan) => { saved[vin] = JSON.parse(JSON.stringify(plan)); };
+            db.getChargingPlan = async vin => saved[vin] || null;
+
+            scheduler = new ChargingScheduler();
+            scheduler.configure(() => ({ charging_scheduler: settings }));
+            scheduler.vehicle = {
+                readVehicle: async () => reading,
+                sendCommand: async (vin, command) => { sent.push(command); return { success: true }; },
+                getDefaultVin: () => VIN
+            };
+        });
+
+        afterEach(() => {
+            scheduler.stop();
+            Object.assign(db, originals);
+        });
+
+        it('should only list the commands in dry-run mode', async () => {
+            settings.dry_run = true;
+
+            const plan = await scheduler.plan(VIN, { now: at(18) });
+
+            assert.strictEqual(plan.dry_run, true);
+            assert.deepStrictEqual(plan.sent, [{ command: 'charging_stop', status: 'dry_run' }]);
+            assert.deepStrictEqual(sent, []);
+            assert.strictEqual(saved[VIN].status, 'charging_planned');
+        });
+
+        it('should send due commands once and keep the plan', async () => {
+            await scheduler.plan(VIN, { now: at(18) });
+            const repeated = await scheduler.plan(VIN, { now: at(18, 10) });
+
+            assert.deepStrictEqual(sent, ['charging_stop']);
+            assert.strictEqual(repeated.sent[0].status, 'skipped');
+
+            reading = { ...reading, charge_state: 'not_charging' };
+            await scheduler.plan(VIN, { now: at(24) });
+            assert.deepStrictEqual(sent, ['charging_stop', 'charging_start']);
+
+            const restarted = new ChargingScheduler();
+            assert.strictEqual((await restarted.getPlan(VIN)).windows.length, 1);
+        });
+
+        it('should not send anything for a preview', async () => {
+            const plan = await scheduler.plan(VIN, { now: at(18), dryRun: true, persist: false });
+
+            assert.strictEqual(plan.sent[0].status, 'dry_run');
+            assert.deepStrictEqual(sent, []);
+            assert.deepStrictEqual(saved, {});
+        });
+
+        it('should record a plan without data when the vehicle can not be read', async () => {
+            scheduler.vehicle.readVehicle = async () => { throw new Error('Wake budget is down to its reserve'); };
+
+            const plan = await scheduler.plan(VIN, { now: at(18) });
+
+            assert.strictEqual(plan.status, 'no_data');
+            assert.strictEqual(plan.error, 'Wake budget is down to its reserve');
+            assert.deepStrictEqual(plan.commands, []);
+        });
+    });
+
+    describe('GET /charging/plan', () => {
+        const originals = { plan: chargingScheduler.plan };
+        let api;
+        let planned;
+
+        before(async () => {
+            api = await startServer({ vins: [VIN] });
+            chargingScheduler.plan = async (vin, options) => {
+                planned.push(options);
+                return { status: 'charging_planned', sent: [] };
+            };
+        });
+
+        beforeEach(() => {
+            planned = [];
+        });
+
+        after(async () => {
+            Object.assign(chargingScheduler, originals);
+            await api.stop();
+        });
+
+        it('should only preview a new plan, even with ?refresh=true', async () => {
+            const res = await api.request('get', '/charging/plan?refresh=true');
+
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(planned, [{ dryRun: true, persist: false }]);
+        });
+    });
+});
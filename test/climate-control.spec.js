@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { setTimeout: sleep } = require('timers/promises');
+
+const { ClimateControl } = require('../climate_control');
+
+const VIN = '1G1FZ6S02L4128522';
+
+describe('Climate control', () => {
+    let climate;
+    let settings;
+
+    beforeEach(() => {
+        settings = {};
+        climate = new ClimateControl();
+        climate.configure(() => ({ climate: settings }));
+    });
+
+    afterEach(() => {
+        climate.cancelStop(VIN);
+    });
+
+    it('should validate duration and force', () => {
+        assert.deepStrictEqual(climate.parseStartRequest({}), { duration_minutes: 10, force: false, ignored_parameters: [] });
+        assert.strictEqual(climate.parseStartRequest({ duration_minutes: '5', force: true }).duration_minutes, 5);
+
+        assert.match(climate.parseStartRequest({ duration_minutes: 20 }).error, /from 1 to 15/);
+        assert.match(climate.parseStartRequest({ duration_minutes: 2.5 }).error, /whole number/);
+        assert.match(climate.parseStartRequest({ force: 'yes' }).error, /force must be true or false/);
+    });
+
+    it('should reject or report a temperature', () => {
+        const rejected = climate.parseStartRequest({ temperature: 72 });
+        assert.match(rejected.error, /Not supported by OnStar: temperature/);
+        assert.strictEqual(rejected.unsupported_parameters[0].value, 72);
+
+        settings.unsupported_parameters = 'ignore';
+        const ignored = climate.parseStartRequest({ duration_minutes: 5, temperature: 72 });
+        assert.strictEqual(ignored.duration_minutes, 5);
+        assert.deepStrictEqual(ignored.ignored_parameters.map(entry => entry.parameter), ['temperature']);
+    });
+
+    it('should leave durations the vehicle ends by itself to the vehicle', () => {
+        assert.strictEqual(climate.getStopMode(10), 'server');
+        assert.strictEqual(climate.getStopMode(15), 'vehicle');
+
+        settings.auto_stop = false;
+        assert.strictEqual(climate.getStopMode(10), 'disabled');
+    });
+
+    it('should stop the climate once the duration has elapsed', async () => {
+        const stopped = [];
+        const now = new Date();
+
+        const pending = climate.scheduleStop(VIN, 0.0005, async vin => stopped.push(vin), now);
+        assert.strictEqual(pending.stop_at.getTime(), now.getTime() + 30);
+        assert.deepStrictEqual(climate.getPendingStop(VIN), pending);
+
+        await sleep(60);
+        assert.deepStrictEqual(stopped, [VIN]);
+        assert.strictEqual(climate.getPendingStop(VIN), null);
+    });
+
+    it('should drop the previous auto-stop when a restart is left to the vehicle', async () => {
+        const stopped = [];
+        const stop = async vin => stopped.push(vin);
+
+        assert.ok(climate.started(VIN, 0.0005, stop));
+        assert.strictEqual(climate.started(VIN, 15, stop), null);
+
+        settings.auto_stop = false;
+        assert.ok(climate.scheduleStop(VIN, 0.0005, stop));
+        assert.strictEqual(climate.started(VIN, 5, stop), null);
+
+        await sleep(60);
+        assert.deepStrictEqual(stopped, []);
+        assert.strictEqual(climate.getPendingStop(VIN), null);
+    });
+
+    it('should not stop climate that was stopped or restarted in the meantime', async () => {
+        const stopped = [];
+        const stop = async vin => stopped.push(vin);
+
+        climate.scheduleStop(VIN, 0.0005, stop);
+        assert.strictEqual(climate.cancelStop(VIN), true);
+        assert.strictEqual(climate.cancelStop(VIN), false);
+
+        climate.scheduleStop(VIN, 0.0005, stop);
+        const restarted = climate.scheduleStop(VIN, 10, stop);
+
+        await sleep(60);
+        assert.deepStrictEqual(stopped, []);
+        assert.strictEqual(climate.getPendingStop(VIN).stop_at.getTime(), restarted.stop_at.getTime());
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+
+const { CommandBudget } = require('../command_budget');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('CommandBudget', () => {
+    let config;
+    let budget;
+
+    beforeEach(() => {
+        config = { vehicle: { wake_budget: { max_commands: 5, reserve_for_critical: 2, reset_after_hours: 12 } } };
+        budget = new CommandBudget();
+        budget.configure(() => config);
+    });
+
+    it('should count vehicle commands but not account calls', () => {
+        budget.record('VIN1', 'get_location');
+        budget.record('VIN1', 'lock_doors');
+        budget.record('VIN1', 'get_account_vehicles');
+
+        const state = budget.getBudget('VIN1');
+        assert.strictEqual(state.used, 2);
+        assert.strictEqual(state.remaining, 3);
+        assert.strictEqual(state.status, 'ok');
+        assert.strictEqual(budget.getBudget('VIN2').used, 0);
+    });
+
+    it('should refuse reads that would eat into the critical reserve', () => {
+        budget.record('VIN1', 'get_location');
+        budget.record('VIN1', 'get_location');
+
+        assert.strictEqual(budget.canSpend('VIN1').allowed, true);
+        assert.strictEqual(budget.canSpend('VIN1', { cost: 2 }).allowed, false);
+
+        budget.record('VIN1', 'get_location');
+        const result = budget.canSpend('VIN1');
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.budget.status, 'low');
+        assert.strictEqual(budget.canSpend('VIN1', { critical: true }).allowed, true);
+    });
+
+    it('should refill after reset_after_hours', () => {
+        const start = Date.now();
+        for (let i = 0; i < 5; i++) budget.record('VIN1', 'get_diagnostics', start);
+        assert.strictEqual(budget.getBudget('VIN1', start).status, 'exhausted');
+        assert.strictEqual(budget.getBudget('VIN1', start).resets_at.getTime(), start + 12 * HOUR);
+
+        const later = budget.getBudget('VIN1', start + 12 * HOUR);
+        assert.strictEqual(later.remaining, 5);
+        assert.strictEqual(later.last_reset_reason, 'time_elapsed');
+    });
+
+    it('should refill when the odometer or location shows the vehicle was driven', () => {
+        budget.observe('VIN1', { odometer: '1200.5', latitude: 47.6, longitude: -122.3 });
+        for (let i = 0; i < 4; i++) budget.record('VIN1', 'get_location');
+
+        budget.observe('VIN1', { latitude: 47.6001, longitude: -122.3001 });
+        assert.strictEqual(budget.getBudget('VIN1').used, 4);
+
+        budget.observe('VIN1', { odometer: '1203.1' });
+        assert.strictEqual(budget.getBudget('VIN1').used, 0);
+        assert.strictEqual(budget.getBudget('VIN1').last_reset_reason, 'vehicle_driven');
+
+        for (let i = 0; i < 4; i++) budget.record('VIN1', 'get_location');
+        budget.observe('VIN1', { latitude: 47.7, longitude: -122.3 });
+        assert.strictEqual(budget.getBudget('VIN1').used, 0);
+    });
+
+    it('should fall back to defaults without a config block', () => {
+        config = {};
+        const state = budget.getBudget('VIN1');
+        assert.strictEqual(state.limit, 5);
+        assert.strictEqual(state.reserve_for_critical, 2);
+    });
+});
@@ -0,0 +1,217 @@
+const assert = require('assert');
+
+const db = require('../database');
+const commandSchedules = require('../command_schedules');
+const vehicleCapabilities = require('../vehicle_capabilities');
+const { CommandScheduler, parseCron, nextRunAt, skipReason } = commandSchedules;
+const { startServer } = require('./helpers/server');
+
+const VIN = '1G1FZ6S02L4128522';
+const COMMANDS = ['climate_start', 'doors_lock'];
+
+// Local time; 10 January 2025 is a Friday
+function at(day, hours, minutes = 0) {
+    return new Date(2025, 0, day, hours, minutes);
+}
+
+describe('Command schedules', () => {
+    describe('cron rules', () => {
+        it('should find the next run of weekday and nightly schedules', () => {
+            assert.strictEqual(nextRunAt('15 7 * * 1-5', at(10, 8)).getTime(), at(13, 7, 15).getTime());
+            assert.strictEqual(nextRunAt('15 7 * * mon-fri', at(13, 7)).getTime(), at(13, 7, 15).getTime());
+            assert.strictEqual(nextRunAt('0 22 * * *', at(10, 22)).getTime(), at(11, 22).getTime());
+            assert.strictEqual(nextRunAt('*/15 * * * *', at(10, 7, 7)).getTime(), at(10, 7, 15).getTime());
+            assert.strictEqual(nextRunAt('0 9 1 jan,jul *', at(10, 8)).getTime(), new Date(2025, 6, 1, 9).getTime());
+        });
+
+        it('should run on either day when both day fields are set', () => {
+            assert.strictEqual(nextRunAt('0 8 1 * mon', at(10, 9)).getTime(), at(13, 8).getTime());
+            assert.deepStrictEqual(Array.from(parseCron('0 0 * * 5-7').day_of_week.values).sort(), [0, 5, 6]);
+        });
+
+        it('should reject bad expressions', () => {
+            assert.throws(() => parseCron('60 * * * *'), /minute value "60" is out of range 0-59/);
+            assert.throws(() => parseCron('0 7 * *'), /cron must have 5 fields/);
+            assert.throws(() => parseCron('0 7 * * fri-mon'), /day_of_week range "fri-mon" runs backwards/);
+            assert.throws(() => parseCron('*/0 * * * *'), /minute step "0" must be a positive whole number/);
+        });
+    });
+
+    it('should give the first skip condition that applies', () => {
+        const reading = { battery_level: 15, plug_state: 'unplugged', charge_state: 'not_charging' };
+
+        assert.strictEqual(skipReason({ unplugged: true, battery_below: 20 }, reading), 'vehicle is unplugged');
+        assert.strictEqual(skipReason({ battery_below: 20 }, reading), 'battery at 15% is below 20%');
+        assert.strictEqual(skipReason({ plugged_in: true, battery_above: 80 }, reading), null);
+
+        const noLevel = { ...reading, battery_level: null };
+        assert.strictEqual(skipReason({ battery_below: 20 }, noLevel), 'vehicle state unavailable: no battery level in the reading');
+        assert.strictEqual(skipReason({ battery_above: 80 }, noLevel), 'vehicle state unavailable: no battery level in the reading');
+    });
+
+    it('should validate schedules', () => {
+        const scheduler = new CommandScheduler();
+        const schedule = { name: 'Warm-up', command: 'climate_start', cron: '15 7 * * 1-5' };
+
+        assert.strictEqual(scheduler.validate(schedule, COMMANDS), null);
+        assert.match(scheduler.validate({ ...schedule, command: 'alert_horn' }, COMMANDS), /command must be one of climate_start, doors_lock/);
+        assert.match(scheduler.validate({ ...schedule, skip_if: { raining: true } }, COMMANDS), /Unknown skip_if condition "raining"/);
+        assert.strictEqual(scheduler.validate({ ...schedule, skip_if: { battery_below: '20' } }, COMMANDS), 'skip_if.battery_below must be a battery percentage');
+        assert.strictEqual(scheduler.validate({ enabled: false }, COMMANDS, { partial: true }), null);
+    });
+
+    describe('CommandScheduler', () => {
+        const originals = { saveScheduleRun: db.saveScheduleRun, getScheduleRuns: db.getScheduleRuns, updateSchedule: db.updateSchedule };
+        let scheduler;
+        let reading;
+        let sent;
+        let saved;
+
+        function add(schedule, now) {
+            const row = { id: scheduler.schedules.size + 1, name: schedule.command, vehicle_vin: null, parameters: {}, skip_if: {}, enabled: true, ...schedule };
+            scheduler.schedules.set(row.id, row);
+            scheduler.nextRuns.set(row.id, nextRunAt(row.cron, now));
+            return row;
+        }
+
+        beforeEach(() => {
+            reading = { battery_level: 50, plug_state: 'plugged', charge_state: 'not_charging' };
+            sent = [];
+            saved = [];
+            db.saveScheduleRun = async run => { saved.push(run); };
+            db.getScheduleRuns = async () => { throw new Error('Database not connected'); };
+
+            scheduler = new CommandScheduler();
+            scheduler.runner = {
+                runCommand: async (schedule, vin) => { sent.push([schedule.command, vin]); return { status: 'success', command_id: 'cmd_1' }; },
+                readVehicle: async () => reading,
+                getDefaultVin: () => VIN
+            };
+        });
+
+        afterEach(() => {
+            scheduler.stop();
+            Object.assign(db, originals);
+        });
+
+        it('should run due schedules and keep their history', async () => {
+            const schedule = add({ command: 'doors_lock', cron: '0 22 * * *' }, at(10, 21));
+
+            assert.deepStrictEqual(await scheduler.runDue(at(10, 21, 59)), []);
+            const [run] = await scheduler.runDue(at(10, 22));
+
+            assert.deepStrictEqual(sent, [['doors_lock', VIN]]);
+            assert.strictEqual(run.status, 'success');
+            assert.strictEqual(run.command_id, 'cmd_1');
+            assert.strictEqual(run.scheduled_for.getTime(), at(10, 22).getTime());
+            assert.strictEqual(scheduler.get(schedule.id).next_run_at.getTime(), at(11, 22).getTime());
+            assert.strictEqual(scheduler.get(schedule.id).timezone, Intl.DateTimeFormat().resolvedOptions().timeZone);
+            assert.strictEqual(scheduler.get(schedule.id).last_status, 'success');
+            assert.deepStrictEqual(saved, [run]);
+            assert.deepStrictEqual(await scheduler.getRuns(schedule.id), [run]);
+        });
+
+        it('should skip a run when a condition applies or the vehicle can not be read', async () => {
+            add({ command: 'climate_start', cron: '15 7 * * 1-5', skip_if: { unplugged: true, battery_below: 20 } }, at(13, 7));
+            reading = { battery_level: 15, plug_state: 'plugged' };
+
+            const [low] = await scheduler.runDue(at(13, 7, 15));
+            assert.strictEqual(low.status, 'skipped');
+            assert.strictEqual(low.reason, 'battery at 15% is below 20%');
+            assert.deepStrictEqual(low.reading, reading);
+
+            scheduler.runner.readVehicle = async () => { throw new Error('Wake budget is down to its reserve'); };
+            const [unread] = await scheduler.runDue(at(14, 7, 15));
+            assert.strictEqual(unread.reason, 'vehicle state unavailable: Wake budget is down to its reserve');
+            assert.deepStrictEqual(sent, []);
+        });
+
+        it('should record a late run as missed and not send it', async () => {
+            add({ command: 'doors_lock', cron: '0 22 * * *' }, at(10, 21));
+
+            const [run] = await scheduler.runDue(at(10, 23));
+
+            assert.strictEqual(run.status, 'missed');
+            assert.strictEqual(run.reason, '60 minutes late');
+            assert.deepStrictEqual(sent, []);
+        });
+
+        it('should not start a waiting schedule again when the timer fires during a slow run', async () => {
+            const unlock = add({ command: 'doors_unlock', cron: '0 22 * * *' }, at(10, 21));
+            add({ command: 'doors_lock', cron: '0 22 * * *' }, at(10, 21));
+            let finish;
+            const slow = new Promise(resolve => { finish = resolve; });
+            scheduler.runner.runCommand = async (schedule, vin) => {
+                sent.push([schedule.command, vin]);
+                if (schedule.command === 'doors_unlock') await slow;
+                return { status: 'success' };
+            };
+            db.updateSchedule = async (id, changes) => ({ ...scheduler.schedules.get(id), ...changes });
+
+            const first = scheduler.runDue(at(10, 22));
+            await scheduler.update(unlock.id, { name: 'Unlock for the cleaner' }, at(10, 22));
+            assert.deepStrictEqual(await scheduler.runDue(at(10, 22)), []);
+
+            finish();
+            assert.deepStrictEqual((await first).map(run => run.status), ['success', 'success']);
+            assert.deepStrictEqual(sent, [['doors_unlock', VIN], ['doors_lock', VIN]]);
+        });
+
+        it('should record a failed run when there is no vehicle to run it on', async () => {
+            const schedule = add({ command: 'doors_lock', cron: '0 22 * * *' }, at(10, 21));
+            scheduler.runner.getDefaultVin = () => { throw new Error('Not authenticated'); };
+
+            const run = await scheduler.run(schedule, at(10, 22));
+
+            assert.strictEqual(run.status, 'failure');
+            assert.strictEqual(run.error, 'Not authenticated');
+            assert.strictEqual(scheduler.running.size, 0);
+            assert.deepStrictEqual(saved.map(entry => entry.status), ['failure']);
+        });
+    });
+
+    describe('routes', () => {
+        const originals = { updateSchedule: db.updateSchedule, deleteSchedule: db.deleteSchedule };
+        const capabilities = { supports: vehicleCapabilities.supports };
+        let api;
+        let schedule;
+
+        before(async () => {
+            api = await startServer({ vins: [VIN] });
+            db.updateSchedule = async (id, changes) => ({ ...commandSchedules.schedules.get(id), ...changes });
+            db.deleteSchedule = async id => commandSchedules.schedules.get(id);
+            // The vehicle no longer lists doors_lock
+            vehicleCapabilities.supports = (vin, category, action) => !(category === 'doors' && action === 'lock');
+        });
+
+        beforeEach(() => {
+            schedule = { id: 1, name: 'Nightly lock', command: 'doors_lock', cron: '0 22 * * *', vehicle_vin: null, parameters: {}, skip_if: {}, enabled: true };
+            commandSchedules.schedules.set(schedule.id, schedule);
+        });
+
+        after(async () => {
+            commandSchedules.stop();
+            commandSchedules.schedules.clear();
+            commandSchedules.nextRuns.clear();
+            Object.assign(db, originals);
+            Object.assign(vehicleCapabilities, capabilities);
+            await api.stop();
+        });
+
+        it('should turn off a schedule whose command the vehicle no longer supports', async () => {
+            const renamed = await api.request('patch', '/schedules/1', { data: { name: 'Renamed' } });
+            assert.strictEqual(renamed.status, 404);
+
+            const res = await api.request('patch', '/schedules/1', { data: { enabled: false } });
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(commandSchedules.get(1).enabled, false);
+        });
+
+        it('should delete a schedule whose command the vehicle no longer supports', async () => {
+            const res = await api.request('delete', '/schedules/1');
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(commandSchedules.get(1), null);
+        });
+    });
+});
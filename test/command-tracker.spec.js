@@ -0,0 +1,177 @@
+const assert = require('assert');
+const { setTimeout: sleep } = require('timers/promises');
+
+const db = require('../database');
+const { CommandTracker } = require('../command_tracker');
+const { startServer, SUCCESS } = require('./helpers/server');
+
+const VIN = '1G1FZ6S02L4128522';
+const OTHER_VIN = '1G1RC6S5XJU000001';
+
+// Command whose outcome the test decides
+function deferred() {
+    let finish;
+    const promise = new Promise(resolve => { finish = resolve; });
+    return { promise, execute: () => promise, succeed: () => finish({ success: true, result: SUCCESS }) };
+}
+
+describe('CommandTracker', () => {
+    const originals = { saveCommandRecord: db.saveCommandRecord };
+    let tracker;
+    let saved;
+
+    beforeEach(() => {
+        saved = [];
+        db.saveCommandRecord = async record => { saved.push(record); };
+        tracker = new CommandTracker();
+    });
+
+    afterEach(() => {
+        Object.assign(db, originals);
+    });
+
+    it('should run a command from queued through in_progress to success', async () => {
+        const command = deferred();
+        const updates = [];
+        tracker.on('update', record => updates.push(record.status));
+
+        const submitted = tracker.submit({ commandName: 'doors_lock', vin: VIN, parameters: null, execute: command.execute });
+        assert.strictEqual(submitted.status, 'queued');
+        assert.strictEqual(submitted.status_url, `/commands/${submitted.id}`);
+
+        await sleep(0);
+        assert.strictEqual((await tracker.get(submitted.id)).status, 'in_progress');
+
+        command.succeed();
+        const outcome = await tracker.wait(submitted.id);
+        const record = await tracker.get(submitted.id);
+
+        assert.strictEqual(outcome.success, true);
+        assert.strictEqual(record.status, 'success');
+        assert.strictEqual(record.onstar_status, 'success');
+        assert.deepStrictEqual(updates, ['queued', 'in_progress', 'success']);
+        assert.deepStrictEqual(saved.map(entry => entry.status), ['queued', 'in_progress', 'success']);
+    });
+
+    it('should run commands for one vehicle in order and other vehicles alongside', async () => {
+        const first = deferred();
+        const started = [];
+        const track = (name, execute) => () => { started.push(name); return execute(); };
+
+        const a = tracker.submit({ commandName: 'climate_start', vin: VIN, execute: track('climate_start', first.execute) });
+        const b = tracker.submit({ commandName: 'doors_lock', vin: VIN, execute: track('doors_lock', async () => ({ success: true })) });
+        const c = tracker.submit({ commandName: 'doors_lock', vin: OTHER_VIN, execute: track('other_vehicle', async () => ({ success: true })) });
+
+        await tracker.wait(c.id);
+        assert.deepStrictEqual(started, ['climate_start', 'other_vehicle']);
+        assert.strictEqual((await tracker.get(b.id)).status, 'queued');
+
+        first.succeed();
+        await tracker.wait(b.id);
+        assert.deepStrictEqual(started, ['climate_start', 'other_vehicle', 'doors_lock']);
+        assert.ok((await tracker.get(b.id)).started_at >= (await tracker.get(a.id)).completed_at);
+    });
+
+    it('should cancel queued commands but not ones already sent', async () => {
+        const first = deferred();
+        let sent = false;
+        const running = tracker.submit({ commandName: 'climate_start', vin: VIN, execute: first.execute });
+        const queued = tracker.submit({ commandName: 'doors_unlock', vin: VIN, execute: async () => { sent = true; return { success: true }; } });
+        await sleep(0);
+
+        assert.deepStrictEqual(tracker.cancel(running.id).reason, 'in_progress');
+        const { cancelled, command } = tracker.cancel(queued.id);
+        assert.strictEqual(cancelled, true);
+        assert.strictEqual(command.status, 'cancelled');
+        assert.strictEqual(tracker.cancel('cmd_missing').reason, 'not_found');
+
+        first.succeed();
+        assert.strictEqual((await tracker.wait(queued.id)).error, 'Command was cancelled before it was sent to the vehicle');
+        assert.strictEqual(sent, false);
+        assert.strictEqual(tracker.cancel(running.id).reason, 'success');
+    });
+
+    it('should stop waiting after the timeout and leave the command running', async () => {
+        const command = deferred();
+        const submitted = tracker.submit({ commandName: 'climate_start', vin: VIN, execute: command.execute });
+
+        const outcome = await tracker.wait(submitted.id, { timeoutMs: 10 });
+        assert.strictEqual(outcome.success, false);
+        assert.strictEqual(outcome.timedOut, true);
+        assert.match(outcome.error, /is still in_progress after 10ms/);
+
+        command.succeed();
+        assert.strictEqual((await tracker.wait(submitted.id, { timeoutMs: 1000 })).success, true);
+        await assert.rejects(() => tracker.wait('cmd_missing'), /is not running on this server/);
+    });
+
+    it('should record failed and throwing commands as failures', async () => {
+        const failed = tracker.submit({ commandName: 'doors_lock', vin: VIN, execute: async () => ({ success: false, error: 'Vehicle unreachable' }) });
+        const threw = tracker.submit({ commandName: 'doors_lock', vin: VIN, execute: async () => { throw new Error('Socket hang up'); } });
+
+        await tracker.wait(threw.id);
+        assert.strictEqual((await tracker.get(failed.id)).error, 'Vehicle unreachable');
+        assert.strictEqual((await tracker.get(threw.id)).status, 'failure');
+        assert.strictEqual((await tracker.get(threw.id)).error, 'Socket hang up');
+    });
+
+    it('should save the auth retry with the completed record', async () => {
+        const authRetry = { status: 'succeeded', first_error: 'Request failed with status code 401' };
+        const submitted = tracker.submit({ commandName: 'doors_lock', vin: VIN, execute: async () => ({ success: true, result: SUCCESS, authRetry }) });
+
+        await tracker.wait(submitted.id);
+        assert.deepStrictEqual(saved.map(entry => entry.auth_retry), [null, null, authRetry]);
+        assert.deepStrictEqual((await tracker.get(submitted.id)).auth_retry, authRetry);
+    });
+
+    describe('?wait=true', () => {
+        let api;
+        let lockFails;
+
+        before(async () => {
+            api = await startServer({
+                vins: [VIN],
+                createClient: () => ({
+                    lockDoor: async () => {
+                        if (lockFails) throw new Error('Vehicle unreachable');
+                        return SUCCESS;
+                    }
+                })
+            });
+        });
+
+        beforeEach(() => {
+            lockFails = false;
+        });
+
+        after(async () => {
+            await api.stop();
+        });
+
+        it('should answer 202 with a command to poll without ?wait=true', async () => {
+            const res = await api.request('post', '/doors/lock');
+
+            assert.strictEqual(res.status, 202);
+            assert.strictEqual(res.headers.location, res.data.data.status_url);
+            assert.strictEqual(res.data.data.status, 'queued');
+        });
+
+        it('should wait for the vehicle and answer with the outcome', async () => {
+            const res = await api.request('post', '/doors/lock?wait=true');
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.data.data.status, 'success');
+            assert.strictEqual(res.data.data.action, 'locked');
+            assert.ok(res.data.data.command_id.startsWith('cmd_'));
+        });
+
+        it('should answer 500 with the command id when the command fails', async () => {
+            lockFails = true;
+            const res = await api.request('post', '/doors/lock?wait=true');
+
+            assert.strictEqual(res.status, 500);
+            assert.match(res.data.message, /Failed to lock doors: Vehicle unreachable/);
+            assert.ok(res.data.data.command_id.startsWith('cmd_'));
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+
+const { ConfirmationTokenManager, DEFAULT_TTL_SECONDS } = require('../confirmation_tokens');
+
+const VIN = '1G1FZ6S02L4128522';
+
+describe('ConfirmationTokenManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new ConfirmationTokenManager();
+    });
+
+    function request(overrides = {}) {
+        return { action: 'alert_lights', body: { duration_seconds: 10 }, credential: 'Bearer key-a', vin: VIN, ...overrides };
+    }
+
+    it('should issue a token with a readable summary', () => {
+        const now = Date.now();
+        const issued = manager.issue({ ...request(), vehicle: '2020 Chevrolet Bolt EV', now });
+
+        assert.match(issued.token, /^cnf_[0-9a-f]{32}$/);
+        assert.strictEqual(issued.summary, `Flash the lights for 10 seconds on 2020 Chevrolet Bolt EV (${VIN})`);
+        assert.strictEqual(issued.expiresAt.getTime(), now + DEFAULT_TTL_SECONDS * 1000);
+    });
+
+    it('should accept a token once for the same request', () => {
+        const { token } = manager.issue(request());
+
+        // Key order and the token itself in the body don't change the parameters
+        const body = { confirmation_token: token, duration_seconds: 10 };
+        assert.strictEqual(manager.redeem(token, request({ body })).valid, true);
+        assert.deepStrictEqual(manager.redeem(token, request({ body })), { valid: false, reason: 'unknown' });
+    });
+
+    it('should reject tokens presented for a different request', () => {
+        const changes = [
+            { action: 'alert_both' },
+            { body: { duration_seconds: 60 } },
+            { credential: 'Bearer key-b' },
+            { vin: '1GNEVHKW5LJ000001' }
+        ];
+
+        changes.forEach(change => {
+            const { token } = manager.issue(request());
+            assert.strictEqual(manager.redeem(token, request(change)).reason, 'mismatch');
+            // A mismatch uses the token up as well
+            assert.strictEqual(manager.redeem(token, request()).reason, 'unknown');
+        });
+    });
+
+    it('should expire tokens after the configured TTL', () => {
+        manager.configure(() => ({ security: { confirmation_ttl_seconds: 30 } }));
+        const now = Date.now();
+        const { token } = manager.issue({ ...request(), now });
+
+        assert.strictEqual(manager.redeem(token, { ...request(), now: now + 31 * 1000 }).reason, 'expired');
+    });
+
+    it('should ignore the legacy confirm flag when comparing parameters', () => {
+        const { token } = manager.issue(request({ body: { duration_seconds: 10, confirm: true } }));
+        assert.strictEqual(manager.redeem(token, request()).valid, true);
+    });
+});
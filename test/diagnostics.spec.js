@@ -0,0 +1,61 @@
+const assert = require('assert');
+
+const { parseDiagnostics, resolveUnits, diagnosticValue, diagnosticValues, describeUnits } = require('../diagnostics');
+
+// Shape of an OnStar diagnosticResponse (values are strings, units as the vehicle reports them)
+const RESPONSE = [
+    {
+        name: 'TIRE PRESSURE',
+        diagnosticElement: [
+            { name: 'TIRE PRESSURE LF', status: 'GREEN', message: 'na', unit: 'KPa', value: '240' },
+            { name: 'TIRE PRESSURE RF', status: 'YELLOW', message: 'low', unit: 'KPAG', value: '200' },
+            { name: 'TIRE PRESSURE PLACARD FRONT', unit: 'KPa', value: '262' }
+        ]
+    },
+    { name: 'ODOMETER', diagnosticElement: [{ name: 'ODOMETER', unit: 'KM', value: '16093.44' }] },
+    { name: 'AMBIENT AIR TEMPERATURE', diagnosticElement: [{ name: 'AMBIENT AIR TEMPERATURE', unit: 'C', value: '20' }] },
+    { name: 'EV PLUG STATE', diagnosticElement: [{ name: 'EV PLUG STATE', value: 'plugged' }] },
+    { name: 'EV BATTERY LEVEL', diagnosticElement: [{ name: 'EV BATTERY LEVEL', unit: '%', value: '81.5' }] }
+];
+
+describe('Diagnostics model', () => {
+    it('should keep every element with its unit and status', () => {
+        const model = parseDiagnostics(RESPONSE);
+
+        assert.deepStrictEqual(Object.keys(model['TIRE PRESSURE'].elements),
+            ['TIRE PRESSURE LF', 'TIRE PRESSURE RF', 'TIRE PRESSURE PLACARD FRONT']);
+        assert.deepStrictEqual(model['TIRE PRESSURE'].elements['TIRE PRESSURE RF'],
+            { value: 200, unit: 'kPa', status: 'YELLOW', message: 'low' });
+        assert.deepStrictEqual(model['EV PLUG STATE'].elements['EV PLUG STATE'],
+            { value: 'plugged', unit: null, status: null, message: null });
+        assert.strictEqual(diagnosticValue(model, 'EV BATTERY LEVEL'), 81.5);
+        assert.deepStrictEqual(diagnosticValues(model, 'TIRE PRESSURE'), { lf: 240, rf: 200, placard_front: 262 });
+    });
+
+    it('should convert pressures, distances and temperatures', () => {
+        const model = parseDiagnostics(RESPONSE, resolveUnits({ units: 'imperial' }).units);
+
+        assert.deepStrictEqual(diagnosticValues(model, 'TIRE PRESSURE'), { lf: 34.8, rf: 29, placard_front: 38 });
+        assert.strictEqual(model['TIRE PRESSURE'].elements['TIRE PRESSURE LF'].unit, 'psi');
+        assert.strictEqual(diagnosticValue(model, 'ODOMETER'), 10000);
+        assert.strictEqual(model['ODOMETER'].elements['ODOMETER'].unit, 'mi');
+        assert.strictEqual(diagnosticValue(model, 'AMBIENT AIR TEMPERATURE'), 68);
+        assert.strictEqual(model['EV BATTERY LEVEL'].elements['EV BATTERY LEVEL'].unit, '%');
+    });
+
+    it('should let single dimensions override the preset', () => {
+        const { units } = resolveUnits({ units: 'imperial', temperature_unit: 'C' });
+        assert.deepStrictEqual(units, { pressure: 'psi', distance: 'mi', temperature: 'c' });
+        assert.deepStrictEqual(describeUnits(units), { pressure: 'psi', distance: 'mi', temperature: '°C' });
+
+        const model = parseDiagnostics(RESPONSE, resolveUnits({ pressure_unit: 'psi' }).units);
+        assert.strictEqual(diagnosticValue(model, 'ODOMETER'), 16093.44);
+        assert.strictEqual(diagnosticValue(model, 'AMBIENT AIR TEMPERATURE'), 20);
+    });
+
+    it('should reject unknown units', () => {
+        assert.match(resolveUnits({ units: 'nautical' }).error, /units must be one of metric, imperial or vehicle/);
+        assert.match(resolveUnits({ distance_unit: 'ft' }).error, /distance_unit must be one of km, mi/);
+        assert.deepStrictEqual(resolveUnits({}), { units: {} });
+    });
+});
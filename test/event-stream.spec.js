@@ -0,0 +1,101 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+
+const { EventStream } = require('../event_stream');
+
+// Minimal stand-in for an Express request/response pair
+function connect(stream, options) {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        status() { return this; },
+        set(headers) { this.headers = headers; return this; },
+        flushHeaders() {},
+        write(chunk) { this.chunks.push(chunk); }
+    };
+    stream.subscribe(req, res, options);
+
+    return {
+        req,
+        res,
+        events: () => res.chunks
+            .filter(chunk => chunk.startsWith('id:') || chunk.startsWith('event:'))
+            .map(chunk => {
+                const fields = Object.fromEntries(chunk.trim().split('\n').map(line => [line.split(': ')[0], line.slice(line.indexOf(': ') + 2)]));
+                return { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+            })
+    };
+}
+
+describe('EventStream', () => {
+    let stream;
+    let clients;
+
+    beforeEach(() => {
+        stream = new EventStream();
+        clients = [];
+    });
+
+    afterEach(() => {
+        // Disconnecting the last client stops the heartbeat timer
+        clients.forEach(client => client.req.emit('close'));
+    });
+
+    function open(options) {
+        const client = connect(stream, options);
+        clients.push(client);
+        return client;
+    }
+
+    it('should stream published events with ids', () => {
+        const client = open();
+        stream.publish('session', { state: 'authenticating' });
+        stream.publish('command', { id: 'cmd_1', status: 'queued' });
+
+        const events = client.events();
+        assert.strictEqual(client.res.headers['Content-Type'], 'text/event-stream');
+        assert.deepStrictEqual(events.map(event => [event.type, event.id]), [
+            ['session', `${stream.streamId}-1`],
+            ['command', `${stream.streamId}-2`]
+        ]);
+        assert.ok(events[0].data.timestamp);
+    });
+
+    it('should replay events after Last-Event-ID', () => {
+        stream.publish('session', { state: 'authenticating' });
+        const seen = stream.publish('session', { state: 'authenticated' });
+        stream.publish('command', { id: 'cmd_1', status: 'queued' });
+
+        const client = open({ lastEventId: seen.id });
+        assert.deepStrictEqual(client.events().map(event => event.data.status), ['queued']);
+        assert.ok(!client.res.chunks.some(chunk => chunk.startsWith('event: resync')));
+    });
+
+    it('should ask clients to resync when the id is from another run', () => {
+        stream.publish('session', { state: 'authenticated' });
+
+        const client = open({ lastEventId: 'oldstream-42' });
+        assert.ok(client.res.chunks.some(chunk => chunk.startsWith('event: resync')));
+        assert.strictEqual(client.events().filter(event => event.type === 'session').length, 1);
+    });
+
+    it('should filter by event type and vehicle', () => {
+        const client = open({ types: ['command', 'session'], vin: 'VIN1' });
+        stream.publish('command', { id: 'cmd_1', vin: 'VIN1' });
+        stream.publish('command', { id: 'cmd_2', vin: 'VIN2' });
+        stream.publish('config', { action: 'reloaded' });
+        stream.publish('session', { state: 'expired' });
+
+        assert.deepStrictEqual(client.events().map(event => event.data.id || event.data.state), ['cmd_1', 'expired']);
+    });
+
+    it('should stop writing to closed connections', () => {
+        const client = open();
+        client.req.emit('close');
+        stream.publish('session', { state: 'cleared' });
+
+        assert.strictEqual(client.events().length, 0);
+        assert.strictEqual(stream.clients.size, 0);
+        assert.strictEqual(stream.heartbeatTimer, null);
+    });
+});
@@ -0,0 +1,196 @@
+const assert = require('assert');
+
+const db = require('../database');
+const apiKeys = require('../api_keys');
+const geofences = require('../geofences');
+const { GeofenceMonitor, containsPoint, evaluateGeofences, validateShape } = geofences;
+const { startServer } = require('./helpers/server');
+
+const VIN = '1G1FZ6S02L4128522';
+const COMMANDS = ['doors_lock', 'climate_start'];
+
+// Fixture coordinates in Detroit; 0.0009 degrees of latitude is about 100 m
+const HOME = { type: 'circle', latitude: 42.3314, longitude: -83.0458, radius_meters: 150 };
+const SCHOOL = {
+    // L-shaped campus: the north-east quarter of the square is not part of it
+    type: 'polygon',
+    points: [
+        { latitude: 42.3400, longitude: -83.0600 },
+        { latitude: 42.3420, longitude: -83.0600 },
+        { latitude: 42.3420, longitude: -83.0590 },
+        { latitude: 42.3410, longitude: -83.0590 },
+        { latitude: 42.3410, longitude: -83.0580 },
+        { latitude: 42.3400, longitude: -83.0580 }
+    ]
+};
+const POSITIONS = {
+    home: { latitude: 42.3314, longitude: -83.0458 },
+    driveway: { latitude: 42.3323, longitude: -83.0458 },
+    street: { latitude: 42.3341, longitude: -83.0458 },
+    schoolGate: { latitude: 42.3405, longitude: -83.0585 },
+    schoolNotch: { latitude: 42.3415, longitude: -83.0585 }
+};
+
+function at(minutes) {
+    return new Date(2025, 0, 10, 8, minutes);
+}
+
+describe('Geofences', () => {
+    it('should tell whether circles and polygons contain a position', () => {
+        assert.strictEqual(containsPoint(HOME, POSITIONS.home), true);
+        assert.strictEqual(containsPoint(HOME, POSITIONS.driveway), true);
+        assert.strictEqual(containsPoint(HOME, POSITIONS.street), false);
+
+        assert.strictEqual(containsPoint(SCHOOL, POSITIONS.schoolGate), true);
+        assert.strictEqual(containsPoint(SCHOOL, POSITIONS.schoolNotch), false);
+        assert.strictEqual(containsPoint(SCHOOL, POSITIONS.home), false);
+    });
+
+    it('should reject bad shapes', () => {
+        assert.strictEqual(validateShape(HOME), null);
+        assert.strictEqual(validateShape(SCHOOL), null);
+        assert.strictEqual(validateShape({ ...HOME, radius_meters: 0 }), 'shape.radius_meters must be a positive number');
+        assert.match(validateShape({ ...HOME, latitude: 95 }), /A circle needs latitude/);
+        assert.strictEqual(validateShape({ type: 'polygon', points: SCHOOL.points.slice(0, 2) }), 'A polygon needs 3 to 100 points');
+        assert.match(validateShape({ type: 'square' }), /shape.type must be one of circle, polygon/);
+    });
+
+    it('should send enter and exit on changes only, and dwell once per visit', () => {
+        const home = { id: 1, name: 'Home', shape: HOME, dwell_minutes: 30 };
+        const types = result => result.events.map(event => event.type);
+
+        const first = evaluateGeofences([home], {}, POSITIONS.home, at(0));
+        assert.deepStrictEqual(types(first), []);
+        assert.strictEqual(first.state[1].inside, true);
+
+        const left = evaluateGeofences([home], first.state, POSITIONS.street, at(5));
+        assert.deepStrictEqual(left.events.map(event => [event.type, event.geofence_name]), [['exit', 'Home']]);
+        assert.deepStrictEqual(types(evaluateGeofences([home], left.state, POSITIONS.street, at(10))), []);
+
+        const back = evaluateGeofences([home], left.state, POSITIONS.driveway, at(20));
+        assert.deepStrictEqual(types(back), ['enter']);
+        assert.deepStrictEqual(types(evaluateGeofences([home], back.state, POSITIONS.home, at(49))), []);
+
+        const dwelled = evaluateGeofences([home], back.state, POSITIONS.home, at(50));
+        assert.deepStrictEqual(types(dwelled), ['dwell']);
+        assert.deepStrictEqual(types(evaluateGeofences([home], dwelled.state, POSITIONS.home, at(59))), []);
+    });
+
+    it('should validate geofences and their actions', () => {
+        const monitor = new GeofenceMonitor();
+        const geofence = { name: 'Home', shape: HOME, actions: [{ on: 'exit', command: 'doors_lock' }, { on: 'enter', notify: true }] };
+
+        assert.strictEqual(monitor.validate(geofence, COMMANDS), null);
+        assert.strictEqual(monitor.validate({ ...geofence, actions: [{ on: 'arrive', notify: true }] }, COMMANDS),
+            'actions[0].on must be one of enter, exit, dwell');
+        assert.match(monitor.validate({ ...geofence, actions: [{ on: 'exit', command: 'alert_horn' }] }, COMMANDS),
+            /actions\[0\] needs a command \(doors_lock, climate_start\) or notify: true/);
+        assert.match(monitor.validate({ ...geofence, dwell_minutes: 0 }, COMMANDS), /dwell_minutes must be a positive whole number/);
+        assert.strictEqual(monitor.validate({ enabled: false }, COMMANDS, { partial: true }), null);
+    });
+
+    describe('GeofenceMonitor', () => {
+        const originals = { saveGeofenceEvent: db.saveGeofenceEvent, getGeofenceEvents: db.getGeofenceEvents };
+        let monitor;
+        let location;
+        let commands;
+        let notified;
+        let published;
+        let saved;
+
+        beforeEach(() => {
+            location = { latitude: String(POSITIONS.home.latitude), longitude: String(POSITIONS.home.longitude) };
+            commands = [];
+            notified = [];
+            published = [];
+            saved = [];
+            db.saveGeofenceEvent = async event => { saved.push(event); };
+            db.getGeofenceEvents = async () => { throw new Error('Database not connected'); };
+
+            monitor = new GeofenceMonitor();
+            monitor.geofences.set(1, {
+                id: 1, name: 'Home', vehicle_vin: null, shape: HOME, dwell_minutes: null, enabled: true,
+                actions: [{ on: 'exit', command: 'doors_lock' }, { on: 'enter', notify: true }]
+            });
+            monitor.geofences.set(2, { id: 2, name: 'School', vehicle_vin: '1G1RC6S5XJU000001', shape: SCHOOL, enabled: true, actions: [] });
+            monitor.handlers = {
+                readLocation: async () => location,
+                runCommand: async (action, vin) => { commands.push([action.command, vin]); return { status: 'success', command_id: 'cmd_1' }; },
+                notify: event => notified.push(event.type),
+                publish: event => published.push(event.type),
+                getDefaultVin: () => VIN
+            };
+        });
+
+        afterEach(() => {
+            monitor.stop();
+            Object.assign(db, originals);
+        });
+
+        it('should run the actions of each event and keep the events', async () => {
+            await monitor.poll(at(0));
+            location = { latitude: POSITIONS.street.latitude, longitude: POSITIONS.street.longitude };
+            const [{ events: [exit] }] = await monitor.poll(at(15));
+
+            assert.deepStrictEqual(commands, [['doors_lock', VIN]]);
+            assert.strictEqual(exit.vin, VIN);
+            assert.deepStrictEqual(exit.actions, [{ on: 'exit', command: 'doors_lock', status: 'success', command_id: 'cmd_1' }]);
+            assert.strictEqual(monitor.get(1).vehicles[VIN].inside, false);
+
+            await monitor.observe(VIN, POSITIONS.driveway, at(30));
+            assert.deepStrictEqual(notified, ['enter']);
+            assert.deepStrictEqual(published, ['exit', 'enter']);
+            assert.deepStrictEqual(saved.map(event => event.type), ['exit', 'enter']);
+            assert.deepStrictEqual((await monitor.getEvents({ geofenceId: 1 })).map(event => event.type), ['enter', 'exit']);
+        });
+
+        it('should only check the geofences of the vehicle and report failed reads', async () => {
+            monitor.handlers.readLocation = async () => { throw new Error('Wake budget is down to its reserve'); };
+
+            assert.deepStrictEqual(await monitor.poll(at(0)), [{ vin: VIN, error: 'Wake budget is down to its reserve' }]);
+            assert.deepStrictEqual(monitor.forVehicle(VIN).map(geofence => geofence.name), ['Home']);
+            assert.deepStrictEqual(await monitor.observe(VIN, { latitude: null, longitude: null }, at(5)), []);
+        });
+    });
+
+    describe('routes', () => {
+        const UNLOCK_ONLY = 'bca_unlockonly0000000000000000000000000000000000000';
+        const originals = { getApiKeyByHash: db.getApiKeyByHash, touchApiKey: db.touchApiKey, deleteGeofence: db.deleteGeofence };
+        const keys = {
+            [apiKeys.hashKey(UNLOCK_ONLY)]: { id: 1, name: 'unlock-only', permissions: { doors: ['unlock'], geofences: ['list', 'manage'] } }
+        };
+        let api;
+
+        before(async () => {
+            db.getApiKeyByHash = async hash => keys[hash] || null;
+            db.touchApiKey = async () => {};
+            db.deleteGeofence = async id => geofences.geofences.get(id);
+            api = await startServer({ vins: [VIN] });
+        });
+
+        beforeEach(() => {
+            geofences.geofences.set(1, {
+                id: 1, name: 'Home', vehicle_vin: null, shape: HOME, dwell_minutes: null, enabled: true,
+                actions: [{ on: 'exit', command: 'doors_lock' }]
+            });
+        });
+
+        after(async () => {
+            await api.stop();
+            geofences.geofences.clear();
+            Object.assign(db, originals);
+            apiKeys.cache.clear();
+        });
+
+        it('should not let a key without the permissions of its actions delete a geofence', async () => {
+            const refused = await api.request('delete', '/geofences/1', { key: UNLOCK_ONLY });
+            assert.strictEqual(refused.status, 403);
+            assert.strictEqual(refused.data.data.endpoint, 'doors.lock');
+            assert.ok(geofences.get(1));
+
+            const res = await api.request('delete', '/geofences/1');
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(geofences.get(1), null);
+        });
+    });
+});
@@ -1,5 +1,5 @@
 //var should = require("should");
-var flatted = require("flatted");
+var OnStar = require("onstarjs2");
 var helper = require("node-red-node-test-helper");
 var onStar = require("../onstar.js");
 
@@ -32,7 +32,7 @@ describe('get-diagnostics Node', function () {
     });
   });
 
-  it('Should output 401 error due to not having valid credentials', function (done) {
+  it('Should report the error for missing credentials with node.error', function (done) {
     var flow = [
       { id:"n1",type:"get-diagnostics",name:"Get Diagnostics",onstar2:"17dfaade45168b46",diagnostics:"",wires:[["n2"],["n3"]] },
       { id:"17dfaade45168b46",type:"onstar2",carname:"TestCar1",username:"homer@simpson.com",password:"Doh!",pin:"1234",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2",checkrequeststatus:"true",requestpollingtimeoutseconds:"90",requestpollingintervalseconds:"6" },
@@ -41,16 +41,88 @@ describe('get-diagnostics Node', function () {
     helper.load(onStar, flow, function () {
       var n2 = helper.getNode("n2");
       var n1 = helper.getNode("n1");
-      n2.on("input", function (msg) {
+      n2.on("input", function () {
+        done(new Error("Nothing should be sent on failure"));
+      });
+      n1.on("call:error", function (call) {
         try {
-          flatted.stringify(msg);
-          msg.payload.should.have.property('message', 'Missing required configuration parameters') ;
+          call.args[0].should.have.property('message', 'Missing required configuration parameters');
+          call.args[1].should.have.property('topic', 'car');
+          n1.status.lastCall.args[0].should.have.properties({ fill: 'red', shape: 'dot' });
+          n1.status.lastCall.args[0].text.should.startWith('failed ');
           done();
-        } catch(err) {     
+        } catch(err) {
           done(err);
         }
       });
-      n1.receive({ payload: "timestamp" });
+      n1.receive({ payload: "timestamp", topic: "car" });
+    });
+  });
+
+  describe('with a client', function () {
+    var originalCreate = OnStar.create;
+
+    beforeEach(function () {
+      OnStar.create = function () {
+        return {
+          diagnostics: function () {
+            var diagnosticResponse = [
+              { name: "TIRE PRESSURE", diagnosticElement: [
+                { name: "TIRE PRESSURE LF", status: "GREEN", unit: "KPa", value: "240" },
+                { name: "TIRE PRESSURE RF", status: "YELLOW", unit: "KPa", value: "200" }
+              ] },
+              { name: "ODOMETER", diagnosticElement: [{ name: "ODOMETER", unit: "KM", value: "16093.44" }] }
+            ];
+            return Promise.resolve({ response: { data: { commandResponse: { body: { diagnosticResponse: diagnosticResponse } } } } });
+          }
+        };
+      };
+    });
+
+    afterEach(function () {
+      OnStar.create = originalCreate;
+    });
+
+    it('Should output every element in the selected units', function (done) {
+      var flow = [
+        { id:"n1",type:"get-diagnostics",name:"Diagnostics",onstar2:"c1",diagnostics:"TIRE PRESSURE,ODOMETER",units:"imperial",wires:[["n2"],["n3"]] },
+        { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" },
+        { id: "n2", type: "helper" }
+      ];
+      var credentials = { c1: { username: "homer@simpson.com", password: "Doh!", totp: "JBSWY3DPEHPK3PXP", pin: "1234" } };
+      helper.load(onStar, flow, credentials, function () {
+        var n2 = helper.getNode("n2");
+        var n1 = helper.getNode("n1");
+        n2.on("input", function (msg) {
+          try {
+            msg.payload["TIRE PRESSURE"].elements["TIRE PRESSURE RF"].should.eql({ value: 29, unit: "psi", status: "YELLOW", message: null });
+            msg.payload["ODOMETER"].elements["ODOMETER"].should.have.properties({ value: 10000, unit: "mi" });
+            done();
+          } catch(err) {
+            done(err);
+          }
+        });
+        n1.receive({ payload: {} });
+      });
+    });
+
+    it('Should report unknown units with node.error', function (done) {
+      var flow = [
+        { id:"n1",type:"get-diagnostics",name:"Diagnostics",onstar2:"c1",diagnostics:"",units:"",wires:[["n2"],["n3"]] },
+        { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" }
+      ];
+      helper.load(onStar, flow, function () {
+        var n1 = helper.getNode("n1");
+        n1.on("call:error", function (call) {
+          try {
+            call.args[0].should.have.property('message', 'units must be one of metric, imperial or vehicle');
+            done();
+          } catch(err) {
+            done(err);
+          }
+        });
+        n1.receive({ payload: { units: "nautical" } });
+      });
     });
   });
 });
@@ -0,0 +1,60 @@
+/**
+ * Runs the API on a free port against stand-in OnStar clients, for route specs
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sample = require('../vehicles.sample.json');
+const commandBudget = require('../../command_budget');
+const sessionManager = require('../../session_manager');
+const app = require('../../server');
+
+const API_KEY = process.env.API_KEY || 'brandt-car-boltaire-2025';
+
+const SUCCESS = { response: { data: { commandResponse: { status: 'success' } } } };
+
+/**
+ * Authenticate the session with one client per VIN built by `createClient(vin)` (the default
+ * vehicle's client gets no VIN) and start listening
+ */
+async function startServer({ vins, createClient = () => ({}) }) {
+    const originals = { _createClient: sessionManager._createClient, tokenLocation: sessionManager.tokenLocation };
+    const tokenLocation = fs.mkdtempSync(path.join(os.tmpdir(), 'onstar-tokens-'));
+    const vehicles = vins.map(vin => ({ ...sample.vehicles.vehicle[0], vin }));
+
+    sessionManager.tokenLocation = tokenLocation;
+    sessionManager._createClient = vin => ({
+        getAccountVehicles: async () => ({ response: { data: { vehicles: { vehicle: vehicles } } } }),
+        ...createClient(vin)
+    });
+    await sessionManager.clearSession();
+    await sessionManager.authenticate();
+    vins.forEach(vin => commandBudget.reset(vin, 'test'));
+
+    const server = app.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        request(method, url, { key = API_KEY, data } = {}) {
+            return axios({
+                method,
+                url: `${baseUrl}${url}`,
+                data,
+                headers: { Authorization: `Bearer ${key}` },
+                validateStatus: () => true
+            });
+        },
+
+        async stop() {
+            server.close();
+            await sessionManager.clearSession();
+            Object.assign(sessionManager, originals);
+            fs.rmSync(tokenLocation, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startServer, API_KEY, SUCCESS };
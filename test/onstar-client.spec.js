@@ -0,0 +1,127 @@
+//var should = require("should");
+var OnStar = require("onstarjs2");
+var helper = require("node-red-node-test-helper");
+var onStar = require("../onstar.js");
+
+helper.init(require.resolve('node-red'));
+
+var CREDENTIALS = { c1: { username: "homer@simpson.com", password: "Doh!", totp: "JBSWY3DPEHPK3PXP", pin: "1234" } };
+
+describe('onstar2 config node client', function () {
+  var originalCreate = OnStar.create;
+  var created;
+  var calls;
+  var pending;
+
+  beforeEach(function (done) {
+    created = 0;
+    calls = [];
+    pending = [];
+    // Stand-in for onstarjs2: lockDoor resolves when the test calls the resolver it queued
+    OnStar.create = function () {
+      var client = { id: ++created };
+      client.lockDoor = function (request) {
+        calls.push({ client: client.id, request: request });
+        return new Promise(function (resolve) {
+          pending.push(function () {
+            resolve({ response: { data: { commandResponse: { status: "success" } } } });
+          });
+        });
+      };
+      return client;
+    };
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    OnStar.create = originalCreate;
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  // Wait for the queued command callbacks to run
+  function tick() {
+    return new Promise(function (resolve) { setImmediate(resolve); });
+  }
+
+  var flow = [
+    { id:"n1",type:"lock-myvehicle",name:"Lock 1",onstar2:"c1",delay:"",wires:[["n3"],[]] },
+    { id:"n2",type:"lock-myvehicle",name:"Lock 2",onstar2:"c1",delay:"",wires:[["n3"],[]] },
+    { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" },
+    { id:"n3",type:"helper" }
+  ];
+
+  it('Should share one client between messages and nodes', function (done) {
+    helper.load(onStar, flow, CREDENTIALS, function () {
+      var n3 = helper.getNode("n3");
+      var received = 0;
+      n3.on("input", function (msg) {
+        try {
+          msg.should.have.property('payload', 'success');
+          if (++received === 3) {
+            created.should.equal(1);
+            calls.map(function (call) { return call.client; }).should.eql([1, 1, 1]);
+            done();
+          }
+        } catch(err) {
+          done(err);
+        }
+      });
+      helper.getNode("n1").receive({ payload: {} });
+      helper.getNode("n2").receive({ payload: {} });
+      helper.getNode("n1").receive({ payload: {} });
+
+      // Complete the commands one by one as they reach the client
+      (async function () {
+        for (var i = 0; i < 3; i++) {
+          await tick();
+          pending.shift()();
+        }
+      })().catch(done);
+    });
+  });
+
+  it('Should run concurrent commands one at a time', function (done) {
+    helper.load(onStar, flow, CREDENTIALS, function () {
+      var c1 = helper.getNode("c1");
+      var first = c1.run(function (client) { return client.lockDoor({ delay: 1 }); });
+      var second = c1.run(function (client) { return client.lockDoor({ delay: 2 }); });
+
+      (async function () {
+        await tick();
+        calls.length.should.equal(1);
+        pending.shift()();
+        await first;
+        await tick();
+        calls.length.should.equal(2);
+        calls[1].request.should.eql({ delay: 2 });
+        pending.shift()();
+        await second;
+      })().then(done, done);
+    });
+  });
+
+  it('Should finish the running command on close and drop queued ones', function (done) {
+    helper.load(onStar, flow, CREDENTIALS, function () {
+      var c1 = helper.getNode("c1");
+      var running = c1.run(function (client) { return client.lockDoor({ delay: 1 }); });
+      var queued = c1.run(function (client) { return client.lockDoor({ delay: 2 }); });
+      var closed = false;
+
+      (async function () {
+        await tick();
+        var closing = c1.close().then(function () { closed = true; });
+        await tick();
+        closed.should.be.false();
+        await c1.run(function () {}).should.be.rejectedWith(/closing/);
+
+        pending.shift()();
+        (await running).response.data.commandResponse.status.should.equal("success");
+        await queued.should.be.rejectedWith(/closed before the command was sent/);
+        await closing;
+        calls.length.should.equal(1);
+        (c1.client === null).should.be.true();
+      })().then(done, done);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+//var should = require("should");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var helper = require("node-red-node-test-helper");
+var onStar = require("../onstar.js");
+
+helper.init(require.resolve('node-red'));
+
+var SECRETS = { username: "homer@simpson.com", password: "Doh!", totp: "JBSWY3DPEHPK3PXP", pin: "1234" };
+
+// Run the editor definitions from onstar.html against a stub RED to get the onstar2 node definition
+function loadEditorDefinition() {
+  var html = fs.readFileSync(path.join(__dirname, "..", "onstar.html"), "utf-8");
+  var definitions = {};
+  var RED = {
+    nodes: { registerType: function (type, definition) { definitions[type] = definition; } },
+    validators: {
+      number: function () { return function () { return true; }; },
+      regex: function () { return function () { return true; }; }
+    }
+  };
+  var scripts = html.match(/<script type="text\/javascript">[\s\S]*?<\/script>/g);
+  scripts.forEach(function (script) {
+    vm.runInNewContext(script.replace(/<\/?script[^>]*>/g, ""), { RED: RED, $: function () {} });
+  });
+  return definitions.onstar2;
+}
+
+// What the editor writes to flows.json or an export: only the properties in `defaults`
+function exportNode(definition, node) {
+  var exported = { id: node.id, type: node.type };
+  Object.keys(definition.defaults).forEach(function (property) {
+    if (node[property] !== undefined) {
+      exported[property] = node[property];
+    }
+  });
+  return exported;
+}
+
+describe('onstar2 config node credentials', function () {
+
+  beforeEach(function (done) {
+      helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+      helper.unload();
+      helper.stopServer(done);
+  });
+
+  it('Should keep the login in credentials, not in exported flows', function () {
+    var definition = loadEditorDefinition();
+    var legacyNode = Object.assign({ id: "c1", type: "onstar2", carname: "TestCar1", vin: "3N1AB6AP7BL687841" }, SECRETS);
+
+    Object.keys(definition.credentials).should.containDeep(onStar.CREDENTIAL_FIELDS);
+    Object.keys(definition.defaults).should.not.containDeep(onStar.CREDENTIAL_FIELDS);
+
+    var exported = JSON.stringify(exportNode(definition, legacyNode));
+    Object.keys(SECRETS).forEach(function (field) {
+      exported.should.not.containEql(SECRETS[field]);
+    });
+  });
+
+  it('Should not ship secrets in the example flow', function () {
+    var flow = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "examples", "Example-Flow-File.json"), "utf-8"));
+    flow.filter(function (node) { return node.type === "onstar2"; }).forEach(function (node) {
+      node.should.not.have.properties(onStar.CREDENTIAL_FIELDS);
+    });
+  });
+
+  it('Should read credentials', function (done) {
+    var flow = [
+      { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" }
+    ];
+    helper.load(onStar, flow, { c1: SECRETS }, function () {
+      try {
+        var c1 = helper.getNode("c1");
+        c1.should.have.property('username', SECRETS.username);
+        c1.should.have.property('totp', SECRETS.totp);
+        c1.warn.called.should.be.false();
+        done();
+      } catch(err) {
+        done(err);
+      }
+    });
+  });
+
+  it('Should move plain text values from old flows into credentials', function (done) {
+    var flow = [
+      Object.assign({ id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" }, SECRETS)
+    ];
+    helper.load(onStar, flow, function () {
+      try {
+        var c1 = helper.getNode("c1");
+        c1.should.have.property('password', SECRETS.password);
+        helper.credentials.get("c1").should.eql(SECRETS);
+        c1.warn.calledWithMatch(/Moved username, password, totp, pin/).should.be.true();
+        done();
+      } catch(err) {
+        done(err);
+      }
+    });
+  });
+
+  it('Should prefer credentials over leftover plain text values', function (done) {
+    var flow = [
+      { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",username:"old@simpson.com",password:"Old!" }
+    ];
+    helper.load(onStar, flow, { c1: SECRETS }, function () {
+      try {
+        var c1 = helper.getNode("c1");
+        c1.should.have.property('username', SECRETS.username);
+        c1.should.have.property('password', SECRETS.password);
+        c1.warn.called.should.be.false();
+        done();
+      } catch(err) {
+        done(err);
+      }
+    });
+  });
+});
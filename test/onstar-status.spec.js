@@ -0,0 +1,105 @@
+//var should = require("should");
+var OnStar = require("onstarjs2");
+var helper = require("node-red-node-test-helper");
+var onStar = require("../onstar.js");
+
+helper.init(require.resolve('node-red'));
+
+var CREDENTIALS = { c1: { username: "homer@simpson.com", password: "Doh!", totp: "JBSWY3DPEHPK3PXP", pin: "1234" } };
+
+describe('OnStar node status and outputs', function () {
+  var originalCreate = OnStar.create;
+
+  beforeEach(function (done) {
+    // Stand-in for onstarjs2 with a command that succeeds and one that fails
+    OnStar.create = function () {
+      return {
+        lockDoor: function () {
+          return Promise.resolve({ response: { data: { commandResponse: { status: "success", body: null } } } });
+        },
+        location: function () {
+          return Promise.reject(new Error("Vehicle unreachable"));
+        }
+      };
+    };
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    OnStar.create = originalCreate;
+    helper.unload();
+    helper.stopServer(done);
+  });
+
+  var flow = [
+    { id:"n1",type:"lock-myvehicle",name:"Lock Vehicle",onstar2:"c1",delay:"",wires:[["n2"],["n3"]] },
+    { id:"n4",type:"locate-vehicle",name:"Locate Vehicle",onstar2:"c1",wires:[["n2"],["n3"]] },
+    { id:"n5",type:"lock-myvehicle",name:"No Config",onstar2:"missing",delay:"",wires:[["n2"],["n3"]] },
+    { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" },
+    { id:"n2",type:"helper" },
+    { id:"n3",type:"helper" }
+  ];
+
+  it('Should keep the incoming msg and send the result on both outputs', function (done) {
+    helper.load(onStar, flow, CREDENTIALS, function () {
+      var n1 = helper.getNode("n1");
+      var n2 = helper.getNode("n2");
+      var n3 = helper.getNode("n3");
+      var received = {};
+
+      function check() {
+        if (!received.n2 || !received.n3) return;
+        try {
+          received.n2.should.have.properties({ payload: "success", topic: "garage", _msgid: "m1", extra: 1 });
+          received.n3.should.have.properties({ topic: "garage", extra: 1 });
+          received.n3.payload.should.have.property('commandResponse');
+          var statuses = n1.status.args.map(function (args) { return args[0]; });
+          statuses[0].should.have.properties({ fill: 'blue', shape: 'ring' });
+          statuses[0].text.should.startWith('requesting ');
+          statuses[1].should.have.properties({ fill: 'green', shape: 'dot' });
+          statuses[1].text.should.startWith('success ');
+          n1.error.called.should.be.false();
+          done();
+        } catch(err) {
+          done(err);
+        }
+      }
+
+      n2.on("input", function (msg) { received.n2 = msg; check(); });
+      n3.on("input", function (msg) { received.n3 = msg; check(); });
+      n1.receive({ payload: {}, topic: "garage", _msgid: "m1", extra: 1 });
+    });
+  });
+
+  it('Should report command failures with node.error and the incoming msg', function (done) {
+    helper.load(onStar, flow, CREDENTIALS, function () {
+      var n4 = helper.getNode("n4");
+      n4.on("call:error", function (call) {
+        try {
+          call.args[0].should.have.property('message', 'Vehicle unreachable');
+          call.args[1].should.have.properties({ topic: "where", _msgid: "m2" });
+          n4.status.lastCall.args[0].should.have.properties({ fill: 'red', shape: 'dot' });
+          done();
+        } catch(err) {
+          done(err);
+        }
+      });
+      n4.receive({ payload: {}, topic: "where", _msgid: "m2" });
+    });
+  });
+
+  it('Should report a missing config node', function (done) {
+    helper.load(onStar, flow, CREDENTIALS, function () {
+      var n5 = helper.getNode("n5");
+      n5.on("call:error", function (call) {
+        try {
+          call.args[0].should.have.property('message', 'No OnStar config node selected');
+          done();
+        } catch(err) {
+          done(err);
+        }
+      });
+      n5.receive({ payload: {} });
+    });
+  });
+});
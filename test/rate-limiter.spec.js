@@ -0,0 +1,109 @@
+const assert = require('assert');
+
+const { CategoryRateLimiter } = require('../rate_limiter');
+
+function createConfig(rateLimiting) {
+    return { security: { rate_limiting: rateLimiting } };
+}
+
+function mockResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+describe('CategoryRateLimiter', () => {
+    let config;
+    let limiter;
+
+    beforeEach(() => {
+        config = createConfig({
+            alert_commands: { window_minutes: 60, max_requests: 3 },
+            door_commands: { window_minutes: 15, max_requests: 10 }
+        });
+        limiter = new CategoryRateLimiter(() => config);
+    });
+
+    it('should allow requests up to the configured maximum', () => {
+        const now = Date.now();
+        assert.strictEqual(limiter.hit('alerts', 'VIN1', now).remaining, 2);
+        assert.strictEqual(limiter.hit('alerts', 'VIN1', now).remaining, 1);
+        assert.strictEqual(limiter.hit('alerts', 'VIN1', now).remaining, 0);
+
+        const blocked = limiter.hit('alerts', 'VIN1', now);
+        assert.strictEqual(blocked.allowed, false);
+        assert.strictEqual(blocked.resetSeconds, 3600);
+    });
+
+    it('should free up quota once the window has passed', () => {
+        const start = Date.now();
+        limiter.hit('alerts', 'VIN1', start);
+        limiter.hit('alerts', 'VIN1', start + 1000);
+        limiter.hit('alerts', 'VIN1', start + 2000);
+
+        assert.strictEqual(limiter.hit('alerts', 'VIN1', start + 59 * 60 * 1000).allowed, false);
+        assert.strictEqual(limiter.hit('alerts', 'VIN1', start + 60 * 60 * 1000).allowed, true);
+    });
+
+    it('should count each category and key separately', () => {
+        const now = Date.now();
+        for (let i = 0; i < 3; i++) limiter.hit('alerts', 'VIN1', now);
+
+        assert.strictEqual(limiter.hit('alerts', 'VIN2', now).allowed, true);
+        assert.strictEqual(limiter.hit('doors', 'VIN1', now).allowed, true);
+    });
+
+    it('should not limit categories without a config block', () => {
+        const result = limiter.hit('climate', 'VIN1');
+        assert.strictEqual(result.allowed, true);
+        assert.strictEqual(result.policy, null);
+        assert.deepStrictEqual(limiter.describe().climate, { category: 'climate', unlimited: true });
+    });
+
+    it('should pick up configuration changes without being recreated', () => {
+        config = createConfig({ climate_commands: { window_minutes: 30, max_requests: 1 } });
+
+        assert.strictEqual(limiter.hit('climate', 'VIN1').allowed, true);
+        assert.strictEqual(limiter.hit('climate', 'VIN1').allowed, false);
+        assert.strictEqual(limiter.getPolicy('alerts'), null);
+    });
+
+    it('should reject unknown categories', () => {
+        assert.throws(() => limiter.middleware('teleport'), /Unknown rate limit category/);
+    });
+
+    it('should set quota headers and answer 429 with Retry-After when exhausted', () => {
+        config = createConfig({ alert_commands: { window_minutes: 60, max_requests: 1 } });
+        const middleware = limiter.middleware('alerts');
+        const req = { headers: {}, ip: '127.0.0.1', vehicleVin: 'VIN1' };
+
+        let nextCalls = 0;
+        const first = mockResponse();
+        middleware(req, first, () => nextCalls++);
+        assert.strictEqual(nextCalls, 1);
+        assert.strictEqual(first.headers['RateLimit-Limit'], '1');
+        assert.strictEqual(first.headers['RateLimit-Remaining'], '0');
+
+        const second = mockResponse();
+        middleware(req, second, () => nextCalls++);
+        assert.strictEqual(nextCalls, 1);
+        assert.strictEqual(second.statusCode, 429);
+        assert.strictEqual(second.headers['Retry-After'], '3600');
+        assert.strictEqual(second.body.data.category, 'alerts');
+    });
+
+    it('should key by client when the scope is "client"', () => {
+        config = createConfig({ door_commands: { window_minutes: 15, max_requests: 1, scope: 'client' } });
+        const middleware = limiter.middleware('doors');
+
+        let nextCalls = 0;
+        middleware({ headers: { authorization: 'Bearer a' }, vehicleVin: 'VIN1' }, mockResponse(), () => nextCalls++);
+        middleware({ headers: { authorization: 'Bearer b' }, vehicleVin: 'VIN1' }, mockResponse(), () => nextCalls++);
+        assert.strictEqual(nextCalls, 2);
+    });
+});
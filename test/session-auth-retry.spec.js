@@ -0,0 +1,98 @@
+const assert = require('assert');
+
+const commandBudget = require('../command_budget');
+const { SessionManager } = require('../session_manager');
+
+describe('SessionManager retry after 401', () => {
+    let manager;
+    let logins;
+    let loginFails;
+    let requests;
+
+    beforeEach(async () => {
+        manager = new SessionManager();
+        logins = 0;
+        loginFails = false;
+        requests = [];
+
+        // Stand-in for the OnStar client; each login gets a client with its own number
+        manager._createClient = () => {
+            const login = ++logins;
+            return {
+                login,
+                getAccountVehicles: async () => {
+                    if (loginFails && login > 1) {
+                        throw new Error('GM login unavailable');
+                    }
+                    return { response: { data: { vehicles: { vehicle: [{ vin: 'VIN1' }] } } } };
+                }
+            };
+        };
+        await manager.authenticate();
+        commandBudget.reset('VIN1', 'test');
+    });
+
+    afterEach(() => {
+        manager._cancelExpiry();
+    });
+
+    // Command that is rejected with 401 by the first login's client
+    function command(client) {
+        requests.push(client.login);
+        if (client.login === 1) {
+            return Promise.reject(new Error('Request failed with status code 401'));
+        }
+        return Promise.resolve({ response: { data: { commandResponse: { status: 'success' } } } });
+    }
+
+    it('should re-authenticate and replay idempotent commands', async () => {
+        const outcome = await manager.executeCommand('doors_lock', command);
+
+        assert.strictEqual(outcome.success, true);
+        assert.deepStrictEqual(requests, [1, 2]);
+        assert.strictEqual(outcome.authRetry.status, 'succeeded');
+        assert.strictEqual(outcome.authRetry.first_error, 'Request failed with status code 401');
+        assert.strictEqual(manager.getSessionStatus().isAuthenticated, true);
+        assert.strictEqual(commandBudget.getBudget('VIN1').used, 2);
+    });
+
+    it('should not replay commands outside the policy', async () => {
+        const outcome = await manager.executeCommand('doors_unlock', command);
+
+        assert.strictEqual(outcome.success, false);
+        assert.deepStrictEqual(requests, [1]);
+        assert.deepStrictEqual(outcome.authRetry, {
+            status: 'skipped',
+            reason: 'not_retryable',
+            first_error: 'Request failed with status code 401'
+        });
+        assert.strictEqual(manager.getSessionStatus().isAuthenticated, false);
+    });
+
+    it('should follow session.auth_retry in the configuration', async () => {
+        manager.configure(() => ({ session: { auth_retry: { commands: ['doors_unlock'] } } }));
+        assert.strictEqual((await manager.executeCommand('doors_unlock', command)).authRetry.status, 'succeeded');
+
+        manager.configure(() => ({ session: { auth_retry: { enabled: false } } }));
+        assert.strictEqual(manager.canRetryAfterUnauthorized('doors_lock'), false);
+    });
+
+    it('should fail with the original error when re-authentication fails', async () => {
+        loginFails = true;
+        const outcome = await manager.executeCommand('doors_lock', command);
+
+        assert.strictEqual(outcome.success, false);
+        assert.strictEqual(outcome.error, 'Request failed with status code 401');
+        assert.strictEqual(outcome.authRetry.status, 'reauthentication_failed');
+        assert.deepStrictEqual(requests, [1]);
+        assert.strictEqual(manager.getSessionStatus().isAuthenticated, false);
+    });
+
+    it('should leave other errors alone', async () => {
+        const outcome = await manager.executeCommand('doors_lock', () => Promise.reject(new Error('Vehicle unreachable')));
+
+        assert.strictEqual(outcome.success, false);
+        assert.strictEqual(outcome.authRetry, null);
+        assert.strictEqual(logins, 1);
+    });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+
+const { SessionManager } = require('../session_manager');
+
+describe('SessionManager background refresh', () => {
+    let manager;
+    let attempts;
+    let failuresLeft;
+    let states;
+
+    beforeEach(() => {
+        manager = new SessionManager();
+        manager.configure(() => ({ session: { auto_refresh: { failure_threshold: 3, jitter: 0 } } }));
+        attempts = 0;
+        failuresLeft = 0;
+        states = [];
+        manager.on('state', event => states.push(event.state));
+
+        // Stand-in for the OnStar client: fails while failuresLeft > 0
+        manager._createClient = () => ({
+            getAccountVehicles: async () => {
+                attempts++;
+                if (failuresLeft > 0) {
+                    failuresLeft--;
+                    throw new Error('GM login unavailable');
+                }
+                return { response: { data: { vehicles: { vehicle: [{ vin: 'VIN1', make: 'Chevrolet' }] } } } };
+            }
+        });
+    });
+
+    afterEach(() => {
+        manager._cancelExpiry();
+    });
+
+    it('should schedule a refresh ahead of the token expiry', async () => {
+        await manager.authenticate();
+
+        const refresh = manager.getRefreshStatus();
+        const lead = manager.sessionState.tokenExpiry - refresh.nextRefreshAt;
+        assert.strictEqual(refresh.nextTrigger, 'scheduled');
+        assert.ok(Math.abs(lead - 300 * 1000) < 1000);
+        assert.strictEqual(refresh.circuit.state, 'closed');
+    });
+
+    it('should replace the session and record the refresh', async () => {
+        await manager.authenticate();
+        const previousSession = manager.sessionState.sessionId;
+
+        const entry = await manager.refreshSession();
+
+        assert.strictEqual(entry.success, true);
+        assert.notStrictEqual(manager.sessionState.sessionId, previousSession);
+        assert.strictEqual(manager.getRefreshStatus().lastRefresh, entry);
+        assert.deepStrictEqual(states.slice(-2), ['refreshing', 'authenticated']);
+    });
+
+    it('should keep a valid session when a refresh fails and retry with backoff', async () => {
+        await manager.authenticate();
+        const client = manager.onstarClient;
+        failuresLeft = 1;
+
+        const entry = await manager.refreshSession();
+        const refresh = manager.getRefreshStatus();
+
+        assert.strictEqual(entry.success, false);
+        assert.strictEqual(entry.error, 'Authentication failed: GM login unavailable');
+        assert.strictEqual(manager.getSessionStatus().isAuthenticated, true);
+        assert.strictEqual(manager.onstarClient, client);
+        assert.strictEqual(refresh.nextTrigger, 'retry');
+        assert.strictEqual(refresh.consecutiveFailures, 1);
+        assert.ok(Math.abs(refresh.nextRefreshAt - Date.now() - 15 * 1000) < 1000);
+        assert.strictEqual(states[states.length - 1], 'refresh_failed');
+    });
+
+    it('should open the circuit after repeated failures and close it on success', async () => {
+        await manager.authenticate();
+        failuresLeft = 3;
+
+        for (let i = 0; i < 3; i++) {
+            await manager.refreshSession('retry');
+        }
+        const open = manager.getRefreshStatus();
+        assert.strictEqual(open.circuit.state, 'open');
+        assert.strictEqual(open.nextTrigger, 'half_open');
+        assert.strictEqual(open.history.length, 3);
+
+        // Skipped while the circuit is open
+        assert.strictEqual(await manager.refreshSession('retry'), null);
+        assert.strictEqual(attempts, 4);
+
+        // The pause is over: the half_open attempt succeeds and closes the circuit
+        manager.refreshState.circuitOpenedAt = new Date(Date.now() - 900 * 1000);
+        assert.strictEqual(manager.getRefreshStatus().circuit.state, 'half_open');
+        const entry = await manager.refreshSession('half_open');
+
+        assert.strictEqual(entry.success, true);
+        assert.strictEqual(manager.getRefreshStatus().circuit.state, 'closed');
+        assert.strictEqual(manager.getRefreshStatus().consecutiveFailures, 0);
+    });
+
+    it('should double the backoff up to the maximum with jitter around it', () => {
+        const settings = { ...manager.getRefreshSettings(), jitter: 0.3 };
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(failures => manager.getRefreshBackoffMs(failures, settings, () => 0.5)),
+            [15000, 30000, 60000, 120000, 120000]);
+        assert.strictEqual(manager.getRefreshBackoffMs(1, settings, () => 0), 10500);
+        assert.strictEqual(manager.getRefreshBackoffMs(1, settings, () => 1), 19500);
+    });
+
+    it('should stop refreshing when the session is cleared', async () => {
+        await manager.authenticate();
+        manager.tokenLocation = '/nonexistent';
+
+        await manager.clearSession();
+
+        assert.strictEqual(manager.getRefreshStatus().nextRefreshAt, null);
+        assert.strictEqual(manager.refreshTimer, null);
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const { TelemetryCache, LOCATION_ITEM } = require('../telemetry_cache');
+
+function diagnostic(name, value) {
+    return { name, diagnosticElement: [{ name, value }] };
+}
+
+describe('TelemetryCache', () => {
+    let config;
+    let cache;
+
+    beforeEach(() => {
+        config = {
+            telemetry_cache: {
+                enabled: true,
+                default_max_age_seconds: 300,
+                max_age_seconds: { location: 60 }
+            }
+        };
+        cache = new TelemetryCache();
+        cache.configure(() => config);
+    });
+
+    it('should report items as stale once they pass their max age', () => {
+        const start = Date.now();
+        cache.storeLocation('VIN1', { latitude: 1, longitude: 2 }, start);
+        cache.storeDiagnostics('VIN1', [diagnostic('ODOMETER', '100')], { now: start });
+
+        const items = ['ODOMETER', LOCATION_ITEM];
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', items, { now: start + 60 * 1000 }), []);
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', items, { now: start + 61 * 1000 }), [LOCATION_ITEM]);
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', items, { now: start + 301 * 1000 }), items);
+    });
+
+    it('should let the request override the max age', () => {
+        const start = Date.now();
+        cache.storeLocation('VIN1', {}, start);
+
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', [LOCATION_ITEM], { maxAge: 0, now: start + 1000 }), [LOCATION_ITEM]);
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', [LOCATION_ITEM], { maxAge: 3600, now: start + 600 * 1000 }), []);
+    });
+
+    it('should treat everything as stale when disabled', () => {
+        config.telemetry_cache.enabled = false;
+        cache.storeLocation('VIN1', {});
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', [LOCATION_ITEM], { now: Date.now() + 1000 }), [LOCATION_ITEM]);
+    });
+
+    it('should remember the items of an unfiltered diagnostics request', () => {
+        assert.strictEqual(cache.getDiagnosticItems('VIN1'), null);
+
+        cache.storeDiagnostics('VIN1', [diagnostic('ODOMETER', '100'), diagnostic('EV RANGE', '200')]);
+        assert.deepStrictEqual(cache.getDiagnosticItems('VIN1'), ['ODOMETER', 'EV RANGE']);
+
+        cache.storeDiagnostics('VIN1', [diagnostic('ODOMETER', '101')], { requestedItems: ['ODOMETER', 'TIRE PRESSURE'] });
+        assert.deepStrictEqual(cache.getDiagnosticItems('VIN1'), ['ODOMETER', 'EV RANGE']);
+        assert.deepStrictEqual(cache.getStaleItems('VIN1', ['TIRE PRESSURE']), []);
+    });
+
+    it('should describe the source and age of each value', () => {
+        const start = Date.now();
+        cache.storeDiagnostics('VIN1', [diagnostic('ODOMETER', '100')], { now: start });
+        cache.storeLocation('VIN1', { latitude: 1 }, start + 30 * 1000);
+
+        const { values, freshness } = cache.read('VIN1', ['ODOMETER', LOCATION_ITEM, 'EV RANGE'], {
+            liveItems: [LOCATION_ITEM],
+            now: start + 30 * 1000
+        });
+
+        assert.deepStrictEqual(values[LOCATION_ITEM], { latitude: 1 });
+        assert.strictEqual(freshness.ODOMETER.source, 'cache');
+        assert.strictEqual(freshness.ODOMETER.age_seconds, 30);
+        assert.strictEqual(freshness.ODOMETER.max_age_seconds, 300);
+        assert.strictEqual(freshness[LOCATION_ITEM].source, 'live');
+        assert.strictEqual(freshness['EV RANGE'].source, 'unavailable');
+    });
+
+    it('should keep vehicles apart', () => {
+        cache.storeLocation('VIN1', {});
+        assert.deepStrictEqual(cache.getStaleItems('VIN2', [LOCATION_ITEM]), [LOCATION_ITEM]);
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+
+const db = require('../database');
+const telemetryHistory = require('../telemetry_history');
+
+describe('telemetry history', () => {
+    describe('samples', () => {
+        it('should turn numeric diagnostic elements into metrics', () => {
+            const samples = telemetryHistory.diagnosticSamples([
+                { name: 'EV BATTERY LEVEL', diagnosticElement: [{ name: 'EV BATTERY LEVEL', value: '76.5', unit: '%' }] },
+                { name: 'TIRE PRESSURE', diagnosticElement: [
+                    { name: 'TIRE PRESSURE LF', value: '240.0', unit: 'KPAG' },
+                    { name: 'TIRE PRESSURE LR', value: '236.0', unit: 'KPAG' }
+                ] },
+                { name: 'EV CHARGE STATE', diagnosticElement: [{ name: 'EV CHARGE STATE', value: 'not_charging' }] }
+            ]);
+
+            assert.deepStrictEqual(samples.map(sample => [sample.metric, sample.value, sample.unit]), [
+                ['ev_battery_level', 76.5, '%'],
+                ['tire_pressure_lf', 240, 'KPAG'],
+                ['tire_pressure_lr', 236, 'KPAG']
+            ]);
+        });
+
+        it('should store locations as latitude and longitude', () => {
+            const samples = telemetryHistory.locationSamples({ latitude: '42.33', longitude: -83.04 });
+            assert.deepStrictEqual(samples.map(sample => [sample.metric, sample.value]), [['latitude', 42.33], ['longitude', -83.04]]);
+            assert.deepStrictEqual(telemetryHistory.locationSamples({ latitude: null }), []);
+        });
+
+        it('should resolve metric aliases', () => {
+            assert.strictEqual(telemetryHistory.resolveMetric('battery_level'), 'ev_battery_level');
+            assert.strictEqual(telemetryHistory.resolveMetric('ODOMETER'), 'odometer');
+            assert.strictEqual(telemetryHistory.resolveMetric('tire-pressure-lf'), 'tire_pressure_lf');
+        });
+    });
+
+    describe('parseHistoryQuery', () => {
+        const now = new Date('2025-03-01T00:00:00Z');
+
+        it('should default to the last 7 days in 1 hour buckets', () => {
+            const query = telemetryHistory.parseHistoryQuery({}, now);
+            assert.strictEqual(query.to, now);
+            assert.strictEqual(query.from.toISOString(), '2025-02-22T00:00:00.000Z');
+            assert.strictEqual(query.bucketSeconds, 3600);
+        });
+
+        it('should parse bucket sizes', () => {
+            assert.strictEqual(telemetryHistory.parseBucket('15m'), 900);
+            assert.strictEqual(telemetryHistory.parseBucket('1d'), 86400);
+            assert.strictEqual(telemetryHistory.parseBucket('0h'), null);
+            assert.strictEqual(telemetryHistory.parseBucket('1w'), null);
+        });
+
+        it('should reject invalid ranges and too many points', () => {
+            assert.ok(telemetryHistory.parseHistoryQuery({ from: 'yesterday' }, now).error);
+            assert.ok(telemetryHistory.parseHistoryQuery({ from: '2025-03-02T00:00:00Z', to: '2025-03-01T00:00:00Z' }).error);
+            assert.ok(telemetryHistory.parseHistoryQuery({ from: '2024-01-01T00:00:00Z', bucket: '1m' }, now).error);
+            assert.ok(!telemetryHistory.parseHistoryQuery({ from: '2024-03-01T00:00:00Z', bucket: '1d' }, now).error);
+        });
+    });
+
+    describe('getHistory', () => {
+        const originalGetTelemetrySeries = db.getTelemetrySeries;
+
+        afterEach(() => {
+            db.getTelemetrySeries = originalGetTelemetrySeries;
+        });
+
+        it('should combine latitude and longitude into positions', async () => {
+            const bucket = new Date('2025-03-01T00:00:00Z');
+            db.getTelemetrySeries = async ({ metric }) => [{
+                timestamp: bucket,
+                avg: 0,
+                min: 0,
+                max: 0,
+                last: metric === 'latitude' ? 42.33 : -83.04,
+                samples: 3,
+                unit: 'deg'
+            }];
+
+            const series = await telemetryHistory.getHistory('VIN1', 'location', { from: bucket, to: new Date(), bucketSeconds: 3600 });
+            assert.deepStrictEqual(series.points, [{ timestamp: bucket, latitude: 42.33, longitude: -83.04, samples: 3 }]);
+        });
+
+        it('should query aliased metrics by their stored name', async () => {
+            let requested = null;
+            db.getTelemetrySeries = async (options) => {
+                requested = options;
+                return [{ timestamp: new Date(), avg: 80, min: 75, max: 85, last: 75, samples: 4, unit: '%' }];
+            };
+
+            const series = await telemetryHistory.getHistory('VIN1', 'battery_level', { from: new Date(0), to: new Date(), bucketSeconds: 86400 });
+            assert.strictEqual(requested.metric, 'ev_battery_level');
+            assert.strictEqual(requested.vehicleVin, 'VIN1');
+            assert.strictEqual(series.unit, '%');
+            assert.strictEqual(series.points[0].unit, undefined);
+        });
+    });
+});
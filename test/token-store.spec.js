@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const db = require('../database');
+const { TokenStoreManager, EncryptedFileTokenStore, TOKEN_FILES } = require('../token_store');
+
+const MICROSOFT_TOKENS = { access_token: 'ms-access', refresh_token: 'ms-refresh', expires_at: 1767225600 };
+const GM_TOKENS = { access_token: 'gm-access', expires_at: 1767225600 };
+
+describe('Token store', () => {
+    let dir;
+    let tokenLocation;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+        tokenLocation = path.join(dir, 'tokens');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeLocal(name, tokens) {
+        fs.mkdirSync(tokenLocation, { recursive: true });
+        fs.writeFileSync(path.join(tokenLocation, TOKEN_FILES[name]), JSON.stringify(tokens));
+    }
+
+    function readLocal(name) {
+        return JSON.parse(fs.readFileSync(path.join(tokenLocation, TOKEN_FILES[name]), 'utf-8'));
+    }
+
+    describe('EncryptedFileTokenStore', () => {
+        it('should round-trip tokens without storing them in clear text', async () => {
+            const filePath = path.join(dir, 'volume', 'onstar_tokens.enc');
+            const store = new EncryptedFileTokenStore(filePath, 'master-key');
+
+            await store.save({ microsoft: MICROSOFT_TOKENS });
+            await store.save({ gm: GM_TOKENS });
+
+            assert.ok(!fs.readFileSync(filePath, 'utf-8').includes('ms-refresh'));
+            assert.deepStrictEqual(await store.load(), { microsoft: MICROSOFT_TOKENS, gm: GM_TOKENS });
+        });
+
+        it('should derive the key once and keep a fresh IV per save', async () => {
+            const filePath = path.join(dir, 'onstar_tokens.enc');
+            const store = new EncryptedFileTokenStore(filePath, 'master-key');
+
+            await store.save({ microsoft: MICROSOFT_TOKENS });
+            const first = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            await store.save({ gm: GM_TOKENS });
+            await store.load();
+            const second = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+            assert.strictEqual(store.keys.size, 1);
+            assert.strictEqual(second.salt, first.salt);
+            assert.notStrictEqual(second.iv, first.iv);
+            assert.deepStrictEqual(await new EncryptedFileTokenStore(filePath, 'master-key').load(), { microsoft: MICROSOFT_TOKENS, gm: GM_TOKENS });
+        });
+
+        it('should derive the key again after a failed derivation', async () => {
+            const filePath = path.join(dir, 'onstar_tokens.enc');
+            const store = new EncryptedFileTokenStore(filePath, 'master-key');
+
+            store.masterKey = null;
+            await assert.rejects(store.save({ gm: GM_TOKENS }), /password/);
+            assert.strictEqual(store.keys.size, 0);
+
+            store.masterKey = 'master-key';
+            await store.save({ gm: GM_TOKENS });
+            assert.deepStrictEqual(await store.load(), { gm: GM_TOKENS });
+        });
+
+        it('should refuse the wrong master key', async () => {
+            const filePath = path.join(dir, 'onstar_tokens.enc');
+            await new EncryptedFileTokenStore(filePath, 'master-key').save({ gm: GM_TOKENS });
+
+            await assert.rejects(new EncryptedFileTokenStore(filePath, 'other-key').load(), /wrong master key/);
+            assert.throws(() => new EncryptedFileTokenStore(filePath, undefined), /needs a master key/);
+        });
+    });
+
+    describe('TokenStoreManager', () => {
+        const originalKey = process.env.TOKEN_ENCRYPTION_KEY;
+        let manager;
+        let settings;
+
+        beforeEach(() => {
+            process.env.TOKEN_ENCRYPTION_KEY = 'master-key';
+            settings = { type: 'encrypted_file', path: path.join(dir, 'volume', 'onstar_tokens.enc') };
+            manager = new TokenStoreManager();
+            manager.configure(() => ({ session: { token_store: settings } }));
+        });
+
+        afterEach(() => {
+            if (originalKey === undefined) {
+                delete process.env.TOKEN_ENCRYPTION_KEY;
+            } else {
+                process.env.TOKEN_ENCRYPTION_KEY = originalKey;
+            }
+        });
+
+        it('should restore tokens after the token location was wiped', async () => {
+            writeLocal('microsoft', MICROSOFT_TOKENS);
+            writeLocal('gm', GM_TOKENS);
+            assert.deepStrictEqual(await manager.persist(tokenLocation), ['microsoft', 'gm']);
+
+            // Redeploy: empty token location, fresh process
+            fs.rmSync(tokenLocation, { recursive: true });
+            const restarted = new TokenStoreManager();
+            restarted.configure(() => ({ session: { token_store: settings } }));
+
+            assert.deepStrictEqual(await restarted.restore(tokenLocation), ['microsoft', 'gm']);
+            assert.deepStrictEqual(readLocal('gm'), GM_TOKENS);
+        });
+
+        it('should only save token sets that changed', async () => {
+            writeLocal('microsoft', MICROSOFT_TOKENS);
+            writeLocal('gm', GM_TOKENS);
+            await manager.persist(tokenLocation);
+
+            assert.deepStrictEqual(await manager.persist(tokenLocation), []);
+            writeLocal('gm', { ...GM_TOKENS, access_token: 'gm-access-2' });
+            assert.deepStrictEqual(await manager.persist(tokenLocation), ['gm']);
+        });
+
+        it('should not overwrite token files that are already there', async () => {
+            writeLocal('gm', GM_TOKENS);
+            await manager.persist(tokenLocation);
+            writeLocal('gm', { ...GM_TOKENS, access_token: 'newer' });
+
+            assert.deepStrictEqual(await manager.restore(tokenLocation), []);
+            assert.strictEqual(readLocal('gm').access_token, 'newer');
+        });
+
+        it('should report store errors without throwing', async () => {
+            delete process.env.TOKEN_ENCRYPTION_KEY;
+
+            assert.deepStrictEqual(await manager.restore(tokenLocation), []);
+            assert.match(manager.getStatus().lastError, /needs a master key/);
+        });
+
+        describe('postgres', () => {
+            const originals = { getOnStarTokens: db.getOnStarTokens, saveOnStarTokens: db.saveOnStarTokens };
+            let rows;
+
+            beforeEach(() => {
+                settings = { type: 'postgres' };
+                rows = {};
+                db.getOnStarTokens = async () => ({ ...rows });
+                db.saveOnStarTokens = async (name, tokens) => { rows[name] = tokens; };
+            });
+
+            afterEach(() => {
+                Object.assign(db, originals);
+            });
+
+            it('should keep one row per token set', async () => {
+                writeLocal('microsoft', MICROSOFT_TOKENS);
+                await manager.persist(tokenLocation);
+                assert.deepStrictEqual(rows, { microsoft: MICROSOFT_TOKENS });
+
+                rows.gm = GM_TOKENS;
+                assert.deepStrictEqual(await manager.restore(tokenLocation), ['gm']);
+                assert.deepStrictEqual(readLocal('gm'), GM_TOKENS);
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const _ = require('lodash');
+
+const Vehicle = require('../deps/vehicle');
+const apiResponse = require('./vehicles.sample.json');
+const { VehicleCapabilities } = require('../vehicle_capabilities');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('VehicleCapabilities', () => {
+    let source;
+    let capabilities;
+
+    beforeEach(() => {
+        // Stand-in for the session manager with the sample account (a Bolt EV without trunk commands)
+        source = new EventEmitter();
+        source.refreshes = 0;
+        source.vehicles = [new Vehicle(_.get(apiResponse, 'vehicles.vehicle[0]'))];
+        source.findVehicle = vin => source.vehicles.find(v => v.vin.toUpperCase() === vin.toUpperCase()) || null;
+        source.refreshAccountVehicles = async () => {
+            source.refreshes++;
+            return source.vehicles;
+        };
+        capabilities = new VehicleCapabilities(source);
+    });
+
+    it('should describe the vehicle from the commands OnStar lists', async () => {
+        const result = await capabilities.get('foobarVIN');
+
+        assert.strictEqual(result.description, '2020 Chevrolet Bolt EV');
+        assert.ok(result.supported_commands.includes('lockDoor'));
+        assert.strictEqual(result.supported_diagnostics.length, 22);
+
+        const endpoint = path => result.endpoints.find(e => e.endpoint === path);
+        assert.strictEqual(endpoint('POST /doors/lock').supported, true);
+        assert.deepStrictEqual(endpoint('POST /trunk/lock'), {
+            endpoint: 'POST /trunk/lock',
+            config_key: 'trunk.lock',
+            supported: false,
+            requires: ['lockTrunk']
+        });
+    });
+
+    it('should only rule out routes for known vehicles', () => {
+        assert.strictEqual(capabilities.supports('foobarVIN', 'trunk', 'unlock'), false);
+        assert.strictEqual(capabilities.supports('foobarVIN', 'doors', 'unlock'), true);
+        assert.strictEqual(capabilities.supports('foobarVIN', 'system', 'health'), true);
+        assert.strictEqual(capabilities.supports('UNKNOWNVIN', 'trunk', 'unlock'), null);
+        assert.deepStrictEqual(capabilities.getUnsupportedEndpoints('foobarVIN'), ['POST /trunk/lock', 'POST /trunk/unlock']);
+
+        // No command list at all says nothing about the vehicle
+        source.vehicles[0].supportedCommands = undefined;
+        capabilities.clear();
+        assert.strictEqual(capabilities.supports('foobarVIN', 'trunk', 'unlock'), null);
+    });
+
+    it('should cache the result until it is too old or a refresh is asked for', async () => {
+        const start = Date.now();
+        const first = await capabilities.get('foobarVIN', { now: start });
+        assert.strictEqual(await capabilities.get('foobarVIN', { now: start + HOUR }), first);
+        assert.strictEqual(source.refreshes, 0);
+
+        const stale = await capabilities.get('foobarVIN', { now: start + 25 * HOUR });
+        assert.strictEqual(source.refreshes, 1);
+        assert.notStrictEqual(stale, first);
+
+        await capabilities.get('foobarVIN', { refresh: true });
+        assert.strictEqual(source.refreshes, 2);
+    });
+
+    it('should keep the cached result when the vehicle list cannot be refreshed', async () => {
+        const cached = await capabilities.get('foobarVIN');
+        source.refreshAccountVehicles = async () => { throw new Error('No valid session'); };
+
+        assert.strictEqual(await capabilities.get('foobarVIN', { refresh: true }), cached);
+    });
+
+    it('should start over after a new login', async () => {
+        const first = await capabilities.get('foobarVIN');
+        source.emit('state', { state: 'authenticated' });
+
+        assert.notStrictEqual(capabilities.getCached('foobarVIN'), first);
+    });
+});
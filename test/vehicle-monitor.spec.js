@@ -0,0 +1,172 @@
+//var should = require("should");
+var OnStar = require("onstarjs2");
+var helper = require("node-red-node-test-helper");
+var onStar = require("../onstar.js");
+var { VehicleMonitor, toReading } = require("../vehicle_monitor.js");
+
+helper.init(require.resolve('node-red'));
+
+var CREDENTIALS = { c1: { username: "homer@simpson.com", password: "Doh!", totp: "JBSWY3DPEHPK3PXP", pin: "1234" } };
+
+function diagnostics(values) {
+  return Object.keys(values).map(function (name) {
+    return { name: name, diagnosticElement: [{ name: name, value: values[name] }] };
+  });
+}
+
+describe('vehicle-monitor Node', function () {
+
+  describe('change events', function () {
+    it('Should report plug and charge state changes', function () {
+      var monitor = new VehicleMonitor();
+      monitor.update(toReading({ diagnostics: diagnostics({ "EV PLUG STATE": "unplugged", "EV CHARGE STATE": "not_charging" }) }))
+        .should.eql([]);
+
+      var events = monitor.update(toReading({ diagnostics: diagnostics({ "EV PLUG STATE": "plugged", "EV CHARGE STATE": "charging" }) }));
+      events.map(function (event) { return event.type; }).should.eql(['plug_state.changed', 'charge_state.changed']);
+      events[0].should.have.properties({ previous: "unplugged", current: "plugged" });
+    });
+
+    it('Should report a low battery once per discharge', function () {
+      var monitor = new VehicleMonitor({ battery_low_percent: 25 });
+      var types = [30, 24, 20, 40, 10].map(function (level) {
+        return monitor.update(toReading({ diagnostics: diagnostics({ "EV BATTERY LEVEL": String(level) }) }))
+          .map(function (event) { return event.type + ':' + event.battery_level; });
+      });
+      types.should.eql([[], ['battery.low:24'], [], [], ['battery.low:10']]);
+    });
+
+    it('Should report movement from the last reported position', function () {
+      var monitor = new VehicleMonitor({ movement_meters: 500 });
+      monitor.update(toReading({ location: { latitude: "47.6000", longitude: "-122.3000" } })).should.eql([]);
+      // ~330m each time: only the second step is more than 500m from where it started
+      monitor.update(toReading({ location: { latitude: "47.6030", longitude: "-122.3000" } })).should.eql([]);
+      var events = monitor.update(toReading({ location: { latitude: "47.6060", longitude: "-122.3000" } }));
+      events.should.have.length(1);
+      events[0].should.have.properties({ type: 'vehicle.moved', distance_meters: 667 });
+      monitor.anchor.should.eql({ latitude: 47.606, longitude: -122.3 });
+    });
+  });
+
+  describe('polling', function () {
+    var originalCreate = OnStar.create;
+    var readings;
+    var requests;
+
+    beforeEach(function (done) {
+      requests = [];
+      readings = [];
+      // Stand-in for onstarjs2 answering with the next reading in `readings`
+      OnStar.create = function () {
+        return {
+          diagnostics: function (request) {
+            requests.push('diagnostics');
+            request.diagnosticItem.should.containEql("EV PLUG STATE");
+            var body = { diagnosticResponse: diagnostics(readings[0].values) };
+            return Promise.resolve({ response: { data: { commandResponse: { body: body } } } });
+          },
+          location: function () {
+            requests.push('location');
+            return Promise.resolve({ response: { data: { commandResponse: { body: readings.shift().location } } } });
+          }
+        };
+      };
+      helper.startServer(done);
+    });
+
+    afterEach(function (done) {
+      OnStar.create = originalCreate;
+      helper.unload();
+      helper.stopServer(done);
+    });
+
+    var flow = [
+      { id:"n1",type:"vehicle-monitor",name:"Vehicle Monitor",onstar2:"c1",interval:"30",diagnostics:"true",location:"true",batterythreshold:"20",movementmeters:"500",wires:[["n2"],["n3"]] },
+      { id:"c1",type:"onstar2",carname:"TestCar1",vin:"3N1AB6AP7BL687841",deviceid:"90892463-2243-4cd7-9144-3492df757ff2" },
+      { id:"n2",type:"helper" },
+      { id:"n3",type:"helper" }
+    ];
+
+    var PARKED = { latitude: 47.6, longitude: -122.3 };
+
+    it('Should send change events and readings', function (done) {
+      helper.load(onStar, flow, CREDENTIALS, function () {
+        var n1 = helper.getNode("n1");
+        var c1 = helper.getNode("c1");
+        var n2 = helper.getNode("n2");
+        var n3 = helper.getNode("n3");
+        var events = [];
+        var received = [];
+        n2.on("input", function (msg) { events.push(msg); });
+        // Messages are delivered asynchronously: resolves with the reading of the second poll
+        var secondReading = new Promise(function (resolve) {
+          n3.on("input", function (msg) {
+            received.push(msg);
+            if (received.length === 2) resolve(msg);
+          });
+        });
+        readings.push(
+          { values: { "EV PLUG STATE": "unplugged", "EV BATTERY LEVEL": "50", "ODOMETER": "1000" }, location: PARKED },
+          { values: { "EV PLUG STATE": "plugged", "EV BATTERY LEVEL": "15", "ODOMETER": "1000" }, location: PARKED }
+        );
+
+        (async function () {
+          await n1.poll();
+          // Fresh wake budget, otherwise the second poll would be held back for the critical reserve
+          c1.budget.reset(c1.vin);
+          await n1.poll({ topic: "check", _msgid: "m1" });
+          var reading = await secondReading;
+          events.map(function (msg) { return msg.topic; }).should.eql(['plug_state.changed', 'battery.low']);
+          events[0].should.have.property('_msgid', 'm1');
+          reading.payload.values.should.have.property('EV BATTERY LEVEL', 15);
+          requests.should.eql(['diagnostics', 'location', 'diagnostics', 'location']);
+          n1.status.lastCall.args[0].should.have.property('fill', 'green');
+        })().then(done, done);
+      });
+    });
+
+    it('Should skip polls once only the critical reserve of the wake budget is left', function (done) {
+      helper.load(onStar, flow, CREDENTIALS, function () {
+        var n1 = helper.getNode("n1");
+        var c1 = helper.getNode("c1");
+        readings.push(
+          { values: { "ODOMETER": "1000" }, location: PARKED },
+          { values: { "ODOMETER": "1000" }, location: PARKED }
+        );
+
+        (async function () {
+          (await n1.poll()).skipped.should.be.false();
+          c1.budget.getBudget(c1.vin).used.should.equal(2);
+
+          // 3 of 5 left: another poll (2) would eat into the 2 reserved for critical commands
+          var skipped = await n1.poll();
+          skipped.skipped.should.be.true();
+          requests.should.have.length(2);
+          n1.status.lastCall.args[0].should.have.property('fill', 'yellow');
+
+          // Driving refills the budget
+          c1.budget.observe(c1.vin, { odometer: "1010" });
+          (await n1.poll()).skipped.should.be.false();
+        })().then(done, done);
+      });
+    });
+
+    it('Should report failed polls with node.error', function (done) {
+      helper.load(onStar, flow, CREDENTIALS, function () {
+        var n1 = helper.getNode("n1");
+        n1.on("call:error", function (call) {
+          try {
+            call.args[0].should.be.an.Error();
+            call.args[1].should.have.property('topic', 'now');
+            n1.status.lastCall.args[0].should.have.property('fill', 'red');
+            done();
+          } catch(err) {
+            done(err);
+          }
+        });
+        // No reading queued: the stand-in client throws
+        n1.receive({ payload: "poll", topic: "now" });
+      });
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+
+const sessionManager = require('../session_manager');
+const { startServer, SUCCESS } = require('./helpers/server');
+
+const BOLT = '1G1FZ6S02L4128522';
+const VOLT = '1G1RC6S5XJU000001';
+
+describe('Vehicle routing', () => {
+    let api;
+    let sent;
+
+    before(async () => {
+        // doors_lock says which VIN-bound client sent it
+        api = await startServer({
+            vins: [BOLT, VOLT],
+            createClient: vin => ({
+                vin,
+                lockDoor: async () => {
+                    sent.push(vin || 'default');
+                    return SUCCESS;
+                }
+            })
+        });
+    });
+
+    beforeEach(() => {
+        sent = [];
+    });
+
+    after(async () => {
+        await api.stop();
+    });
+
+    it('should send root vehicle routes to the default vehicle', async () => {
+        const res = await api.request('post', '/doors/lock?wait=true');
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(sessionManager.getDefaultVin(), BOLT);
+        assert.deepStrictEqual(sent, ['default']);
+    });
+
+    it('should send /vehicles/:vin routes to that vehicle\'s client', async () => {
+        const res = await api.request('post', `/vehicles/${VOLT}/doors/lock?wait=true`);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(sent, [VOLT]);
+        assert.strictEqual((await sessionManager.getClient(VOLT)).vin, VOLT);
+        assert.strictEqual(await sessionManager.getClient(BOLT), sessionManager.onstarClient);
+    });
+
+    it('should match VINs case-insensitively', async () => {
+        const res = await api.request('post', `/vehicles/${VOLT.toLowerCase()}/doors/lock?wait=true`);
+
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(sent, [VOLT]);
+        assert.strictEqual(sessionManager.findVehicle(BOLT.toLowerCase()).vin, BOLT);
+    });
+
+    it('should answer 404 for a VIN that is not on the account', async () => {
+        const res = await api.request('post', '/vehicles/1G1FZ6S02L4999999/doors/lock?wait=true');
+
+        assert.strictEqual(res.status, 404);
+        assert.deepStrictEqual(res.data.data.available_vins, [BOLT, VOLT]);
+        assert.deepStrictEqual(sent, []);
+    });
+
+    it('should answer 400 for a malformed VIN', async () => {
+        const res = await api.request('post', '/vehicles/NOT-A-VIN/doors/lock');
+
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(sent, []);
+    });
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const http = require('http');
+
+const db = require('../database');
+const { WebhookManager } = require('../webhooks');
+
+describe('WebhookManager', () => {
+    const originalCreateWebhook = db.createWebhook;
+    const originalSaveWebhookDeadLetter = db.saveWebhookDeadLetter;
+    let manager;
+    let receiver;
+    let receiverUrl;
+    let received;
+    let respondWith;
+    let deadLetters;
+
+    // Stub receiver: records every request and answers with the next queued status (200 when empty)
+    before((done) => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = respondWith.length > 0 ? respondWith.shift() : 200;
+                res.end();
+            });
+        });
+        receiver.listen(0, '127.0.0.1', () => {
+            receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+            done();
+        });
+    });
+
+    after((done) => {
+        receiver.close(done);
+    });
+
+    beforeEach(() => {
+        manager = new WebhookManager();
+        manager.configure(() => ({ webhooks: { initial_backoff_seconds: 0.01, max_attempts: 3 } }));
+        received = [];
+        respondWith = [];
+        deadLetters = [];
+        let nextId = 1;
+        db.createWebhook = async (webhook) => ({ id: nextId++, created_at: new Date(), ...webhook });
+        db.saveWebhookDeadLetter = async (deadLetter) => { deadLetters.push(deadLetter); };
+    });
+
+    afterEach(() => {
+        db.createWebhook = originalCreateWebhook;
+        db.saveWebhookDeadLetter = originalSaveWebhookDeadLetter;
+    });
+
+    describe('validate', () => {
+        it('should accept http(s) URLs and known events', () => {
+            assert.strictEqual(manager.validate({ url: receiverUrl, events: ['command.*', 'battery.low'] }), null);
+            assert.strictEqual(manager.validate({ url: 'https://example.com/hook', events: ['*'], secret: 'a-long-enough-secret' }), null);
+        });
+
+        it('should reject bad URLs, unknown events and short secrets', () => {
+            assert.match(manager.validate({ url: 'ftp://example.com', events: ['*'] }), /url must be/);
+            assert.match(manager.validate({ url: receiverUrl, events: ['command.exploded'] }), /Unknown events: command.exploded/);
+            assert.match(manager.validate({ url: receiverUrl, events: [] }), /non-empty list/);
+            assert.match(manager.validate({ url: receiverUrl, events: ['*'], secret: 'short' }), /at least 16/);
+        });
+    });
+
+    it('should deliver signed events to subscribed webhooks only', async () => {
+        const { secret } = await manager.register({ url: receiverUrl, events: ['command.*'] });
+        await manager.register({ url: receiverUrl, events: ['battery.low'] });
+
+        const { deliveries } = manager.publish('command.succeeded', { vin: 'VIN1', data: { id: 'cmd_1' } });
+        const [delivery] = await Promise.all(deliveries);
+
+        assert.strictEqual(deliveries.length, 1);
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(received.length, 1);
+
+        const { headers, body } = received[0];
+        assert.strictEqual(headers['x-webhook-event'], 'command.succeeded');
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${manager.sign(secret, headers['x-webhook-timestamp'], body)}`);
+        assert.deepStrictEqual(JSON.parse(body).data, { id: 'cmd_1' });
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+        await manager.register({ url: receiverUrl, events: ['*'] });
+        respondWith = [500, 503];
+
+        const [delivery] = await Promise.all(manager.publish('session.expired').deliveries);
+
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(delivery.attempts, 3);
+        assert.strictEqual(received.length, 3);
+        assert.strictEqual(deadLetters.length, 0);
+    });
+
+    it('should dead-letter deliveries that fail every attempt', async () => {
+        await manager.register({ url: receiverUrl, events: ['*'] });
+        respondWith = [500, 500, 500];
+
+        const [delivery] = await Promise.all(manager.publish('command.failed', { vin: 'VIN1' }).deliveries);
+
+        assert.strictEqual(delivery.status, 'dead');
+        assert.strictEqual(delivery.response_status, 500);
+        assert.strictEqual(deadLetters.length, 1);
+        assert.strictEqual(deadLetters[0].payload.type, 'command.failed');
+        assert.strictEqual(manager.listDeliveries({ status: 'dead' }).length, 1);
+    });
+
+    it('should double the backoff up to the maximum', () => {
+        const settings = { initial_backoff_seconds: 5, max_backoff_seconds: 30 };
+        assert.deepStrictEqual([1, 2, 3, 4].map(attempt => manager.getBackoffMs(attempt, settings)), [5000, 10000, 20000, 30000]);
+    });
+
+    it('should send battery.low once per discharge', async () => {
+        await manager.register({ url: receiverUrl, events: ['battery.low'] });
+        const pending = [];
+        const publish = manager.publish.bind(manager);
+        manager.publish = (type, options) => {
+            const result = publish(type, options);
+            pending.push(...result.deliveries);
+            return result;
+        };
+
+        [45, 19, 17, 60, 15].forEach(level => manager.observeBatteryLevel('VIN1', level));
+        manager.observeBatteryLevel('VIN1', NaN);
+        await Promise.all(pending);
+
+        assert.deepStrictEqual(received.map(({ body }) => JSON.parse(body).data.battery_level), [19, 15]);
+    });
+});
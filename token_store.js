@@ -0,0 +1,325 @@
+/**
+ * Token Store for OnStar API
+ * onstarjs2 keeps its Microsoft and GM tokens in JSON files under the token location. A token
+ * store keeps a copy somewhere that survives redeploys (PostgreSQL or an encrypted file on a
+ * volume): missing files are restored from it before authenticating and changed files are
+ * saved back after each request, so a restart doesn't need a full login
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const _ = require('lodash');
+const db = require('./database');
+
+// Token set name -> file written by onstarjs2
+const TOKEN_FILES = {
+    microsoft: 'microsoft_tokens.json',
+    gm: 'gm_tokens.json'
+};
+
+const STORE_TYPES = ['file', 'postgres', 'encrypted_file'];
+
+const DEFAULT_TOKEN_STORE_CONFIG = {
+    type: 'file',
+    path: './tokens/onstar_tokens.enc', // encrypted_file only
+    key_env: 'TOKEN_ENCRYPTION_KEY' // Environment variable holding the encryption master key
+};
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+const scrypt = promisify(crypto.scrypt);
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Tokens stay in the token location only (the behaviour before token stores existed)
+ */
+class FileTokenStore {
+    constructor(directory) {
+        this.type = 'file';
+        this.directory = directory;
+    }
+
+    async load() {
+        return readTokenFiles(this.directory);
+    }
+
+    async save(tokens) {
+        writeTokenFiles(this.directory, tokens);
+    }
+
+    async clear() {
+        Object.values(TOKEN_FILES).forEach(file => {
+            const filePath = path.join(this.directory, file);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+    }
+}
+
+/**
+ * Tokens in the onstar_tokens table, one row per token set
+ */
+class PostgresTokenStore {
+    constructor() {
+        this.type = 'postgres';
+    }
+
+    async load() {
+        return db.getOnStarTokens();
+    }
+
+    async save(tokens) {
+        for (const [name, tokenSet] of Object.entries(tokens)) {
+            await db.saveOnStarTokens(name, tokenSet);
+        }
+    }
+
+    async clear() {
+        await db.deleteOnStarTokens();
+    }
+}
+
+/**
+ * Tokens in a single AES-256-GCM encrypted file. The key is derived with scrypt from a master
+ * key in the environment, so the file is useless without it. The file keeps its salt across
+ * saves (each save still gets a fresh IV), so the key is only derived once per store
+ */
+class EncryptedFileTokenStore {
+    constructor(filePath, masterKey) {
+        if (!masterKey) {
+            throw new Error('encrypted_file token store needs a master key in the environment');
+        }
+        this.type = 'encrypted_file';
+        this.filePath = filePath;
+        this.masterKey = masterKey;
+        this.salt = null; // Salt of the file as last read or written
+        this.keys = new Map(); // Base64 salt -> promise of the derived key
+    }
+
+    async load() {
+        if (!fs.existsSync(this.filePath)) {
+            return {};
+        }
+
+        const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        const key = await this._deriveKey(Buffer.from(envelope.salt, 'base64'));
+        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+        try {
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+            this.salt = Buffer.from(envelope.salt, 'base64');
+            return JSON.parse(plaintext.toString('utf-8'));
+        } catch (error) {
+            throw new Error(`Cannot decrypt ${this.filePath} - wrong master key or corrupted file (${error.message})`);
+        }
+    }
+
+    async save(tokens) {
+        // Merge so saving one token set keeps the other
+        const merged = { ...(await this.load()), ...tokens };
+        const salt = this.salt || crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, await this._deriveKey(salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(merged), 'utf-8'), cipher.final()]);
+
+        const envelope = {
+            version: 1,
+            algorithm: ENCRYPTION_ALGORITHM,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(envelope), { mode: 0o600 });
+        this.salt = salt;
+    }
+
+    async clear() {
+        if (fs.existsSync(this.filePath)) fs.unlinkSync(this.filePath);
+        this.salt = null;
+    }
+
+    /**
+     * scrypt is deliberately slow, so it runs off the event loop and once per salt. A failed
+     * derivation is not kept, so the next load or save tries again
+     */
+    _deriveKey(salt) {
+        const cacheKey = salt.toString('base64');
+        if (!this.keys.has(cacheKey)) {
+            this.keys.set(cacheKey, scrypt(this.masterKey, salt, 32).catch(error => {
+                this.keys.delete(cacheKey);
+                throw error;
+            }));
+        }
+        return this.keys.get(cacheKey);
+    }
+}
+
+// Token sets found in a token location, by name
+function readTokenFiles(directory) {
+    const tokens = {};
+    for (const [name, file] of Object.entries(TOKEN_FILES)) {
+        const filePath = path.join(directory, file);
+        if (fs.existsSync(filePath)) {
+            tokens[name] = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        }
+    }
+    return tokens;
+}
+
+function writeTokenFiles(directory, tokens) {
+    fs.mkdirSync(directory, { recursive: true });
+    for (const [name, tokenSet] of Object.entries(tokens)) {
+        if (TOKEN_FILES[name] && tokenSet) {
+            fs.writeFileSync(path.join(directory, TOKEN_FILES[name]), JSON.stringify(tokenSet), { mode: 0o600 });
+        }
+    }
+}
+
+class TokenStoreManager {
+    constructor() {
+        this.store = null;
+        this.storeKey = null; // Settings the current store was built from
+        this.savedHashes = {}; // Token set name -> hash of the copy last saved to the store
+        this.lastRestoredAt = null;
+        this.lastSavedAt = null;
+        this.lastError = null;
+        this.getConfig = () => ({});
+    }
+
+    /**
+     * Use the server configuration (session.token_store in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_TOKEN_STORE_CONFIG, ..._.get(config, 'session.token_store', {}) };
+    }
+
+    /**
+     * Store for the current settings; rebuilt when the configuration changes
+     */
+    getStore(tokenLocation) {
+        const settings = this.getSettings();
+        const storeKey = JSON.stringify([settings, tokenLocation]);
+        if (this.store && this.storeKey === storeKey) {
+            return this.store;
+        }
+
+        this.store = this.createStore(settings, tokenLocation);
+        this.storeKey = storeKey;
+        this.savedHashes = {};
+        return this.store;
+    }
+
+    createStore(settings, tokenLocation) {
+        switch (settings.type) {
+            case 'file':
+                return new FileTokenStore(tokenLocation);
+            case 'postgres':
+                return new PostgresTokenStore();
+            case 'encrypted_file':
+                return new EncryptedFileTokenStore(settings.path, process.env[settings.key_env]);
+            default:
+                throw new Error(`Unknown token store "${settings.type}" - use one of ${STORE_TYPES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Write token sets that are missing from the token location from the store. Files that are
+     * already there are newer than or equal to the stored copy, so they are left alone
+     */
+    async restore(tokenLocation) {
+        try {
+            const store = this.getStore(tokenLocation);
+            const local = readTokenFiles(tokenLocation);
+            const stored = await store.load();
+            const missing = _.pickBy(stored, (tokenSet, name) => tokenSet && !local[name]);
+
+            Object.entries(stored).forEach(([name, tokenSet]) => {
+                this.savedHashes[name] = sha256(JSON.stringify(tokenSet));
+            });
+
+            if (!_.isEmpty(missing)) {
+                writeTokenFiles(tokenLocation, missing);
+                this.lastRestoredAt = new Date();
+                console.log(`🔑 Restored ${Object.keys(missing).join(' and ')} tokens from ${store.type} token store`);
+            }
+            this.lastError = null;
+            return Object.keys(missing);
+        } catch (error) {
+            console.warn('⚠️ Could not restore tokens:', error.message);
+            this.lastError = error.message;
+            return [];
+        }
+    }
+
+    /**
+     * Save token sets that changed since the last save (onstarjs2 rewrites them when it refreshes)
+     */
+    async persist(tokenLocation) {
+        try {
+            const store = this.getStore(tokenLocation);
+            const changed = _.pickBy(readTokenFiles(tokenLocation), (tokenSet, name) =>
+                this.savedHashes[name] !== sha256(JSON.stringify(tokenSet)));
+
+            if (!_.isEmpty(changed)) {
+                await store.save(changed);
+                Object.entries(changed).forEach(([name, tokenSet]) => {
+                    this.savedHashes[name] = sha256(JSON.stringify(tokenSet));
+                });
+                this.lastSavedAt = new Date();
+                if (store.type !== 'file') {
+                    console.log(`🔑 Saved ${Object.keys(changed).join(' and ')} tokens to ${store.type} token store`);
+                }
+            }
+            this.lastError = null;
+            return Object.keys(changed);
+        } catch (error) {
+            console.warn('⚠️ Could not save tokens:', error.message);
+            this.lastError = error.message;
+            return [];
+        }
+    }
+
+    /**
+     * Remove the stored tokens (the token location is cleared by the session manager)
+     */
+    async clear(tokenLocation) {
+        try {
+            await this.getStore(tokenLocation).clear();
+            this.savedHashes = {};
+        } catch (error) {
+            console.warn('⚠️ Could not clear token store:', error.message);
+            this.lastError = error.message;
+        }
+    }
+
+    getStatus() {
+        return {
+            type: this.getSettings().type,
+            lastRestoredAt: this.lastRestoredAt,
+            lastSavedAt: this.lastSavedAt,
+            lastError: this.lastError
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new TokenStoreManager();
+module.exports.TokenStoreManager = TokenStoreManager;
+module.exports.FileTokenStore = FileTokenStore;
+module.exports.PostgresTokenStore = PostgresTokenStore;
+module.exports.EncryptedFileTokenStore = EncryptedFileTokenStore;
+module.exports.TOKEN_FILES = TOKEN_FILES;
+module.exports.STORE_TYPES = STORE_TYPES;
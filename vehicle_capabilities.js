@@ -0,0 +1,174 @@
+/**
+ * Vehicle Capabilities for OnStar API
+ * Works out which routes a vehicle supports from the commands OnStar lists for it in
+ * getAccountVehicles() (see deps/vehicle.js), so routes such as the trunk can be hidden
+ * on models that don't have them. Results are cached per VIN
+ */
+
+const _ = require('lodash');
+
+const DEFAULT_CAPABILITIES_CONFIG = {
+    hide_unsupported: true, // Answer 404 for routes the vehicle does not support and leave them out of /help
+    cache_ttl_seconds: 24 * 60 * 60 // Re-read the vehicle list from OnStar after this long
+};
+
+// Routes that send a vehicle command, with the OnStar commands they need (config category.action -> commands)
+const ROUTES = [
+    { category: 'climate', action: 'start', endpoint: 'POST /climate/start', commands: ['start'] },
+    { category: 'climate', action: 'stop', endpoint: 'POST /climate/stop', commands: ['cancelStart'] },
+    { category: 'doors', action: 'lock', endpoint: 'POST /doors/lock', commands: ['lockDoor'] },
+    { category: 'doors', action: 'unlock', endpoint: 'POST /doors/unlock', commands: ['unlockDoor'] },
+    { category: 'trunk', action: 'lock', endpoint: 'POST /trunk/lock', commands: ['lockTrunk'] },
+    { category: 'trunk', action: 'unlock', endpoint: 'POST /trunk/unlock', commands: ['unlockTrunk'] },
+    { category: 'alert', action: 'lights', endpoint: 'POST /alert/lights', commands: ['alert'] },
+    { category: 'alert', action: 'horn', endpoint: 'POST /alert/horn', commands: ['alert'] },
+    { category: 'alert', action: 'both', endpoint: 'POST /alert/both', commands: ['alert'] },
+    { category: 'alert', action: 'cancel', endpoint: 'POST /alert/cancel', commands: ['cancelAlert'] },
+    { category: 'status', action: 'get', endpoint: 'GET /status', commands: ['diagnostics', 'location'] },
+    { category: 'location', action: 'get', endpoint: 'GET /location', commands: ['location'] },
+    { category: 'diagnostics', action: 'get', endpoint: 'GET /diagnostics', commands: ['diagnostics'] },
+    { category: 'charging', action: 'start', endpoint: 'POST /charging/start', commands: ['chargeOverride'] },
+    { category: 'charging', action: 'stop', endpoint: 'POST /charging/stop', commands: ['chargeOverride'] },
+    { category: 'charging', action: 'profile_get', endpoint: 'GET /charging/profile', commands: ['getChargingProfile'] },
+    { category: 'charging', action: 'profile_set', endpoint: 'POST /charging/profile', commands: ['setChargingProfile'] },
+    { category: 'charging', action: 'plan', endpoint: 'GET /charging/plan', commands: ['diagnostics', 'chargeOverride'] }
+];
+
+// Whether a list of OnStar commands covers a route; null when OnStar listed no commands at all
+function routeSupported(route, supportedCommands) {
+    if (supportedCommands.length === 0) return null;
+    return route.commands.every(command => supportedCommands.includes(command));
+}
+
+class VehicleCapabilities {
+    /**
+     * `vehicles` provides findVehicle(vin) and refreshAccountVehicles() (the session manager)
+     */
+    constructor(vehicles) {
+        this.vehicles = vehicles;
+        this.cache = new Map(); // VIN -> capabilities
+        this.getConfig = () => ({});
+
+        // A new login reloads the account vehicles
+        if (typeof vehicles.on === 'function') {
+            vehicles.on('state', event => {
+                if (event.state === 'authenticated' || event.state === 'cleared') {
+                    this.clear();
+                }
+            });
+        }
+    }
+
+    /**
+     * Use the server configuration (capabilities in config.json)
+     */
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        const config = this.getConfig() || {};
+        return { ...DEFAULT_CAPABILITIES_CONFIG, ..._.get(config, 'capabilities', {}) };
+    }
+
+    /**
+     * Capabilities of a vehicle, or null when it is not on the account (yet). The vehicle
+     * list is re-read from OnStar when `refresh` is set or the cached entry is too old
+     */
+    async get(vin, { refresh = false, now = Date.now() } = {}) {
+        if (!vin) return null;
+
+        const cached = this.cache.get(vin.toUpperCase());
+        const stale = cached && now - cached.fetched_at.getTime() > this.getSettings().cache_ttl_seconds * 1000;
+        if (cached && !refresh && !stale) {
+            return cached;
+        }
+
+        if (refresh || stale) {
+            try {
+                await this.vehicles.refreshAccountVehicles();
+                this.cache.clear();
+            } catch (error) {
+                console.warn('⚠️ Could not refresh account vehicles for capabilities:', error.message);
+                if (cached) return cached;
+            }
+        }
+
+        return this.getCached(vin, now);
+    }
+
+    /**
+     * Capabilities from the vehicles already loaded by the session, without contacting OnStar
+     */
+    getCached(vin, now = Date.now()) {
+        if (!vin) return null;
+
+        const key = vin.toUpperCase();
+        if (!this.cache.has(key)) {
+            const vehicle = this.vehicles.findVehicle(vin);
+            if (!vehicle) return null;
+            this.cache.set(key, this._describe(vehicle, now));
+        }
+        return this.cache.get(key);
+    }
+
+    /**
+     * Whether a vehicle supports a route: true, false, or null when its capabilities are unknown
+     */
+    supports(vin, category, action) {
+        const route = ROUTES.find(r => r.category === category && r.action === action);
+        if (!route) return true; // Not a vehicle command
+
+        const capabilities = this.getCached(vin);
+        return capabilities ? routeSupported(route, capabilities.supported_commands) : null;
+    }
+
+    /**
+     * Routes (e.g. "POST /trunk/lock") the vehicle does not support
+     */
+    getUnsupportedEndpoints(vin) {
+        return ROUTES
+            .filter(route => this.supports(vin, route.category, route.action) === false)
+            .map(route => route.endpoint);
+    }
+
+    /**
+     * Each route with the OnStar commands it needs and whether they are in `supportedCommands`
+     * (null for all routes when nothing is known about the vehicle)
+     */
+    describeEndpoints(supportedCommands = []) {
+        return ROUTES.map(route => ({
+            endpoint: route.endpoint,
+            config_key: `${route.category}.${route.action}`,
+            supported: routeSupported(route, supportedCommands),
+            requires: route.commands
+        }));
+    }
+
+    /**
+     * Forget cached capabilities (e.g. after the session was cleared)
+     */
+    clear() {
+        this.cache.clear();
+    }
+
+    _describe(vehicle, now) {
+        const supportedCommands = _.map(vehicle.supportedCommands || [], 'name');
+        return {
+            vin: vehicle.vin,
+            year: vehicle.year,
+            make: vehicle.make,
+            model: vehicle.model,
+            description: vehicle.toString(),
+            supported_commands: supportedCommands,
+            supported_diagnostics: vehicle.supportedDiagnostics || [],
+            endpoints: this.describeEndpoints(supportedCommands),
+            fetched_at: new Date(now)
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new VehicleCapabilities(require('./session_manager'));
+module.exports.VehicleCapabilities = VehicleCapabilities;
+module.exports.ROUTES = ROUTES;
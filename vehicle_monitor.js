@@ -0,0 +1,106 @@
+/**
+ * Vehicle Monitor for the vehicle-monitor Node-RED node
+ * Compares each diagnostics/location reading with the previous one and turns the
+ * differences into change events (plug state, charge state, low battery, movement)
+ */
+
+const { distanceMeters } = require('./command_budget');
+const { parseDiagnostics } = require('./diagnostics');
+
+const MONITOR_EVENTS = ['plug_state.changed', 'charge_state.changed', 'battery.low', 'vehicle.moved'];
+
+// Diagnostic items the monitor asks for; ODOMETER also tells the wake budget the vehicle was driven
+const MONITOR_DIAGNOSTICS = ['EV BATTERY LEVEL', 'EV CHARGE STATE', 'EV PLUG STATE', 'ODOMETER'];
+
+const DEFAULT_MONITOR_SETTINGS = {
+    battery_low_percent: 20,
+    movement_meters: 500
+};
+
+/**
+ * Reading from a diagnostics response (diagnosticResponse) and/or a location response body
+ */
+function toReading({ diagnostics = null, location = null }, at = new Date()) {
+    const values = {};
+    for (const item of Object.values(parseDiagnostics(diagnostics))) {
+        for (const [name, element] of Object.entries(item.elements)) {
+            if (element.value !== null) {
+                values[name] = element.value;
+            }
+        }
+    }
+
+    let position = null;
+    if (location) {
+        const latitude = parseFloat(location.latitude);
+        const longitude = parseFloat(location.longitude);
+        if (isFinite(latitude) && isFinite(longitude)) {
+            position = { latitude, longitude };
+        }
+    }
+
+    return { at, values, location: position };
+}
+
+class VehicleMonitor {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_MONITOR_SETTINGS, ...settings };
+        this.values = {}; // Latest value of each diagnostic item
+        this.anchor = null; // Position movement is measured from; only moves with the vehicle
+        this.batteryLow = false; // battery.low is sent once per discharge
+    }
+
+    /**
+     * Take a reading and return the change events it causes
+     */
+    update(reading) {
+        const events = [];
+        const event = (type, data) => events.push({ type, at: reading.at, ...data });
+        const previous = this.values;
+        const current = reading.values;
+
+        for (const [item, type] of [['EV PLUG STATE', 'plug_state.changed'], ['EV CHARGE STATE', 'charge_state.changed']]) {
+            if (current[item] !== undefined && previous[item] !== undefined && current[item] !== previous[item]) {
+                event(type, { previous: previous[item], current: current[item] });
+            }
+        }
+
+        const level = parseFloat(current['EV BATTERY LEVEL']);
+        if (isFinite(level)) {
+            const threshold = this.settings.battery_low_percent;
+            if (level >= threshold) {
+                this.batteryLow = false;
+            } else if (!this.batteryLow) {
+                this.batteryLow = true;
+                event('battery.low', { battery_level: level, threshold });
+            }
+        }
+
+        if (reading.location) {
+            const position = reading.location;
+            if (this.anchor) {
+                const meters = distanceMeters(
+                    { lat: this.anchor.latitude, lng: this.anchor.longitude },
+                    { lat: position.latitude, lng: position.longitude }
+                );
+                if (meters > this.settings.movement_meters) {
+                    event('vehicle.moved', { previous: this.anchor, current: position, distance_meters: Math.round(meters) });
+                    this.anchor = position;
+                }
+            } else {
+                this.anchor = position;
+            }
+        }
+
+        this.values = { ...previous, ...current };
+        return events;
+    }
+}
+
+module.exports = {
+    VehicleMonitor,
+    toReading,
+    MONITOR_EVENTS,
+    MONITOR_DIAGNOSTICS,
+    DEFAULT_MONITOR_SETTINGS
+};
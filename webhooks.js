@@ -0,0 +1,323 @@
+/**
+ * Webhooks for Brandt Car API
+ * Pushes command results and vehicle events to registered URLs. Payloads are signed with
+ * HMAC-SHA256, failed deliveries are retried with exponential backoff and end up in the
+ * webhook_dead_letters table once the attempts run out
+ */
+
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+
+const EVENT_TYPES = [
+    'command.succeeded',
+    'command.failed',
+    'command.cancelled',
+    'session.expired',
+    'battery.low',
+    'geofence.enter',
+    'geofence.exit',
+    'geofence.dwell',
+    'webhook.test'
+];
+
+const DEFAULT_WEBHOOK_CONFIG = {
+    enabled: true,
+    max_attempts: 5,
+    initial_backoff_seconds: 5,
+    max_backoff_seconds: 600,
+    timeout_seconds: 10,
+    battery_low_percent: 20
+};
+
+const URL_PATTERN = /^https?:\/\/[^\s/?#]+[^\s]*$/i;
+const SECRET_PREFIX = 'whsec_';
+const MIN_SECRET_LENGTH = 16;
+const MAX_DELIVERIES_IN_MEMORY = 200;
+
+class WebhookManager {
+    constructor() {
+        this.webhooks = new Map(); // id -> webhook row, including its secret
+        this.deliveries = new Map(); // Recent deliveries by id
+        this.batteryLow = new Map(); // vin -> whether battery.low has been sent for the current discharge
+        this.getConfig = () => ({});
+    }
+
+    configure(getConfig) {
+        this.getConfig = getConfig;
+    }
+
+    getSettings() {
+        return { ...DEFAULT_WEBHOOK_CONFIG, ...(this.getConfig().webhooks || {}) };
+    }
+
+    /**
+     * Load registered webhooks from the database (called once the tables exist)
+     */
+    async load() {
+        const rows = await db.listWebhooks();
+        this.webhooks = new Map(rows.map(row => [row.id, row]));
+        console.log(`🪝 Loaded ${rows.length} webhook(s)`);
+        return rows.length;
+    }
+
+    /**
+     * Check a registration; returns an error message or null
+     */
+    validate({ url, events, secret }) {
+        if (typeof url !== 'string' || !URL_PATTERN.test(url)) {
+            return 'url must be an absolute http(s) URL';
+        }
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return `events must be a non-empty list of ${EVENT_TYPES.join(', ')} (or patterns such as "command.*" and "*")`;
+        }
+        const unknown = events.filter(pattern => !EVENT_TYPES.some(type => this.matches(pattern, type)));
+        if (unknown.length > 0) {
+            return `Unknown events: ${unknown.join(', ')}`;
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+            return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether an event filter entry ("battery.low", "command.*" or "*") covers an event type
+     */
+    matches(pattern, type) {
+        if (pattern === '*' || pattern === type) {
+            return true;
+        }
+        return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+    }
+
+    /**
+     * Register a webhook; the secret is only ever returned here
+     */
+    async register({ url, events, secret, description = null }) {
+        const signingSecret = secret || SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+        const webhook = await db.createWebhook({ url, events, secret: signingSecret, description });
+        this.webhooks.set(webhook.id, webhook);
+
+        console.log(`🪝 Webhook ${webhook.id} registered for ${events.join(', ')}: ${url}`);
+        return { secret: signingSecret, webhook: this.toJSON(webhook) };
+    }
+
+    list() {
+        return Array.from(this.webhooks.values()).map(webhook => this.toJSON(webhook));
+    }
+
+    get(id) {
+        const webhook = this.webhooks.get(Number(id));
+        return webhook ? this.toJSON(webhook) : null;
+    }
+
+    async remove(id) {
+        if (!Number.isInteger(Number(id))) {
+            return null;
+        }
+
+        const webhook = await db.deleteWebhook(Number(id));
+        if (!webhook) {
+            return null;
+        }
+
+        this.webhooks.delete(webhook.id);
+        console.log(`🪝 Webhook ${webhook.id} removed`);
+        return this.toJSON(webhook);
+    }
+
+    /**
+     * Signature of a payload: hex HMAC-SHA256 of "<timestamp>.<body>"
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Send an event to every webhook subscribed to it (or to the given webhook ids). Deliveries run
+     * in the background; their promises settle once each one succeeded or was dead-lettered
+     */
+    publish(type, { vin = null, data = {} } = {}, webhookIds = null) {
+        if (!this.getSettings().enabled) {
+            return { event: null, deliveries: [] };
+        }
+
+        const event = {
+            id: `evt_${uuidv4()}`,
+            type,
+            created_at: new Date().toISOString(),
+            vin,
+            data
+        };
+
+        const deliveries = Array.from(this.webhooks.values())
+            .filter(webhook => webhookIds ? webhookIds.includes(webhook.id) : webhook.events.some(pattern => this.matches(pattern, type)))
+            .map(webhook => this.deliver(webhook, event));
+
+        return { event, deliveries };
+    }
+
+    /**
+     * Send battery.low when a reading drops below the threshold, once per discharge
+     */
+    observeBatteryLevel(vin, level) {
+        if (typeof level !== 'number' || isNaN(level)) {
+            return;
+        }
+
+        const threshold = this.getSettings().battery_low_percent;
+        if (level >= threshold) {
+            this.batteryLow.delete(vin);
+            return;
+        }
+        if (this.batteryLow.get(vin)) {
+            return;
+        }
+
+        this.batteryLow.set(vin, true);
+        this.publish('battery.low', { vin, data: { battery_level: level, threshold } });
+    }
+
+    async deliver(webhook, event) {
+        const settings = this.getSettings();
+        const delivery = {
+            id: `dlv_${uuidv4()}`,
+            webhook_id: webhook.id,
+            event_id: event.id,
+            event_type: event.type,
+            vin: event.vin,
+            url: webhook.url,
+            status: 'pending',
+            attempts: 0,
+            response_status: null,
+            last_error: null,
+            created_at: new Date(),
+            last_attempt_at: null,
+            next_attempt_at: null,
+            delivered_at: null
+        };
+        this.deliveries.set(delivery.id, delivery);
+        this._trimDeliveries();
+
+        const body = JSON.stringify(event);
+
+        while (delivery.attempts < settings.max_attempts) {
+            delivery.attempts++;
+            delivery.last_attempt_at = new Date();
+            delivery.next_attempt_at = null;
+
+            try {
+                const timestamp = Math.floor(Date.now() / 1000);
+                const response = await axios.post(webhook.url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'brandt-car-api-webhooks',
+                        'X-Webhook-Id': String(webhook.id),
+                        'X-Webhook-Event': event.type,
+                        'X-Webhook-Delivery': delivery.id,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                    },
+                    timeout: settings.timeout_seconds * 1000,
+                    maxRedirects: 0,
+                    validateStatus: () => true
+                });
+
+                delivery.response_status = response.status;
+                if (response.status >= 200 && response.status < 300) {
+                    delivery.status = 'delivered';
+                    delivery.delivered_at = new Date();
+                    delivery.last_error = null;
+                    return this.toDeliveryJSON(delivery);
+                }
+                delivery.last_error = `Receiver answered ${response.status}`;
+            } catch (error) {
+                delivery.response_status = null;
+                delivery.last_error = error.message;
+            }
+
+            if (delivery.attempts < settings.max_attempts) {
+                const backoff = this.getBackoffMs(delivery.attempts, settings);
+                delivery.status = 'retrying';
+                delivery.next_attempt_at = new Date(Date.now() + backoff);
+                console.warn(`⚠️ Webhook ${webhook.id} delivery of ${event.type} failed (${delivery.last_error}), retrying in ${Math.round(backoff / 1000)}s`);
+                await sleep(backoff);
+            }
+        }
+
+        delivery.status = 'dead';
+        console.error(`❌ Webhook ${webhook.id} delivery of ${event.type} failed after ${delivery.attempts} attempt(s): ${delivery.last_error}`);
+        db.saveWebhookDeadLetter({
+            deliveryId: delivery.id,
+            webhookId: webhook.id,
+            eventType: event.type,
+            url: webhook.url,
+            payload: event,
+            attempts: delivery.attempts,
+            responseStatus: delivery.response_status,
+            lastError: delivery.last_error
+        }).catch(err => {
+            console.error('Failed to save webhook dead letter:', err.message);
+        });
+
+        return this.toDeliveryJSON(delivery);
+    }
+
+    /**
+     * Delay before the next attempt: initial backoff doubled per failed attempt, capped
+     */
+    getBackoffMs(attempt, settings = this.getSettings()) {
+        const seconds = Math.min(settings.initial_backoff_seconds * Math.pow(2, attempt - 1), settings.max_backoff_seconds);
+        return seconds * 1000;
+    }
+
+    /**
+     * Recent deliveries held in memory, newest first
+     */
+    listDeliveries({ webhookId = null, status = null, limit = 50 } = {}) {
+        return Array.from(this.deliveries.values())
+            .filter(delivery => !webhookId || delivery.webhook_id === Number(webhookId))
+            .filter(delivery => !status || delivery.status === status)
+            .sort((a, b) => b.created_at - a.created_at)
+            .slice(0, limit)
+            .map(delivery => this.toDeliveryJSON(delivery));
+    }
+
+    /**
+     * Public representation of a webhook row (never includes the secret)
+     */
+    toJSON(webhook) {
+        return {
+            id: webhook.id,
+            url: webhook.url,
+            events: webhook.events,
+            description: webhook.description,
+            created_at: webhook.created_at
+        };
+    }
+
+    toDeliveryJSON(delivery) {
+        return { ...delivery };
+    }
+
+    _trimDeliveries() {
+        // Drop the oldest finished deliveries first
+        for (const [id, delivery] of this.deliveries) {
+            if (this.deliveries.size <= MAX_DELIVERIES_IN_MEMORY) break;
+            if (delivery.status === 'delivered' || delivery.status === 'dead') {
+                this.deliveries.delete(id);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new WebhookManager();
+module.exports.WebhookManager = WebhookManager;
+module.exports.EVENT_TYPES = EVENT_TYPES;